@@ -0,0 +1,3497 @@
+const express = require('express');
+const { CreateMeetingCommand, CreateAttendeeCommand, DeleteAttendeeCommand, UpdateAttendeeCapabilitiesCommand, StartMeetingTranscriptionCommand, StopMeetingTranscriptionCommand, DeleteMeetingCommand, GetMeetingCommand } = require('@aws-sdk/client-chime-sdk-meetings');
+const cors = require('cors');
+const crypto = require('crypto');
+const { createStorage } = require('./lib/storage');
+const { createProvider } = require('./lib/providers');
+const { negotiateFormat, renderTranscription } = require('./lib/exporters');
+const { createLiveHub } = require('./lib/live');
+const { createTranscriptionEngine } = require('./lib/transcription-engines');
+const { attachAudioStreamServer } = require('./lib/audio-stream');
+const { createAuth, safeEqual } = require('./lib/auth');
+const { ROLES, isValidRole, capabilitiesForRole, roleForUser } = require('./lib/roles');
+const { parseChimeEventPayload, parseSnsMessage, createSnsVerifier, isTrustedSubscribeUrl, applyChimeEvent } = require('./lib/chime-events');
+const { searchTranscriptions } = require('./lib/search');
+const { createMinutesProvider, generateMinutes } = require('./lib/minutes');
+const { computeAnalytics, aggregateUserAnalytics } = require('./lib/analytics');
+const { WEBHOOK_EVENTS, validateSubscription, createWebhookService } = require('./lib/webhooks');
+const { createRedactor } = require('./lib/redaction');
+const { normalizeTranslationLanguage, translateSegment, withTranslation, createTranslationProvider } = require('./lib/translation');
+const { AUDIT_ACTIONS, createAuditLog } = require('./lib/audit');
+const { normalizeArtifacts, createRecorder } = require('./lib/recording');
+const { createReconciler } = require('./lib/reconciliation');
+const { InviteError, normalizeInviteOptions, createInviteService } = require('./lib/invites');
+const { DEFAULT_ORG_ID, PERIOD_PATTERN, QuotaError, billingPeriod, periodRange, createTenantService } = require('./lib/tenants');
+const { buildCalendarInvite } = require('./lib/calendar');
+const { CHAT_MAX_LENGTH, paginateChat, interleaveChat } = require('./lib/chat');
+const { withSegmentIds, applyEdit, diffStates, createRevisionLog } = require('./lib/transcript-editing');
+const { createVersionedApi } = require('./lib/api');
+const { createLogger, requestLogger } = require('./lib/logger');
+const { createMetricsRegistry, createRateWindow, instrumentAwsClient } = require('./lib/metrics');
+const { PERMISSION_CHECKS, checkAwsPermissions } = require('./lib/aws-permissions');
+const { MEDIA_REGIONS, DEFAULT_MEDIA_REGION, resolveMediaRegion, transcriptionRegionFor } = require('./lib/media-regions');
+const {
+    mapLanguageCode,
+    pickSettings,
+    mergeTranscriptionSettings,
+    resolveTranscriptionSettings,
+    buildTranscriptionConfiguration
+} = require('./lib/transcription-settings');
+
+// Crear la aplicación con sus dependencias. Todas tienen un valor por defecto a partir
+// de las variables de entorno; las pruebas inyectan el proveedor simulado y un almacenamiento en memoria.
+function createApp({
+    provider = createProvider(),
+    storage = createStorage(),
+    auth = createAuth(),
+    transcriptionEngine = createTranscriptionEngine({ client: provider.transcribeClient }),
+    recorder = createRecorder({ client: provider.mediaPipelinesClient }),
+    minutesProvider = createMinutesProvider(),
+    redactor = createRedactor(),
+    translator = createTranslationProvider({ client: provider.translateClient }),
+    logger = createLogger(),
+    snsVerifier = createSnsVerifier(),
+    webhookOptions = {}
+} = {}) {
+    const app = express();
+    // Identificador de cada petición y registro al terminarla (ver lib/logger.js)
+    app.use(requestLogger(logger));
+    app.use(express.json());
+    app.use(cors());
+
+    // Rutas sin versión y API /v1 con validación, códigos de error y OpenAPI (ver lib/api.js)
+    const api = createVersionedApi(app, { identityInBody: !auth.enabled });
+
+    // Autenticación con tokens JWT (ver lib/auth.js)
+    if (!auth.enabled) {
+        console.warn('⚠️ Autenticación deshabilitada (AUTH_DISABLED=true): no usar en producción');
+    }
+
+    // Clientes de AWS (reales o simulados con CHIME_PROVIDER=mock)
+    const { chimeClient } = provider;
+    console.log(`🎙️ Motor de transcripción en el servidor: ${transcriptionEngine.name}`);
+    console.log(`🎥 Grabador de reuniones: ${recorder.name}`);
+    console.log(`🌐 Traducción de transcripciones: ${translator.name}`);
+
+    // Las reuniones expiran después de cierto tiempo (si no queda nadie conectado)
+    const MEETING_EXPIRY_MINUTES = Number(process.env.MEETING_EXPIRY_MINUTES) || 60;
+    // Cada cuánto se concilia el registro de reuniones con Chime
+    const MEETING_RECONCILE_INTERVAL_MINUTES = Number(process.env.MEETING_RECONCILE_INTERVAL_MINUTES) || 15;
+
+    // Almacenamiento persistente de reuniones y transcripciones guardadas
+    const meetingStore = storage.collection('meetings');
+    const transcriptionStore = storage.collection('transcriptions');
+
+    // Almacenar múltiples reuniones (se recuperan del almacenamiento al iniciar)
+    const meetings = meetingStore.snapshot();
+    console.log(`📦 Almacenamiento "${storage.driver}" cargado: ${Object.keys(meetings).length} reuniones, ${transcriptionStore.list().length} transcripciones`);
+
+    // Métricas en formato Prometheus (GET /metrics): reuniones y asistentes activos, fragmentos
+    // de transcripción y sus traducciones y latencia y errores de las llamadas a AWS por operación
+    const metrics = createMetricsRegistry();
+    const awsCallMetrics = {
+        duration: metrics.histogram('chime_aws_request_duration_seconds', 'Latencia de las llamadas a AWS', ['service', 'operation']),
+        errors: metrics.counter('chime_aws_request_errors_total', 'Llamadas a AWS que terminaron con error', ['service', 'operation', 'error'])
+    };
+    instrumentAwsClient(provider.chimeClient, 'chime-sdk-meetings', awsCallMetrics);
+    instrumentAwsClient(provider.transcribeClient, 'transcribe-streaming', awsCallMetrics);
+    instrumentAwsClient(provider.mediaPipelinesClient, 'chime-sdk-media-pipelines', awsCallMetrics);
+    instrumentAwsClient(provider.translateClient, 'translate', awsCallMetrics);
+
+    const transcriptSegmentsTotal = metrics.counter('chime_transcript_segments_total', 'Fragmentos de transcripción guardados', ['source']);
+    const transcriptSegmentRate = createRateWindow();
+    metrics.gauge('chime_transcript_segments_per_second', 'Fragmentos de transcripción por segundo (media del último minuto)', [], () => [
+        { value: transcriptSegmentRate.perSecond() }
+    ]);
+    const segmentTranslationsTotal = metrics.counter('chime_transcript_translations_total',
+        'Traducciones de fragmentos por idioma y resultado (translated, cached, failed)', ['language', 'result']);
+    metrics.gauge('chime_active_meetings', 'Reuniones activas en el registro', [], () => [
+        { value: Object.keys(meetings).length }
+    ]);
+    metrics.gauge('chime_active_attendees', 'Asistentes de las reuniones activas según su presencia', ['presence'], () => {
+        const byPresence = {};
+        Object.values(meetings).forEach(meeting => {
+            Object.values(meeting.attendees || {}).forEach(attendee => {
+                const presence = attendee.presence || 'unknown';
+                byPresence[presence] = (byPresence[presence] || 0) + 1;
+            });
+        });
+        return Object.entries(byPresence).map(([presence, value]) => ({ labels: { presence }, value }));
+    });
+
+    // Clientes suscritos a la transcripción en vivo de cada reunión
+    const liveHub = createLiveHub();
+    const LIVE_REPLAY_DEFAULT = 20;
+    const LIVE_REPLAY_MAX = 200;
+
+    // Webhooks salientes hacia integraciones externas (se retoman las entregas pendientes al iniciar)
+    const webhooks = createWebhookService({ storage, ...webhookOptions });
+    webhooks.resumePending();
+
+    // Registro de auditoría de las transcripciones guardadas
+    const auditLog = createAuditLog({ storage });
+
+    // Revisiones de las transcripciones editadas (ver lib/transcript-editing.js)
+    const revisionLog = createRevisionLog({ storage });
+
+    // Invitaciones firmadas para unirse sin conocer el meetingId (ver lib/invites.js)
+    const invites = createInviteService({ storage });
+
+    // Organizaciones, sus límites y su uso por periodo de facturación (ver lib/tenants.js)
+    const tenants = createTenantService({ storage });
+
+    // Retención por defecto de las transcripciones guardadas, en días (sin valor se conservan siempre)
+    let DEFAULT_RETENTION_DAYS = process.env.TRANSCRIPT_RETENTION_DAYS ? Number(process.env.TRANSCRIPT_RETENTION_DAYS) : null;
+    if (!isValidRetention(DEFAULT_RETENTION_DAYS)) {
+        console.warn(`⚠️ TRANSCRIPT_RETENTION_DAYS no válido (${process.env.TRANSCRIPT_RETENTION_DAYS}): las transcripciones se conservarán sin caducidad`);
+        DEFAULT_RETENTION_DAYS = null;
+    }
+
+    // Notificar un evento a los webhooks de una organización sin afectar a la respuesta de la petición
+    function notifyWebhooks(event, payload, orgId) {
+        webhooks.dispatch(event, { ...payload, occurredAt: new Date().toISOString() }, { orgId }).catch(error => {
+            console.error(`Error al enviar el webhook ${event}:`, error);
+        });
+    }
+
+    // Persistir los cambios hechos sobre el registro de reuniones
+    function persistMeetings() {
+        return meetingStore.flush().catch(error => {
+            console.error('Error al persistir reuniones:', error);
+        });
+    }
+
+    // Evento de webhook según el motivo por el que se quita una reunión
+    const MEETING_REMOVAL_EVENTS = {
+        deleted: 'meeting.deleted',
+        expired: 'meeting.expired',
+        ended: 'meeting.ended'
+    };
+
+    // Organización de un usuario, una reunión o una transcripción (sin organización, la por defecto)
+    function userOrg(user) {
+        return (user && user.orgId) || DEFAULT_ORG_ID;
+    }
+
+    function resourceOrg(resource) {
+        return resource.orgId || DEFAULT_ORG_ID;
+    }
+
+    function orgMeetings(orgId) {
+        return Object.values(meetings).filter(meeting => resourceOrg(meeting) === orgId);
+    }
+
+    // Asistentes de una reunión que no la han abandonado (cuentan para el límite de asistentes)
+    const ATTENDEE_GONE_PRESENCES = ['left', 'dropped', 'removed'];
+    function activeAttendeeCount(meeting) {
+        return Object.values(meeting.attendees || {}).filter(attendee => !ATTENDEE_GONE_PRESENCES.includes(attendee.presence)).length;
+    }
+
+    // Comprobar un límite de la organización; si se supera se anota el rechazo y se lanza QuotaError
+    async function enforceQuota(orgId, quota, used) {
+        try {
+            tenants.enforce(orgId, quota, used);
+        } catch (error) {
+            if (error instanceof QuotaError) {
+                await tenants.recordRejection(orgId, quota);
+                console.warn(`⚠️ Límite ${quota} de la organización ${orgId} alcanzado (${error.details.used}/${error.details.limit})`);
+            }
+            throw error;
+        }
+    }
+
+    // Minutos de transcripción del periodo en curso: los ya anotados más los de las transcripciones activas
+    function transcriptionMinutesUsed(orgId) {
+        const runningMs = orgMeetings(orgId)
+            .filter(meeting => meeting.transcriptionStartedAt)
+            .reduce((total, meeting) => total + Date.now() - Math.max(Date.parse(meeting.transcriptionStartedAt), Date.parse(periodRange(billingPeriod()).from)), 0);
+        return (tenants.usageFor(orgId).transcriptionMs + runningMs) / 60000;
+    }
+
+    // Anotar el inicio de la transcripción de una reunión para contar sus minutos
+    function markTranscriptionStarted(meeting) {
+        if (!meeting.transcriptionStartedAt) {
+            meeting.transcriptionStartedAt = new Date().toISOString();
+        }
+    }
+
+    // Sumar al uso de la organización el tiempo de transcripción de la reunión desde que empezó,
+    // repartido entre los periodos de facturación que abarque
+    async function recordTranscriptionTime(meeting) {
+        if (!meeting.transcriptionStartedAt) return;
+        let from = Date.parse(meeting.transcriptionStartedAt);
+        meeting.transcriptionStartedAt = null;
+        
+        const end = Date.now();
+        while (from < end) {
+            const periodEnd = Math.min(Date.parse(periodRange(billingPeriod(from)).to), end);
+            await tenants.record(resourceOrg(meeting), 'transcriptionMs', periodEnd - from, from);
+            from = periodEnd;
+        }
+    }
+
+    // Quitar una reunión del registro local, desconectar a sus clientes en vivo y avisar a los webhooks
+    async function forgetMeeting(meetingId, reason) {
+        const meeting = meetings[meetingId];
+        
+        // La transcripción en curso termina con la reunión
+        if (meeting) {
+            await recordTranscriptionTime(meeting);
+        }
+        
+        // Cerrar la grabación en curso para que el grabador complete sus artefactos
+        if (meeting && meeting.recordingEnabled && meeting.recording) {
+            try {
+                await recorder.stop({ pipelineId: meeting.recording.pipelineId, meeting });
+            } catch (error) {
+                console.warn(`⚠️ No se pudo detener la grabación de la reunión ${meetingId}: ${error.message}`);
+            }
+        }
+        
+        await meetingStore.remove(meetingId);
+        liveHub.close(meetingId, { reason });
+        liveHub.close(chatChannel(meetingId), { reason });
+        Object.keys((meeting && meeting.lobby) || {}).forEach(userId => {
+            liveHub.close(lobbyChannel(meetingId, userId), { reason });
+        });
+        
+        if (meeting && MEETING_REMOVAL_EVENTS[reason]) {
+            notifyWebhooks(MEETING_REMOVAL_EVENTS[reason], {
+                meetingId,
+                creatorId: meeting.creatorId,
+                creationTime: meeting.creationTime
+            }, resourceOrg(meeting));
+        }
+    }
+
+    // Devolver una copia del fragmento con los datos personales enmascarados.
+    // `redactions` acumula cuántas coincidencias de cada regla se enmascararon.
+    function redactSegment(segment) {
+        const { text, redactions } = redactor.redact(segment.text);
+        if (Object.keys(redactions).length === 0) {
+            return { ...segment };
+        }
+        
+        const merged = { ...(segment.redactions || {}) };
+        Object.entries(redactions).forEach(([rule, count]) => {
+            merged[rule] = (merged[rule] || 0) + count;
+        });
+        return { ...segment, text, redactions: merged };
+    }
+
+    // Añadir un fragmento a la transcripción de la reunión y enviarlo a los clientes en vivo.
+    // El texto se redacta antes de guardarlo o enviarlo.
+    async function appendTranscriptSegment(meetingId, rawSegment) {
+        if (!meetings[meetingId].transcripts) {
+            meetings[meetingId].transcripts = [];
+        }
+        
+        const segment = redactSegment(rawSegment);
+        meetings[meetingId].transcripts.push(segment);
+        transcriptSegmentsTotal.inc({ source: segment.source || 'client' });
+        transcriptSegmentRate.record();
+        await persistMeetings();
+        
+        const index = meetings[meetingId].transcripts.length - 1;
+        liveHub.publish(meetingId, 'transcript', segment, index);
+        
+        // Las traducciones se envían cuando llegan, sin retrasar la recepción del fragmento original
+        publishTranslations(meetingId, index).catch(error => {
+            console.warn(`⚠️ No se pudieron enviar las traducciones del fragmento ${index} de la reunión ${meetingId}: ${error.message}`);
+        });
+        return segment;
+    }
+
+    // Idioma de origen de los fragmentos de una reunión: el de su transcripción o, si no se conoce
+    // (identificación automática del idioma), detección por el proveedor de traducción
+    function meetingSourceLanguage(meeting) {
+        const settings = meeting.activeTranscriptionSettings || meeting.transcriptionSettings || {};
+        return normalizeTranslationLanguage(settings.languageCode) || 'auto';
+    }
+
+    // Traducir un fragmento contando el resultado en las métricas.
+    // Devuelve { translation, cached } o null si el proveedor falla: la transcripción original no se ve afectada.
+    async function translateWithMetrics(segment, language, sourceLanguage) {
+        try {
+            const result = await translateSegment(segment, language, translator, { sourceLanguage });
+            segmentTranslationsTotal.inc({ language, result: result.cached ? 'cached' : 'translated' });
+            return result;
+        } catch (error) {
+            segmentTranslationsTotal.inc({ language, result: 'failed' });
+            console.warn(`⚠️ No se pudo traducir un fragmento a "${language}": ${error.message}`);
+            return null;
+        }
+    }
+
+    // Idiomas a los que se traduce en vivo: los de los clientes conectados y los elegidos por los participantes
+    function meetingTranslationLanguages(meetingId) {
+        const chosen = Object.values((meetings[meetingId] && meetings[meetingId].translationLanguages) || {});
+        return Array.from(new Set([...liveHub.languages(meetingId), ...chosen]));
+    }
+
+    // Traducir el fragmento `index` de la reunión y guardar la traducción en él.
+    // Devuelve { translation, changed } o null si no se pudo traducir.
+    async function translateMeetingSegment(meetingId, index, language) {
+        const meeting = meetings[meetingId];
+        const result = await translateWithMetrics(meeting.transcripts[index], language, meetingSourceLanguage(meeting));
+        if (!result || !meetings[meetingId]) return null;
+        
+        if (!result.cached) {
+            const { transcripts } = meetings[meetingId];
+            transcripts[index] = withTranslation(transcripts[index], language, result.translation);
+        }
+        return { translation: result.translation, changed: !result.cached };
+    }
+
+    // Datos del evento en vivo con la traducción de un fragmento (`index` es el id de su evento 'transcript')
+    function translationEvent(index, language, translation) {
+        return { index, language, text: translation.text, sourceLanguage: translation.sourceLanguage };
+    }
+
+    // Traducir un fragmento nuevo a los idiomas pedidos en la reunión y enviar cada traducción
+    // solo a los clientes en vivo que la pidieron
+    async function publishTranslations(meetingId, index) {
+        const results = await Promise.all(meetingTranslationLanguages(meetingId).map(async language => {
+            const result = await translateMeetingSegment(meetingId, index, language);
+            if (result) {
+                liveHub.publish(meetingId, 'transcript-translation', translationEvent(index, language, result.translation), undefined, { language });
+            }
+            return result;
+        }));
+        if (results.some(result => result && result.changed)) {
+            await persistMeetings();
+        }
+    }
+
+    // Traducir una lista de fragmentos guardados a `language`, como mucho TRANSLATION_CONCURRENCY a la vez.
+    // Devuelve { transcripts, translations, changed, failed }: la lista con las traducciones guardadas,
+    // la traducción de cada fragmento (null si falló), si hubo que traducir alguno y cuántos fallaron.
+    const TRANSLATION_CONCURRENCY = 8;
+    async function translateTranscripts(transcripts, language, sourceLanguage = 'auto') {
+        const results = [];
+        for (let start = 0; start < transcripts.length; start += TRANSLATION_CONCURRENCY) {
+            const batch = transcripts.slice(start, start + TRANSLATION_CONCURRENCY);
+            results.push(...await Promise.all(batch.map(segment => translateWithMetrics(segment, language, sourceLanguage))));
+        }
+        
+        return {
+            transcripts: transcripts.map((segment, i) => (results[i] && !results[i].cached ? withTranslation(segment, language, results[i].translation) : segment)),
+            translations: results.map(result => (result ? result.translation : null)),
+            changed: results.some(result => result && !result.cached),
+            failed: results.filter(result => !result).length
+        };
+    }
+
+    // Clave de un usuario en los registros de una reunión (asistentes, roles y sala de espera), de una
+    // reunión programada o de una invitación. Los ids de usuario solo son únicos dentro de una
+    // organización: los de la organización del recurso usan su userId y los de otra, `orgId:userId`.
+    // Así un invitado con el mismo userId que el creador no recibe su asistente ni su rol de anfitrión.
+    function memberKey(resource, user) {
+        const orgId = userOrg(user);
+        return orgId === resourceOrg(resource) ? user.id : `${orgId}:${user.id}`;
+    }
+
+    // Clave con la que se guardó un asistente o una solicitud de la sala de espera
+    function recordKey(meeting, record) {
+        return memberKey(meeting, { id: record.userId, orgId: record.orgId || resourceOrg(meeting) });
+    }
+
+    // Asistente de la reunión que corresponde al usuario (el mismo id en la misma organización)
+    function meetingAttendee(meeting, user) {
+        const attendee = meeting.attendees && meeting.attendees[memberKey(meeting, user)];
+        return attendee && (attendee.orgId || resourceOrg(meeting)) === userOrg(user) ? attendee : null;
+    }
+
+    // Comprobar si el usuario es el anfitrión de la reunión (su creador o un asistente con rol host)
+    function isHost(meeting, user) {
+        if (!auth.enabled) return true;
+        if (!user) return false;
+        const attendee = meetingAttendee(meeting, user);
+        return (meeting.creatorId === user.id && resourceOrg(meeting) === userOrg(user)) ||
+            Boolean(attendee && attendee.role === 'host');
+    }
+
+    // Comprobar si el usuario es anfitrión o asistente de la reunión
+    function isParticipant(meeting, user) {
+        if (!auth.enabled) return true;
+        return isHost(meeting, user) || Boolean(user && meetingAttendee(meeting, user));
+    }
+
+    // Comprobar si el usuario participó en una transcripción guardada. Los ids de usuario solo son
+    // únicos dentro de una organización, así que también se compara la organización de cada uno
+    // (los invitados de otra organización llevan la suya en el registro de asistentes).
+    function canViewTranscription(transcription, user) {
+        if (!auth.enabled) return true;
+        if (!user) return false;
+        const orgId = userOrg(user);
+        const transcriptionOrg = resourceOrg(transcription);
+        return (transcription.creatorId === user.id && transcriptionOrg === orgId) ||
+            (transcription.participants || []).some(participant =>
+                participant.userId === user.id && (participant.orgId || transcriptionOrg) === orgId);
+    }
+
+    // Solo el creador de la reunión puede eliminar una transcripción o cambiar su retención
+    function canManageTranscription(transcription, user) {
+        if (!auth.enabled) return true;
+        return Boolean(user) && transcription.creatorId === user.id && resourceOrg(transcription) === userOrg(user);
+    }
+
+    // Anotar un acceso en el registro de auditoría sin afectar a la respuesta de la petición
+    function auditTranscription(transcriptionId, action, actor, details) {
+        auditLog.record({ transcriptionId, action, actor, details }).catch(error => {
+            console.error(`Error al registrar la auditoría (${action}) de la transcripción ${transcriptionId}:`, error);
+        });
+    }
+
+    // Fecha de caducidad a partir de los días de retención (null = sin caducidad)
+    function retentionExpiry(retentionDays, from = Date.now()) {
+        if (retentionDays === null || retentionDays === undefined) return null;
+        return new Date(from + retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    // Una transcripción caducada deja de existir para la API aunque la purga aún no la haya borrado
+    // (en Vercel no se ejecutan las tareas en segundo plano); la purga solo libera el almacenamiento
+    function isExpired(transcription, now = Date.now()) {
+        return Boolean(transcription.expiresAt) && Date.parse(transcription.expiresAt) <= now;
+    }
+
+    // Transcripción guardada vigente (undefined si no existe o ya caducó)
+    function getTranscription(id) {
+        const transcription = transcriptionStore.get(id);
+        return transcription && !isExpired(transcription) ? transcription : undefined;
+    }
+
+    // Transcripciones guardadas vigentes
+    function listTranscriptions() {
+        const now = Date.now();
+        return transcriptionStore.list().filter(transcription => !isExpired(transcription, now));
+    }
+
+    function isValidRetention(retentionDays) {
+        return retentionDays === null || (typeof retentionDays === 'number' && Number.isFinite(retentionDays) && retentionDays > 0);
+    }
+
+    // Eliminar una transcripción guardada y dejar constancia en la auditoría
+    async function deleteTranscription(transcription, actor, reason) {
+        await transcriptionStore.remove(transcription.id);
+        await revisionLog.removeAll(transcription.id);
+        await auditLog.record({
+            transcriptionId: transcription.id,
+            action: 'delete',
+            actor,
+            details: { reason, meetingId: transcription.meetingId, title: transcription.title }
+        });
+        
+        notifyWebhooks('transcription.deleted', {
+            transcriptionId: transcription.id,
+            meetingId: transcription.meetingId,
+            reason
+        }, resourceOrg(transcription));
+    }
+
+    function meetingIdFrom(req) {
+        return req.params.meetingId || (req.body && req.body.meetingId);
+    }
+
+    // Middleware: la reunión debe existir y el usuario autenticado ser su anfitrión
+    function requireHost(req, res, next) {
+        const meeting = meetings[meetingIdFrom(req)];
+        if (!meeting) {
+            return res.status(404).json({ error: 'Reunión no encontrada' });
+        }
+        if (!isHost(meeting, req.user)) {
+            return res.status(403).json({ error: 'Solo el anfitrión de la reunión puede realizar esta acción' });
+        }
+        next();
+    }
+
+    // Middleware: la reunión debe existir y el usuario autenticado participar en ella
+    function requireParticipant(req, res, next) {
+        const meeting = meetings[meetingIdFrom(req)];
+        if (!meeting) {
+            return res.status(404).json({ error: 'Reunión no encontrada' });
+        }
+        if (!isParticipant(meeting, req.user)) {
+            return res.status(403).json({ error: 'No participas en esta reunión' });
+        }
+        next();
+    }
+
+    // Región de medios de la reunión (las reuniones anteriores a poder elegirla usaban us-east-1)
+    function meetingMediaRegion(meeting) {
+        return meeting.mediaRegion || (meeting.Meeting && meeting.Meeting.MediaRegion) || 'us-east-1';
+    }
+
+    // Buscar un asistente de la reunión por su AttendeeId de Chime o por su clave en la reunión
+    function findAttendee(meeting, attendeeId) {
+        return (meeting.attendees || {})[attendeeId] || Object.values(meeting.attendees || {}).find(attendee =>
+            attendee.attendeeInfo && attendee.attendeeInfo.AttendeeId === attendeeId
+        );
+    }
+
+    api.get("/prueba", (req, res) => {
+        const htmlResponse = `
+          <html>
+            <head>
+              <title>Endpoints Chime</title>
+            </head>
+            <body>
+              <h1>Endpoints Chime</h1>
+            </body>
+          </html>
+        `;
+        res.send(htmlResponse);
+    });
+
+    api.get("/", (req, res) => {
+        const htmlResponse = `
+          <html>
+            <head>
+              <title>Endpoints Chime</title>
+            </head>
+            <body>
+              <h1>Endpoints Chime</h1>
+            </body>
+          </html>
+        `;
+        res.send(htmlResponse);
+    });
+
+
+
+    // Endpoint para emitir un token de acceso (lo usa el backend del frontend con AUTH_API_KEY)
+    api.post('/auth/token', auth.requireApiKey, (req, res) => {
+        try {
+            const { userId, userName, orgId } = req.body;
+            
+            if (!userId) {
+                return res.status(400).json({ error: 'Falta el userId' });
+            }
+            
+            // Sin organización el usuario pertenece a la organización por defecto
+            if (orgId !== undefined && !tenants.get(orgId)) {
+                return res.status(404).json({ error: 'Organización no encontrada' });
+            }
+            
+            res.json({ token: auth.signToken({ userId, userName, orgId }), tokenType: 'Bearer' });
+        } catch (error) {
+            console.error('Error al emitir token:', error);
+            res.status(500).json({ error: 'Error al emitir token: ' + error.message });
+        }
+    });
+
+    // Organización con sus límites efectivos (los propios sobre los de la configuración)
+    function describeOrganization(organization) {
+        return { ...organization, effectiveLimits: tenants.limitsFor(organization.id) };
+    }
+
+    // Endpoint para listar las organizaciones
+    api.get('/organizations', auth.requireApiKey, (req, res) => {
+        try {
+            res.json({ organizations: tenants.list().map(describeOrganization) });
+        } catch (error) {
+            console.error('Error al listar organizaciones:', error);
+            res.status(500).json({ error: 'Error al listar organizaciones: ' + error.message });
+        }
+    });
+
+    // Endpoint para crear una organización ({ id?, name, limits? })
+    api.post('/organizations', auth.requireApiKey, async (req, res) => {
+        try {
+            const { id, name, limits } = req.body;
+            const { organization, error, statusCode } = await tenants.create({ id, name, limits });
+            
+            if (error) {
+                return res.status(statusCode).json({ error });
+            }
+            
+            console.log(`✅ Organización creada: ${organization.id}`);
+            res.status(201).json(describeOrganization(organization));
+        } catch (error) {
+            console.error('Error al crear organización:', error);
+            res.status(500).json({ error: 'Error al crear organización: ' + error.message });
+        }
+    });
+
+    // Endpoint para consultar una organización
+    api.get('/organizations/:orgId', auth.requireApiKey, (req, res) => {
+        try {
+            const organization = tenants.get(req.params.orgId);
+            
+            if (!organization) {
+                return res.status(404).json({ error: 'Organización no encontrada' });
+            }
+            
+            res.json(describeOrganization(organization));
+        } catch (error) {
+            console.error('Error al obtener organización:', error);
+            res.status(500).json({ error: 'Error al obtener organización: ' + error.message });
+        }
+    });
+
+    // Endpoint para cambiar el nombre o los límites de una organización (null quita un límite)
+    api.patch('/organizations/:orgId', auth.requireApiKey, async (req, res) => {
+        try {
+            const { name, limits } = req.body;
+            const { organization, error, statusCode } = await tenants.update(req.params.orgId, { name, limits });
+            
+            if (error) {
+                return res.status(statusCode).json({ error });
+            }
+            
+            res.json(describeOrganization(organization));
+        } catch (error) {
+            console.error('Error al modificar organización:', error);
+            res.status(500).json({ error: 'Error al modificar organización: ' + error.message });
+        }
+    });
+
+    // Endpoint con el uso de una organización en un periodo de facturación (?period=AAAA-MM, por defecto el actual)
+    api.get('/organizations/:orgId/usage', auth.requireApiKey, (req, res) => {
+        try {
+            const { orgId } = req.params;
+            const period = req.query.period || billingPeriod();
+            
+            if (!tenants.get(orgId)) {
+                return res.status(404).json({ error: 'Organización no encontrada' });
+            }
+            if (!PERIOD_PATTERN.test(period)) {
+                return res.status(400).json({ error: 'El periodo debe tener el formato AAAA-MM' });
+            }
+            
+            const { quotaRejections, transcriptionMs, ...counters } = tenants.usageFor(orgId, period);
+            const current = period === billingPeriod();
+            const active = orgMeetings(orgId);
+            
+            // En el periodo en curso se suman los minutos de las transcripciones que siguen activas
+            const transcriptionMinutes = current ? transcriptionMinutesUsed(orgId) : transcriptionMs / 60000;
+            
+            res.json({
+                orgId,
+                period,
+                ...periodRange(period),
+                limits: tenants.limitsFor(orgId),
+                usage: {
+                    meetingsCreated: counters.meetingsCreated,
+                    attendeesJoined: counters.attendeesJoined,
+                    transcriptionsSaved: counters.transcriptionsSaved,
+                    transcriptionMinutes: Math.round(transcriptionMinutes * 100) / 100,
+                    peakConcurrentMeetings: counters.peakConcurrentMeetings
+                },
+                quotaRejections,
+                // Estado actual (solo tiene sentido para el periodo en curso)
+                current: current ? {
+                    activeMeetings: active.length,
+                    activeTranscriptions: active.filter(meeting => meeting.transcriptionEnabled).length
+                } : null
+            });
+        } catch (error) {
+            console.error('Error al obtener el uso de la organización:', error);
+            res.status(500).json({ error: 'Error al obtener el uso de la organización: ' + error.message });
+        }
+    });
+
+    // Datos públicos de una suscripción de webhook (el secreto solo se muestra al crearla)
+    function describeWebhook(subscription) {
+        const { secret, ...rest } = subscription;
+        return rest;
+    }
+
+    // Endpoint para listar las suscripciones de webhooks (?orgId= filtra por organización)
+    api.get('/webhooks', auth.requireApiKey, (req, res) => {
+        try {
+            const { orgId } = req.query;
+            const subscriptions = webhooks.listSubscriptions()
+                .filter(subscription => !orgId || resourceOrg(subscription) === orgId);
+            
+            res.json({
+                events: WEBHOOK_EVENTS,
+                webhooks: subscriptions.map(describeWebhook)
+            });
+        } catch (error) {
+            console.error('Error al listar webhooks:', error);
+            res.status(500).json({ error: 'Error al listar webhooks: ' + error.message });
+        }
+    });
+
+    // Endpoint para crear una suscripción de webhook ({ url, events, secret?, description?, orgId? }).
+    // Solo recibe los eventos de su organización (por defecto, la organización por defecto).
+    api.post('/webhooks', auth.requireApiKey, async (req, res) => {
+        try {
+            const { url, events, secret, description, orgId = DEFAULT_ORG_ID } = req.body;
+            
+            const validationError = validateSubscription({ url, events });
+            if (validationError) {
+                return res.status(400).json({ error: validationError, supportedEvents: WEBHOOK_EVENTS });
+            }
+            
+            if (!tenants.get(orgId)) {
+                return res.status(404).json({ error: 'Organización no encontrada' });
+            }
+            
+            const subscription = await webhooks.createSubscription({ url, events, secret, description, orgId });
+            
+            console.log(`✅ Webhook creado: ${subscription.id} -> ${url} (${orgId})`);
+            res.status(201).json(subscription);
+        } catch (error) {
+            console.error('Error al crear webhook:', error);
+            res.status(500).json({ error: 'Error al crear webhook: ' + error.message });
+        }
+    });
+
+    // Endpoint para modificar una suscripción (url, events, description, active)
+    api.patch('/webhooks/:id', auth.requireApiKey, async (req, res) => {
+        try {
+            const current = webhooks.getSubscription(req.params.id);
+            
+            if (!current) {
+                return res.status(404).json({ error: 'Webhook no encontrado' });
+            }
+            
+            const { url, events, description, active } = req.body;
+            const validationError = validateSubscription({ url: url || current.url, events: events || current.events });
+            if (validationError) {
+                return res.status(400).json({ error: validationError, supportedEvents: WEBHOOK_EVENTS });
+            }
+            
+            const subscription = await webhooks.updateSubscription(req.params.id, {
+                url,
+                events,
+                description,
+                active: active === undefined ? undefined : Boolean(active)
+            });
+            res.json(describeWebhook(subscription));
+        } catch (error) {
+            console.error('Error al modificar webhook:', error);
+            res.status(500).json({ error: 'Error al modificar webhook: ' + error.message });
+        }
+    });
+
+    // Endpoint para eliminar una suscripción de webhook
+    api.delete('/webhooks/:id', auth.requireApiKey, async (req, res) => {
+        try {
+            const deleted = await webhooks.deleteSubscription(req.params.id);
+            
+            if (!deleted) {
+                return res.status(404).json({ error: 'Webhook no encontrado' });
+            }
+            
+            res.json({ success: true, message: 'Webhook eliminado' });
+        } catch (error) {
+            console.error('Error al eliminar webhook:', error);
+            res.status(500).json({ error: 'Error al eliminar webhook: ' + error.message });
+        }
+    });
+
+    // Endpoint con el registro de entregas de un webhook
+    api.get('/webhooks/:id/deliveries', auth.requireApiKey, (req, res) => {
+        try {
+            if (!webhooks.getSubscription(req.params.id)) {
+                return res.status(404).json({ error: 'Webhook no encontrado' });
+            }
+            
+            res.json(webhooks.listDeliveries(req.params.id));
+        } catch (error) {
+            console.error('Error al listar entregas de webhook:', error);
+            res.status(500).json({ error: 'Error al listar entregas de webhook: ' + error.message });
+        }
+    });
+
+    // Endpoint para reenviar manualmente una entrega
+    api.post('/webhooks/:id/deliveries/:deliveryId/redeliver', auth.requireApiKey, async (req, res) => {
+        try {
+            const delivery = webhooks.getDelivery(req.params.deliveryId);
+            
+            if (!delivery || delivery.webhookId !== req.params.id) {
+                return res.status(404).json({ error: 'Entrega no encontrada' });
+            }
+            
+            const result = await webhooks.redeliver(delivery.id);
+            res.json(result);
+        } catch (error) {
+            console.error('Error al reenviar webhook:', error);
+            res.status(500).json({ error: 'Error al reenviar webhook: ' + error.message });
+        }
+    });
+
+    // Endpoint para listar las reuniones disponibles en la organización del usuario
+    api.get('/list-meetings', auth.authenticate, (req, res) => {
+        try {
+            const meetingList = orgMeetings(userOrg(req.user)).map(meeting => {
+                const { meetingId } = meeting;
+                
+                // Verificar que el objeto Meeting existe antes de acceder a sus propiedades
+                const externalMeetingId = meeting.Meeting && meeting.Meeting.ExternalMeetingId 
+                    ? meeting.Meeting.ExternalMeetingId 
+                    : 'Sin ID externo';
+                
+                return {
+                    meetingId,
+                    externalMeetingId,
+                    creationTime: meeting.creationTime,
+                    attendeeCount: Object.keys(meeting.attendees || {}).length,
+                    connectedCount: Object.values(meeting.attendees || {}).filter(a => a.presence === 'joined').length,
+                    status: meeting.status || 'created',
+                    lobbyEnabled: meeting.lobbyEnabled || false,
+                    mediaRegion: meetingMediaRegion(meeting),
+                    transcriptionEnabled: meeting.transcriptionEnabled || false,
+                    recordingEnabled: meeting.recordingEnabled || false,
+                    recordingStartedAt: meeting.recordingEnabled && meeting.recording ? meeting.recording.startedAt : null
+                };
+            });
+            
+            res.json(meetingList);
+        } catch (error) {
+            console.error('Error al listar reuniones:', error);
+            res.status(500).json({ error: 'Error al listar reuniones: ' + error.message });
+        }
+    });
+
+    // Endpoint para unirse a una reunión: { meetingId } o { inviteToken } de una invitación
+    api.post('/join-meeting', auth.authenticate, async (req, res) => {
+        try {
+            let { meetingId } = req.body;
+            
+            // El usuario se toma del token, no del cuerpo de la petición
+            if (!req.user) {
+                return res.status(400).json({ error: 'Falta el usuario que se une a la reunión' });
+            }
+            const userId = req.user.id;
+            const userName = req.body.userName || req.user.name;
+            
+            // Con una invitación la reunión sale del token (y las programadas se crean al llegar el primero)
+            let invite = null;
+            if (req.body.inviteToken) {
+                try {
+                    ({ meetingId, invite } = await meetingFromInvite(req.body.inviteToken, req.user));
+                } catch (inviteError) {
+                    if (!(inviteError instanceof InviteError) && !(inviteError instanceof QuotaError)) throw inviteError;
+                    return res.status(inviteError.statusCode).json({ error: inviteError.message, ...inviteError.details });
+                }
+            }
+            
+            // Sin invitación solo se entra en las reuniones de la propia organización
+            if (!meetingId || !meetings[meetingId] ||
+                (!req.body.inviteToken && resourceOrg(meetings[meetingId]) !== userOrg(req.user))) {
+                return res.status(404).json({ error: 'Reunión no encontrada' });
+            }
+            
+            // Clave del usuario en la reunión (un invitado de otra organización no es el usuario con su mismo id)
+            const memberId = memberKey(meetings[meetingId], req.user);
+            
+            // Verificar si el usuario ya está en la reunión
+            const existingAttendee = meetingAttendee(meetings[meetingId], req.user);
+            if (existingAttendee) {
+                // Crear una copia segura de la información para enviar al cliente
+                const meetingInfo = {
+                    Meeting: meetings[meetingId].Meeting,
+                    meetingId: meetings[meetingId].meetingId,
+                    creationTime: meetings[meetingId].creationTime,
+                    transcriptionEnabled: meetings[meetingId].transcriptionEnabled
+                };
+                
+                // Devolver la información existente sin referencias circulares
+                return res.json({
+                    meetingInfo: meetingInfo,
+                    attendeeInfo: existingAttendee.attendeeInfo,
+                    isCreator: memberId === meetings[meetingId].creatorId,
+                    role: existingAttendee.role || roleForUser(meetings[meetingId], memberId),
+                    capabilities: existingAttendee.capabilities || capabilitiesForRole(roleForUser(meetings[meetingId], memberId))
+                });
+            }
+            
+            // Límite de asistentes por reunión de la organización de la reunión
+            const meetingOrg = resourceOrg(meetings[meetingId]);
+            try {
+                await enforceQuota(meetingOrg, 'maxAttendeesPerMeeting', activeAttendeeCount(meetings[meetingId]));
+            } catch (quotaError) {
+                if (!(quotaError instanceof QuotaError)) throw quotaError;
+                return res.status(quotaError.statusCode).json({ error: quotaError.message, ...quotaError.details });
+            }
+            
+            // Las capacidades de audio/video/contenido dependen del rol del usuario
+            const role = roleForUser(meetings[meetingId], memberId);
+            const capabilities = capabilitiesForRole(role);
+            
+            // Con sala de espera, solo los anfitriones y los usuarios admitidos reciben su asistente de Chime
+            if (meetings[meetingId].lobbyEnabled && role !== 'host') {
+                const request = await requestLobbyAdmission(meetings[meetingId], req.user, userName);
+                if (request.status === 'rejected') {
+                    return res.status(403).json({
+                        error: 'El anfitrión rechazó tu solicitud para unirte a la reunión',
+                        ...describeLobbyRequest(meetingId, request)
+                    });
+                }
+                if (request.status === 'pending') {
+                    return res.status(202).json(describeLobbyRequest(meetingId, request));
+                }
+            }
+            
+            // Anotar el uso de la invitación justo antes de crear el asistente; si la unión falla se devuelve
+            let inviteClaimed = false;
+            if (invite) {
+                try {
+                    inviteClaimed = await invites.claim(invite, memberKey(invite, req.user));
+                } catch (inviteError) {
+                    if (!(inviteError instanceof InviteError)) throw inviteError;
+                    return res.status(inviteError.statusCode).json({ error: inviteError.message, ...inviteError.details });
+                }
+            }
+            
+            // Crear un asistente en AWS Chime
+            const createAttendeeCommand = new CreateAttendeeCommand({
+                MeetingId: meetingId,
+                ExternalUserId: memberId,
+                Capabilities: capabilities
+            });
+            
+            let attendeeResponse;
+            try {
+                attendeeResponse = await chimeClient.send(createAttendeeCommand);
+            } catch (chimeError) {
+                if (inviteClaimed) {
+                    await invites.release(invite, memberKey(invite, req.user));
+                }
+                throw chimeError;
+            }
+            
+            // Guardar la información del asistente sin crear referencias circulares
+            meetings[meetingId].attendees[memberId] = {
+                userId,
+                userName: userName || userId,
+                orgId: userOrg(req.user), // Organización del asistente (puede venir invitado de otra)
+                joinTime: new Date().toISOString(),
+                role,
+                capabilities,
+                attendeeInfo: attendeeResponse.Attendee
+            };
+            await persistMeetings();
+            await tenants.record(meetingOrg, 'attendeesJoined');
+            
+            // Crear una copia segura de la información para enviar al cliente
+            const meetingInfo = {
+                Meeting: meetings[meetingId].Meeting,
+                meetingId: meetings[meetingId].meetingId,
+                creationTime: meetings[meetingId].creationTime,
+                transcriptionEnabled: meetings[meetingId].transcriptionEnabled
+            };
+            
+            notifyWebhooks('attendee.joined', {
+                meetingId,
+                userId,
+                userName: userName || userId,
+                role,
+                attendeeId: attendeeResponse.Attendee && attendeeResponse.Attendee.AttendeeId
+            }, resourceOrg(meetings[meetingId]));
+            
+            console.log(`✅ Usuario ${userId} unido a la reunión: ${meetingId}`);
+            res.json({
+                meetingInfo: meetingInfo,
+                attendeeInfo: attendeeResponse.Attendee,
+                isCreator: memberId === meetings[meetingId].creatorId,
+                role,
+                capabilities
+            });
+        } catch (error) {
+            console.error('Error al unirse a la reunión:', error);
+            res.status(500).json({ error: 'Error al unirse a la reunión: ' + error.message });
+        }
+    });
+
+    // Endpoint con las regiones de medios disponibles, para que el cliente mida su latencia a cada una
+    api.get('/media-regions', (req, res) => {
+        res.json({ regions: MEDIA_REGIONS, defaultRegion: DEFAULT_MEDIA_REGION });
+    });
+
+    // Validar las opciones de una reunión nueva (las comparten /create-meeting y /schedule-meeting).
+    // Devuelve { options } o { error } con el cuerpo de la respuesta 400.
+    // Región: { mediaRegion } o pistas { regionHints: { country, timezone, latencies: { región: ms } } }
+    function parseMeetingOptions(body) {
+        // Rol por defecto de quienes se unan (el creador siempre es anfitrión)
+        const { defaultRole } = body;
+        if (defaultRole !== undefined && (!isValidRole(defaultRole) || defaultRole === 'host')) {
+            return { error: { error: 'Rol por defecto no válido', roles: ROLES.filter(r => r !== 'host') } };
+        }
+        
+        // Ajustes de transcripción por defecto de la reunión
+        const transcriptionSettings = pickSettings(body.transcriptionSettings);
+        const settingsErrors = resolveTranscriptionSettings(transcriptionSettings).errors;
+        if (settingsErrors.length > 0) {
+            return { error: { error: 'Configuración de transcripción no válida', details: settingsErrors } };
+        }
+        
+        // Sala de espera: quienes no son anfitriones esperan a que se les admita
+        const { lobbyEnabled = false } = body;
+        if (typeof lobbyEnabled !== 'boolean') {
+            return { error: { error: 'lobbyEnabled debe ser true o false' } };
+        }
+        
+        // Región de medios pedida o la más cercana según las pistas del cliente
+        const { region: mediaRegion, source: mediaRegionSource, error: regionError } = resolveMediaRegion({
+            mediaRegion: body.mediaRegion,
+            hints: body.regionHints
+        });
+        if (regionError) {
+            return { error: { error: regionError, supportedRegions: MEDIA_REGIONS } };
+        }
+        
+        return {
+            options: {
+                defaultRole: defaultRole || null,
+                transcriptionSettings,
+                lobbyEnabled,
+                mediaRegion,
+                mediaRegionSource // requested | latency | country | timezone | default
+            }
+        };
+    }
+
+    // Crear la reunión en AWS Chime y registrarla en la organización `orgId`. Las reuniones programadas
+    // pasan un `clientRequestToken` fijo para que Chime no duplique la reunión si se reintenta.
+    // Lanza QuotaError si la organización ya tiene todas las reuniones simultáneas que admite.
+    async function createMeeting(creatorId, options, { orgId = DEFAULT_ORG_ID, clientRequestToken = crypto.randomUUID(), scheduledMeetingId = null } = {}) {
+        await enforceQuota(orgId, 'maxConcurrentMeetings', orgMeetings(orgId).length);
+        
+        const createMeetingCommand = new CreateMeetingCommand({
+            ClientRequestToken: clientRequestToken,
+            MediaRegion: options.mediaRegion,
+            ExternalMeetingId: scheduledMeetingId || crypto.randomUUID()
+        });
+        
+        const meetingResponse = await chimeClient.send(createMeetingCommand);
+        const meetingId = meetingResponse.Meeting.MeetingId;
+        
+        // Guardar la información de la reunión
+        await meetingStore.put(meetingId, {
+            meetingId,
+            Meeting: meetingResponse.Meeting,
+            mediaRegion: options.mediaRegion,
+            mediaRegionSource: options.mediaRegionSource,
+            creationTime: new Date().toISOString(),
+            orgId,
+            attendees: {},
+            transcriptionEnabled: false,
+            recordingEnabled: false,
+            recording: null, // Grabación en curso
+            recordings: [], // Grabaciones terminadas
+            creatorId,
+            defaultRole: options.defaultRole,
+            transcriptionSettings: options.transcriptionSettings,
+            roleAssignments: {}, // Roles preasignados por el anfitrión (userId -> rol)
+            lobbyEnabled: options.lobbyEnabled,
+            lobby: {}, // Solicitudes de la sala de espera (userId -> solicitud)
+            scheduledMeetingId, // Reunión programada de la que procede, si la hay
+            transcripts: [], // Array para almacenar las transcripciones
+            chat: [] // Mensajes del chat de la reunión
+        });
+        
+        await tenants.record(orgId, 'meetingsCreated');
+        await tenants.recordConcurrentMeetings(orgId, orgMeetings(orgId).length);
+        
+        notifyWebhooks('meeting.created', {
+            meetingId,
+            creatorId,
+            orgId,
+            creationTime: meetings[meetingId].creationTime,
+            scheduledMeetingId
+        }, orgId);
+        
+        console.log(`✅ Reunión creada: ${meetingId}, Creador: ${creatorId}, Región: ${options.mediaRegion} (${options.mediaRegionSource})`);
+        return meetings[meetingId];
+    }
+
+    // Endpoint para crear una reunión
+    api.post('/create-meeting', auth.authenticate, async (req, res) => {
+        try {
+            // El creador de la reunión es el usuario autenticado
+            if (!req.user) {
+                return res.status(400).json({ error: 'Falta el usuario que crea la reunión' });
+            }
+            
+            const { options, error } = parseMeetingOptions(req.body);
+            if (error) {
+                return res.status(400).json(error);
+            }
+            
+            let meeting;
+            try {
+                meeting = await createMeeting(req.user.id, options, { orgId: userOrg(req.user) });
+            } catch (quotaError) {
+                if (!(quotaError instanceof QuotaError)) throw quotaError;
+                return res.status(quotaError.statusCode).json({ error: quotaError.message, ...quotaError.details });
+            }
+            
+            res.json({
+                meetingId: meeting.meetingId,
+                mediaRegion: options.mediaRegion,
+                mediaRegionSource: options.mediaRegionSource,
+                lobbyEnabled: options.lobbyEnabled
+            });
+        } catch (error) {
+            console.error('Error al crear reunión:', error);
+            res.status(500).json({ error: 'Error al crear reunión: ' + error.message });
+        }
+    });
+
+    // Reuniones programadas: se guardan sin reunión de Chime, que se crea cuando llega el primer invitado
+    const scheduledStore = storage.collection('scheduledMeetings');
+    const SCHEDULED_DURATION_MINUTES = 60;
+    // Minutos antes del inicio a partir de los que los invitados pueden entrar
+    const SCHEDULED_EARLY_JOIN_MINUTES = Number(process.env.SCHEDULED_EARLY_JOIN_MINUTES) || 15;
+    // La invitación del calendario sigue valiendo este tiempo después del fin previsto
+    const SCHEDULED_INVITE_GRACE_MS = 60 * 60 * 1000;
+    // Creaciones en curso por reunión programada, para no crear dos reuniones si llegan varios invitados a la vez
+    const pendingScheduledCreations = new Map();
+
+    function scheduledEndTime(scheduled) {
+        return new Date(Date.parse(scheduled.startTime) + scheduled.durationMinutes * 60 * 1000).toISOString();
+    }
+
+    // Enlace de la página de unión del frontend (INVITE_BASE_URL) con el token de la invitación
+    function inviteJoinUrl(req, token) {
+        const base = process.env.INVITE_BASE_URL || `${req.protocol}://${req.get('host')}/join`;
+        return `${base}${base.includes('?') ? '&' : '?'}invite=${encodeURIComponent(token)}`;
+    }
+
+    function describeInvite(req, invite) {
+        const { usedBy, ...rest } = invite;
+        const token = invites.tokenFor(invite);
+        return { ...rest, token, joinUrl: inviteJoinUrl(req, token) };
+    }
+
+    function describeScheduledMeeting(scheduled) {
+        return {
+            scheduledMeetingId: scheduled.id,
+            title: scheduled.title,
+            description: scheduled.description,
+            startTime: scheduled.startTime,
+            endTime: scheduledEndTime(scheduled),
+            durationMinutes: scheduled.durationMinutes,
+            creatorId: scheduled.creatorId,
+            meetingId: scheduled.meetingId && meetings[scheduled.meetingId] ? scheduled.meetingId : null,
+            calendarUrl: `/scheduled-meetings/${scheduled.id}/calendar.ics`
+        };
+    }
+
+    // Devolver la reunión de Chime de una reunión programada, creándola si aún no existe (o si ya terminó
+    // antes de la hora de fin prevista). Solo el creador puede entrar antes de SCHEDULED_EARLY_JOIN_MINUTES.
+    async function ensureScheduledMeeting(scheduled, user) {
+        if (scheduled.meetingId && meetings[scheduled.meetingId]) {
+            return scheduled.meetingId;
+        }
+        
+        const now = Date.now();
+        const opensAt = Date.parse(scheduled.startTime) - SCHEDULED_EARLY_JOIN_MINUTES * 60 * 1000;
+        if (now < opensAt && !isScheduleOwner(scheduled, user)) {
+            throw new InviteError(409, 'La reunión aún no ha comenzado', { startTime: scheduled.startTime });
+        }
+        if (now > Date.parse(scheduledEndTime(scheduled))) {
+            throw new InviteError(410, 'La reunión programada ya terminó', { endTime: scheduledEndTime(scheduled) });
+        }
+        
+        if (!pendingScheduledCreations.has(scheduled.id)) {
+            const creation = (async () => {
+                const attempt = (scheduled.creationCount || 0) + 1;
+                const meeting = await createMeeting(scheduled.creatorId, scheduled.options, {
+                    orgId: resourceOrg(scheduled),
+                    clientRequestToken: `${scheduled.id}-${attempt}`,
+                    scheduledMeetingId: scheduled.id
+                });
+                scheduled.meetingId = meeting.meetingId;
+                scheduled.creationCount = attempt;
+                await scheduledStore.put(scheduled.id, scheduled);
+                return meeting.meetingId;
+            })();
+            pendingScheduledCreations.set(scheduled.id, creation);
+            creation.finally(() => pendingScheduledCreations.delete(scheduled.id)).catch(() => {});
+        }
+        return pendingScheduledCreations.get(scheduled.id);
+    }
+
+    // Reunión a la que da acceso una invitación: { meetingId, invite }. Lanza InviteError si no es válida.
+    // El uso se anota en /join-meeting justo antes de crear el asistente.
+    async function meetingFromInvite(token, user) {
+        const invite = invites.verify(token);
+        invites.checkUses(invite, memberKey(invite, user));
+        let meetingId = invite.meetingId;
+        
+        if (invite.scheduledMeetingId) {
+            const scheduled = scheduledStore.get(invite.scheduledMeetingId);
+            if (!scheduled) {
+                throw new InviteError(404, 'Reunión programada no encontrada');
+            }
+            meetingId = await ensureScheduledMeeting(scheduled, user);
+        }
+        
+        if (!meetings[meetingId]) {
+            throw new InviteError(404, 'Reunión no encontrada');
+        }
+        
+        return { meetingId, invite };
+    }
+
+    // Crear una invitación con las opciones del cuerpo ({ expiresInHours, maxUses, singleUse })
+    async function createInviteFromRequest(req, res, target) {
+        const { options, error } = normalizeInviteOptions(req.body, invites.defaultTtlHours);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const resource = target.meetingId ? meetings[target.meetingId] : scheduledStore.get(target.scheduledMeetingId);
+        const invite = await invites.create({
+            target,
+            orgId: resourceOrg(resource),
+            createdBy: req.user ? memberKey(resource, req.user) : null,
+            options
+        });
+        console.log(`✅ Invitación creada: ${invite.id} (${target.meetingId || target.scheduledMeetingId})`);
+        res.status(201).json(describeInvite(req, invite));
+    }
+
+    // El creador de una reunión programada (el mismo id en la misma organización)
+    function isScheduleOwner(scheduled, user) {
+        return memberKey(scheduled, user) === scheduled.creatorId;
+    }
+
+    // Middleware: la reunión programada debe existir y el usuario autenticado ser su creador
+    function requireScheduleOwner(req, res, next) {
+        const scheduled = scheduledStore.get(req.params.id);
+        if (!scheduled) {
+            return res.status(404).json({ error: 'Reunión programada no encontrada' });
+        }
+        if (auth.enabled && (!req.user || !isScheduleOwner(scheduled, req.user))) {
+            return res.status(403).json({ error: 'Solo el creador de la reunión programada puede realizar esta acción' });
+        }
+        req.scheduledMeeting = scheduled;
+        next();
+    }
+
+    // Endpoint para crear una invitación a una reunión activa
+    api.post('/meeting/:meetingId/invites', auth.authenticate, requireHost, async (req, res) => {
+        try {
+            await createInviteFromRequest(req, res, { meetingId: req.params.meetingId });
+        } catch (error) {
+            console.error('Error al crear invitación:', error);
+            res.status(500).json({ error: 'Error al crear invitación: ' + error.message });
+        }
+    });
+
+    // Endpoint para listar las invitaciones de una reunión activa
+    api.get('/meeting/:meetingId/invites', auth.authenticate, requireHost, (req, res) => {
+        try {
+            res.json({
+                meetingId: req.params.meetingId,
+                invites: invites.list({ meetingId: req.params.meetingId }).map(invite => describeInvite(req, invite))
+            });
+        } catch (error) {
+            console.error('Error al listar invitaciones:', error);
+            res.status(500).json({ error: 'Error al listar invitaciones: ' + error.message });
+        }
+    });
+
+    // Endpoint para revocar una invitación (solo quien la creó)
+    api.delete('/invites/:inviteId', auth.authenticate, async (req, res) => {
+        try {
+            const invite = invites.get(req.params.inviteId);
+            
+            if (!invite) {
+                return res.status(404).json({ error: 'Invitación no encontrada' });
+            }
+            
+            if (auth.enabled && (!req.user || invite.createdBy !== memberKey(invite, req.user))) {
+                return res.status(403).json({ error: 'Solo quien creó la invitación puede revocarla' });
+            }
+            
+            await invites.revoke(invite.id);
+            res.json({ success: true, message: 'Invitación revocada' });
+        } catch (error) {
+            console.error('Error al revocar invitación:', error);
+            res.status(500).json({ error: 'Error al revocar invitación: ' + error.message });
+        }
+    });
+
+    // Endpoint para programar una reunión: { title, description?, startTime, durationMinutes? } más las
+    // opciones de /create-meeting. Devuelve una invitación de varios usos válida hasta el fin de la reunión.
+    api.post('/schedule-meeting', auth.authenticate, async (req, res) => {
+        try {
+            if (!req.user) {
+                return res.status(400).json({ error: 'Falta el usuario que programa la reunión' });
+            }
+            
+            const { title, description, startTime } = req.body;
+            const durationMinutes = req.body.durationMinutes === undefined ? SCHEDULED_DURATION_MINUTES : req.body.durationMinutes;
+            
+            if (!title || typeof title !== 'string') {
+                return res.status(400).json({ error: 'Falta el título de la reunión' });
+            }
+            
+            if (!startTime || Number.isNaN(Date.parse(startTime)) || Date.parse(startTime) <= Date.now()) {
+                return res.status(400).json({ error: 'startTime debe ser una fecha ISO futura' });
+            }
+            
+            if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > 24 * 60) {
+                return res.status(400).json({ error: 'durationMinutes debe ser un número entero de minutos entre 1 y 1440' });
+            }
+            
+            const { options, error } = parseMeetingOptions(req.body);
+            if (error) {
+                return res.status(400).json(error);
+            }
+            
+            const scheduled = {
+                id: crypto.randomUUID(),
+                title,
+                description: description || null,
+                startTime: new Date(startTime).toISOString(),
+                durationMinutes,
+                creatorId: req.user.id,
+                orgId: userOrg(req.user),
+                options,
+                meetingId: null, // Se asigna al crear la reunión de Chime
+                createdAt: new Date().toISOString()
+            };
+            
+            const invite = await invites.create({
+                target: { scheduledMeetingId: scheduled.id },
+                orgId: resourceOrg(scheduled),
+                createdBy: req.user.id,
+                expiresAt: new Date(Date.parse(scheduledEndTime(scheduled)) + SCHEDULED_INVITE_GRACE_MS).toISOString()
+            });
+            scheduled.inviteId = invite.id;
+            await scheduledStore.put(scheduled.id, scheduled);
+            
+            notifyWebhooks('meeting.scheduled', {
+                scheduledMeetingId: scheduled.id,
+                creatorId: scheduled.creatorId,
+                title,
+                startTime: scheduled.startTime,
+                endTime: scheduledEndTime(scheduled)
+            }, resourceOrg(scheduled));
+            
+            console.log(`✅ Reunión programada: ${scheduled.id} para ${scheduled.startTime}`);
+            res.status(201).json({ ...describeScheduledMeeting(scheduled), invite: describeInvite(req, invite) });
+        } catch (error) {
+            console.error('Error al programar reunión:', error);
+            res.status(500).json({ error: 'Error al programar reunión: ' + error.message });
+        }
+    });
+
+    // Endpoint para listar las reuniones programadas por el usuario
+    api.get('/scheduled-meetings', auth.authenticate, (req, res) => {
+        try {
+            const scheduledList = scheduledStore.list()
+                .filter(scheduled => !auth.enabled || (req.user && isScheduleOwner(scheduled, req.user)))
+                .sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime))
+                .map(describeScheduledMeeting);
+            
+            res.json(scheduledList);
+        } catch (error) {
+            console.error('Error al listar reuniones programadas:', error);
+            res.status(500).json({ error: 'Error al listar reuniones programadas: ' + error.message });
+        }
+    });
+
+    // Endpoint para crear otra invitación a una reunión programada
+    api.post('/scheduled-meetings/:id/invites', auth.authenticate, requireScheduleOwner, async (req, res) => {
+        try {
+            await createInviteFromRequest(req, res, { scheduledMeetingId: req.scheduledMeeting.id });
+        } catch (error) {
+            console.error('Error al crear invitación:', error);
+            res.status(500).json({ error: 'Error al crear invitación: ' + error.message });
+        }
+    });
+
+    // Endpoint con la invitación de calendario (.ics) de una reunión programada.
+    // Usa la invitación creada al programarla o la indicada en ?inviteId=
+    api.get('/scheduled-meetings/:id/calendar.ics', auth.authenticate, requireScheduleOwner, (req, res) => {
+        try {
+            const scheduled = req.scheduledMeeting;
+            const invite = invites.get(req.query.inviteId || scheduled.inviteId);
+            
+            if (!invite || invite.scheduledMeetingId !== scheduled.id) {
+                return res.status(404).json({ error: 'Invitación no encontrada' });
+            }
+            
+            const calendar = buildCalendarInvite({
+                uid: scheduled.id,
+                title: scheduled.title,
+                description: scheduled.description,
+                start: scheduled.startTime,
+                end: scheduledEndTime(scheduled),
+                url: inviteJoinUrl(req, invites.tokenFor(invite))
+            });
+            
+            res.attachment(`reunion-${scheduled.id}.ics`);
+            res.set('Content-Type', 'text/calendar; charset=utf-8');
+            res.send(calendar);
+        } catch (error) {
+            console.error('Error al generar la invitación de calendario:', error);
+            res.status(500).json({ error: 'Error al generar la invitación de calendario: ' + error.message });
+        }
+    });
+
+    // Información pública de un asistente para los listados
+    function describeAttendee(meeting, attendee) {
+        const key = recordKey(meeting, attendee);
+        const role = attendee.role || roleForUser(meeting, key);
+        return {
+            userId: attendee.userId,
+            orgId: attendee.orgId || resourceOrg(meeting),
+            memberKey: key,
+            userName: attendee.userName,
+            attendeeId: attendee.attendeeInfo ? attendee.attendeeInfo.AttendeeId : null,
+            joinTime: attendee.joinTime,
+            role,
+            capabilities: attendee.capabilities || capabilitiesForRole(role),
+            isCreator: key === meeting.creatorId,
+            presence: attendee.presence || 'unknown',
+            connectedAt: attendee.connectedAt || null,
+            leftAt: attendee.leftAt || null
+        };
+    }
+
+    // Endpoint para listar los asistentes de una reunión
+    api.get('/meeting/:meetingId/attendees', auth.authenticate, requireParticipant, (req, res) => {
+        try {
+            const meeting = meetings[req.params.meetingId];
+            const attendees = Object.values(meeting.attendees || {}).map(attendee => describeAttendee(meeting, attendee));
+            
+            res.json({
+                meetingId: meeting.meetingId,
+                attendees,
+                roleAssignments: meeting.roleAssignments || {}
+            });
+        } catch (error) {
+            console.error('Error al listar asistentes:', error);
+            res.status(500).json({ error: 'Error al listar asistentes: ' + error.message });
+        }
+    });
+
+    // Endpoint para expulsar a un asistente de la reunión (:userId es su memberKey)
+    api.delete('/meeting/:meetingId/attendees/:userId', auth.authenticate, requireHost, async (req, res) => {
+        try {
+            const { meetingId, userId } = req.params;
+            const meeting = meetings[meetingId];
+            const attendee = meeting.attendees[userId];
+            
+            if (!attendee) {
+                return res.status(404).json({ error: 'Asistente no encontrado' });
+            }
+            
+            if (userId === meeting.creatorId) {
+                return res.status(400).json({ error: 'No se puede expulsar al creador de la reunión' });
+            }
+            
+            // Eliminar el asistente en AWS Chime para cortar su conexión
+            if (attendee.attendeeInfo && attendee.attendeeInfo.AttendeeId) {
+                try {
+                    await chimeClient.send(new DeleteAttendeeCommand({
+                        MeetingId: meetingId,
+                        AttendeeId: attendee.attendeeInfo.AttendeeId
+                    }));
+                } catch (chimeError) {
+                    // Si el asistente ya no existe en Chime, ignoramos el error
+                    if (chimeError.name !== 'NotFoundException') {
+                        throw chimeError;
+                    }
+                    console.warn(`⚠️ El asistente ya no existía en AWS Chime: ${chimeError.message}`);
+                }
+            }
+            
+            delete meeting.attendees[userId];
+            // Con sala de espera, volver a entrar exige una nueva admisión
+            if (meeting.lobby) {
+                delete meeting.lobby[userId];
+            }
+            await persistMeetings();
+            
+            liveHub.publish(meetingId, 'attendee-removed', { meetingId, userId });
+            console.log(`✅ Usuario ${userId} expulsado de la reunión: ${meetingId}`);
+            res.json({ success: true, message: 'Asistente eliminado de la reunión' });
+        } catch (error) {
+            console.error('Error al expulsar asistente:', error);
+            res.status(500).json({ error: 'Error al expulsar asistente: ' + error.message });
+        }
+    });
+
+    // Endpoint para asignar el rol de un usuario. Si ya está en la reunión se actualizan
+    // sus capacidades en Chime; si no, el rol queda preasignado para cuando se una (:userId es su memberKey).
+    api.put('/meeting/:meetingId/attendees/:userId/role', auth.authenticate, requireHost, async (req, res) => {
+        try {
+            const { meetingId, userId } = req.params;
+            const { role } = req.body;
+            const meeting = meetings[meetingId];
+            
+            if (!isValidRole(role)) {
+                return res.status(400).json({ error: 'Rol no válido', roles: ROLES });
+            }
+            
+            if (userId === meeting.creatorId && role !== 'host') {
+                return res.status(400).json({ error: 'El creador de la reunión siempre es anfitrión' });
+            }
+            
+            const capabilities = capabilitiesForRole(role);
+            const attendee = meeting.attendees[userId];
+            
+            if (attendee && attendee.attendeeInfo && attendee.attendeeInfo.AttendeeId) {
+                await chimeClient.send(new UpdateAttendeeCapabilitiesCommand({
+                    MeetingId: meetingId,
+                    AttendeeId: attendee.attendeeInfo.AttendeeId,
+                    Capabilities: capabilities
+                }));
+            }
+            
+            if (!meeting.roleAssignments) {
+                meeting.roleAssignments = {};
+            }
+            meeting.roleAssignments[userId] = role;
+            
+            if (attendee) {
+                attendee.role = role;
+                attendee.capabilities = capabilities;
+            }
+            await persistMeetings();
+            
+            liveHub.publish(meetingId, 'attendee-role', { meetingId, userId, role, capabilities });
+            console.log(`✅ Rol de ${userId} en la reunión ${meetingId}: ${role}`);
+            res.json({
+                success: true,
+                userId,
+                role,
+                capabilities,
+                applied: Boolean(attendee)
+            });
+        } catch (error) {
+            console.error('Error al asignar rol:', error);
+            res.status(500).json({ error: 'Error al asignar rol: ' + error.message });
+        }
+    });
+
+    // Sala de espera: cada solicitud es { userId, orgId, userName, status, requestedAt, decidedAt, decidedBy, reason }
+    // y se guarda con la memberKey del usuario
+    const LOBBY_STATUSES = ['pending', 'admitted', 'rejected'];
+
+    // Canal de eventos en vivo de un usuario que espera en la sala
+    function lobbyChannel(meetingId, key) {
+        return `${meetingId}/lobby/${key}`;
+    }
+
+    function describeLobbyRequest(meetingId, request) {
+        return {
+            meetingId,
+            userId: request.userId,
+            orgId: request.orgId || resourceOrg(meetings[meetingId]),
+            memberKey: recordKey(meetings[meetingId], request),
+            userName: request.userName,
+            status: request.status,
+            requestedAt: request.requestedAt,
+            decidedAt: request.decidedAt,
+            reason: request.reason,
+            // El usuario en espera recibe la decisión por este flujo SSE; si es 'admitted', vuelve a llamar a /join-meeting
+            statusStream: `/meeting/${meetingId}/lobby/stream`
+        };
+    }
+
+    // Registrar la solicitud del usuario (o devolver la que ya tenía) y avisar a los anfitriones
+    async function requestLobbyAdmission(meeting, user, userName) {
+        if (!meeting.lobby) {
+            meeting.lobby = {};
+        }
+        const key = memberKey(meeting, user);
+        if (meeting.lobby[key]) {
+            return meeting.lobby[key];
+        }
+        
+        const request = {
+            userId: user.id,
+            orgId: userOrg(user),
+            userName: userName || user.id,
+            status: 'pending',
+            requestedAt: new Date().toISOString(),
+            decidedAt: null,
+            decidedBy: null,
+            reason: null
+        };
+        meeting.lobby[key] = request;
+        await persistMeetings();
+        
+        liveHub.publish(meeting.meetingId, 'lobby-request', describeLobbyRequest(meeting.meetingId, request));
+        console.log(`⏳ Usuario ${key} en la sala de espera de la reunión: ${meeting.meetingId}`);
+        return request;
+    }
+
+    // Endpoint para listar las solicitudes de la sala de espera (?status=pending|admitted|rejected)
+    api.get('/meeting/:meetingId/lobby', auth.authenticate, requireHost, (req, res) => {
+        try {
+            const meeting = meetings[req.params.meetingId];
+            const { status } = req.query;
+            
+            if (status && !LOBBY_STATUSES.includes(status)) {
+                return res.status(400).json({ error: 'Estado no válido', statuses: LOBBY_STATUSES });
+            }
+            
+            const requests = Object.values(meeting.lobby || {})
+                .filter(request => !status || request.status === status)
+                .sort((a, b) => Date.parse(a.requestedAt) - Date.parse(b.requestedAt))
+                .map(request => describeLobbyRequest(meeting.meetingId, request));
+            
+            res.json({ meetingId: meeting.meetingId, lobbyEnabled: meeting.lobbyEnabled || false, requests });
+        } catch (error) {
+            console.error('Error al listar la sala de espera:', error);
+            res.status(500).json({ error: 'Error al listar la sala de espera: ' + error.message });
+        }
+    });
+
+    // Admitir o rechazar una solicitud (:userId es la memberKey de quien espera);
+    // se avisa al usuario en espera y a los demás anfitriones
+    function decideLobbyRequest(status) {
+        return async (req, res) => {
+            try {
+                const { meetingId, userId } = req.params;
+                const meeting = meetings[meetingId];
+                const request = meeting.lobby && meeting.lobby[userId];
+                
+                if (!request) {
+                    return res.status(404).json({ error: 'Solicitud no encontrada en la sala de espera' });
+                }
+                
+                request.status = status;
+                request.decidedAt = new Date().toISOString();
+                request.decidedBy = req.user ? req.user.id : null;
+                request.reason = status === 'rejected' ? (req.body.reason || null) : null;
+                await persistMeetings();
+                
+                const decision = describeLobbyRequest(meetingId, request);
+                liveHub.close(lobbyChannel(meetingId, userId), decision, { event: 'lobby-decision' });
+                liveHub.publish(meetingId, 'lobby-decision', decision);
+                
+                console.log(`✅ Solicitud de ${userId} en la reunión ${meetingId}: ${status}`);
+                res.json({ success: true, ...decision });
+            } catch (error) {
+                console.error('Error al decidir la solicitud de la sala de espera:', error);
+                res.status(500).json({ error: 'Error al decidir la solicitud de la sala de espera: ' + error.message });
+            }
+        };
+    }
+
+    api.post('/meeting/:meetingId/lobby/:userId/admit', auth.authenticate, requireHost, decideLobbyRequest('admitted'));
+    api.post('/meeting/:meetingId/lobby/:userId/reject', auth.authenticate, requireHost, decideLobbyRequest('rejected'));
+
+    // Endpoint para que el usuario en espera reciba la decisión del anfitrión (Server-Sent Events).
+    // Envía el estado actual ('lobby-status') y, al decidirse, 'lobby-decision' y cierra la conexión.
+    api.get('/meeting/:meetingId/lobby/stream', auth.authenticate, (req, res) => {
+        try {
+            const { meetingId } = req.params;
+            const meeting = meetings[meetingId];
+            
+            if (!meeting) {
+                return res.status(404).json({ error: 'Reunión no encontrada' });
+            }
+            
+            const key = req.user && memberKey(meeting, req.user);
+            const request = key && meeting.lobby && meeting.lobby[key];
+            if (!request) {
+                return res.status(404).json({ error: 'No tienes una solicitud en la sala de espera' });
+            }
+            
+            const current = describeLobbyRequest(meetingId, request);
+            if (request.status !== 'pending') {
+                liveHub.subscribe(lobbyChannel(meetingId, key), req, res, {
+                    replay: [{ event: 'lobby-decision', data: current }]
+                });
+                return res.end();
+            }
+            
+            liveHub.subscribe(lobbyChannel(meetingId, key), req, res, {
+                replay: [{ event: 'lobby-status', data: current }]
+            });
+        } catch (error) {
+            console.error('Error al suscribirse a la sala de espera:', error);
+            res.status(500).json({ error: 'Error al suscribirse a la sala de espera: ' + error.message });
+        }
+    });
+
+    // Endpoint para consultar los ajustes de transcripción por defecto de una reunión
+    api.get('/meeting/:meetingId/transcription-settings', auth.authenticate, requireParticipant, (req, res) => {
+        try {
+            const meeting = meetings[req.params.meetingId];
+            res.json({
+                meetingId: meeting.meetingId,
+                transcriptionSettings: meeting.transcriptionSettings || {},
+                activeTranscriptionSettings: meeting.transcriptionEnabled ? meeting.activeTranscriptionSettings || null : null
+            });
+        } catch (error) {
+            console.error('Error al obtener ajustes de transcripción:', error);
+            res.status(500).json({ error: 'Error al obtener ajustes de transcripción: ' + error.message });
+        }
+    });
+
+    // Endpoint para cambiar los ajustes de transcripción por defecto de una reunión
+    api.put('/meeting/:meetingId/transcription-settings', auth.authenticate, requireHost, async (req, res) => {
+        try {
+            const meeting = meetings[req.params.meetingId];
+            const transcriptionSettings = pickSettings(req.body);
+            
+            const { errors } = resolveTranscriptionSettings(transcriptionSettings);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Configuración de transcripción no válida', details: errors });
+            }
+            
+            meeting.transcriptionSettings = transcriptionSettings;
+            await persistMeetings();
+            
+            res.json({ success: true, meetingId: meeting.meetingId, transcriptionSettings });
+        } catch (error) {
+            console.error('Error al guardar ajustes de transcripción:', error);
+            res.status(500).json({ error: 'Error al guardar ajustes de transcripción: ' + error.message });
+        }
+    });
+
+    // Endpoint para iniciar transcripción
+    api.post('/start-transcription', auth.authenticate, requireHost, async (req, res) => {
+        try {
+            const { meetingId, region, language } = req.body;
+            
+            if (!meetingId || !meetings[meetingId]) {
+                return res.status(404).json({ error: 'Reunión no encontrada' });
+            }
+            
+            // Los minutos de transcripción del periodo cuentan para la organización de la reunión
+            try {
+                await enforceQuota(resourceOrg(meetings[meetingId]), 'transcriptionMinutesPerPeriod', transcriptionMinutesUsed(resourceOrg(meetings[meetingId])));
+            } catch (quotaError) {
+                if (!(quotaError instanceof QuotaError)) throw quotaError;
+                return res.status(quotaError.statusCode).json({ error: quotaError.message, ...quotaError.details });
+            }
+            
+            console.log(`Iniciando transcripción para la reunión: ${meetingId}`);
+            
+            // Ajustes de la petición sobre los ajustes por defecto de la reunión
+            // (se siguen aceptando los campos antiguos `language` y `region`)
+            const requested = { ...req.body, languageCode: req.body.languageCode || language, region };
+            const { settings, errors } = resolveTranscriptionSettings(
+                mergeTranscriptionSettings(meetings[meetingId].transcriptionSettings, requested)
+            );
+            
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Configuración de transcripción no válida', details: errors });
+            }
+            
+            const mappedLanguage = settings.identifyLanguage ? 'auto' : settings.languageCode;
+            
+            // Sin región explícita se usa una de Transcribe compatible con la región de medios de la reunión
+            const defaultRegion = transcriptionRegionFor(meetingMediaRegion(meetings[meetingId]), settings.engine);
+            
+            // Configurar la transcripción con los ajustes validados
+            const startTranscriptionCommand = new StartMeetingTranscriptionCommand({
+                MeetingId: meetingId,
+                TranscriptionConfiguration: buildTranscriptionConfiguration(settings, defaultRegion)
+            });
+            
+            try {
+                const transcriptionResponse = await chimeClient.send(startTranscriptionCommand);
+                console.log('Respuesta de transcripción:', transcriptionResponse);
+                
+                // Marcar la reunión como con transcripción habilitada
+                meetings[meetingId].transcriptionEnabled = true;
+                meetings[meetingId].transcriptionMethod = 'aws';
+                markTranscriptionStarted(meetings[meetingId]);
+                meetings[meetingId].activeTranscriptionSettings = settings;
+                await persistMeetings();
+                notifyWebhooks('transcription.started', { meetingId, method: 'aws', language: mappedLanguage }, resourceOrg(meetings[meetingId]));
+                
+                console.log(`✅ Transcripción iniciada para la reunión: ${meetingId}`);
+                res.json({ success: true, message: 'Transcripción iniciada correctamente', settings, region: settings.region || defaultRegion });
+            } catch (error) {
+                console.error('Error al iniciar transcripción:', error);
+                
+                // Verificar si es un error de permisos
+                if (error.name === 'AccessDeniedException' || 
+                    error.message.includes('Access Denied') || 
+                    error.message.includes('not authorized')) {
+                    
+                    console.log('⚠️ Error de permisos detectado, intentando método alternativo...');
+                    
+                    // Marcar la reunión como con transcripción habilitada pero usando método alternativo
+                    meetings[meetingId].transcriptionEnabled = true;
+                    meetings[meetingId].transcriptionMethod = 'alternative';
+                    markTranscriptionStarted(meetings[meetingId]);
+                    await persistMeetings();
+                    notifyWebhooks('transcription.started', { meetingId, method: 'alternative' }, resourceOrg(meetings[meetingId]));
+                    
+                    return res.status(403).json({ 
+                        error: 'Error de permisos al iniciar transcripción', 
+                        details: error.message,
+                        alternativeAvailable: true,
+                        message: 'Se ha activado la transcripción alternativa debido a problemas de permisos'
+                    });
+                }
+                
+                throw error;
+            }
+        } catch (error) {
+            console.error('Error al iniciar transcripción:', error);
+            res.status(500).json({ error: 'Error al iniciar transcripción: ' + error.message });
+        }
+    });
+
+    // Endpoint para detener transcripción
+    api.post('/stop-transcription', auth.authenticate, requireHost, async (req, res) => {
+        try {
+            const { meetingId } = req.body;
+            
+            if (!meetingId || !meetings[meetingId]) {
+                return res.status(404).json({ error: 'Reunión no encontrada' });
+            }
+            
+            // Detener la transcripción
+            const stopTranscriptionCommand = new StopMeetingTranscriptionCommand({
+                MeetingId: meetingId
+            });
+            
+            await chimeClient.send(stopTranscriptionCommand);
+            
+            // Actualizar el estado de transcripción de la reunión
+            meetings[meetingId].transcriptionEnabled = false;
+            await recordTranscriptionTime(meetings[meetingId]);
+            await persistMeetings();
+            notifyWebhooks('transcription.stopped', { meetingId }, resourceOrg(meetings[meetingId]));
+            
+            console.log(`✅ Transcripción detenida para la reunión: ${meetingId}`);
+            res.json({ success: true, message: 'Transcripción detenida' });
+        } catch (error) {
+            console.error('Error al detener transcripción:', error);
+            res.status(500).json({ error: 'Error al detener transcripción: ' + error.message });
+        }
+    });
+
+    // Endpoint para iniciar la grabación de una reunión: { meetingId, artifacts? }
+    // artifacts: lista con 'audio' (siempre incluido), 'video' y 'content'
+    api.post('/start-recording', auth.authenticate, requireHost, async (req, res) => {
+        try {
+            const { meetingId } = req.body;
+            const meeting = meetings[meetingId];
+            
+            if (meeting.recordingEnabled) {
+                return res.status(409).json({ error: 'La reunión ya se está grabando' });
+            }
+            
+            const { artifacts, error } = normalizeArtifacts(req.body.artifacts);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            
+            // Crear la canalización de captura de medios
+            const pipeline = await recorder.start({ meeting, artifacts });
+            
+            meeting.recordingEnabled = true;
+            meeting.recording = {
+                ...pipeline,
+                provider: recorder.name,
+                artifacts,
+                startedBy: req.user ? req.user.id : null,
+                startedAt: new Date().toISOString()
+            };
+            await persistMeetings();
+            notifyWebhooks('recording.started', { meetingId, pipelineId: pipeline.pipelineId, artifacts }, resourceOrg(meeting));
+            
+            console.log(`✅ Grabación iniciada para la reunión: ${meetingId} (${recorder.name})`);
+            res.json({ success: true, message: 'Grabación iniciada', recording: meeting.recording });
+        } catch (error) {
+            console.error('Error al iniciar grabación:', error);
+            res.status(500).json({ error: 'Error al iniciar grabación: ' + error.message });
+        }
+    });
+
+    // Endpoint para detener la grabación de una reunión
+    api.post('/stop-recording', auth.authenticate, requireHost, async (req, res) => {
+        try {
+            const { meetingId } = req.body;
+            const meeting = meetings[meetingId];
+            
+            if (!meeting.recordingEnabled || !meeting.recording) {
+                return res.status(409).json({ error: 'La reunión no se está grabando' });
+            }
+            
+            const result = await recorder.stop({ pipelineId: meeting.recording.pipelineId, meeting });
+            
+            // Pasar la grabación al historial de la reunión
+            const recording = {
+                ...meeting.recording,
+                ...result,
+                stoppedAt: new Date().toISOString()
+            };
+            meeting.recordings = [...(meeting.recordings || []), recording];
+            meeting.recording = null;
+            meeting.recordingEnabled = false;
+            await persistMeetings();
+            notifyWebhooks('recording.stopped', { meetingId, pipelineId: recording.pipelineId, sink: recording.sink }, resourceOrg(meeting));
+            
+            console.log(`✅ Grabación detenida para la reunión: ${meetingId}`);
+            res.json({ success: true, message: 'Grabación detenida', recording });
+        } catch (error) {
+            console.error('Error al detener grabación:', error);
+            res.status(500).json({ error: 'Error al detener grabación: ' + error.message });
+        }
+    });
+
+    // Endpoint con el estado de grabación de una reunión y sus grabaciones anteriores
+    api.get('/meeting/:meetingId/recordings', auth.authenticate, requireParticipant, (req, res) => {
+        try {
+            const meeting = meetings[req.params.meetingId];
+            
+            res.json({
+                meetingId: meeting.meetingId,
+                recordingEnabled: meeting.recordingEnabled || false,
+                current: meeting.recording || null,
+                recordings: meeting.recordings || []
+            });
+        } catch (error) {
+            console.error('Error al obtener grabaciones:', error);
+            res.status(500).json({ error: 'Error al obtener grabaciones: ' + error.message });
+        }
+    });
+
+    // Eliminar una reunión: la ruta DELETE y la variante con POST (meetingId en el cuerpo)
+    // comparten la implementación
+    async function deleteMeeting(req, res) {
+        try {
+            const meetingId = meetingIdFrom(req);
+            
+            console.log(`Recibida solicitud ${req.method} para eliminar reunión: ${meetingId}`);
+            
+            if (!meetingId || !meetings[meetingId]) {
+                console.log(`Reunión no encontrada: ${meetingId}`);
+                return res.status(404).json({ error: 'Reunión no encontrada' });
+            }
+            
+            // Intentar eliminar la reunión de AWS Chime
+            try {
+                const deleteMeetingCommand = new DeleteMeetingCommand({
+                    MeetingId: meetingId
+                });
+                
+                await chimeClient.send(deleteMeetingCommand);
+                console.log(`✅ Reunión eliminada en AWS Chime: ${meetingId}`);
+            } catch (chimeError) {
+                // Si la reunión ya no existe en Chime, ignoramos el error
+                console.warn(`⚠️ No se pudo eliminar la reunión en AWS Chime: ${chimeError.message}`);
+            }
+            
+            // Eliminar la reunión de nuestro registro local
+            await forgetMeeting(meetingId, 'deleted');
+            console.log(`✅ Reunión eliminada de nuestro registro: ${meetingId}`);
+            
+            res.json({ success: true, message: 'Reunión eliminada correctamente' });
+        } catch (error) {
+            console.error('Error al eliminar reunión:', error);
+            res.status(500).json({ error: 'Error al eliminar reunión: ' + error.message });
+        }
+    }
+
+    api.delete('/delete-meeting/:meetingId', auth.authenticate, requireHost, deleteMeeting);
+    api.post('/delete-meeting', auth.authenticate, requireHost, deleteMeeting);
+
+    // Endpoint para verificar el estado de transcripción
+    api.get('/check-transcription/:meetingId', auth.authenticate, requireParticipant, async (req, res) => {
+        try {
+            const { meetingId } = req.params;
+            
+            if (!meetingId || !meetings[meetingId]) {
+                return res.status(404).json({ error: 'Reunión no encontrada' });
+            }
+            
+            console.log(`Verificando estado de transcripción para la reunión: ${meetingId}`);
+            
+            // Verificar si la transcripción está habilitada en nuestro registro
+            const isEnabledLocally = meetings[meetingId].transcriptionEnabled || false;
+            
+            // Intentar obtener el estado de la reunión desde AWS Chime
+            let isEnabledOnChime = false;
+            let chimeStatus = null;
+            
+            try {
+                // Obtener información de la reunión
+                const getMeetingCommand = new GetMeetingCommand({
+                    MeetingId: meetingId
+                });
+                
+                const meetingInfo = await chimeClient.send(getMeetingCommand);
+                chimeStatus = meetingInfo;
+                
+                // Verificar si la transcripción está activa
+                // Nota: La forma exacta de verificar esto puede variar según la API
+                isEnabledOnChime = meetingInfo.Meeting?.MeetingFeatures?.Transcription?.Status === 'Active';
+            } catch (chimeError) {
+                console.warn(`⚠️ No se pudo obtener información de la reunión desde AWS Chime: ${chimeError.message}`);
+            }
+            
+            res.json({
+                meetingId,
+                transcriptionEnabled: {
+                    local: isEnabledLocally,
+                    chime: isEnabledOnChime
+                },
+                chimeStatus,
+                serverTime: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error al verificar estado de transcripción:', error);
+            res.status(500).json({ error: 'Error al verificar estado de transcripción: ' + error.message });
+        }
+    });
+
+    // Endpoint alternativo para iniciar transcripción (sin usar el servicio integrado de Chime)
+    api.post('/start-transcription-alternative', auth.authenticate, requireHost, async (req, res) => {
+        try {
+            const { meetingId } = req.body;
+            
+            if (!meetingId || !meetings[meetingId]) {
+                return res.status(404).json({ error: 'Reunión no encontrada' });
+            }
+            
+            // Los minutos de transcripción del periodo cuentan para la organización de la reunión
+            try {
+                await enforceQuota(resourceOrg(meetings[meetingId]), 'transcriptionMinutesPerPeriod', transcriptionMinutesUsed(resourceOrg(meetings[meetingId])));
+            } catch (quotaError) {
+                if (!(quotaError instanceof QuotaError)) throw quotaError;
+                return res.status(quotaError.statusCode).json({ error: quotaError.message, ...quotaError.details });
+            }
+            
+            console.log(`Iniciando transcripción alternativa para la reunión: ${meetingId}`);
+            
+            // Marcar la reunión como con transcripción habilitada
+            meetings[meetingId].transcriptionEnabled = true;
+            meetings[meetingId].transcriptionMethod = 'alternative';
+            markTranscriptionStarted(meetings[meetingId]);
+            await persistMeetings();
+            notifyWebhooks('transcription.started', { meetingId, method: 'alternative' }, resourceOrg(meetings[meetingId]));
+            
+            console.log(`✅ Transcripción alternativa iniciada para la reunión: ${meetingId}`);
+            res.json({ 
+                success: true, 
+                message: 'Transcripción alternativa iniciada',
+                note: 'Esta es una solución alternativa mientras se configuran los permisos correctos en AWS',
+                audioStream: `/audio-stream?meetingId=${encodeURIComponent(meetingId)}&attendeeId=<attendeeId>&sampleRate=16000`
+            });
+        } catch (error) {
+            console.error('Error al iniciar transcripción alternativa:', error);
+            res.status(500).json({ error: 'Error al iniciar transcripción alternativa: ' + error.message });
+        }
+    });
+
+    // Servicios de AWS que necesita la configuración actual (la preparación solo exige estos)
+    function requiredAwsServices() {
+        const services = ['chimeSDKMeetings'];
+        if (transcriptionEngine.name === 'aws') services.push('transcribe');
+        if (recorder.name === 'chime') services.push('mediaPipelines');
+        if (translator.name === 'aws') services.push('translate');
+        return services;
+    }
+
+    // Última comprobación de permisos; la preparación la reutiliza durante AWS_PERMISSIONS_CACHE_SECONDS
+    const AWS_PERMISSIONS_CACHE_SECONDS = Number(process.env.AWS_PERMISSIONS_CACHE_SECONDS) || 300;
+    let latestPermissions = null;
+
+    async function verifyAwsPermissions(services) {
+        const report = await checkAwsPermissions(provider, { services });
+        latestPermissions = { report, at: Date.now() };
+        return report;
+    }
+
+    async function awsReadiness() {
+        const required = requiredAwsServices();
+        const fresh = latestPermissions &&
+            Date.now() - latestPermissions.at < AWS_PERMISSIONS_CACHE_SECONDS * 1000 &&
+            required.every(service => latestPermissions.report.services[service]);
+        const report = fresh ? latestPermissions.report : await verifyAwsPermissions(required);
+        
+        const services = {};
+        required.forEach(service => {
+            const { status, details } = report.services[service];
+            services[service] = { status, details };
+        });
+        // Las acciones que AWS no deja verificar sin crear recursos no impiden estar preparado
+        const ok = required.every(service => services[service].status !== 'error');
+        return { status: ok ? 'ok' : 'error', checkedAt: report.checkedAt, services };
+    }
+
+    async function storageReadiness() {
+        try {
+            await storage.check();
+            return { status: 'ok', driver: storage.driver };
+        } catch (error) {
+            return { status: 'error', driver: storage.driver, details: error.message };
+        }
+    }
+
+    // Endpoint de administración para verificar los permisos de AWS: prueba cada acción que usa
+    // el backend con su comando real (ver lib/aws-permissions.js). Exige la clave de API porque
+    // las pruebas son llamadas facturables a AWS y la respuesta describe la configuración de IAM.
+    api.get('/verify-aws-permissions', auth.requireApiKey, async (req, res) => {
+        try {
+            console.log('Verificando permisos de AWS...');
+            
+            const report = await verifyAwsPermissions(Object.keys(PERMISSION_CHECKS));
+            const required = requiredAwsServices();
+            const denied = [];
+            Object.entries(report.services).forEach(([service, result]) => {
+                result.actions.forEach(action => {
+                    if (action.status === 'denied' && required.includes(service)) denied.push(action.action);
+                });
+            });
+            
+            const hasPermissionIssues = denied.length > 0;
+            if (hasPermissionIssues) {
+                console.warn(`⚠️ Faltan permisos de AWS: ${denied.join(', ')}`);
+            }
+            
+            res.json({
+                permissionsCheck: report.services,
+                requiredServices: required,
+                checkedAt: report.checkedAt,
+                hasPermissionIssues,
+                recommendations: hasPermissionIssues ? [
+                    `Añade a la política de IAM del servidor las acciones: ${denied.join(', ')}`,
+                    'Verifica que las credenciales de AWS sean correctas',
+                    'Considera usar la transcripción alternativa mientras se resuelven los problemas de permisos'
+                ] : []
+            });
+        } catch (error) {
+            console.error('Error al verificar permisos de AWS:', error);
+            res.status(500).json({ error: 'Error al verificar permisos de AWS: ' + error.message });
+        }
+    });
+
+    // Endpoint de vida: el proceso responde
+    api.get('/health/live', (req, res) => {
+        res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    // Endpoint de preparación: el almacenamiento admite escrituras y AWS autoriza las acciones necesarias
+    api.get('/health/ready', async (req, res) => {
+        try {
+            const checks = {
+                storage: await storageReadiness(),
+                aws: await awsReadiness()
+            };
+            
+            if (Object.values(checks).some(check => check.status !== 'ok')) {
+                return res.status(503).json({ error: 'El servicio no está preparado', status: 'not-ready', checks });
+            }
+            res.json({ status: 'ready', checks });
+        } catch (error) {
+            console.error('Error al comprobar la preparación del servicio:', error);
+            res.status(500).json({ error: 'Error al comprobar la preparación del servicio: ' + error.message });
+        }
+    });
+
+    // Endpoint de métricas en formato Prometheus
+    api.get('/metrics', (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(metrics.render());
+    });
+
+    // Temas SNS de los que se aceptan notificaciones firmadas (CHIME_EVENTS_SNS_TOPICS, separados por comas)
+    function trustedEventTopics() {
+        return (process.env.CHIME_EVENTS_SNS_TOPICS || '').split(',').map(topic => topic.trim()).filter(Boolean);
+    }
+
+    // Los eventos de Chime llegan con el token CHIME_EVENTS_TOKEN en la cabecera x-events-token (nunca en la
+    // URL, que acaba en los registros de acceso) o como mensaje SNS firmado por AWS de uno de los temas de
+    // confianza. Sin ninguno de los dos configurado solo se aceptan con la autenticación deshabilitada.
+    async function chimeEventsAuthorized(req) {
+        const expectedToken = process.env.CHIME_EVENTS_TOKEN;
+        const topics = trustedEventTopics();
+        
+        const token = req.get('x-events-token');
+        if (expectedToken && token && safeEqual(token, expectedToken)) {
+            return true;
+        }
+        
+        const message = parseSnsMessage(req.body);
+        if (message && topics.includes(message.TopicArn)) {
+            try {
+                return await snsVerifier.verify(message);
+            } catch (error) {
+                console.warn(`⚠️ No se pudo comprobar la firma del mensaje SNS: ${error.message}`);
+                return false;
+            }
+        }
+        
+        return !expectedToken && topics.length === 0 && !auth.enabled;
+    }
+
+    if (auth.enabled && !process.env.CHIME_EVENTS_TOKEN && trustedEventTopics().length === 0) {
+        console.warn('⚠️ Sin CHIME_EVENTS_TOKEN ni CHIME_EVENTS_SNS_TOPICS se rechazarán los eventos de Chime');
+    }
+
+    // Endpoint para recibir eventos del ciclo de vida de Chime (EventBridge vía API destination o SNS HTTPS)
+    api.post('/chime-events', express.text({ type: ['text/plain', 'application/x-amz-json-1.0'] }), async (req, res) => {
+        try {
+            if (!(await chimeEventsAuthorized(req))) {
+                return res.status(401).json({ error: 'Token de eventos no válido' });
+            }
+            
+            const payload = parseChimeEventPayload(req.body);
+            
+            // Confirmar la suscripción SNS visitando la URL que envía el servicio
+            if (payload.kind === 'subscription') {
+                if (!isTrustedSubscribeUrl(payload.subscribeUrl)) {
+                    return res.status(400).json({ error: 'URL de suscripción no válida' });
+                }
+                const response = await fetch(payload.subscribeUrl);
+                console.log(`✅ Suscripción SNS confirmada (${response.status}): ${payload.topicArn}`);
+                return res.json({ success: true, subscriptionConfirmed: response.ok });
+            }
+            
+            const results = [];
+            for (const event of payload.events) {
+                const meeting = meetings[event.meetingId];
+                if (!meeting) {
+                    results.push({ type: event.type, meetingId: event.meetingId, applied: false });
+                    continue;
+                }
+                
+                const { changed, ended, attendee, transcription } = applyChimeEvent(meeting, event);
+                
+                // Los minutos de transcripción se cuentan también cuando es AWS quien la inicia o la detiene
+                if (transcription === 'started') {
+                    markTranscriptionStarted(meeting);
+                } else if (transcription === 'stopped') {
+                    await recordTranscriptionTime(meeting);
+                }
+                
+                if (changed) {
+                    await persistMeetings();
+                }
+                
+                if (attendee) {
+                    liveHub.publish(event.meetingId, 'presence', {
+                        meetingId: event.meetingId,
+                        userId: attendee.userId,
+                        presence: attendee.presence,
+                        at: event.timestamp
+                    });
+                }
+                
+                // Chime dio la reunión por terminada: se limpia del registro local
+                if (ended) {
+                    console.log(`🧹 Chime informó el fin de la reunión: ${event.meetingId}`);
+                    await forgetMeeting(event.meetingId, 'ended');
+                }
+                
+                results.push({ type: event.type, meetingId: event.meetingId, applied: changed });
+            }
+            
+            res.json({ success: true, processed: results.length, results });
+        } catch (error) {
+            console.error('Error al procesar eventos de Chime:', error);
+            res.status(500).json({ error: 'Error al procesar eventos de Chime: ' + error.message });
+        }
+    });
+
+    // Los fragmentos llegan de un cliente por cada frase reconocida; un texto mucho mayor no es voz
+    const TRANSCRIPT_MAX_LENGTH = 10000;
+
+    // Endpoint para recibir fragmentos de transcripción
+    api.post('/add-transcript', auth.authenticate, requireParticipant, async (req, res) => {
+        try {
+            const { meetingId, timestamp, attendeeId } = req.body;
+            const transcript = typeof req.body.transcript === 'string' ? req.body.transcript.trim() : '';
+            
+            if (!meetingId || !meetings[meetingId]) {
+                return res.status(404).json({ error: 'Reunión no encontrada' });
+            }
+            
+            if (!transcript) {
+                return res.status(400).json({ error: 'Falta el texto del fragmento' });
+            }
+            
+            if (transcript.length > TRANSCRIPT_MAX_LENGTH) {
+                return res.status(400).json({ error: `El fragmento no puede superar los ${TRANSCRIPT_MAX_LENGTH} caracteres` });
+            }
+            
+            // Añadir el fragmento de transcripción
+            await appendTranscriptSegment(meetingId, {
+                text: transcript,
+                timestamp: timestamp || new Date().toISOString(),
+                attendeeId: attendeeId || 'unknown'
+            });
+            
+            console.log(`✅ Fragmento de transcripción añadido a la reunión: ${meetingId}`);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Error al añadir transcripción:', error);
+            res.status(500).json({ error: 'Error al añadir transcripción: ' + error.message });
+        }
+    });
+
+    // Endpoint para elegir el idioma al que se traduce la transcripción del participante: { language }
+    // (null deja de traducir). Se traduce a ese idioma en vivo y al guardar la transcripción.
+    api.put('/meeting/:meetingId/translation-language', auth.authenticate, requireParticipant, async (req, res) => {
+        try {
+            const meeting = meetings[req.params.meetingId];
+            const { language } = req.body;
+            
+            if (!req.user) {
+                return res.status(400).json({ error: 'Falta el userId' });
+            }
+            
+            const normalized = language === null ? null : normalizeTranslationLanguage(language);
+            if (language !== null && !normalized) {
+                return res.status(400).json({ error: `Idioma de traducción no soportado: ${language}` });
+            }
+            
+            const translationLanguages = { ...(meeting.translationLanguages || {}) };
+            if (normalized) {
+                translationLanguages[req.user.id] = normalized;
+            } else {
+                delete translationLanguages[req.user.id];
+            }
+            meeting.translationLanguages = translationLanguages;
+            await persistMeetings();
+            
+            console.log(`🌐 ${req.user.id} ${normalized ? `recibirá la transcripción traducida a "${normalized}"` : 'ya no recibe traducciones'} en la reunión: ${meeting.meetingId}`);
+            res.json({ success: true, meetingId: meeting.meetingId, userId: req.user.id, language: normalized });
+        } catch (error) {
+            console.error('Error al elegir el idioma de traducción:', error);
+            res.status(500).json({ error: 'Error al elegir el idioma de traducción: ' + error.message });
+        }
+    });
+
+    // Endpoint para recibir la transcripción en vivo (Server-Sent Events)
+    // Reenvía los últimos ?replay=N fragmentos (o los posteriores a Last-Event-ID) y luego cada fragmento nuevo.
+    // Con ?lang= (o el idioma elegido por el participante) cada fragmento va seguido de un evento
+    // 'transcript-translation' con su traducción.
+    api.get('/transcript-stream/:meetingId', auth.authenticate, requireParticipant, async (req, res) => {
+        try {
+            const { meetingId } = req.params;
+            
+            if (!meetingId || !meetings[meetingId]) {
+                return res.status(404).json({ error: 'Reunión no encontrada' });
+            }
+            
+            let language = null;
+            if (req.query.lang) {
+                language = normalizeTranslationLanguage(req.query.lang);
+                if (!language) {
+                    return res.status(400).json({ error: `Idioma de traducción no soportado: ${req.query.lang}` });
+                }
+            } else if (req.user) {
+                language = (meetings[meetingId].translationLanguages || {})[req.user.id] || null;
+            }
+            
+            const transcripts = meetings[meetingId].transcripts || [];
+            const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+            
+            // Si el cliente se reconecta, se envían solo los fragmentos que no recibió
+            let from;
+            if (!Number.isNaN(lastEventId)) {
+                from = lastEventId + 1;
+            } else {
+                const requested = parseInt(req.query.replay, 10);
+                const replayCount = Number.isNaN(requested) ? LIVE_REPLAY_DEFAULT : Math.min(Math.max(requested, 0), LIVE_REPLAY_MAX);
+                from = transcripts.length - replayCount;
+            }
+            from = Math.max(from, 0);
+            
+            // Los fragmentos reenviados también llevan su traducción (se traducen los que falten)
+            const indexes = transcripts.slice(from).map((segment, i) => from + i);
+            const translated = language
+                ? await Promise.all(indexes.map(index => translateMeetingSegment(meetingId, index, language)))
+                : [];
+            if (translated.some(result => result && result.changed)) {
+                await persistMeetings();
+            }
+            
+            // El cliente pudo desconectarse o la reunión terminar mientras se traducía
+            if (res.destroyed) return;
+            if (!meetings[meetingId]) {
+                return res.status(404).json({ error: 'Reunión no encontrada' });
+            }
+            
+            // Los fragmentos llegados mientras tanto se reenvían sin traducción
+            const replay = [];
+            for (let index = from; index < transcripts.length; index++) {
+                replay.push({ id: index, event: 'transcript', data: transcripts[index] });
+                const result = translated[index - from];
+                if (result) {
+                    replay.push({ event: 'transcript-translation', data: translationEvent(index, language, result.translation) });
+                }
+            }
+            
+            liveHub.subscribe(meetingId, req, res, { replay, language });
+            console.log(`📡 Cliente suscrito a la transcripción en vivo de la reunión: ${meetingId} (${liveHub.count(meetingId)} conectados)`);
+        } catch (error) {
+            console.error('Error al suscribirse a la transcripción:', error);
+            res.status(500).json({ error: 'Error al suscribirse a la transcripción: ' + error.message });
+        }
+    });
+
+    // Canal de eventos en vivo del chat de la reunión
+    function chatChannel(meetingId) {
+        return `${meetingId}/chat`;
+    }
+
+    // Endpoint para enviar un mensaje al chat de la reunión: { text }
+    // El autor es el usuario autenticado; se atribuye a su asistente de Chime como los fragmentos de voz
+    api.post('/meeting/:meetingId/chat', auth.authenticate, requireParticipant, async (req, res) => {
+        try {
+            const meeting = meetings[req.params.meetingId];
+            const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+            
+            if (!text) {
+                return res.status(400).json({ error: 'Falta el texto del mensaje' });
+            }
+            
+            if (text.length > CHAT_MAX_LENGTH) {
+                return res.status(400).json({ error: `El mensaje no puede superar los ${CHAT_MAX_LENGTH} caracteres` });
+            }
+            
+            if (!meeting.chat) {
+                meeting.chat = [];
+            }
+            
+            const userId = req.user ? req.user.id : 'unknown';
+            const attendee = req.user && meetingAttendee(meeting, req.user);
+            const message = redactSegment({
+                seq: meeting.chat.length,
+                id: crypto.randomUUID(),
+                userId,
+                userName: (attendee && attendee.userName) || (req.user && req.user.name) || userId,
+                attendeeId: attendee && attendee.attendeeInfo ? attendee.attendeeInfo.AttendeeId : userId,
+                text,
+                timestamp: new Date().toISOString()
+            });
+            meeting.chat.push(message);
+            await persistMeetings();
+            
+            liveHub.publish(chatChannel(meeting.meetingId), 'chat', message, message.seq);
+            res.status(201).json(message);
+        } catch (error) {
+            console.error('Error al enviar mensaje al chat:', error);
+            res.status(500).json({ error: 'Error al enviar mensaje al chat: ' + error.message });
+        }
+    });
+
+    // Endpoint para listar los mensajes del chat, paginados por número de secuencia (?before|after&limit)
+    api.get('/meeting/:meetingId/chat', auth.authenticate, requireParticipant, (req, res) => {
+        try {
+            const meeting = meetings[req.params.meetingId];
+            const { before, after, limit } = req.query;
+            
+            const page = paginateChat(meeting.chat || [], { before, after, limit });
+            if (page.error) {
+                return res.status(400).json({ error: page.error });
+            }
+            
+            res.json({
+                meetingId: meeting.meetingId,
+                messages: page.messages,
+                hasMore: page.hasMore,
+                total: (meeting.chat || []).length
+            });
+        } catch (error) {
+            console.error('Error al listar mensajes del chat:', error);
+            res.status(500).json({ error: 'Error al listar mensajes del chat: ' + error.message });
+        }
+    });
+
+    // Endpoint para recibir el chat en vivo (Server-Sent Events), con la misma reanudación que
+    // /transcript-stream: ?replay=N o los mensajes posteriores a Last-Event-ID
+    api.get('/meeting/:meetingId/chat/stream', auth.authenticate, requireParticipant, (req, res) => {
+        try {
+            const meeting = meetings[req.params.meetingId];
+            const messages = meeting.chat || [];
+            const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+            
+            let replay;
+            if (!Number.isNaN(lastEventId)) {
+                replay = messages.filter(message => message.seq > lastEventId);
+            } else {
+                const requested = parseInt(req.query.replay, 10);
+                const replayCount = Number.isNaN(requested) ? LIVE_REPLAY_DEFAULT : Math.min(Math.max(requested, 0), LIVE_REPLAY_MAX);
+                replay = replayCount > 0 ? messages.slice(-replayCount) : [];
+            }
+            
+            liveHub.subscribe(chatChannel(meeting.meetingId), req, res, {
+                replay: replay.map(message => ({ id: message.seq, event: 'chat', data: message }))
+            });
+        } catch (error) {
+            console.error('Error al suscribirse al chat:', error);
+            res.status(500).json({ error: 'Error al suscribirse al chat: ' + error.message });
+        }
+    });
+
+    // Endpoint para guardar transcripción
+    api.post('/save-transcription', auth.authenticate, requireParticipant, async (req, res) => {
+        try {
+            const { meetingId, title } = req.body;
+            const retentionDays = req.body.retentionDays !== undefined ? req.body.retentionDays : DEFAULT_RETENTION_DAYS;
+            
+            if (!meetingId || !meetings[meetingId]) {
+                return res.status(404).json({ error: 'Reunión no encontrada' });
+            }
+            
+            if (!isValidRetention(retentionDays)) {
+                return res.status(400).json({ error: 'retentionDays debe ser un número de días positivo o null' });
+            }
+            
+            // Verificar si hay transcripciones o mensajes del chat para guardar
+            const chatMessages = meetings[meetingId].chat || [];
+            if ((!meetings[meetingId].transcripts || meetings[meetingId].transcripts.length === 0) && chatMessages.length === 0) {
+                return res.status(400).json({ error: 'No hay transcripciones para guardar' });
+            }
+            
+            // Crear un objeto con la información de la transcripción
+            const transcriptionData = {
+                id: Date.now().toString(), // ID único basado en timestamp
+                meetingId,
+                orgId: resourceOrg(meetings[meetingId]),
+                creatorId: meetings[meetingId].creatorId,
+                meetingCreationTime: meetings[meetingId].creationTime,
+                title: title || `Reunión del ${new Date().toLocaleDateString()}`,
+                date: new Date().toISOString(),
+                // Copias para que los cambios posteriores en la reunión no alteren lo guardado
+                participants: Object.values(meetings[meetingId].attendees || {}).map(attendee => ({ ...attendee })),
+                participantCount: Object.keys(meetings[meetingId].attendees || {}).length,
+                // Se vuelven a redactar por si hay fragmentos guardados antes de activar la redacción.
+                // Los mensajes del chat se intercalan con la voz por su marca de tiempo (kind: 'chat').
+                // Cada fragmento lleva un id para poder editarlo después.
+                transcripts: withSegmentIds(interleaveChat(
+                    (meetings[meetingId].transcripts || []).map(segment => redactSegment(segment)),
+                    chatMessages.map(message => redactSegment(message))
+                )),
+                chatMessageCount: chatMessages.length,
+                // Idioma en que se habló (o 'auto'), para traducir la transcripción más tarde
+                sourceLanguage: meetingSourceLanguage(meetings[meetingId]),
+                retentionDays,
+                expiresAt: retentionExpiry(retentionDays)
+            };
+            
+            // Traducir a los idiomas elegidos por los participantes. Las traducciones hechas en vivo
+            // se reutilizan y, si el proveedor falla, la transcripción se guarda sin ellas.
+            const translationLanguages = Array.from(new Set(Object.values(meetings[meetingId].translationLanguages || {})));
+            for (const language of translationLanguages) {
+                const { transcripts } = await translateTranscripts(transcriptionData.transcripts, language, transcriptionData.sourceLanguage);
+                transcriptionData.transcripts = transcripts;
+            }
+            if (translationLanguages.length > 0) {
+                transcriptionData.translationLanguages = translationLanguages;
+            }
+            
+            // Generar las actas de la reunión; si falla, la transcripción se guarda igualmente
+            try {
+                transcriptionData.minutes = await generateMinutes(transcriptionData, minutesProvider);
+            } catch (minutesError) {
+                console.warn(`⚠️ No se pudieron generar las actas de la reunión: ${minutesError.message}`);
+            }
+            
+            await transcriptionStore.put(transcriptionData.id, transcriptionData);
+            await tenants.record(transcriptionData.orgId, 'transcriptionsSaved');
+            
+            notifyWebhooks('transcription.saved', {
+                transcriptionId: transcriptionData.id,
+                meetingId,
+                title: transcriptionData.title,
+                participantCount: transcriptionData.participantCount,
+                segmentCount: transcriptionData.transcripts.length
+            }, transcriptionData.orgId);
+            
+            console.log(`✅ Transcripción guardada para la reunión: ${meetingId}`);
+            res.json({ 
+                success: true, 
+                message: 'Transcripción guardada correctamente',
+                transcriptionId: transcriptionData.id,
+                expiresAt: transcriptionData.expiresAt
+            });
+        } catch (error) {
+            console.error('Error al guardar transcripción:', error);
+            res.status(500).json({ error: 'Error al guardar transcripción: ' + error.message });
+        }
+    });
+
+    // Endpoint para obtener todas las transcripciones guardadas
+    api.get('/transcriptions', auth.authenticate, (req, res) => {
+        try {
+            // Devolver solo la información básica de las transcripciones en las que participó el usuario
+            const transcriptionsList = listTranscriptions()
+                .filter(t => canViewTranscription(t, req.user))
+                .map(t => ({
+                    id: t.id,
+                    title: t.title,
+                    date: t.date,
+                    meetingId: t.meetingId,
+                    participantCount: t.participantCount,
+                    expiresAt: t.expiresAt || null
+                }));
+            
+            res.json(transcriptionsList);
+        } catch (error) {
+            console.error('Error al obtener transcripciones:', error);
+            res.status(500).json({ error: 'Error al obtener transcripciones: ' + error.message });
+        }
+    });
+
+    // Endpoint para obtener las actas (resumen, palabras clave, tareas y decisiones) de una transcripción
+    api.get('/transcription/:id/minutes', auth.authenticate, async (req, res) => {
+        try {
+            const transcription = getTranscription(req.params.id);
+            
+            if (!transcription) {
+                return res.status(404).json({ error: 'Transcripción no encontrada' });
+            }
+            
+            if (!canViewTranscription(transcription, req.user)) {
+                return res.status(403).json({ error: 'No tienes acceso a esta transcripción' });
+            }
+            
+            // Las transcripciones guardadas antes de existir las actas se completan al consultarlas
+            if (!transcription.minutes) {
+                transcription.minutes = await generateMinutes(transcription, minutesProvider);
+                await transcriptionStore.put(transcription.id, transcription);
+            }
+            
+            auditTranscription(transcription.id, 'read', req.user, { view: 'minutes' });
+            res.json({ transcriptionId: transcription.id, minutes: transcription.minutes });
+        } catch (error) {
+            console.error('Error al obtener actas:', error);
+            res.status(500).json({ error: 'Error al obtener actas: ' + error.message });
+        }
+    });
+
+    // Endpoint para regenerar las actas de una transcripción
+    api.post('/transcription/:id/minutes', auth.authenticate, async (req, res) => {
+        try {
+            const transcription = getTranscription(req.params.id);
+            
+            if (!transcription) {
+                return res.status(404).json({ error: 'Transcripción no encontrada' });
+            }
+            
+            if (!canViewTranscription(transcription, req.user)) {
+                return res.status(403).json({ error: 'No tienes acceso a esta transcripción' });
+            }
+            
+            transcription.minutes = await generateMinutes(transcription, minutesProvider);
+            await transcriptionStore.put(transcription.id, transcription);
+            
+            console.log(`✅ Actas regeneradas para la transcripción: ${transcription.id}`);
+            res.json({ success: true, transcriptionId: transcription.id, minutes: transcription.minutes });
+        } catch (error) {
+            console.error('Error al regenerar actas:', error);
+            res.status(500).json({ error: 'Error al regenerar actas: ' + error.message });
+        }
+    });
+
+    // Analítica de una reunión activa: su duración llega hasta ahora o hasta que Chime la dio por terminada
+    function meetingAnalytics(meeting) {
+        return computeAnalytics({
+            participants: Object.values(meeting.attendees || {}),
+            transcripts: meeting.transcripts || [],
+            startTime: meeting.creationTime,
+            endTime: meeting.endedAt || new Date().toISOString()
+        });
+    }
+
+    // Analítica de una transcripción guardada: termina con el último fragmento
+    function transcriptionAnalytics(transcription) {
+        return computeAnalytics({
+            participants: transcription.participants || [],
+            transcripts: transcription.transcripts || [],
+            speakerNames: transcription.speakerNames,
+            startTime: transcription.meetingCreationTime
+        });
+    }
+
+    // Endpoint para obtener la analítica de participación de una reunión activa
+    api.get('/meeting/:meetingId/analytics', auth.authenticate, requireParticipant, (req, res) => {
+        try {
+            const meeting = meetings[req.params.meetingId];
+            res.json({ meetingId: meeting.meetingId, analytics: meetingAnalytics(meeting) });
+        } catch (error) {
+            console.error('Error al calcular analítica de la reunión:', error);
+            res.status(500).json({ error: 'Error al calcular analítica de la reunión: ' + error.message });
+        }
+    });
+
+    // Endpoint para obtener la analítica de participación de una transcripción guardada
+    api.get('/transcription/:id/analytics', auth.authenticate, (req, res) => {
+        try {
+            const transcription = getTranscription(req.params.id);
+            
+            if (!transcription) {
+                return res.status(404).json({ error: 'Transcripción no encontrada' });
+            }
+            
+            if (!canViewTranscription(transcription, req.user)) {
+                return res.status(403).json({ error: 'No tienes acceso a esta transcripción' });
+            }
+            
+            auditTranscription(transcription.id, 'read', req.user, { view: 'analytics' });
+            res.json({
+                transcriptionId: transcription.id,
+                meetingId: transcription.meetingId,
+                analytics: transcriptionAnalytics(transcription)
+            });
+        } catch (error) {
+            console.error('Error al calcular analítica de la transcripción:', error);
+            res.status(500).json({ error: 'Error al calcular analítica de la transcripción: ' + error.message });
+        }
+    });
+
+    // Endpoint con la participación agregada de un usuario en sus reuniones (?userId&from&to)
+    // Incluye las transcripciones guardadas (la más reciente de cada reunión) y las reuniones activas sin guardar
+    api.get('/analytics', auth.authenticate, (req, res) => {
+        try {
+            const userId = req.query.userId || (req.user && req.user.id);
+            const { from, to } = req.query;
+            
+            if (!userId) {
+                return res.status(400).json({ error: 'Falta el userId' });
+            }
+            
+            // Con autenticación, cada usuario solo puede consultar su propia participación
+            if (auth.enabled && userId !== req.user.id) {
+                return res.status(403).json({ error: 'Solo puedes consultar tu propia analítica' });
+            }
+            
+            const fromMs = from ? Date.parse(from) : null;
+            const toMs = to ? Date.parse(to) : null;
+            if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+                return res.status(400).json({ error: 'Rango de fechas no válido' });
+            }
+            
+            // Sin autenticación el usuario de la consulta pertenece a la organización por defecto
+            const user = req.user || { id: userId, orgId: null };
+            const latestByMeeting = {};
+            listTranscriptions()
+                .filter(t => canViewTranscription(t, user) && (t.participants || []).some(p => p.userId === userId))
+                .forEach(t => {
+                    const current = latestByMeeting[t.meetingId];
+                    if (!current || Date.parse(t.date) > Date.parse(current.date)) {
+                        latestByMeeting[t.meetingId] = t;
+                    }
+                });
+            
+            const items = Object.values(latestByMeeting).map(t => ({
+                meetingId: t.meetingId,
+                transcriptionId: t.id,
+                title: t.title,
+                analytics: transcriptionAnalytics(t)
+            }));
+            
+            orgMeetings(userOrg(user))
+                .filter(meeting => !latestByMeeting[meeting.meetingId] && meeting.attendees && meetingAttendee(meeting, user))
+                .forEach(meeting => items.push({
+                    meetingId: meeting.meetingId,
+                    analytics: meetingAnalytics(meeting)
+                }));
+            
+            const inRange = items.filter(({ analytics }) => {
+                const start = analytics.startTime ? Date.parse(analytics.startTime) : null;
+                if (fromMs !== null && (start === null || start < fromMs)) return false;
+                if (toMs !== null && (start === null || start > toMs)) return false;
+                return true;
+            });
+            
+            res.json({ from: from || null, to: to || null, ...aggregateUserAnalytics(userId, inRange) });
+        } catch (error) {
+            console.error('Error al calcular analítica agregada:', error);
+            res.status(500).json({ error: 'Error al calcular analítica agregada: ' + error.message });
+        }
+    });
+
+    // Endpoint para buscar en las transcripciones guardadas
+    // Parámetros: q (palabras o "frases"), participant, meetingId, from, to (fechas ISO), limit
+    api.get('/search-transcriptions', auth.authenticate, (req, res) => {
+        try {
+            const { q, participant, meetingId, from, to, limit } = req.query;
+            
+            if (!q || !String(q).trim()) {
+                return res.status(400).json({ error: 'Falta el texto a buscar (q)' });
+            }
+            
+            if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+                return res.status(400).json({ error: 'Rango de fechas no válido' });
+            }
+            
+            // Solo se busca en las transcripciones que el usuario puede ver
+            const visible = listTranscriptions().filter(t => canViewTranscription(t, req.user));
+            
+            const results = searchTranscriptions(visible, { q, participant, meetingId, from, to, limit });
+            
+            // Los fragmentos devueltos cuentan como lectura de cada transcripción encontrada
+            new Set(results.hits.map(hit => hit.transcriptionId)).forEach(transcriptionId => {
+                auditTranscription(transcriptionId, 'read', req.user, { view: 'search', q });
+            });
+            
+            res.json(results);
+        } catch (error) {
+            console.error('Error al buscar transcripciones:', error);
+            res.status(500).json({ error: 'Error al buscar transcripciones: ' + error.message });
+        }
+    });
+
+    // Endpoint para obtener una transcripción específica
+    // Formatos: ?format=json|vtt|srt|txt|md o cabecera Accept (application/json, text/vtt, application/x-subrip, text/plain, text/markdown)
+    api.get('/transcription/:id', auth.authenticate, (req, res) => {
+        try {
+            const { id } = req.params;
+            
+            // Buscar la transcripción por ID
+            const transcription = getTranscription(id);
+            
+            if (!transcription) {
+                return res.status(404).json({ error: 'Transcripción no encontrada' });
+            }
+            
+            if (!canViewTranscription(transcription, req.user)) {
+                return res.status(403).json({ error: 'No tienes acceso a esta transcripción' });
+            }
+            
+            const format = negotiateFormat(req.query.format, types => req.accepts(types));
+            
+            if (!format) {
+                return res.status(req.query.format ? 400 : 406).json({
+                    error: 'Formato de exportación no soportado',
+                    supportedFormats: ['json', 'vtt', 'srt', 'txt', 'md']
+                });
+            }
+            
+            // Sin formato explícito se mantiene la respuesta JSON habitual
+            if (format === 'json' && !req.query.format) {
+                auditTranscription(id, 'read', req.user, { format });
+                return res.json(transcription);
+            }
+            
+            const { body, contentType, filename } = renderTranscription(transcription, format);
+            auditTranscription(id, 'export', req.user, { format });
+            
+            res.attachment(filename);
+            res.set('Content-Type', contentType);
+            res.send(body);
+        } catch (error) {
+            console.error('Error al obtener transcripción:', error);
+            res.status(500).json({ error: 'Error al obtener transcripción: ' + error.message });
+        }
+    });
+
+    // Endpoint para traducir una transcripción guardada: cada fragmento con su traducción al idioma pedido.
+    // Las traducciones se guardan en la transcripción y solo se piden al proveedor las que faltan.
+    // Con ?format= o la cabecera Accept (vtt, srt, txt, md) se exporta la transcripción traducida.
+    api.get('/transcription/:id/translations/:language', auth.authenticate, async (req, res) => {
+        try {
+            const { id } = req.params;
+            const transcription = getTranscription(id);
+            
+            if (!transcription) {
+                return res.status(404).json({ error: 'Transcripción no encontrada' });
+            }
+            
+            if (!canViewTranscription(transcription, req.user)) {
+                return res.status(403).json({ error: 'No tienes acceso a esta transcripción' });
+            }
+            
+            const language = normalizeTranslationLanguage(req.params.language);
+            if (!language) {
+                return res.status(400).json({ error: `Idioma de traducción no soportado: ${req.params.language}` });
+            }
+            
+            const format = negotiateFormat(req.query.format, types => req.accepts(types));
+            if (!format) {
+                return res.status(req.query.format ? 400 : 406).json({
+                    error: 'Formato de exportación no soportado',
+                    supportedFormats: ['json', 'vtt', 'srt', 'txt', 'md']
+                });
+            }
+            
+            const segments = transcription.transcripts || [];
+            const { transcripts, translations, changed, failed } = await translateTranscripts(segments, language, transcription.sourceLanguage);
+            if (segments.length > 0 && failed === segments.length) {
+                return res.status(502).json({ error: 'No se pudo traducir la transcripción' });
+            }
+            
+            // Guardar las traducciones nuevas sin pisar una edición hecha mientras se traducía
+            const current = getTranscription(id);
+            if (changed && current && current.transcripts === transcription.transcripts) {
+                await transcriptionStore.put(id, { ...current, transcripts });
+            }
+            
+            if (format === 'json' && !req.query.format) {
+                auditTranscription(id, 'read', req.user, { format, language });
+                return res.json({
+                    transcriptionId: id,
+                    language,
+                    provider: translator.name,
+                    failedSegments: failed,
+                    segments: segments.map((segment, i) => ({
+                        id: segment.id,
+                        kind: segment.kind,
+                        attendeeId: segment.attendeeId,
+                        timestamp: segment.timestamp,
+                        text: segment.text,
+                        translation: translations[i] ? translations[i].text : null,
+                        sourceLanguage: translations[i] ? translations[i].sourceLanguage : null
+                    }))
+                });
+            }
+            
+            // Exportación con el texto traducido (el original si no se pudo traducir un fragmento)
+            const translated = {
+                ...transcription,
+                title: `${transcription.title} (${language})`,
+                transcripts: segments.map((segment, i) => (translations[i] ? { ...segment, text: translations[i].text } : segment))
+            };
+            const { body, contentType, filename } = renderTranscription(translated, format);
+            auditTranscription(id, 'export', req.user, { format, language });
+            
+            res.attachment(filename);
+            res.set('Content-Type', contentType);
+            res.send(body);
+        } catch (error) {
+            console.error('Error al traducir la transcripción:', error);
+            res.status(500).json({ error: 'Error al traducir la transcripción: ' + error.message });
+        }
+    });
+
+    // Endpoint para eliminar una transcripción guardada (solo el creador de la reunión)
+    api.delete('/transcription/:id', auth.authenticate, async (req, res) => {
+        try {
+            const transcription = getTranscription(req.params.id);
+            
+            if (!transcription) {
+                return res.status(404).json({ error: 'Transcripción no encontrada' });
+            }
+            
+            if (!canManageTranscription(transcription, req.user)) {
+                return res.status(403).json({ error: 'Solo el creador de la reunión puede eliminar la transcripción' });
+            }
+            
+            await deleteTranscription(transcription, req.user, 'requested');
+            
+            console.log(`🧹 Transcripción eliminada: ${transcription.id}`);
+            res.json({ success: true, message: 'Transcripción eliminada correctamente' });
+        } catch (error) {
+            console.error('Error al eliminar transcripción:', error);
+            res.status(500).json({ error: 'Error al eliminar transcripción: ' + error.message });
+        }
+    });
+
+    // Endpoint para cambiar la retención de una transcripción: { retentionDays } (null = conservar siempre)
+    // Los días se cuentan desde que se guardó la transcripción
+    api.put('/transcription/:id/retention', auth.authenticate, async (req, res) => {
+        try {
+            const transcription = getTranscription(req.params.id);
+            const { retentionDays } = req.body;
+            
+            if (!transcription) {
+                return res.status(404).json({ error: 'Transcripción no encontrada' });
+            }
+            
+            if (!canManageTranscription(transcription, req.user)) {
+                return res.status(403).json({ error: 'Solo el creador de la reunión puede cambiar la retención' });
+            }
+            
+            if (retentionDays === undefined || !isValidRetention(retentionDays)) {
+                return res.status(400).json({ error: 'retentionDays debe ser un número de días positivo o null' });
+            }
+            
+            const previous = { retentionDays: transcription.retentionDays || null, expiresAt: transcription.expiresAt || null };
+            transcription.retentionDays = retentionDays;
+            transcription.expiresAt = retentionExpiry(retentionDays, Date.parse(transcription.date));
+            await transcriptionStore.put(transcription.id, transcription);
+            
+            auditTranscription(transcription.id, 'retention', req.user, { previous, retentionDays, expiresAt: transcription.expiresAt });
+            
+            // Si la nueva retención ya venció, la transcripción se elimina en la siguiente depuración
+            res.json({
+                success: true,
+                transcriptionId: transcription.id,
+                retentionDays: transcription.retentionDays,
+                expiresAt: transcription.expiresAt
+            });
+        } catch (error) {
+            console.error('Error al cambiar la retención:', error);
+            res.status(500).json({ error: 'Error al cambiar la retención: ' + error.message });
+        }
+    });
+
+    // Estado editable de una transcripción: sus fragmentos y los nombres corregidos de los hablantes
+    function transcriptState(transcription) {
+        return {
+            transcripts: withSegmentIds(transcription.transcripts || []),
+            speakerNames: { ...(transcription.speakerNames || {}) }
+        };
+    }
+
+    // Aplicar una edición a una transcripción guardada y registrarla como una nueva revisión.
+    // La primera edición guarda antes la revisión 0 con la transcripción original.
+    async function editTranscription(transcription, user, operation, details, nextState) {
+        const before = transcriptState(transcription);
+        const current = transcription.revision || 0;
+        
+        if (current === 0 && !revisionLog.get(transcription.id, 0)) {
+            await revisionLog.record({
+                transcriptionId: transcription.id,
+                revision: 0,
+                author: null,
+                operation: 'original',
+                snapshot: before
+            });
+        }
+        
+        const after = nextState(before);
+        if (after.error) return after;
+        
+        const entry = await revisionLog.record({
+            transcriptionId: transcription.id,
+            revision: current + 1,
+            author: user,
+            operation,
+            details,
+            diff: diffStates(before, after),
+            snapshot: after
+        });
+        
+        transcription.transcripts = after.transcripts;
+        transcription.speakerNames = after.speakerNames;
+        transcription.revision = entry.revision;
+        transcription.editedAt = entry.at;
+        
+        // Las actas se basan en el texto, así que se regeneran con la revisión nueva
+        try {
+            transcription.minutes = await generateMinutes(transcription, minutesProvider);
+        } catch (minutesError) {
+            console.warn(`⚠️ No se pudieron regenerar las actas de la transcripción ${transcription.id}: ${minutesError.message}`);
+        }
+        
+        await transcriptionStore.put(transcription.id, transcription);
+        auditTranscription(transcription.id, 'edit', user, { revision: entry.revision, operation });
+        
+        console.log(`✅ Transcripción ${transcription.id} editada (${operation}), revisión ${entry.revision}`);
+        return { entry };
+    }
+
+    // Ediciones en curso por transcripción: cada una espera a que termine la anterior para que
+    // dos ediciones simultáneas no partan de la misma revisión
+    const transcriptEditQueues = new Map();
+    function serializeTranscriptEdit(transcriptionId, task) {
+        const run = (transcriptEditQueues.get(transcriptionId) || Promise.resolve()).then(task);
+        const tail = run.catch(() => {});
+        transcriptEditQueues.set(transcriptionId, tail);
+        tail.then(() => {
+            if (transcriptEditQueues.get(transcriptionId) === tail) transcriptEditQueues.delete(transcriptionId);
+        });
+        return run;
+    }
+
+    function describeRevision({ snapshot, ...entry }, includeSnapshot = false) {
+        return includeSnapshot ? { ...entry, snapshot } : entry;
+    }
+
+    // Rutas de edición: comprueban el acceso, aplican la operación y responden con la revisión creada.
+    // `buildEdit(req)` devuelve { details, nextState } o { error, statusCode } si la petición no es válida.
+    // Con `baseRevision` el cliente indica la revisión sobre la que editó: si ya no es la actual se responde 409.
+    function transcriptEditRoute(operation, buildEdit) {
+        return async (req, res) => {
+            try {
+                const result = await serializeTranscriptEdit(req.params.id, async () => {
+                    const transcription = getTranscription(req.params.id);
+                    
+                    if (!transcription) {
+                        return { error: 'Transcripción no encontrada', statusCode: 404 };
+                    }
+                    
+                    if (!canManageTranscription(transcription, req.user)) {
+                        return { error: 'Solo el creador de la reunión puede editar la transcripción', statusCode: 403 };
+                    }
+                    
+                    const currentRevision = transcription.revision || 0;
+                    if (req.body.baseRevision !== undefined && req.body.baseRevision !== currentRevision) {
+                        return { error: 'La transcripción cambió desde la revisión indicada', statusCode: 409, currentRevision };
+                    }
+                    
+                    const edit = buildEdit(req, transcription);
+                    if (edit.error) {
+                        return edit;
+                    }
+                    
+                    return { transcription, ...(await editTranscription(transcription, req.user, operation, edit.details, edit.nextState)) };
+                });
+                
+                if (result.error) {
+                    const { error, statusCode = 400, currentRevision } = result;
+                    return res.status(statusCode).json(currentRevision === undefined ? { error } : { error, currentRevision });
+                }
+                
+                res.json({
+                    success: true,
+                    transcriptionId: result.transcription.id,
+                    revision: result.entry.revision,
+                    diff: result.entry.diff
+                });
+            } catch (error) {
+                console.error('Error al editar la transcripción:', error);
+                res.status(500).json({ error: 'Error al editar la transcripción: ' + error.message });
+            }
+        };
+    }
+
+    // Un participante puede indicarse por su userId; en los fragmentos se guarda su attendeeId
+    function speakerKey(transcription, speaker) {
+        const participant = (transcription.participants || []).find(p => p.userId === speaker);
+        return participant && participant.attendeeInfo && participant.attendeeInfo.AttendeeId
+            ? participant.attendeeInfo.AttendeeId
+            : speaker;
+    }
+
+    // Endpoint para corregir el texto de un fragmento o reasignar su hablante: { text?, speaker? }
+    api.patch('/transcription/:id/segments/:segmentId', auth.authenticate, transcriptEditRoute('edit', (req, transcription) => {
+        const { text, speaker } = req.body;
+        const params = { segmentId: req.params.segmentId };
+        // El texto corregido pasa por la misma redacción que los fragmentos originales
+        if (text !== undefined) params.text = typeof text === 'string' ? redactor.redact(text).text : text;
+        if (speaker !== undefined) params.speaker = typeof speaker === 'string' ? speakerKey(transcription, speaker) : speaker;
+        return {
+            details: { segmentId: req.params.segmentId, fields: Object.keys(params).filter(field => field !== 'segmentId') },
+            nextState: state => applyEdit(state, 'edit', params)
+        };
+    }));
+
+    // Endpoint para unir fragmentos consecutivos: { segmentIds }
+    api.post('/transcription/:id/segments/merge', auth.authenticate, transcriptEditRoute('merge', req => ({
+        details: { segmentIds: req.body.segmentIds },
+        nextState: state => applyEdit(state, 'merge', { segmentIds: req.body.segmentIds })
+    })));
+
+    // Endpoint para partir un fragmento en dos: { at } (posición en su texto)
+    api.post('/transcription/:id/segments/:segmentId/split', auth.authenticate, transcriptEditRoute('split', req => ({
+        details: { segmentId: req.params.segmentId, at: req.body.at },
+        nextState: state => applyEdit(state, 'split', { segmentId: req.params.segmentId, at: req.body.at })
+    })));
+
+    // Endpoint para cambiar el nombre de un hablante en toda la transcripción: { name }
+    api.put('/transcription/:id/speakers/:speaker', auth.authenticate, transcriptEditRoute('rename-speaker', (req, transcription) => {
+        const speaker = speakerKey(transcription, req.params.speaker);
+        return {
+            details: { speaker, name: req.body.name },
+            nextState: state => applyEdit(state, 'rename-speaker', { speaker, name: req.body.name })
+        };
+    }));
+
+    // Endpoint para volver a una revisión anterior; se registra como una revisión nueva
+    api.post('/transcription/:id/revisions/:revision/rollback', auth.authenticate, transcriptEditRoute('rollback', (req, transcription) => {
+        const revision = Number(req.params.revision);
+        const target = Number.isInteger(revision) ? revisionLog.get(transcription.id, revision) : null;
+        
+        if (!target) {
+            return { error: 'Revisión no encontrada', statusCode: 404 };
+        }
+        if (revision === (transcription.revision || 0)) {
+            return { error: 'La transcripción ya está en esa revisión' };
+        }
+        
+        return {
+            details: { toRevision: revision },
+            nextState: () => ({ transcripts: target.snapshot.transcripts, speakerNames: target.snapshot.speakerNames })
+        };
+    }));
+
+    // Endpoint con el historial de revisiones de una transcripción (sin el contenido de cada una)
+    api.get('/transcription/:id/revisions', auth.authenticate, (req, res) => {
+        try {
+            const transcription = getTranscription(req.params.id);
+            
+            if (!transcription) {
+                return res.status(404).json({ error: 'Transcripción no encontrada' });
+            }
+            
+            if (!canViewTranscription(transcription, req.user)) {
+                return res.status(403).json({ error: 'No tienes acceso a esta transcripción' });
+            }
+            
+            res.json({
+                transcriptionId: transcription.id,
+                currentRevision: transcription.revision || 0,
+                revisions: revisionLog.list(transcription.id).map(entry => describeRevision(entry))
+            });
+        } catch (error) {
+            console.error('Error al obtener revisiones:', error);
+            res.status(500).json({ error: 'Error al obtener revisiones: ' + error.message });
+        }
+    });
+
+    // Endpoint con una revisión concreta, incluido el estado de la transcripción en ella
+    api.get('/transcription/:id/revisions/:revision', auth.authenticate, (req, res) => {
+        try {
+            const transcription = getTranscription(req.params.id);
+            
+            if (!transcription) {
+                return res.status(404).json({ error: 'Transcripción no encontrada' });
+            }
+            
+            if (!canViewTranscription(transcription, req.user)) {
+                return res.status(403).json({ error: 'No tienes acceso a esta transcripción' });
+            }
+            
+            const revision = revisionLog.get(transcription.id, Number(req.params.revision));
+            if (!revision) {
+                return res.status(404).json({ error: 'Revisión no encontrada' });
+            }
+            
+            auditTranscription(transcription.id, 'read', req.user, { view: 'revision', revision: revision.revision });
+            res.json(describeRevision(revision, true));
+        } catch (error) {
+            console.error('Error al obtener la revisión:', error);
+            res.status(500).json({ error: 'Error al obtener la revisión: ' + error.message });
+        }
+    });
+
+    // Filtros comunes de las consultas de auditoría (?action&actorId&from&to)
+    function auditFilters(query) {
+        const { action, actorId, from, to } = query;
+        if (action && !AUDIT_ACTIONS.includes(action)) {
+            return { error: `Acción no válida. Acciones disponibles: ${AUDIT_ACTIONS.join(', ')}` };
+        }
+        if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+            return { error: 'Rango de fechas no válido' };
+        }
+        return { filters: { action, actorId, from, to } };
+    }
+
+    // Endpoint con el registro de auditoría de una transcripción (solo el creador de la reunión)
+    api.get('/transcription/:id/audit', auth.authenticate, (req, res) => {
+        try {
+            const transcription = getTranscription(req.params.id);
+            
+            if (!transcription) {
+                return res.status(404).json({ error: 'Transcripción no encontrada' });
+            }
+            
+            if (!canManageTranscription(transcription, req.user)) {
+                return res.status(403).json({ error: 'Solo el creador de la reunión puede consultar la auditoría' });
+            }
+            
+            const { error, filters } = auditFilters(req.query);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            
+            res.json({
+                transcriptionId: transcription.id,
+                entries: auditLog.list({ ...filters, transcriptionId: transcription.id })
+            });
+        } catch (error) {
+            console.error('Error al obtener la auditoría:', error);
+            res.status(500).json({ error: 'Error al obtener la auditoría: ' + error.message });
+        }
+    });
+
+    // Endpoint de administración con el registro de auditoría completo, incluidas las transcripciones
+    // ya eliminadas (?transcriptionId&action&actorId&from&to)
+    api.get('/transcription-audit', auth.requireApiKey, (req, res) => {
+        try {
+            const { error, filters } = auditFilters(req.query);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            
+            res.json({ entries: auditLog.list({ ...filters, transcriptionId: req.query.transcriptionId }) });
+        } catch (error) {
+            console.error('Error al obtener la auditoría:', error);
+            res.status(500).json({ error: 'Error al obtener la auditoría: ' + error.message });
+        }
+    });
+
+    // Eliminar las transcripciones guardadas cuya retención ha vencido
+    async function purgeExpiredTranscriptions() {
+        const now = Date.now();
+        const expired = transcriptionStore.list().filter(t => isExpired(t, now));
+        
+        for (const transcription of expired) {
+            try {
+                await deleteTranscription(transcription, null, 'retention-expired');
+                console.log(`🧹 Transcripción eliminada por retención vencida: ${transcription.id}`);
+            } catch (error) {
+                console.error(`Error al eliminar la transcripción vencida ${transcription.id}:`, error);
+            }
+        }
+    }
+
+    // Conciliación del registro de reuniones con Chime (ver lib/reconciliation.js):
+    // quita las reuniones que Chime ya no tiene y elimina las que superaron su tiempo de vida
+    const reconciler = createReconciler({
+        client: chimeClient,
+        meetings,
+        forgetMeeting,
+        ttlMs: MEETING_EXPIRY_MINUTES * 60 * 1000
+    });
+
+    async function reconcileMeetings(trigger) {
+        const report = await reconciler.run(trigger);
+        
+        report.removed.forEach(({ meetingId, reason }) => {
+            console.log(reason === 'expired'
+                ? `🧹 Reunión expirada eliminada en AWS Chime: ${meetingId}`
+                : `🧹 Reunión que ya no existe en AWS Chime quitada del registro: ${meetingId}`);
+        });
+        report.errors.forEach(({ meetingId, operation, error }) => {
+            console.warn(`⚠️ No se pudo conciliar la reunión ${meetingId} (${operation}): ${error}`);
+        });
+        console.log(`✅ Conciliación con AWS Chime: ${report.checked} revisadas, ${report.removed.length} quitadas, ${report.errors.length} errores`);
+        
+        return report;
+    }
+
+    // Endpoint de administración con el informe de la última conciliación
+    api.get('/meeting-reconciliation', auth.requireApiKey, (req, res) => {
+        try {
+            res.json({
+                expiryMinutes: MEETING_EXPIRY_MINUTES,
+                intervalMinutes: MEETING_RECONCILE_INTERVAL_MINUTES,
+                lastReport: reconciler.lastReport()
+            });
+        } catch (error) {
+            console.error('Error al obtener la conciliación:', error);
+            res.status(500).json({ error: 'Error al obtener la conciliación: ' + error.message });
+        }
+    });
+
+    // Endpoint de administración para conciliar ahora; devuelve el informe de la pasada
+    api.post('/meeting-reconciliation', auth.requireApiKey, async (req, res) => {
+        try {
+            res.json(await reconcileMeetings('manual'));
+        } catch (error) {
+            console.error('Error al conciliar reuniones:', error);
+            res.status(500).json({ error: 'Error al conciliar reuniones: ' + error.message });
+        }
+    });
+
+    // Todas las rutas registradas: cerrar /v1 y comprobar que coinciden con la especificación
+    api.finalize();
+
+    // Validar una conexión de audio por WebSocket antes de aceptarla
+    function resolveAudioSession(params, req) {
+        const { meetingId, attendeeId, languageCode } = params;
+        const fail = (statusCode, message) => {
+            const error = new Error(message);
+            error.statusCode = statusCode;
+            throw error;
+        };
+        
+        if (!meetingId || !meetings[meetingId]) {
+            fail(404, 'Reunión no encontrada');
+        }
+        
+        const meeting = meetings[meetingId];
+        if (!meeting.transcriptionEnabled || meeting.transcriptionMethod !== 'alternative') {
+            fail(409, 'La transcripción alternativa no está activa en la reunión');
+        }
+        
+        const attendee = attendeeId && findAttendee(meeting, attendeeId);
+        if (!attendee) {
+            fail(403, 'El asistente no pertenece a la reunión');
+        }
+        
+        // Solo se acepta audio del propio usuario autenticado
+        let user;
+        try {
+            user = auth.identify(req, params);
+        } catch (error) {
+            fail(error.statusCode || 401, error.message);
+        }
+        if (auth.enabled && recordKey(meeting, attendee) !== memberKey(meeting, user)) {
+            fail(403, 'Solo puedes enviar tu propio audio');
+        }
+        
+        return {
+            meetingId,
+            // Guardar siempre el AttendeeId de Chime cuando se conoce, como hace el cliente
+            attendeeId: attendee.attendeeInfo ? attendee.attendeeInfo.AttendeeId : attendee.userId,
+            languageCode: mapLanguageCode(languageCode || (meeting.transcriptionSettings || {}).languageCode)
+        };
+    }
+
+    // Convertir un resultado del motor en un fragmento de la transcripción de la reunión.
+    // Los parciales solo se envían en vivo; los finales se guardan en la transcripción.
+    async function handleAudioResult(session, result, startedAt) {
+        const segment = {
+            text: result.text,
+            timestamp: new Date(startedAt + (result.startTime || 0) * 1000).toISOString(),
+            attendeeId: session.attendeeId,
+            resultId: result.resultId,
+            isPartial: result.isPartial,
+            source: 'server-stream'
+        };
+        // Idioma del audio, para traducir el fragmento desde él
+        if (session.languageCode) {
+            segment.languageCode = session.languageCode;
+        }
+        
+        if (!meetings[session.meetingId]) {
+            return segment;
+        }
+        
+        if (result.isPartial) {
+            const redacted = redactSegment(segment);
+            liveHub.publish(session.meetingId, 'transcript-partial', redacted);
+            return redacted;
+        }
+        
+        return appendTranscriptSegment(session.meetingId, segment);
+    }
+
+    // Tareas periódicas: depurar las transcripciones vencidas (al iniciar y cada hora)
+    // y conciliar las reuniones con Chime (al iniciar y cada MEETING_RECONCILE_INTERVAL_MINUTES)
+    const timers = [];
+
+    function runReconciliation(trigger) {
+        reconcileMeetings(trigger).catch(error => {
+            console.error('Error al conciliar reuniones:', error);
+        });
+    }
+
+    function startBackgroundJobs() {
+        purgeExpiredTranscriptions();
+        runReconciliation('startup');
+        timers.push(setInterval(purgeExpiredTranscriptions, 60 * 60 * 1000));
+        timers.push(setInterval(() => runReconciliation('scheduled'), MEETING_RECONCILE_INTERVAL_MINUTES * 60 * 1000));
+    }
+
+    function stopBackgroundJobs() {
+        timers.splice(0).forEach(timer => clearInterval(timer));
+    }
+
+    // Recibir audio por WebSocket para transcribirlo en el servidor
+    function attachAudioStream(server) {
+        return attachAudioStreamServer({
+            server,
+            engine: transcriptionEngine,
+            resolveSession: resolveAudioSession,
+            onResult: handleAudioResult
+        });
+    }
+
+    // Iniciar el servidor HTTP junto con el WebSocket de audio
+    function listen(port) {
+        return new Promise((resolve, reject) => {
+            const server = app.listen(port, () => resolve(server));
+            server.once('error', reject);
+            attachAudioStream(server);
+        });
+    }
+
+    return {
+        app,
+        meetings,
+        storage,
+        listen,
+        attachAudioStream,
+        startBackgroundJobs,
+        stopBackgroundJobs
+    };
+}
+
+module.exports = { createApp };
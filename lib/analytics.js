@@ -0,0 +1,198 @@
+const { buildCues, estimateSpeechMs } = require('./exporters');
+const { isChatSegment } = require('./chat');
+
+// Analítica de participación a partir de los fragmentos de transcripción.
+// El tiempo de habla de cada fragmento se estima por su número de palabras, sin pasar
+// del inicio del fragmento siguiente; lo que queda entre fragmentos cuenta como silencio.
+
+// Pausa mínima entre fragmentos que se considera un silencio
+const SILENCE_THRESHOLD_MS = 2000;
+const LONGEST_SILENCES = 5;
+
+function toMillis(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function countWords(text) {
+    const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+    return words.length;
+}
+
+// Clave estable de un hablante: el userId del participante si se conoce
+function buildSpeakerIndex(participants) {
+    const index = {};
+    for (const participant of participants) {
+        const entry = {
+            userId: participant.userId,
+            userName: participant.userName || participant.userId,
+            attendeeId: participant.attendeeInfo && participant.attendeeInfo.AttendeeId
+        };
+        if (participant.userId) index[participant.userId] = entry;
+        if (participant.attendeeInfo && participant.attendeeInfo.AttendeeId) {
+            index[participant.attendeeInfo.AttendeeId] = entry;
+        }
+    }
+    return index;
+}
+
+// Equilibrio de participación: entropía normalizada de las cuotas de habla (1 = todos por igual)
+function computeBalance(speakers) {
+    const active = speakers.filter(s => s.talkTimeMs > 0);
+    const total = active.reduce((sum, s) => sum + s.talkTimeMs, 0);
+    if (total === 0 || speakers.length === 0) {
+        return { score: null, dominantSpeaker: null, dominantShare: null, silentParticipants: speakers.length };
+    }
+
+    const entropy = active.reduce((sum, s) => {
+        const share = s.talkTimeMs / total;
+        return sum - share * Math.log(share);
+    }, 0);
+    const dominant = active.reduce((max, s) => (s.talkTimeMs > max.talkTimeMs ? s : max), active[0]);
+
+    return {
+        score: speakers.length > 1 ? Number((entropy / Math.log(speakers.length)).toFixed(3)) : 1,
+        dominantSpeaker: dominant.userId,
+        dominantShare: Number((dominant.talkTimeMs / total).toFixed(3)),
+        silentParticipants: speakers.length - active.length
+    };
+}
+
+// `source` tiene { participants, transcripts, speakerNames, startTime, endTime } (fechas ISO o ms).
+// Los mensajes del chat intercalados en la transcripción no cuentan como tiempo de habla.
+function computeAnalytics({ participants = [], transcripts: segments = [], speakerNames = {}, startTime, endTime }) {
+    const transcripts = segments.filter(segment => !isChatSegment(segment));
+    const speakerIndex = buildSpeakerIndex(participants);
+    const cues = buildCues({ participants, transcripts, speakerNames });
+    const timestamps = transcripts.map(segment => toMillis(segment.timestamp)).filter(ms => ms !== null);
+    const firstSegment = timestamps.length > 0 ? Math.min(...timestamps) : null;
+
+    const stats = {};
+    const statsFor = attendeeId => {
+        const known = speakerIndex[attendeeId];
+        const key = known ? known.userId : attendeeId;
+        // Los nombres corregidos al editar la transcripción van por attendeeId
+        const renamed = speakerNames[attendeeId] || (known && (speakerNames[known.attendeeId] || speakerNames[known.userId]));
+        if (!stats[key]) {
+            stats[key] = {
+                userId: key,
+                userName: renamed || (known ? known.userName : key),
+                talkTimeMs: 0,
+                wordCount: 0,
+                segmentCount: 0,
+                turns: 0
+            };
+        }
+        return stats[key];
+    };
+
+    // Los participantes que no hablaron también aparecen, con valores a cero
+    participants.forEach(participant => statsFor(participant.userId));
+
+    const transitions = {};
+    const silences = [];
+    let previous = null;
+
+    cues.forEach(cue => {
+        const speaker = statsFor(cue.attendeeId);
+        const talkMs = Math.min(cue.end - cue.start, estimateSpeechMs(cue.text));
+        const speechEnd = cue.start + talkMs;
+        speaker.talkTimeMs += talkMs;
+        speaker.wordCount += countWords(cue.text);
+        speaker.segmentCount += 1;
+
+        if (!previous || previous.speaker !== speaker.userId) {
+            speaker.turns += 1;
+            if (previous) {
+                const key = `${previous.speaker}->${speaker.userId}`;
+                transitions[key] = (transitions[key] || 0) + 1;
+            }
+        }
+
+        if (previous && cue.start - previous.end >= SILENCE_THRESHOLD_MS) {
+            silences.push({
+                afterMs: previous.end,
+                durationMs: cue.start - previous.end,
+                at: firstSegment !== null ? new Date(firstSegment + previous.end).toISOString() : null
+            });
+        }
+
+        previous = { speaker: speaker.userId, end: Math.max(speechEnd, previous ? previous.end : 0) };
+    });
+
+    const start = toMillis(startTime) !== null ? toMillis(startTime) : firstSegment;
+    const lastCueEnd = cues.length > 0 && firstSegment !== null ? firstSegment + Math.max(...cues.map(c => c.end)) : null;
+    const end = toMillis(endTime) !== null ? toMillis(endTime) : lastCueEnd;
+
+    const speakers = Object.values(stats);
+    const totalTalk = speakers.reduce((sum, s) => sum + s.talkTimeMs, 0);
+    speakers.forEach(s => {
+        s.talkShare = totalTalk > 0 ? Number((s.talkTimeMs / totalTalk).toFixed(3)) : 0;
+        s.wordsPerMinute = s.talkTimeMs > 0 ? Math.round(s.wordCount / (s.talkTimeMs / 60000)) : 0;
+    });
+    speakers.sort((a, b) => b.talkTimeMs - a.talkTimeMs);
+
+    return {
+        startTime: start !== null ? new Date(start).toISOString() : null,
+        endTime: end !== null ? new Date(end).toISOString() : null,
+        durationMs: start !== null && end !== null ? Math.max(0, end - start) : null,
+        totalTalkTimeMs: totalTalk,
+        totalWords: speakers.reduce((sum, s) => sum + s.wordCount, 0),
+        segmentCount: cues.length,
+        speakers,
+        turnTaking: {
+            totalTurns: speakers.reduce((sum, s) => sum + s.turns, 0),
+            transitions: Object.entries(transitions)
+                .map(([key, count]) => {
+                    const [from, to] = key.split('->');
+                    return { from, to, count };
+                })
+                .sort((a, b) => b.count - a.count)
+        },
+        silences: {
+            thresholdMs: SILENCE_THRESHOLD_MS,
+            count: silences.length,
+            totalMs: silences.reduce((sum, s) => sum + s.durationMs, 0),
+            longest: silences.sort((a, b) => b.durationMs - a.durationMs).slice(0, LONGEST_SILENCES)
+        },
+        balance: computeBalance(speakers)
+    };
+}
+
+// Resumen de la participación de un usuario en varias reuniones ya analizadas.
+// `items` es una lista de { meetingId, title, analytics }.
+function aggregateUserAnalytics(userId, items) {
+    const meetings = items.map(({ meetingId, transcriptionId, title, analytics }) => {
+        const speaker = analytics.speakers.find(s => s.userId === userId) || { talkTimeMs: 0, wordCount: 0, turns: 0, talkShare: 0 };
+        return {
+            meetingId,
+            transcriptionId: transcriptionId || null,
+            title: title || null,
+            startTime: analytics.startTime,
+            durationMs: analytics.durationMs,
+            talkTimeMs: speaker.talkTimeMs,
+            wordCount: speaker.wordCount,
+            turns: speaker.turns,
+            talkShare: speaker.talkShare
+        };
+    });
+
+    const sum = field => meetings.reduce((total, m) => total + (m[field] || 0), 0);
+
+    return {
+        userId,
+        meetingCount: meetings.length,
+        totalDurationMs: sum('durationMs'),
+        totalTalkTimeMs: sum('talkTimeMs'),
+        totalWords: sum('wordCount'),
+        totalTurns: sum('turns'),
+        averageTalkShare: meetings.length > 0 ? Number((sum('talkShare') / meetings.length).toFixed(3)) : 0,
+        meetings: meetings.sort((a, b) => (toMillis(a.startTime) || 0) - (toMillis(b.startTime) || 0))
+    };
+}
+
+module.exports = {
+    computeAnalytics,
+    aggregateUserAnalytics
+};
@@ -0,0 +1,300 @@
+// Códigos de error estables de la API /v1 con su mensaje en español e inglés.
+//
+// Las rutas siguen respondiendo { error: '<mensaje>' } como siempre; la capa /v1 (lib/api.js)
+// reconoce el mensaje y responde { error: { code, message, details } }. `es` es el mensaje
+// que ya devuelve la API sin versión y `legacy` recoge otros mensajes con el mismo código
+// (texto exacto o expresión regular para los que incluyen datos variables).
+
+const LANGUAGES = ['es', 'en'];
+const DEFAULT_LANGUAGE = 'es';
+
+const API_ERRORS = {
+    // Genéricos: la validación de /v1 y los mensajes que no tienen un código propio
+    VALIDATION_FAILED: { status: 400, es: 'La petición no cumple el esquema', en: 'The request does not match the schema' },
+    INVALID_JSON: { status: 400, es: 'El cuerpo de la petición no es JSON válido', en: 'The request body is not valid JSON' },
+    BAD_REQUEST: { status: 400, es: 'Petición no válida', en: 'Invalid request' },
+    UNAUTHORIZED: { status: 401, es: 'No autorizado', en: 'Unauthorized' },
+    FORBIDDEN: { status: 403, es: 'Acceso denegado', en: 'Access denied' },
+    NOT_FOUND: { status: 404, es: 'Recurso no encontrado', en: 'Resource not found' },
+    ROUTE_NOT_FOUND: { status: 404, es: 'Ruta no encontrada', en: 'Route not found' },
+    NOT_ACCEPTABLE: { status: 406, es: 'Formato de respuesta no disponible', en: 'Response format not available' },
+    CONFLICT: { status: 409, es: 'La petición no es compatible con el estado actual', en: 'The request conflicts with the current state' },
+    GONE: { status: 410, es: 'El recurso ya no está disponible', en: 'The resource is no longer available' },
+    PAYLOAD_TOO_LARGE: { status: 413, es: 'El cuerpo de la petición es demasiado grande', en: 'The request body is too large' },
+    INTERNAL_ERROR: { status: 500, es: 'Error interno del servidor', en: 'Internal server error', legacy: [/^Error al /] },
+    RESPONSE_INVALID: { status: 500, es: 'La respuesta del servidor no cumple su esquema', en: 'The server response does not match its schema' },
+
+    // Autenticación
+    AUTH_TOKEN_REQUIRED: { status: 401, es: 'Token de autenticación requerido', en: 'Authentication token required' },
+    AUTH_TOKEN_INVALID: { status: 401, es: 'Token no válido', en: 'Invalid token', legacy: ['Token sin usuario'] },
+    AUTH_TOKEN_EXPIRED: { status: 401, es: 'Token expirado', en: 'Token expired' },
+    API_KEY_INVALID: { status: 401, es: 'Clave de API no válida', en: 'Invalid API key' },
+    API_KEY_NOT_CONFIGURED: { status: 404, es: 'Clave de API no configurada (AUTH_API_KEY)', en: 'API key not configured (AUTH_API_KEY)' },
+    USER_REQUIRED: {
+        status: 400,
+        es: 'Falta el userId',
+        en: 'Missing userId',
+        legacy: ['Falta el usuario que se une a la reunión', 'Falta el usuario que crea la reunión', 'Falta el usuario que programa la reunión']
+    },
+
+    // Reuniones, asistentes y roles
+    MEETING_NOT_FOUND: { status: 404, es: 'Reunión no encontrada', en: 'Meeting not found' },
+    NOT_A_PARTICIPANT: { status: 403, es: 'No participas en esta reunión', en: 'You are not a participant in this meeting' },
+    HOST_REQUIRED: { status: 403, es: 'Solo el anfitrión de la reunión puede realizar esta acción', en: 'Only the meeting host can perform this action' },
+    ATTENDEE_NOT_FOUND: { status: 404, es: 'Asistente no encontrado', en: 'Attendee not found' },
+    CANNOT_REMOVE_CREATOR: { status: 400, es: 'No se puede expulsar al creador de la reunión', en: 'The meeting creator cannot be removed' },
+    CREATOR_ROLE_FIXED: { status: 400, es: 'El creador de la reunión siempre es anfitrión', en: 'The meeting creator is always a host' },
+    INVALID_ROLE: { status: 400, es: 'Rol no válido', en: 'Invalid role', legacy: ['Rol por defecto no válido'] },
+    INVALID_LOBBY_SETTING: { status: 400, es: 'lobbyEnabled debe ser true o false', en: 'lobbyEnabled must be true or false' },
+    INVALID_MEDIA_REGION: { status: 400, es: 'Región de medios no soportada', en: 'Unsupported media region', legacy: [/^Región de medios no soportada/] },
+    INVALID_TRANSCRIPTION_SETTINGS: { status: 400, es: 'Configuración de transcripción no válida', en: 'Invalid transcription settings' },
+
+    // Sala de espera
+    INVALID_LOBBY_STATUS: { status: 400, es: 'Estado no válido', en: 'Invalid status' },
+    LOBBY_REQUEST_NOT_FOUND: {
+        status: 404,
+        es: 'Solicitud no encontrada en la sala de espera',
+        en: 'Waiting room request not found',
+        legacy: ['No tienes una solicitud en la sala de espera']
+    },
+    LOBBY_REJECTED: { status: 403, es: 'El anfitrión rechazó tu solicitud para unirte a la reunión', en: 'The host rejected your request to join the meeting' },
+
+    // Transcripción y grabación
+    TRANSCRIPTION_PERMISSION_DENIED: { status: 403, es: 'Error de permisos al iniciar transcripción', en: 'Permission error while starting transcription' },
+    TRANSCRIPT_TEXT_REQUIRED: { status: 400, es: 'Falta el texto del fragmento', en: 'Missing transcript text' },
+    TRANSCRIPT_TEXT_TOO_LONG: { status: 400, es: 'El fragmento es demasiado largo', en: 'The transcript segment is too long', legacy: [/^El fragmento no puede superar/] },
+    RECORDING_ALREADY_ACTIVE: { status: 409, es: 'La reunión ya se está grabando', en: 'The meeting is already being recorded' },
+    RECORDING_NOT_ACTIVE: { status: 409, es: 'La reunión no se está grabando', en: 'The meeting is not being recorded' },
+    INVALID_RECORDING_ARTIFACTS: {
+        status: 400,
+        es: 'Artefactos de grabación no válidos',
+        en: 'Invalid recording artifacts',
+        legacy: ['artifacts debe ser una lista', /^Artefactos no soportados/]
+    },
+
+    // Chat
+    CHAT_TEXT_REQUIRED: { status: 400, es: 'Falta el texto del mensaje', en: 'Missing message text' },
+    CHAT_MESSAGE_TOO_LONG: { status: 400, es: 'El mensaje es demasiado largo', en: 'The message is too long', legacy: [/^El mensaje no puede superar/] },
+    INVALID_CHAT_CURSOR: {
+        status: 400,
+        es: 'Paginación del chat no válida',
+        en: 'Invalid chat pagination',
+        legacy: ['before y after deben ser números de secuencia', 'Usa before o after, no ambos', /^limit debe estar entre/]
+    },
+
+    // Transcripciones guardadas
+    TRANSCRIPTION_NOT_FOUND: { status: 404, es: 'Transcripción no encontrada', en: 'Transcription not found' },
+    TRANSCRIPTION_ACCESS_DENIED: { status: 403, es: 'No tienes acceso a esta transcripción', en: 'You do not have access to this transcription' },
+    TRANSCRIPTION_OWNER_REQUIRED: {
+        status: 403,
+        es: 'Solo el creador de la reunión puede gestionar la transcripción',
+        en: 'Only the meeting creator can manage the transcription',
+        legacy: [/^Solo el creador de la reunión puede (eliminar|editar|consultar|cambiar)/]
+    },
+    NOTHING_TO_SAVE: { status: 400, es: 'No hay transcripciones para guardar', en: 'There is no transcription to save' },
+    INVALID_RETENTION: { status: 400, es: 'retentionDays debe ser un número de días positivo o null', en: 'retentionDays must be a positive number of days or null' },
+    INVALID_DATE_RANGE: { status: 400, es: 'Rango de fechas no válido', en: 'Invalid date range' },
+    EXPORT_FORMAT_UNSUPPORTED: { status: 400, es: 'Formato de exportación no soportado', en: 'Unsupported export format' },
+    TRANSLATION_LANGUAGE_UNSUPPORTED: {
+        status: 400,
+        es: 'Idioma de traducción no soportado',
+        en: 'Unsupported translation language',
+        legacy: [/^Idioma de traducción no soportado/]
+    },
+    TRANSLATION_FAILED: { status: 502, es: 'No se pudo traducir la transcripción', en: 'The transcription could not be translated' },
+    SEARCH_QUERY_REQUIRED: { status: 400, es: 'Falta el texto a buscar (q)', en: 'Missing search text (q)' },
+    ANALYTICS_FORBIDDEN: { status: 403, es: 'Solo puedes consultar tu propia analítica', en: 'You can only view your own analytics' },
+    INVALID_AUDIT_ACTION: { status: 400, es: 'Acción no válida', en: 'Invalid action', legacy: [/^Acción no válida/] },
+    SEGMENT_NOT_FOUND: { status: 404, es: 'Fragmento no encontrado', en: 'Segment not found' },
+    SPEAKER_NOT_FOUND: { status: 404, es: 'Hablante no encontrado en la transcripción', en: 'Speaker not found in the transcription' },
+    REVISION_NOT_FOUND: { status: 404, es: 'Revisión no encontrada', en: 'Revision not found' },
+    REVISION_CONFLICT: { status: 409, es: 'La transcripción cambió desde la revisión indicada', en: 'The transcription changed since the given revision' },
+    REVISION_ALREADY_CURRENT: { status: 400, es: 'La transcripción ya está en esa revisión', en: 'The transcription is already at that revision' },
+    INVALID_SEGMENT_EDIT: {
+        status: 400,
+        es: 'Edición de la transcripción no válida',
+        en: 'Invalid transcription edit',
+        legacy: [
+            'Indica el nuevo texto o el hablante del fragmento',
+            'El texto del fragmento no puede estar vacío',
+            'Hablante no válido',
+            'Indica al menos dos fragmentos para unir',
+            'Solo se pueden unir fragmentos consecutivos',
+            'No se pueden unir mensajes del chat con fragmentos de voz',
+            'Las dos partes del fragmento deben tener texto',
+            /^at debe ser una posición del texto/,
+            /^El nombre debe tener entre/
+        ]
+    },
+
+    // Invitaciones y reuniones programadas
+    INVITE_NOT_FOUND: { status: 404, es: 'Invitación no encontrada', en: 'Invite not found' },
+    INVITE_INVALID: { status: 401, es: 'Invitación no válida', en: 'Invalid invite' },
+    INVITE_EXPIRED: { status: 410, es: 'La invitación ha caducado', en: 'The invite has expired' },
+    INVITE_REVOKED: { status: 410, es: 'La invitación fue revocada', en: 'The invite was revoked' },
+    INVITE_EXHAUSTED: { status: 410, es: 'La invitación ya no admite más usos', en: 'The invite has no uses left' },
+    INVITE_REVOKE_FORBIDDEN: { status: 403, es: 'Solo quien creó la invitación puede revocarla', en: 'Only the invite creator can revoke it' },
+    INVALID_INVITE_OPTIONS: {
+        status: 400,
+        es: 'Opciones de invitación no válidas',
+        en: 'Invalid invite options',
+        legacy: [
+            /^expiresInHours debe ser/,
+            'singleUse debe ser true o false',
+            'maxUses debe ser un número entero positivo o null',
+            'Una invitación de un solo uso no admite otro maxUses'
+        ]
+    },
+    SCHEDULED_MEETING_NOT_FOUND: { status: 404, es: 'Reunión programada no encontrada', en: 'Scheduled meeting not found' },
+    SCHEDULE_OWNER_REQUIRED: {
+        status: 403,
+        es: 'Solo el creador de la reunión programada puede realizar esta acción',
+        en: 'Only the creator of the scheduled meeting can perform this action'
+    },
+    MEETING_NOT_STARTED: { status: 409, es: 'La reunión aún no ha comenzado', en: 'The meeting has not started yet' },
+    SCHEDULED_MEETING_ENDED: { status: 410, es: 'La reunión programada ya terminó', en: 'The scheduled meeting has already ended' },
+    TITLE_REQUIRED: { status: 400, es: 'Falta el título de la reunión', en: 'Missing meeting title' },
+    INVALID_START_TIME: { status: 400, es: 'startTime debe ser una fecha ISO futura', en: 'startTime must be a future ISO date' },
+    INVALID_DURATION: {
+        status: 400,
+        es: 'durationMinutes debe ser un número entero de minutos entre 1 y 1440',
+        en: 'durationMinutes must be a whole number of minutes between 1 and 1440'
+    },
+
+    // Organizaciones y límites de uso
+    ORGANIZATION_NOT_FOUND: { status: 404, es: 'Organización no encontrada', en: 'Organization not found' },
+    ORGANIZATION_EXISTS: { status: 409, es: 'Ya existe una organización con ese id', en: 'An organization with that id already exists' },
+    INVALID_ORGANIZATION: {
+        status: 400,
+        es: 'Organización no válida',
+        en: 'Invalid organization',
+        legacy: [
+            /^El id de la organización solo admite/,
+            'Falta el nombre de la organización',
+            'limits debe ser un objeto',
+            /^Límite desconocido/,
+            / debe ser un número positivo( entero)? o null$/
+        ]
+    },
+    INVALID_PERIOD: { status: 400, es: 'El periodo debe tener el formato AAAA-MM', en: 'The period must use the YYYY-MM format' },
+    QUOTA_CONCURRENT_MEETINGS: {
+        status: 429,
+        es: 'La organización alcanzó su límite de reuniones simultáneas',
+        en: 'The organization reached its concurrent meetings limit'
+    },
+    QUOTA_ATTENDEES_PER_MEETING: {
+        status: 429,
+        es: 'La reunión alcanzó el límite de asistentes de la organización',
+        en: 'The meeting reached the organization attendee limit'
+    },
+    QUOTA_TRANSCRIPTION_MINUTES: {
+        status: 429,
+        es: 'La organización agotó sus minutos de transcripción del periodo',
+        en: 'The organization used up its transcription minutes for the period'
+    },
+
+    // Integraciones
+    WEBHOOK_NOT_FOUND: { status: 404, es: 'Webhook no encontrado', en: 'Webhook not found' },
+    DELIVERY_NOT_FOUND: { status: 404, es: 'Entrega no encontrada', en: 'Delivery not found' },
+    INVALID_WEBHOOK: {
+        status: 400,
+        es: 'Suscripción de webhook no válida',
+        en: 'Invalid webhook subscription',
+        legacy: ['La URL del webhook debe ser http o https', 'URL del webhook no válida', 'Indica al menos un evento', /^Eventos no soportados/]
+    },
+    CHIME_EVENTS_TOKEN_INVALID: { status: 401, es: 'Token de eventos no válido', en: 'Invalid events token' },
+    INVALID_SUBSCRIBE_URL: { status: 400, es: 'URL de suscripción no válida', en: 'Invalid subscription URL' },
+
+    // Servicio
+    SERVICE_NOT_READY: { status: 503, es: 'El servicio no está preparado', en: 'The service is not ready' }
+};
+
+// Código genérico para los errores sin código propio, según su estado HTTP
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    406: 'NOT_ACCEPTABLE',
+    409: 'CONFLICT',
+    410: 'GONE',
+    413: 'PAYLOAD_TOO_LARGE'
+};
+
+const byMessage = new Map();
+const patterns = [];
+Object.entries(API_ERRORS).forEach(([code, entry]) => {
+    [entry.es, ...(entry.legacy || [])].forEach(message => {
+        if (message instanceof RegExp) {
+            patterns.push({ pattern: message, code });
+        } else {
+            byMessage.set(message, code);
+        }
+    });
+});
+
+function codeForStatus(status) {
+    return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+// Código de un mensaje de error de las rutas (o el genérico de su estado si no tiene uno propio)
+function codeForMessage(message, status) {
+    if (byMessage.has(message)) return byMessage.get(message);
+    const match = typeof message === 'string' && patterns.find(({ pattern }) => pattern.test(message));
+    return match ? match.code : codeForStatus(status);
+}
+
+// Idioma de los mensajes según la cabecera Accept-Language (español por defecto)
+function errorLanguage(req) {
+    return req.acceptsLanguages(...LANGUAGES) || DEFAULT_LANGUAGE;
+}
+
+function errorMessage(code, language) {
+    const entry = API_ERRORS[code] || API_ERRORS.INTERNAL_ERROR;
+    return entry[language] || entry[DEFAULT_LANGUAGE];
+}
+
+// Cuerpo de error de /v1: { error: { code, message, details? } }
+function apiErrorBody(code, language, details) {
+    const error = { code, message: errorMessage(code, language) };
+    if (details && Object.keys(details).length > 0) {
+        error.details = details;
+    }
+    return { error };
+}
+
+// Convertir la respuesta de error de una ruta ({ error: '<mensaje>', ...datos }) al formato de /v1.
+// En español se conserva el mensaje original, que suele ser más concreto que el del catálogo;
+// los datos adicionales (roles admitidos, errores de validación...) pasan a `details`.
+function toApiError(status, body, language) {
+    const { error, ...extra } = body && typeof body === 'object' ? body : { error: body };
+    const message = typeof error === 'string' ? error : null;
+    const code = codeForMessage(message, status);
+
+    // Los errores internos no exponen el detalle de la excepción; los 5xx con código propio
+    // (SERVICE_NOT_READY) conservan sus datos
+    if (status >= 500 && (code === 'INTERNAL_ERROR' || API_ERRORS[code].status !== status)) {
+        return apiErrorBody('INTERNAL_ERROR', language);
+    }
+
+    const details = { ...extra };
+    const generic = Object.values(STATUS_CODES).includes(code);
+    if (generic && message) {
+        details.reason = message;
+    }
+
+    const response = apiErrorBody(code, language, details);
+    if (language === DEFAULT_LANGUAGE && message && !generic) {
+        response.error.message = message;
+    }
+    return response;
+}
+
+module.exports = {
+    API_ERRORS,
+    LANGUAGES,
+    codeForMessage,
+    errorLanguage,
+    apiErrorBody,
+    toApiError
+};
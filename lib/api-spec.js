@@ -0,0 +1,996 @@
+const { ROLES } = require('./roles');
+const { MEDIA_REGIONS } = require('./media-regions');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { AUDIT_ACTIONS } = require('./audit');
+const { FORMATS } = require('./exporters');
+
+// Descripción de las rutas de la API /v1: parámetros, cuerpo, respuestas y códigos de error.
+// lib/api.js valida con estos esquemas las peticiones y respuestas de /v1 y genera con ellos el
+// documento OpenAPI. Cada ruta registrada en app.js debe tener aquí su entrada.
+//
+// `access` indica quién puede llamar a la ruta y añade sus errores comunes:
+//   public      sin autenticación
+//   user        token de usuario (Authorization: Bearer o ?access_token=)
+//   participant token de un participante de la reunión
+//   host        token de un anfitrión de la reunión
+//   apiKey      clave de administración (x-api-key)
+//   eventsToken token de eventos de Chime (cabecera x-events-token)
+// Los cuerpos de las peticiones no admiten campos desconocidos; las respuestas sí, para que
+// añadir un campo no rompa a los clientes.
+
+// Esquemas de entrada (cerrados) y de salida (abiertos)
+const input = (properties, required = []) => ({ type: 'object', properties, required, additionalProperties: false });
+const output = (properties, required = []) => ({ type: 'object', properties, required });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = items => ({ type: 'array', items });
+const nullable = schema => (schema.$ref ? { anyOf: [schema, { type: 'null' }] } : { ...schema, type: [].concat(schema.type, 'null') });
+const extend = (base, properties, required) => ({ allOf: [base, output(properties, required)] });
+
+const id = { type: 'string', minLength: 1 };
+const text = { type: 'string' };
+const dateTime = { type: 'string', format: 'date-time' };
+const flag = { type: 'boolean' };
+const count = { type: 'integer', minimum: 0 };
+const anyObject = { type: 'object' };
+// '*' suscribe a todos los eventos
+const webhookEvent = { type: 'string', enum: [...WEBHOOK_EVENTS, '*'] };
+
+const TRANSCRIPTION_SETTINGS_PROPERTIES = {
+    engine: { type: 'string', enum: ['standard', 'medical'] },
+    languageCode: text,
+    region: text,
+    vocabularyName: text,
+    vocabularyFilterName: text,
+    vocabularyFilterMethod: { type: 'string', enum: ['mask', 'remove', 'tag'] },
+    languageModelName: text,
+    contentIdentification: flag,
+    contentRedaction: flag,
+    piiEntityTypes: arrayOf(text),
+    partialResultsStability: { type: 'string', enum: ['low', 'medium', 'high'] },
+    identifyLanguage: flag,
+    languageOptions: arrayOf(text),
+    preferredLanguage: text,
+    vocabularyNames: arrayOf(text),
+    vocabularyFilterNames: arrayOf(text),
+    specialty: text,
+    medicalType: { type: 'string', enum: ['CONVERSATION', 'DICTATION'] }
+};
+
+// Opciones comunes de /create-meeting y /schedule-meeting
+const MEETING_OPTIONS = {
+    defaultRole: { type: 'string', enum: ROLES.filter(role => role !== 'host') },
+    transcriptionSettings: ref('TranscriptionSettings'),
+    lobbyEnabled: flag,
+    mediaRegion: { type: 'string', enum: MEDIA_REGIONS },
+    regionHints: input({
+        country: { type: 'string', pattern: '^[A-Za-z]{2}$' },
+        timezone: text,
+        latencies: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } }
+    })
+};
+
+const INVITE_OPTIONS = {
+    expiresInHours: { type: 'number', exclusiveMinimum: 0 },
+    maxUses: nullable({ type: 'integer', minimum: 1 }),
+    singleUse: flag
+};
+
+// Límites de una organización (null = sin límite)
+const ORGANIZATION_LIMITS = {
+    maxConcurrentMeetings: nullable({ type: 'integer', minimum: 1 }),
+    maxAttendeesPerMeeting: nullable({ type: 'integer', minimum: 1 }),
+    transcriptionMinutesPerPeriod: nullable({ type: 'number', exclusiveMinimum: 0 })
+};
+
+const LIVE_QUERY = input({ replay: { type: 'integer', minimum: 0 } });
+// Los asistentes y las solicitudes de la sala de espera se identifican por su memberKey
+const MEMBER_KEY_PARAM = ':userId es la memberKey del usuario: su userId, u orgId:userId si viene invitado de otra organización.';
+
+const components = {
+    Error: output({
+        error: output({
+            code: { type: 'string', description: 'Código estable del error' },
+            message: { type: 'string', description: 'Mensaje en el idioma de Accept-Language (es, en)' },
+            details: anyObject
+        }, ['code', 'message'])
+    }, ['error']),
+    Success: output({ success: flag, message: text }, ['success']),
+    TranscriptionSettings: input(TRANSCRIPTION_SETTINGS_PROPERTIES),
+    Token: output({ token: text, tokenType: { type: 'string', const: 'Bearer' } }, ['token', 'tokenType']),
+    OrganizationLimits: output(ORGANIZATION_LIMITS),
+    Organization: output({
+        id,
+        name: text,
+        limits: ref('OrganizationLimits'),
+        effectiveLimits: ref('OrganizationLimits'),
+        createdAt: nullable(dateTime)
+    }, ['id', 'name', 'limits', 'effectiveLimits']),
+    Webhook: output({
+        id,
+        orgId: id,
+        url: text,
+        events: arrayOf(webhookEvent),
+        description: nullable(text),
+        active: flag,
+        createdAt: dateTime
+    }, ['id', 'url', 'events']),
+    WebhookDelivery: output({
+        id,
+        webhookId: id,
+        event: text,
+        status: text,
+        attempts: arrayOf(anyObject),
+        createdAt: dateTime
+    }, ['id', 'webhookId', 'event', 'status']),
+    MeetingSummary: output({
+        meetingId: id,
+        externalMeetingId: text,
+        creationTime: dateTime,
+        attendeeCount: count,
+        connectedCount: count,
+        status: text,
+        lobbyEnabled: flag,
+        mediaRegion: text,
+        transcriptionEnabled: flag,
+        recordingEnabled: flag,
+        recordingStartedAt: nullable(dateTime)
+    }, ['meetingId', 'creationTime', 'attendeeCount']),
+    MeetingCreated: output({
+        meetingId: id,
+        mediaRegion: text,
+        mediaRegionSource: { type: 'string', enum: ['requested', 'latency', 'country', 'timezone', 'default'] },
+        lobbyEnabled: flag
+    }, ['meetingId', 'mediaRegion']),
+    JoinResult: output({
+        meetingInfo: output({ Meeting: anyObject, meetingId: id, creationTime: dateTime, transcriptionEnabled: flag }, ['meetingId']),
+        attendeeInfo: anyObject,
+        isCreator: flag,
+        role: { type: 'string', enum: ROLES },
+        capabilities: anyObject
+    }, ['meetingInfo', 'attendeeInfo', 'role']),
+    LobbyRequest: output({
+        meetingId: id,
+        userId: id,
+        orgId: id,
+        memberKey: id,
+        userName: text,
+        status: { type: 'string', enum: ['pending', 'admitted', 'rejected'] },
+        requestedAt: dateTime,
+        decidedAt: nullable(dateTime),
+        reason: nullable(text),
+        statusStream: text
+    }, ['meetingId', 'userId', 'status']),
+    Attendee: output({
+        userId: id,
+        orgId: id,
+        memberKey: id,
+        userName: text,
+        attendeeId: nullable(text),
+        joinTime: dateTime,
+        role: { type: 'string', enum: ROLES },
+        capabilities: anyObject,
+        isCreator: flag,
+        presence: text,
+        connectedAt: nullable(dateTime),
+        leftAt: nullable(dateTime)
+    }, ['userId', 'role']),
+    Invite: output({
+        id,
+        meetingId: nullable(text),
+        scheduledMeetingId: nullable(text),
+        orgId: id,
+        createdBy: nullable(text),
+        createdAt: dateTime,
+        expiresAt: dateTime,
+        maxUses: nullable({ type: 'integer' }),
+        uses: count,
+        revokedAt: nullable(dateTime),
+        token: text,
+        joinUrl: text
+    }, ['id', 'expiresAt', 'token', 'joinUrl']),
+    ScheduledMeeting: output({
+        scheduledMeetingId: id,
+        title: text,
+        description: nullable(text),
+        startTime: dateTime,
+        endTime: dateTime,
+        durationMinutes: { type: 'integer' },
+        creatorId: text,
+        meetingId: nullable(text),
+        calendarUrl: text
+    }, ['scheduledMeetingId', 'title', 'startTime', 'endTime']),
+    Recording: output({
+        pipelineId: text,
+        provider: text,
+        artifacts: arrayOf(text),
+        startedAt: dateTime
+    }),
+    ChatMessage: output({
+        seq: count,
+        id,
+        userId: text,
+        userName: text,
+        attendeeId: text,
+        text,
+        timestamp: dateTime,
+        redactions: anyObject
+    }, ['seq', 'id', 'userId', 'text', 'timestamp']),
+    TranscriptSegment: output({
+        id: text,
+        text,
+        timestamp: text,
+        attendeeId: text,
+        kind: { type: 'string', enum: ['speech', 'chat'] },
+        redactions: anyObject,
+        edited: flag,
+        // Traducciones guardadas por idioma
+        translations: { type: 'object', additionalProperties: ref('SegmentTranslation') }
+    }, ['text']),
+    SegmentTranslation: output({
+        text,
+        sourceLanguage: text,
+        provider: text,
+        sourceHash: text
+    }, ['text']),
+    TranscriptTranslation: output({
+        transcriptionId: id,
+        language: text,
+        provider: text,
+        failedSegments: count,
+        segments: arrayOf(output({
+            id: text,
+            kind: { type: 'string', enum: ['speech', 'chat'] },
+            attendeeId: text,
+            timestamp: text,
+            text,
+            translation: nullable(text),
+            sourceLanguage: nullable(text)
+        }, ['text', 'translation']))
+    }, ['transcriptionId', 'language', 'segments']),
+    Transcription: output({
+        id,
+        meetingId: text,
+        creatorId: text,
+        title: text,
+        date: dateTime,
+        participants: arrayOf(anyObject),
+        participantCount: count,
+        transcripts: arrayOf(ref('TranscriptSegment')),
+        speakerNames: { type: 'object', additionalProperties: text },
+        sourceLanguage: text,
+        translationLanguages: arrayOf(text),
+        revision: count,
+        retentionDays: nullable({ type: 'number' }),
+        expiresAt: nullable(dateTime),
+        minutes: anyObject
+    }, ['id', 'meetingId', 'title', 'transcripts']),
+    TranscriptionSummary: output({
+        id,
+        title: text,
+        date: dateTime,
+        meetingId: text,
+        participantCount: count,
+        expiresAt: nullable(dateTime)
+    }, ['id', 'title', 'date']),
+    Analytics: output({
+        startTime: nullable(text),
+        durationMs: nullable({ type: 'number' }),
+        speakers: arrayOf(output({ userId: text, userName: text, talkTimeMs: { type: 'number' } }, ['userId'])),
+        balance: anyObject
+    }, ['speakers']),
+    AuditEntry: output({
+        id,
+        transcriptionId: text,
+        action: { type: 'string', enum: AUDIT_ACTIONS },
+        actorId: text,
+        actorName: nullable(text),
+        details: nullable(anyObject),
+        at: dateTime
+    }, ['id', 'transcriptionId', 'action', 'actorId', 'at']),
+    Revision: output({
+        transcriptionId: text,
+        revision: count,
+        authorId: text,
+        authorName: nullable(text),
+        at: dateTime,
+        operation: { type: 'string', enum: ['original', 'edit', 'merge', 'split', 'rename-speaker', 'rollback'] },
+        details: anyObject,
+        diff: nullable(anyObject)
+    }, ['transcriptionId', 'revision', 'authorId', 'at', 'operation']),
+    TranscriptEdit: output({
+        success: flag,
+        transcriptionId: text,
+        revision: count,
+        diff: output({
+            added: arrayOf(ref('TranscriptSegment')),
+            removed: arrayOf(ref('TranscriptSegment')),
+            changed: arrayOf(anyObject),
+            speakerNames: anyObject
+        }, ['added', 'removed', 'changed', 'speakerNames'])
+    }, ['success', 'transcriptionId', 'revision', 'diff']),
+    ReconciliationReport: output({
+        trigger: text,
+        startedAt: dateTime,
+        finishedAt: dateTime,
+        durationMs: { type: 'number' },
+        checked: count,
+        active: count,
+        removed: arrayOf(output({ meetingId: text, reason: text }, ['meetingId', 'reason'])),
+        errors: arrayOf(output({ meetingId: text, operation: text, error: text }))
+    }, ['trigger', 'checked', 'removed', 'errors']),
+    ServicePermissions: output({
+        status: { type: 'string', enum: ['success', 'unverified', 'error'] },
+        details: text,
+        actions: arrayOf(output({
+            action: text,
+            status: { type: 'string', enum: ['granted', 'denied', 'inconclusive', 'error'] },
+            details: nullable(text),
+            durationMs: count
+        }, ['action', 'status']))
+    }, ['status', 'actions']),
+    Readiness: output({
+        status: { type: 'string', enum: ['ready', 'not-ready'] },
+        checks: output({
+            storage: output({ status: { type: 'string', enum: ['ok', 'error'] }, driver: text, details: text }, ['status']),
+            aws: output({
+                status: { type: 'string', enum: ['ok', 'error'] },
+                checkedAt: dateTime,
+                services: { type: 'object', additionalProperties: output({ status: text, details: text }, ['status']) }
+            }, ['status', 'services'])
+        }, ['storage', 'aws'])
+    }, ['status', 'checks'])
+};
+
+const routes = [
+    {
+        method: 'get', path: '/prueba', operationId: 'testPage', tag: 'Servicio', access: 'public',
+        summary: 'Página de prueba del servicio',
+        responses: { 200: { content: 'text/html' } }
+    },
+    {
+        method: 'get', path: '/', operationId: 'homePage', tag: 'Servicio', access: 'public',
+        summary: 'Página de inicio del servicio',
+        responses: { 200: { content: 'text/html' } }
+    },
+    {
+        method: 'post', path: '/auth/token', operationId: 'issueToken', tag: 'Autenticación', access: 'apiKey',
+        summary: 'Emitir un token de acceso para un usuario',
+        description: 'Sin orgId el usuario pertenece a la organización por defecto.',
+        body: input({ userId: id, userName: text, orgId: id }, ['userId']),
+        responses: { 200: ref('Token') },
+        errors: ['USER_REQUIRED', 'ORGANIZATION_NOT_FOUND']
+    },
+
+    // Organizaciones
+    {
+        method: 'get', path: '/organizations', operationId: 'listOrganizations', tag: 'Organizaciones', access: 'apiKey',
+        summary: 'Listar las organizaciones',
+        responses: { 200: output({ organizations: arrayOf(ref('Organization')) }, ['organizations']) }
+    },
+    {
+        method: 'post', path: '/organizations', operationId: 'createOrganization', tag: 'Organizaciones', access: 'apiKey',
+        summary: 'Crear una organización',
+        body: input({ id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{1,62}$' }, name: id, limits: input(ORGANIZATION_LIMITS) }, ['name']),
+        responses: { 201: ref('Organization') },
+        errors: ['INVALID_ORGANIZATION', 'ORGANIZATION_EXISTS']
+    },
+    {
+        method: 'get', path: '/organizations/:orgId', operationId: 'getOrganization', tag: 'Organizaciones', access: 'apiKey',
+        summary: 'Consultar una organización',
+        responses: { 200: ref('Organization') },
+        errors: ['ORGANIZATION_NOT_FOUND']
+    },
+    {
+        method: 'patch', path: '/organizations/:orgId', operationId: 'updateOrganization', tag: 'Organizaciones', access: 'apiKey',
+        summary: 'Cambiar el nombre o los límites de una organización',
+        body: input({ name: id, limits: input(ORGANIZATION_LIMITS) }),
+        responses: { 200: ref('Organization') },
+        errors: ['ORGANIZATION_NOT_FOUND', 'INVALID_ORGANIZATION']
+    },
+    {
+        method: 'get', path: '/organizations/:orgId/usage', operationId: 'getOrganizationUsage', tag: 'Organizaciones', access: 'apiKey',
+        summary: 'Uso de una organización en un periodo de facturación',
+        description: 'El periodo es un mes natural en UTC (AAAA-MM); por defecto, el actual.',
+        query: input({ period: { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$' } }),
+        responses: {
+            200: output({
+                orgId: id,
+                period: text,
+                from: dateTime,
+                to: dateTime,
+                limits: ref('OrganizationLimits'),
+                usage: output({
+                    meetingsCreated: count,
+                    attendeesJoined: count,
+                    transcriptionsSaved: count,
+                    transcriptionMinutes: { type: 'number', minimum: 0 },
+                    peakConcurrentMeetings: count
+                }, ['meetingsCreated', 'attendeesJoined', 'transcriptionsSaved', 'transcriptionMinutes', 'peakConcurrentMeetings']),
+                quotaRejections: { type: 'object', additionalProperties: count },
+                current: nullable(output({ activeMeetings: count, activeTranscriptions: count }))
+            }, ['orgId', 'period', 'from', 'to', 'limits', 'usage', 'quotaRejections'])
+        },
+        errors: ['ORGANIZATION_NOT_FOUND', 'INVALID_PERIOD']
+    },
+
+    // Webhooks
+    {
+        method: 'get', path: '/webhooks', operationId: 'listWebhooks', tag: 'Webhooks', access: 'apiKey',
+        summary: 'Listar las suscripciones de webhooks',
+        query: input({ orgId: id }),
+        responses: { 200: output({ events: arrayOf(text), webhooks: arrayOf(ref('Webhook')) }, ['events', 'webhooks']) }
+    },
+    {
+        method: 'post', path: '/webhooks', operationId: 'createWebhook', tag: 'Webhooks', access: 'apiKey',
+        summary: 'Crear una suscripción de webhook',
+        description: 'La suscripción solo recibe los eventos de su organización (sin orgId, la organización por defecto).',
+        body: input({
+            url: { type: 'string', format: 'uri' },
+            events: { ...arrayOf(webhookEvent), minItems: 1 },
+            secret: id,
+            description: text,
+            orgId: id
+        }, ['url', 'events']),
+        responses: { 201: extend(ref('Webhook'), { secret: text }, ['secret']) },
+        errors: ['INVALID_WEBHOOK', 'ORGANIZATION_NOT_FOUND']
+    },
+    {
+        method: 'patch', path: '/webhooks/:id', operationId: 'updateWebhook', tag: 'Webhooks', access: 'apiKey',
+        summary: 'Modificar una suscripción de webhook',
+        body: input({
+            url: { type: 'string', format: 'uri' },
+            events: { ...arrayOf(webhookEvent), minItems: 1 },
+            description: text,
+            active: flag
+        }),
+        responses: { 200: ref('Webhook') },
+        errors: ['WEBHOOK_NOT_FOUND', 'INVALID_WEBHOOK']
+    },
+    {
+        method: 'delete', path: '/webhooks/:id', operationId: 'deleteWebhook', tag: 'Webhooks', access: 'apiKey',
+        summary: 'Eliminar una suscripción de webhook',
+        responses: { 200: ref('Success') },
+        errors: ['WEBHOOK_NOT_FOUND']
+    },
+    {
+        method: 'get', path: '/webhooks/:id/deliveries', operationId: 'listWebhookDeliveries', tag: 'Webhooks', access: 'apiKey',
+        summary: 'Registro de entregas de un webhook',
+        responses: { 200: arrayOf(ref('WebhookDelivery')) },
+        errors: ['WEBHOOK_NOT_FOUND']
+    },
+    {
+        method: 'post', path: '/webhooks/:id/deliveries/:deliveryId/redeliver', operationId: 'redeliverWebhook', tag: 'Webhooks', access: 'apiKey',
+        summary: 'Reenviar una entrega de webhook',
+        responses: { 200: ref('WebhookDelivery') },
+        errors: ['DELIVERY_NOT_FOUND']
+    },
+
+    // Reuniones
+    {
+        method: 'get', path: '/list-meetings', operationId: 'listMeetings', tag: 'Reuniones', access: 'user',
+        summary: 'Listar las reuniones activas',
+        responses: { 200: arrayOf(ref('MeetingSummary')) }
+    },
+    {
+        method: 'post', path: '/join-meeting', operationId: 'joinMeeting', tag: 'Reuniones', access: 'user',
+        summary: 'Unirse a una reunión por su meetingId o con una invitación',
+        description: 'Con sala de espera, quien no es anfitrión recibe 202 con su solicitud hasta que se le admita.',
+        body: input({ meetingId: id, inviteToken: id, userName: text }),
+        responses: { 200: ref('JoinResult'), 202: ref('LobbyRequest') },
+        errors: ['USER_REQUIRED', 'MEETING_NOT_FOUND', 'LOBBY_REJECTED', 'INVITE_INVALID', 'INVITE_NOT_FOUND', 'INVITE_EXPIRED',
+            'INVITE_REVOKED', 'INVITE_EXHAUSTED', 'SCHEDULED_MEETING_NOT_FOUND', 'MEETING_NOT_STARTED', 'SCHEDULED_MEETING_ENDED',
+            'QUOTA_ATTENDEES_PER_MEETING', 'QUOTA_CONCURRENT_MEETINGS']
+    },
+    {
+        method: 'get', path: '/media-regions', operationId: 'listMediaRegions', tag: 'Reuniones', access: 'public',
+        summary: 'Regiones de medios disponibles',
+        responses: { 200: output({ regions: arrayOf(text), defaultRegion: text }, ['regions', 'defaultRegion']) }
+    },
+    {
+        method: 'post', path: '/create-meeting', operationId: 'createMeeting', tag: 'Reuniones', access: 'user',
+        summary: 'Crear una reunión',
+        body: input(MEETING_OPTIONS),
+        responses: { 200: ref('MeetingCreated') },
+        errors: ['USER_REQUIRED', 'INVALID_ROLE', 'INVALID_TRANSCRIPTION_SETTINGS', 'INVALID_LOBBY_SETTING', 'INVALID_MEDIA_REGION',
+            'QUOTA_CONCURRENT_MEETINGS']
+    },
+    {
+        method: 'post', path: '/meeting/:meetingId/invites', operationId: 'createInvite', tag: 'Invitaciones', access: 'host',
+        summary: 'Crear una invitación a una reunión activa',
+        body: input(INVITE_OPTIONS),
+        responses: { 201: ref('Invite') },
+        errors: ['INVALID_INVITE_OPTIONS']
+    },
+    {
+        method: 'get', path: '/meeting/:meetingId/invites', operationId: 'listInvites', tag: 'Invitaciones', access: 'host',
+        summary: 'Listar las invitaciones de una reunión activa',
+        responses: { 200: output({ meetingId: id, invites: arrayOf(ref('Invite')) }, ['meetingId', 'invites']) }
+    },
+    {
+        method: 'delete', path: '/invites/:inviteId', operationId: 'revokeInvite', tag: 'Invitaciones', access: 'user',
+        summary: 'Revocar una invitación',
+        responses: { 200: ref('Success') },
+        errors: ['INVITE_NOT_FOUND', 'INVITE_REVOKE_FORBIDDEN']
+    },
+    {
+        method: 'post', path: '/schedule-meeting', operationId: 'scheduleMeeting', tag: 'Reuniones programadas', access: 'user',
+        summary: 'Programar una reunión con su invitación de calendario',
+        body: input({
+            title: { type: 'string', minLength: 1 },
+            description: text,
+            startTime: dateTime,
+            durationMinutes: { type: 'integer', minimum: 1, maximum: 1440 },
+            ...MEETING_OPTIONS
+        }, ['title', 'startTime']),
+        responses: { 201: extend(ref('ScheduledMeeting'), { invite: ref('Invite') }, ['invite']) },
+        errors: ['USER_REQUIRED', 'TITLE_REQUIRED', 'INVALID_START_TIME', 'INVALID_DURATION', 'INVALID_ROLE',
+            'INVALID_TRANSCRIPTION_SETTINGS', 'INVALID_MEDIA_REGION']
+    },
+    {
+        method: 'get', path: '/scheduled-meetings', operationId: 'listScheduledMeetings', tag: 'Reuniones programadas', access: 'user',
+        summary: 'Listar las reuniones programadas por el usuario',
+        responses: { 200: arrayOf(ref('ScheduledMeeting')) }
+    },
+    {
+        method: 'post', path: '/scheduled-meetings/:id/invites', operationId: 'createScheduledInvite', tag: 'Reuniones programadas', access: 'user',
+        summary: 'Crear otra invitación a una reunión programada',
+        body: input(INVITE_OPTIONS),
+        responses: { 201: ref('Invite') },
+        errors: ['SCHEDULED_MEETING_NOT_FOUND', 'SCHEDULE_OWNER_REQUIRED', 'INVALID_INVITE_OPTIONS']
+    },
+    {
+        method: 'get', path: '/scheduled-meetings/:id/calendar.ics', operationId: 'getScheduledCalendar', tag: 'Reuniones programadas', access: 'user',
+        summary: 'Invitación de calendario (iCalendar) de una reunión programada',
+        query: input({ inviteId: id }),
+        responses: { 200: { content: 'text/calendar' } },
+        errors: ['SCHEDULED_MEETING_NOT_FOUND', 'SCHEDULE_OWNER_REQUIRED', 'INVITE_NOT_FOUND']
+    },
+
+    // Asistentes y sala de espera
+    {
+        method: 'get', path: '/meeting/:meetingId/attendees', operationId: 'listAttendees', tag: 'Asistentes', access: 'participant',
+        summary: 'Listar los asistentes de una reunión',
+        responses: {
+            200: output({
+                meetingId: id,
+                attendees: arrayOf(ref('Attendee')),
+                roleAssignments: { type: 'object', additionalProperties: { type: 'string', enum: ROLES } }
+            }, ['meetingId', 'attendees'])
+        }
+    },
+    {
+        method: 'delete', path: '/meeting/:meetingId/attendees/:userId', operationId: 'removeAttendee', tag: 'Asistentes', access: 'host',
+        summary: 'Expulsar a un asistente',
+        description: MEMBER_KEY_PARAM,
+        responses: { 200: ref('Success') },
+        errors: ['ATTENDEE_NOT_FOUND', 'CANNOT_REMOVE_CREATOR']
+    },
+    {
+        method: 'put', path: '/meeting/:meetingId/attendees/:userId/role', operationId: 'setAttendeeRole', tag: 'Asistentes', access: 'host',
+        summary: 'Asignar el rol de un usuario en la reunión',
+        description: MEMBER_KEY_PARAM,
+        body: input({ role: { type: 'string', enum: ROLES } }, ['role']),
+        responses: {
+            200: output({ success: flag, userId: id, role: { type: 'string', enum: ROLES }, capabilities: anyObject, applied: flag },
+                ['success', 'userId', 'role', 'applied'])
+        },
+        errors: ['INVALID_ROLE', 'CREATOR_ROLE_FIXED']
+    },
+    {
+        method: 'get', path: '/meeting/:meetingId/lobby', operationId: 'listLobby', tag: 'Sala de espera', access: 'host',
+        summary: 'Listar las solicitudes de la sala de espera',
+        query: input({ status: { type: 'string', enum: ['pending', 'admitted', 'rejected'] } }),
+        responses: { 200: output({ meetingId: id, lobbyEnabled: flag, requests: arrayOf(ref('LobbyRequest')) }, ['meetingId', 'requests']) },
+        errors: ['INVALID_LOBBY_STATUS']
+    },
+    {
+        method: 'post', path: '/meeting/:meetingId/lobby/:userId/admit', operationId: 'admitLobbyRequest', tag: 'Sala de espera', access: 'host',
+        summary: 'Admitir una solicitud de la sala de espera',
+        description: MEMBER_KEY_PARAM,
+        body: input({}),
+        responses: { 200: extend(ref('LobbyRequest'), { success: flag }, ['success']) },
+        errors: ['LOBBY_REQUEST_NOT_FOUND']
+    },
+    {
+        method: 'post', path: '/meeting/:meetingId/lobby/:userId/reject', operationId: 'rejectLobbyRequest', tag: 'Sala de espera', access: 'host',
+        summary: 'Rechazar una solicitud de la sala de espera',
+        description: MEMBER_KEY_PARAM,
+        body: input({ reason: { type: 'string', maxLength: 500 } }),
+        responses: { 200: extend(ref('LobbyRequest'), { success: flag }, ['success']) },
+        errors: ['LOBBY_REQUEST_NOT_FOUND']
+    },
+    {
+        method: 'get', path: '/meeting/:meetingId/lobby/stream', operationId: 'streamLobbyStatus', tag: 'Sala de espera', access: 'user',
+        summary: 'Decisión del anfitrión sobre la solicitud propia (Server-Sent Events)',
+        responses: { 200: { content: 'text/event-stream' } },
+        errors: ['MEETING_NOT_FOUND', 'LOBBY_REQUEST_NOT_FOUND']
+    },
+
+    // Transcripción y grabación
+    {
+        method: 'get', path: '/meeting/:meetingId/transcription-settings', operationId: 'getTranscriptionSettings', tag: 'Transcripción', access: 'participant',
+        summary: 'Ajustes de transcripción por defecto de la reunión',
+        responses: {
+            200: output({
+                meetingId: id,
+                transcriptionSettings: anyObject,
+                activeTranscriptionSettings: nullable(anyObject)
+            }, ['meetingId', 'transcriptionSettings'])
+        }
+    },
+    {
+        method: 'put', path: '/meeting/:meetingId/transcription-settings', operationId: 'setTranscriptionSettings', tag: 'Transcripción', access: 'host',
+        summary: 'Cambiar los ajustes de transcripción por defecto de la reunión',
+        body: ref('TranscriptionSettings'),
+        responses: { 200: output({ success: flag, meetingId: id, transcriptionSettings: anyObject }, ['success', 'meetingId']) },
+        errors: ['INVALID_TRANSCRIPTION_SETTINGS']
+    },
+    {
+        method: 'post', path: '/start-transcription', operationId: 'startTranscription', tag: 'Transcripción', access: 'host',
+        summary: 'Iniciar la transcripción de Chime',
+        description: 'Si AWS deniega el permiso responde 403 y activa la transcripción alternativa.',
+        body: input({ meetingId: id, language: text, ...TRANSCRIPTION_SETTINGS_PROPERTIES }, ['meetingId']),
+        responses: { 200: output({ success: flag, message: text, settings: anyObject, region: text }, ['success']) },
+        errors: ['INVALID_TRANSCRIPTION_SETTINGS', 'TRANSCRIPTION_PERMISSION_DENIED', 'QUOTA_TRANSCRIPTION_MINUTES']
+    },
+    {
+        method: 'post', path: '/stop-transcription', operationId: 'stopTranscription', tag: 'Transcripción', access: 'host',
+        summary: 'Detener la transcripción',
+        body: input({ meetingId: id }, ['meetingId']),
+        responses: { 200: ref('Success') }
+    },
+    {
+        method: 'post', path: '/start-recording', operationId: 'startRecording', tag: 'Grabación', access: 'host',
+        summary: 'Iniciar la grabación de la reunión',
+        body: input({ meetingId: id, artifacts: arrayOf({ type: 'string', enum: ['audio', 'video', 'content'] }) }, ['meetingId']),
+        responses: { 200: output({ success: flag, message: text, recording: ref('Recording') }, ['success', 'recording']) },
+        errors: ['RECORDING_ALREADY_ACTIVE', 'INVALID_RECORDING_ARTIFACTS']
+    },
+    {
+        method: 'post', path: '/stop-recording', operationId: 'stopRecording', tag: 'Grabación', access: 'host',
+        summary: 'Detener la grabación de la reunión',
+        body: input({ meetingId: id }, ['meetingId']),
+        responses: { 200: output({ success: flag, message: text, recording: ref('Recording') }, ['success', 'recording']) },
+        errors: ['RECORDING_NOT_ACTIVE']
+    },
+    {
+        method: 'get', path: '/meeting/:meetingId/recordings', operationId: 'listRecordings', tag: 'Grabación', access: 'participant',
+        summary: 'Estado de grabación y grabaciones anteriores',
+        responses: {
+            200: output({
+                meetingId: id,
+                recordingEnabled: flag,
+                current: nullable(ref('Recording')),
+                recordings: arrayOf(ref('Recording'))
+            }, ['meetingId', 'recordingEnabled', 'recordings'])
+        }
+    },
+    {
+        method: 'delete', path: '/delete-meeting/:meetingId', operationId: 'deleteMeeting', tag: 'Reuniones', access: 'host',
+        summary: 'Eliminar una reunión',
+        responses: { 200: ref('Success') }
+    },
+    {
+        method: 'post', path: '/delete-meeting', operationId: 'deleteMeetingByBody', tag: 'Reuniones', access: 'host',
+        summary: 'Eliminar una reunión (variante con POST)',
+        deprecated: true,
+        description: 'Equivale a DELETE /delete-meeting/{meetingId}.',
+        body: input({ meetingId: id }, ['meetingId']),
+        responses: { 200: ref('Success') }
+    },
+    {
+        method: 'get', path: '/check-transcription/:meetingId', operationId: 'checkTranscription', tag: 'Transcripción', access: 'participant',
+        summary: 'Estado de la transcripción en el servidor y en Chime',
+        responses: {
+            200: output({
+                meetingId: id,
+                transcriptionEnabled: output({ local: flag, chime: flag }, ['local', 'chime']),
+                chimeStatus: nullable(anyObject),
+                serverTime: dateTime
+            }, ['meetingId', 'transcriptionEnabled'])
+        }
+    },
+    {
+        method: 'post', path: '/start-transcription-alternative', operationId: 'startAlternativeTranscription', tag: 'Transcripción', access: 'host',
+        summary: 'Iniciar la transcripción en el servidor con el audio de los clientes',
+        body: input({ meetingId: id }, ['meetingId']),
+        responses: { 200: output({ success: flag, message: text, note: text, audioStream: text }, ['success', 'audioStream']) },
+        errors: ['QUOTA_TRANSCRIPTION_MINUTES']
+    },
+    {
+        method: 'get', path: '/verify-aws-permissions', operationId: 'verifyAwsPermissions', tag: 'Servicio', access: 'apiKey',
+        summary: 'Comprobar los permisos de AWS del servidor',
+        description: 'Prueba cada acción de Chime SDK Meetings, Transcribe y Media Pipelines que usa el servidor ' +
+            'con su comando real, sin crear recursos.',
+        responses: {
+            200: output({
+                permissionsCheck: { type: 'object', additionalProperties: ref('ServicePermissions') },
+                requiredServices: arrayOf(text),
+                checkedAt: dateTime,
+                hasPermissionIssues: flag,
+                recommendations: arrayOf(text)
+            }, ['permissionsCheck', 'hasPermissionIssues'])
+        }
+    },
+    {
+        method: 'get', path: '/health/live', operationId: 'liveness', tag: 'Servicio', access: 'public',
+        summary: 'Comprobar que el proceso responde',
+        responses: { 200: output({ status: { type: 'string', const: 'ok' }, uptimeSeconds: count }, ['status']) }
+    },
+    {
+        method: 'get', path: '/health/ready', operationId: 'readiness', tag: 'Servicio', access: 'public',
+        summary: 'Comprobar que el servicio puede atender peticiones',
+        description: 'Comprueba que el almacenamiento admite escrituras y que AWS autoriza las acciones que necesita ' +
+            'la configuración; la comprobación de AWS se reutiliza durante AWS_PERMISSIONS_CACHE_SECONDS.',
+        responses: { 200: ref('Readiness') },
+        errors: ['SERVICE_NOT_READY']
+    },
+    {
+        method: 'get', path: '/metrics', operationId: 'metrics', tag: 'Servicio', access: 'public',
+        summary: 'Métricas en formato Prometheus',
+        responses: { 200: { content: 'text/plain' } }
+    },
+    {
+        method: 'post', path: '/chime-events', operationId: 'receiveChimeEvents', tag: 'Integraciones', access: 'eventsToken',
+        summary: 'Recibir eventos del ciclo de vida de Chime (EventBridge o SNS)',
+        description: 'El cuerpo es un evento de EventBridge, una lista de eventos o un mensaje de SNS (también como text/plain). ' +
+            'Exige el token de eventos salvo para los mensajes SNS firmados de los temas de CHIME_EVENTS_SNS_TOPICS.',
+        responses: {
+            200: output({
+                success: flag,
+                subscriptionConfirmed: flag,
+                processed: count,
+                results: arrayOf(output({ type: text, meetingId: text, applied: flag }))
+            }, ['success'])
+        },
+        errors: ['CHIME_EVENTS_TOKEN_INVALID', 'INVALID_SUBSCRIBE_URL']
+    },
+    {
+        method: 'post', path: '/add-transcript', operationId: 'addTranscript', tag: 'Transcripción', access: 'participant',
+        summary: 'Añadir un fragmento de transcripción',
+        body: input({
+            meetingId: id,
+            transcript: { type: 'string', minLength: 1, maxLength: 10000 },
+            timestamp: dateTime,
+            attendeeId: text
+        }, ['meetingId', 'transcript']),
+        responses: { 200: ref('Success') },
+        errors: ['TRANSCRIPT_TEXT_REQUIRED', 'TRANSCRIPT_TEXT_TOO_LONG']
+    },
+    {
+        method: 'put', path: '/meeting/:meetingId/translation-language', operationId: 'setTranslationLanguage', tag: 'Transcripción', access: 'participant',
+        summary: 'Elegir el idioma al que se traduce la transcripción para el participante',
+        description: 'null deja de traducir. Se traduce a ese idioma en vivo y al guardar la transcripción.',
+        body: input({ language: nullable(text) }, ['language']),
+        responses: { 200: output({ success: flag, meetingId: id, userId: id, language: nullable(text) }, ['success', 'language']) },
+        errors: ['TRANSLATION_LANGUAGE_UNSUPPORTED', 'USER_REQUIRED']
+    },
+    {
+        method: 'get', path: '/transcript-stream/:meetingId', operationId: 'streamTranscript', tag: 'Transcripción', access: 'participant',
+        summary: 'Transcripción en vivo (Server-Sent Events)',
+        description: 'Con ?lang= (o el idioma elegido por el participante) cada fragmento va seguido de un evento transcript-translation.',
+        query: input({ ...LIVE_QUERY.properties, lang: text }),
+        responses: { 200: { content: 'text/event-stream' } },
+        errors: ['TRANSLATION_LANGUAGE_UNSUPPORTED']
+    },
+
+    // Chat
+    {
+        method: 'post', path: '/meeting/:meetingId/chat', operationId: 'sendChatMessage', tag: 'Chat', access: 'participant',
+        summary: 'Enviar un mensaje al chat de la reunión',
+        body: input({ text: { type: 'string', minLength: 1 } }, ['text']),
+        responses: { 201: ref('ChatMessage') },
+        errors: ['CHAT_TEXT_REQUIRED', 'CHAT_MESSAGE_TOO_LONG']
+    },
+    {
+        method: 'get', path: '/meeting/:meetingId/chat', operationId: 'listChatMessages', tag: 'Chat', access: 'participant',
+        summary: 'Mensajes del chat paginados por número de secuencia',
+        query: input({ before: count, after: count, limit: { type: 'integer', minimum: 1, maximum: 200 } }),
+        responses: {
+            200: output({ meetingId: id, messages: arrayOf(ref('ChatMessage')), hasMore: flag, total: count }, ['meetingId', 'messages', 'hasMore', 'total'])
+        },
+        errors: ['INVALID_CHAT_CURSOR']
+    },
+    {
+        method: 'get', path: '/meeting/:meetingId/chat/stream', operationId: 'streamChat', tag: 'Chat', access: 'participant',
+        summary: 'Chat en vivo (Server-Sent Events)',
+        query: LIVE_QUERY,
+        responses: { 200: { content: 'text/event-stream' } }
+    },
+
+    // Transcripciones guardadas
+    {
+        method: 'post', path: '/save-transcription', operationId: 'saveTranscription', tag: 'Transcripciones', access: 'participant',
+        summary: 'Guardar la transcripción de una reunión',
+        body: input({ meetingId: id, title: text, retentionDays: nullable({ type: 'number', exclusiveMinimum: 0 }) }, ['meetingId']),
+        responses: { 200: output({ success: flag, message: text, transcriptionId: id, expiresAt: nullable(dateTime) }, ['success', 'transcriptionId']) },
+        errors: ['NOTHING_TO_SAVE', 'INVALID_RETENTION']
+    },
+    {
+        method: 'get', path: '/transcriptions', operationId: 'listTranscriptions', tag: 'Transcripciones', access: 'user',
+        summary: 'Listar las transcripciones visibles para el usuario',
+        responses: { 200: arrayOf(ref('TranscriptionSummary')) }
+    },
+    {
+        method: 'get', path: '/transcription/:id/minutes', operationId: 'getMinutes', tag: 'Transcripciones', access: 'user',
+        summary: 'Actas de una transcripción',
+        responses: { 200: output({ transcriptionId: id, minutes: anyObject }, ['transcriptionId', 'minutes']) },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_ACCESS_DENIED']
+    },
+    {
+        method: 'post', path: '/transcription/:id/minutes', operationId: 'regenerateMinutes', tag: 'Transcripciones', access: 'user',
+        summary: 'Regenerar las actas de una transcripción',
+        body: input({}),
+        responses: { 200: output({ success: flag, transcriptionId: id, minutes: anyObject }, ['success', 'transcriptionId', 'minutes']) },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_ACCESS_DENIED']
+    },
+    {
+        method: 'get', path: '/meeting/:meetingId/analytics', operationId: 'getMeetingAnalytics', tag: 'Analítica', access: 'participant',
+        summary: 'Analítica de participación de una reunión activa',
+        responses: { 200: output({ meetingId: id, analytics: ref('Analytics') }, ['meetingId', 'analytics']) }
+    },
+    {
+        method: 'get', path: '/transcription/:id/analytics', operationId: 'getTranscriptionAnalytics', tag: 'Analítica', access: 'user',
+        summary: 'Analítica de participación de una transcripción guardada',
+        responses: { 200: output({ transcriptionId: id, meetingId: text, analytics: ref('Analytics') }, ['transcriptionId', 'analytics']) },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_ACCESS_DENIED']
+    },
+    {
+        method: 'get', path: '/analytics', operationId: 'getUserAnalytics', tag: 'Analítica', access: 'user',
+        summary: 'Participación agregada de un usuario en sus reuniones',
+        query: input({ userId: id, from: dateTime, to: dateTime }),
+        responses: { 200: output({ userId: id, from: nullable(text), to: nullable(text), meetings: arrayOf(anyObject) }, ['userId']) },
+        errors: ['USER_REQUIRED', 'ANALYTICS_FORBIDDEN', 'INVALID_DATE_RANGE']
+    },
+    {
+        method: 'get', path: '/search-transcriptions', operationId: 'searchTranscriptions', tag: 'Transcripciones', access: 'user',
+        summary: 'Buscar en las transcripciones guardadas',
+        query: input({
+            q: { type: 'string', minLength: 1 },
+            participant: text,
+            meetingId: text,
+            from: dateTime,
+            to: dateTime,
+            limit: { type: 'integer', minimum: 1 }
+        }, ['q']),
+        responses: {
+            200: output({
+                query: text,
+                terms: arrayOf(text),
+                total: count,
+                hits: arrayOf(output({ transcriptionId: id, segmentIndex: count, segmentId: nullable(text), speaker: text }, ['transcriptionId']))
+            }, ['total', 'hits'])
+        },
+        errors: ['SEARCH_QUERY_REQUIRED', 'INVALID_DATE_RANGE']
+    },
+    {
+        method: 'get', path: '/transcription/:id', operationId: 'getTranscription', tag: 'Transcripciones', access: 'user',
+        summary: 'Obtener o exportar una transcripción',
+        description: 'El formato se elige con ?format= o con la cabecera Accept.',
+        query: input({ format: text }),
+        responses: { 200: { schema: ref('Transcription'), content: Object.values(FORMATS).map(format => format.mime) } },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_ACCESS_DENIED', 'EXPORT_FORMAT_UNSUPPORTED', 'NOT_ACCEPTABLE']
+    },
+    {
+        method: 'get', path: '/transcription/:id/translations/:language', operationId: 'translateTranscription', tag: 'Transcripciones', access: 'user',
+        summary: 'Traducir una transcripción guardada',
+        description: 'Las traducciones se guardan por fragmento. El formato de exportación se elige con ?format= o con la cabecera Accept.',
+        query: input({ format: text }),
+        responses: { 200: { schema: ref('TranscriptTranslation'), content: Object.values(FORMATS).map(format => format.mime) } },
+        errors: [
+            'TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_ACCESS_DENIED', 'TRANSLATION_LANGUAGE_UNSUPPORTED',
+            'EXPORT_FORMAT_UNSUPPORTED', 'NOT_ACCEPTABLE', 'TRANSLATION_FAILED'
+        ]
+    },
+    {
+        method: 'delete', path: '/transcription/:id', operationId: 'deleteTranscription', tag: 'Transcripciones', access: 'user',
+        summary: 'Eliminar una transcripción guardada',
+        responses: { 200: ref('Success') },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_OWNER_REQUIRED']
+    },
+    {
+        method: 'put', path: '/transcription/:id/retention', operationId: 'setRetention', tag: 'Transcripciones', access: 'user',
+        summary: 'Cambiar la retención de una transcripción',
+        body: input({ retentionDays: nullable({ type: 'number', exclusiveMinimum: 0 }) }, ['retentionDays']),
+        responses: {
+            200: output({ success: flag, transcriptionId: id, retentionDays: nullable({ type: 'number' }), expiresAt: nullable(dateTime) },
+                ['success', 'transcriptionId'])
+        },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_OWNER_REQUIRED', 'INVALID_RETENTION']
+    },
+
+    // Edición de transcripciones
+    {
+        method: 'patch', path: '/transcription/:id/segments/:segmentId', operationId: 'editSegment', tag: 'Edición de transcripciones', access: 'user',
+        summary: 'Corregir el texto de un fragmento o reasignar su hablante',
+        body: input({ text: { type: 'string', minLength: 1 }, speaker: { type: 'string', minLength: 1, maxLength: 100 }, baseRevision: count }),
+        responses: { 200: ref('TranscriptEdit') },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_OWNER_REQUIRED', 'REVISION_CONFLICT', 'SEGMENT_NOT_FOUND', 'INVALID_SEGMENT_EDIT']
+    },
+    {
+        method: 'post', path: '/transcription/:id/segments/merge', operationId: 'mergeSegments', tag: 'Edición de transcripciones', access: 'user',
+        summary: 'Unir fragmentos consecutivos',
+        body: input({ segmentIds: { ...arrayOf(id), minItems: 2 }, baseRevision: count }, ['segmentIds']),
+        responses: { 200: ref('TranscriptEdit') },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_OWNER_REQUIRED', 'REVISION_CONFLICT', 'SEGMENT_NOT_FOUND', 'INVALID_SEGMENT_EDIT']
+    },
+    {
+        method: 'post', path: '/transcription/:id/segments/:segmentId/split', operationId: 'splitSegment', tag: 'Edición de transcripciones', access: 'user',
+        summary: 'Partir un fragmento en dos',
+        body: input({ at: { type: 'integer', minimum: 1 }, baseRevision: count }, ['at']),
+        responses: { 200: ref('TranscriptEdit') },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_OWNER_REQUIRED', 'REVISION_CONFLICT', 'SEGMENT_NOT_FOUND', 'INVALID_SEGMENT_EDIT']
+    },
+    {
+        method: 'put', path: '/transcription/:id/speakers/:speaker', operationId: 'renameSpeaker', tag: 'Edición de transcripciones', access: 'user',
+        summary: 'Cambiar el nombre de un hablante en toda la transcripción',
+        body: input({ name: { type: 'string', minLength: 1, maxLength: 100 }, baseRevision: count }, ['name']),
+        responses: { 200: ref('TranscriptEdit') },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_OWNER_REQUIRED', 'REVISION_CONFLICT', 'SPEAKER_NOT_FOUND', 'INVALID_SEGMENT_EDIT']
+    },
+    {
+        method: 'post', path: '/transcription/:id/revisions/:revision/rollback', operationId: 'rollbackTranscription', tag: 'Edición de transcripciones', access: 'user',
+        summary: 'Volver a una revisión anterior',
+        params: { revision: count },
+        body: input({ baseRevision: count }),
+        responses: { 200: ref('TranscriptEdit') },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_OWNER_REQUIRED', 'REVISION_CONFLICT', 'REVISION_NOT_FOUND', 'REVISION_ALREADY_CURRENT']
+    },
+    {
+        method: 'get', path: '/transcription/:id/revisions', operationId: 'listRevisions', tag: 'Edición de transcripciones', access: 'user',
+        summary: 'Historial de revisiones de una transcripción',
+        responses: {
+            200: output({ transcriptionId: id, currentRevision: count, revisions: arrayOf(ref('Revision')) }, ['transcriptionId', 'currentRevision', 'revisions'])
+        },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_ACCESS_DENIED']
+    },
+    {
+        method: 'get', path: '/transcription/:id/revisions/:revision', operationId: 'getRevision', tag: 'Edición de transcripciones', access: 'user',
+        summary: 'Una revisión con el estado de la transcripción en ella',
+        params: { revision: count },
+        responses: {
+            200: extend(ref('Revision'), {
+                snapshot: output({ transcripts: arrayOf(ref('TranscriptSegment')), speakerNames: anyObject }, ['transcripts'])
+            }, ['snapshot'])
+        },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_ACCESS_DENIED', 'REVISION_NOT_FOUND']
+    },
+
+    // Auditoría y administración
+    {
+        method: 'get', path: '/transcription/:id/audit', operationId: 'getTranscriptionAudit', tag: 'Auditoría', access: 'user',
+        summary: 'Registro de auditoría de una transcripción',
+        query: input({ action: { type: 'string', enum: AUDIT_ACTIONS }, actorId: text, from: dateTime, to: dateTime }),
+        responses: { 200: output({ transcriptionId: id, entries: arrayOf(ref('AuditEntry')) }, ['transcriptionId', 'entries']) },
+        errors: ['TRANSCRIPTION_NOT_FOUND', 'TRANSCRIPTION_OWNER_REQUIRED', 'INVALID_AUDIT_ACTION', 'INVALID_DATE_RANGE']
+    },
+    {
+        method: 'get', path: '/transcription-audit', operationId: 'listAudit', tag: 'Auditoría', access: 'apiKey',
+        summary: 'Registro de auditoría completo, incluidas las transcripciones eliminadas',
+        query: input({ transcriptionId: text, action: { type: 'string', enum: AUDIT_ACTIONS }, actorId: text, from: dateTime, to: dateTime }),
+        responses: { 200: output({ entries: arrayOf(ref('AuditEntry')) }, ['entries']) },
+        errors: ['INVALID_AUDIT_ACTION', 'INVALID_DATE_RANGE']
+    },
+    {
+        method: 'get', path: '/meeting-reconciliation', operationId: 'getReconciliation', tag: 'Servicio', access: 'apiKey',
+        summary: 'Informe de la última conciliación de reuniones con Chime',
+        responses: {
+            200: output({
+                expiryMinutes: { type: 'number' },
+                intervalMinutes: { type: 'number' },
+                lastReport: nullable(ref('ReconciliationReport'))
+            }, ['expiryMinutes', 'intervalMinutes', 'lastReport'])
+        }
+    },
+    {
+        method: 'post', path: '/meeting-reconciliation', operationId: 'runReconciliation', tag: 'Servicio', access: 'apiKey',
+        summary: 'Conciliar ahora las reuniones con Chime',
+        body: input({}),
+        responses: { 200: ref('ReconciliationReport') }
+    }
+];
+
+module.exports = {
+    API_ROUTES: routes,
+    API_COMPONENTS: components
+};
@@ -0,0 +1,191 @@
+const express = require('express');
+const { API_ROUTES, API_COMPONENTS } = require('./api-spec');
+const { validate, coerceParameters } = require('./schema');
+const { errorLanguage, apiErrorBody, toApiError } = require('./api-errors');
+const { buildOpenApiDocument } = require('./openapi');
+
+// API versionada. Cada ruta de app.js se registra dos veces: sin prefijo, con el comportamiento
+// de siempre, y bajo /v1, donde además:
+//   - los parámetros, la consulta y el cuerpo se validan con los esquemas de lib/api-spec.js
+//     (los parámetros de consulta desconocidos se ignoran),
+//   - las respuestas correctas se comprueban contra su esquema,
+//   - los errores responden { error: { code, message, details } } (ver lib/api-errors.js),
+//   - GET /v1/openapi.json devuelve el documento OpenAPI.
+//
+// API_RESPONSE_VALIDATION: 'strict' responde 500 (RESPONSE_INVALID) si una respuesta no cumple
+// su esquema, 'warn' solo lo registra y 'off' no comprueba. Por defecto 'warn': un desajuste del
+// esquema no debe tumbar una petición en producción. Las pruebas y la CI (CI=true) usan 'strict'.
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const RESPONSE_VALIDATION_MODES = ['strict', 'warn', 'off'];
+
+// Sin autenticación (AUTH_DISABLED=true) el usuario viaja en el cuerpo de la petición
+const IDENTITY_FIELDS = {
+    userId: { type: 'string', minLength: 1 },
+    userName: { type: 'string' },
+    orgId: { type: 'string', minLength: 1 }
+};
+
+function routeKey(method, path) {
+    return `${method.toUpperCase()} ${path}`;
+}
+
+function defaultResponseValidation() {
+    const configured = process.env.API_RESPONSE_VALIDATION;
+    if (RESPONSE_VALIDATION_MODES.includes(configured)) return configured;
+    return ['true', '1'].includes(process.env.CI) ? 'strict' : 'warn';
+}
+
+function createVersionedApi(app, {
+    prefix = '/v1',
+    routes = API_ROUTES,
+    components = API_COMPONENTS,
+    identityInBody = false,
+    responseValidation = defaultResponseValidation()
+} = {}) {
+    const router = express.Router();
+    const routeIndex = new Map(routes.map(route => [routeKey(route.method, route.path), route]));
+    const registered = new Set();
+    let openApiDocument = null;
+
+    const check = (schema, value) => validate(schema, value, { components });
+
+    // Esquemas de validación de una ruta (parámetros de ruta, consulta y cuerpo)
+    function requestSchemas(route) {
+        const names = (route.path.match(/:(\w+)/g) || []).map(name => name.slice(1));
+        const params = {
+            type: 'object',
+            properties: Object.fromEntries(names.map(name => [name, (route.params && route.params[name]) || { type: 'string', minLength: 1 }])),
+            required: names
+        };
+        const query = route.query ? { ...route.query, additionalProperties: true } : null;
+
+        let body = route.body || null;
+        if (body && identityInBody) {
+            const resolved = body.$ref ? components[body.$ref.split('/').pop()] : body;
+            body = { ...resolved, properties: { ...IDENTITY_FIELDS, ...resolved.properties } };
+        }
+        return { params, query, body };
+    }
+
+    function validateRequest(route) {
+        const schemas = requestSchemas(route);
+        return (req, res, next) => {
+            const errors = [];
+            const collect = (location, schema, value) => {
+                check(schema, value).forEach(error => errors.push({ in: location, ...error }));
+            };
+
+            collect('path', schemas.params, coerceParameters(schemas.params, req.params, { components }));
+            if (schemas.query) {
+                collect('query', schemas.query, coerceParameters(schemas.query, req.query, { components }));
+            }
+            if (schemas.body) {
+                collect('body', schemas.body, req.body === undefined ? {} : req.body);
+            }
+
+            if (errors.length > 0) {
+                return res.status(400).json(apiErrorBody('VALIDATION_FAILED', errorLanguage(req), { errors }));
+            }
+            next();
+        };
+    }
+
+    // Problemas de una respuesta correcta respecto a lo documentado (estado y esquema)
+    function responseProblems(route, status, body) {
+        const response = route.responses[status];
+        if (!response) {
+            return [{ path: '/', rule: 'status', expected: Object.keys(route.responses) }];
+        }
+        const schema = response.content ? response.schema : response;
+        return schema ? check(schema, JSON.parse(JSON.stringify(body))) : [];
+    }
+
+    // Dar formato de /v1 a los errores de las rutas y comprobar las respuestas correctas
+    function formatResponses(route) {
+        return (req, res, next) => {
+            const language = errorLanguage(req);
+            const json = res.json.bind(res);
+
+            res.json = body => {
+                if (res.statusCode >= 400) {
+                    const formatted = body && body.error && typeof body.error === 'object';
+                    return json(formatted ? body : toApiError(res.statusCode, body, language));
+                }
+
+                if (responseValidation !== 'off') {
+                    const problems = responseProblems(route, res.statusCode, body);
+                    if (problems.length > 0) {
+                        console.warn(`⚠️ La respuesta de ${routeKey(route.method, prefix + route.path)} no cumple su esquema:`, JSON.stringify(problems));
+                        if (responseValidation === 'strict') {
+                            res.status(500);
+                            return json(apiErrorBody('RESPONSE_INVALID', language, { errors: problems }));
+                        }
+                    }
+                }
+                return json(body);
+            };
+            next();
+        };
+    }
+
+    function document() {
+        if (!openApiDocument) {
+            openApiDocument = buildOpenApiDocument({ routes, components, prefix });
+        }
+        return openApiDocument;
+    }
+
+    // Registrar una ruta en la API sin versión y en /v1; debe estar descrita en la especificación
+    function register(method, path, handlers) {
+        const route = routeIndex.get(routeKey(method, path));
+        if (!route) {
+            throw new Error(`La ruta ${routeKey(method, path)} no está descrita en lib/api-spec.js`);
+        }
+
+        app[method](path, ...handlers);
+        router[method](path, formatResponses(route), validateRequest(route), ...handlers);
+        registered.add(routeKey(method, path));
+    }
+
+    app.use(prefix, router);
+
+    router.get('/openapi.json', (req, res) => {
+        res.json(document());
+    });
+
+    // Cerrar /v1 cuando ya están todas las rutas: 404 con código para las rutas desconocidas y
+    // errores con formato para el JSON mal formado. Falla si alguna ruta descrita no se registró.
+    function finalize() {
+        router.use((req, res) => {
+            res.status(404).json(apiErrorBody('ROUTE_NOT_FOUND', errorLanguage(req)));
+        });
+
+        app.use(prefix, (error, req, res, next) => {
+            const language = errorLanguage(req);
+            if (error.type === 'entity.parse.failed') {
+                return res.status(400).json(apiErrorBody('INVALID_JSON', language));
+            }
+            if (error.type === 'entity.too.large') {
+                return res.status(413).json(apiErrorBody('PAYLOAD_TOO_LARGE', language));
+            }
+            console.error('Error no controlado en la API /v1:', error);
+            res.status(500).json(apiErrorBody('INTERNAL_ERROR', language));
+        });
+
+        const missing = routes.filter(route => !registered.has(routeKey(route.method, route.path)));
+        if (missing.length > 0) {
+            throw new Error(`Rutas descritas en lib/api-spec.js sin registrar: ${missing.map(route => routeKey(route.method, route.path)).join(', ')}`);
+        }
+    }
+
+    const api = { router, document, finalize };
+    METHODS.forEach(method => {
+        api[method] = (path, ...handlers) => register(method, path, handlers);
+    });
+    return api;
+}
+
+module.exports = {
+    createVersionedApi
+};
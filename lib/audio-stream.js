@@ -0,0 +1,115 @@
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { createChunkQueue } = require('./transcription-engines');
+
+// Recepción de audio PCM por WebSocket para transcribirlo en el servidor.
+// URL: ws://<host>/audio-stream?meetingId=...&attendeeId=...&languageCode=es-US&sampleRate=16000
+// Los mensajes binarios son fragmentos de audio; el mensaje de texto {"type":"stop"} cierra el audio.
+// El servidor responde con mensajes JSON { type: 'partial' | 'final', segment }.
+
+const AUDIO_STREAM_PATH = '/audio-stream';
+const DEFAULT_SAMPLE_RATE = 16000;
+const SUPPORTED_SAMPLE_RATES = [8000, 16000, 32000, 44100, 48000];
+
+function sendJson(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+// `resolveSession(params)` valida la conexión y devuelve { meetingId, attendeeId, languageCode }
+// o lanza un error con `statusCode`. `onResult(session, result)` recibe cada resultado del motor
+// y devuelve el segmento que se envía de vuelta al cliente.
+function attachAudioStreamServer({ server, engine, resolveSession, onResult, path = AUDIO_STREAM_PATH }) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== path) {
+            return;
+        }
+
+        let session;
+        try {
+            const params = Object.fromEntries(url.searchParams.entries());
+            session = await resolveSession(params, req);
+
+            const sampleRate = parseInt(params.sampleRate, 10) || DEFAULT_SAMPLE_RATE;
+            if (!SUPPORTED_SAMPLE_RATES.includes(sampleRate)) {
+                const error = new Error(`Frecuencia de muestreo no soportada: ${sampleRate}`);
+                error.statusCode = 400;
+                throw error;
+            }
+            session.sampleRate = sampleRate;
+        } catch (error) {
+            const statusCode = error.statusCode || 500;
+            const body = JSON.stringify({ error: error.message });
+            socket.write(
+                `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode] || 'Error'}\r\n` +
+                'Content-Type: application/json; charset=utf-8\r\n' +
+                `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+                'Connection: close\r\n\r\n' +
+                body
+            );
+            socket.destroy();
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => handleConnection(ws, session));
+    });
+
+    function handleConnection(ws, session) {
+        const audio = createChunkQueue();
+        const startedAt = Date.now();
+
+        console.log(`🎙️ Audio recibido por WebSocket: reunión ${session.meetingId}, asistente ${session.attendeeId}`);
+
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) {
+                audio.push(Buffer.from(data));
+                return;
+            }
+
+            try {
+                const message = JSON.parse(data.toString());
+                if (message.type === 'stop') {
+                    audio.end();
+                }
+            } catch (error) {
+                sendJson(ws, { type: 'error', error: 'Mensaje no válido' });
+            }
+        });
+
+        ws.on('close', () => audio.end());
+        ws.on('error', () => audio.end());
+
+        (async () => {
+            try {
+                const results = engine.start({
+                    audio,
+                    languageCode: session.languageCode,
+                    sampleRate: session.sampleRate
+                });
+
+                for await (const result of results) {
+                    const segment = await onResult(session, result, startedAt);
+                    sendJson(ws, { type: result.isPartial ? 'partial' : 'final', segment });
+                }
+
+                sendJson(ws, { type: 'end' });
+                ws.close(1000);
+            } catch (error) {
+                console.error('Error en la transcripción del audio:', error);
+                sendJson(ws, { type: 'error', error: 'Error en la transcripción: ' + error.message });
+                ws.close(1011);
+            }
+        })();
+    }
+
+    return wss;
+}
+
+module.exports = {
+    AUDIO_STREAM_PATH,
+    attachAudioStreamServer
+};
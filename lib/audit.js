@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// Registro de auditoría de las transcripciones guardadas: quién las leyó, exportó o eliminó.
+// Las entradas se conservan aunque la transcripción se haya eliminado.
+
+const AUDIT_ACTIONS = ['read', 'export', 'delete', 'retention', 'edit'];
+
+function createAuditLog({ storage }) {
+    const entries = storage.collection('transcriptionAudit');
+
+    // `actor` es el usuario autenticado ({ id, name }) o null para acciones del sistema
+    async function record({ transcriptionId, action, actor, details }) {
+        const entry = {
+            id: crypto.randomUUID(),
+            transcriptionId,
+            action,
+            actorId: actor ? actor.id : 'system',
+            actorName: actor ? actor.name : null,
+            details: details || null,
+            at: new Date().toISOString()
+        };
+        await entries.put(entry.id, entry);
+        return entry;
+    }
+
+    // Entradas más recientes primero, filtradas por transcripción, acción, usuario y fechas
+    function list({ transcriptionId, action, actorId, from, to } = {}) {
+        const fromMs = from ? Date.parse(from) : null;
+        const toMs = to ? Date.parse(to) : null;
+
+        return entries.list()
+            .filter(entry => !transcriptionId || entry.transcriptionId === transcriptionId)
+            .filter(entry => !action || entry.action === action)
+            .filter(entry => !actorId || entry.actorId === actorId)
+            .filter(entry => fromMs === null || Date.parse(entry.at) >= fromMs)
+            .filter(entry => toMs === null || Date.parse(entry.at) <= toMs)
+            .sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+    }
+
+    return {
+        record,
+        list
+    };
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    createAuditLog
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Autenticación con tokens JWT firmados (HS256) que identifican al usuario y, con el claim `org`,
+// su organización (ver lib/tenants.js).
+// Configuración:
+//   JWT_SECRET      secreto de firma (obligatorio salvo con AUTH_DISABLED=true)
+//   JWT_EXPIRES_IN  duración de los tokens emitidos (por defecto 12h)
+//   AUTH_API_KEY    clave para emitir tokens desde /auth/token (backend del frontend)
+//   AUTH_DISABLED   'true' para desarrollo local: se confía en el userId del cuerpo como antes
+
+const ALGORITHM = 'HS256';
+
+class AuthError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'AuthError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Obtener el token de la cabecera Authorization o, para EventSource y WebSocket
+// (que no permiten cabeceras personalizadas), del parámetro access_token
+function extractToken(req, query = req.query || {}) {
+    const header = req.headers && req.headers.authorization;
+    if (header) {
+        const [scheme, token] = header.split(' ');
+        if (/^Bearer$/i.test(scheme) && token) return token;
+    }
+    return query.access_token || null;
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function createAuth({
+    secret = process.env.JWT_SECRET,
+    expiresIn = process.env.JWT_EXPIRES_IN || '12h',
+    apiKey = process.env.AUTH_API_KEY,
+    disabled = process.env.AUTH_DISABLED === 'true'
+} = {}) {
+    if (!disabled && !secret) {
+        throw new Error('JWT_SECRET no está configurado (usa AUTH_DISABLED=true solo para desarrollo local)');
+    }
+
+    const enabled = !disabled;
+
+    function signToken({ userId, userName, orgId }) {
+        const claims = { name: userName || userId };
+        if (orgId) claims.org = String(orgId);
+        return jwt.sign(claims, secret, {
+            algorithm: ALGORITHM,
+            subject: String(userId),
+            expiresIn
+        });
+    }
+
+    // Devuelve { id, name, orgId } (orgId null si el token no lleva organización) o lanza AuthError
+    function verifyToken(token) {
+        if (!token) {
+            throw new AuthError(401, 'Token de autenticación requerido');
+        }
+        try {
+            const payload = jwt.verify(token, secret, { algorithms: [ALGORITHM] });
+            if (!payload.sub) {
+                throw new AuthError(401, 'Token sin usuario');
+            }
+            return { id: payload.sub, name: payload.name || payload.sub, orgId: payload.org || null };
+        } catch (error) {
+            if (error instanceof AuthError) throw error;
+            throw new AuthError(401, error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token no válido');
+        }
+    }
+
+    // Identificar al usuario de una petición (HTTP o upgrade de WebSocket)
+    function identify(req, query) {
+        if (!enabled) {
+            // Modo sin autenticación: se mantiene el comportamiento anterior
+            const source = { ...(query || req.query || {}), ...(req.body || {}) };
+            return source.userId
+                ? { id: String(source.userId), name: source.userName || String(source.userId), orgId: source.orgId ? String(source.orgId) : null }
+                : null;
+        }
+        return verifyToken(extractToken(req, query));
+    }
+
+    // Middleware que exige un usuario autenticado en req.user
+    function authenticate(req, res, next) {
+        try {
+            req.user = identify(req);
+            next();
+        } catch (error) {
+            res.status(error.statusCode || 401).json({ error: error.message });
+        }
+    }
+
+    // Middleware para rutas de administración (emisión de tokens, webhooks): solo las usa
+    // un backend de confianza con AUTH_API_KEY. Sin autenticación y sin clave quedan abiertas.
+    function requireApiKey(req, res, next) {
+        if (!apiKey) {
+            if (!enabled) return next();
+            return res.status(404).json({ error: 'Clave de API no configurada (AUTH_API_KEY)' });
+        }
+        if (!safeEqual(req.get('x-api-key') || '', apiKey)) {
+            return res.status(401).json({ error: 'Clave de API no válida' });
+        }
+        next();
+    }
+
+    return {
+        enabled,
+        signToken,
+        verifyToken,
+        identify,
+        authenticate,
+        requireApiKey
+    };
+}
+
+module.exports = {
+    AuthError,
+    createAuth,
+    extractToken,
+    safeEqual
+};
@@ -0,0 +1,180 @@
+const {
+    CreateMeetingCommand,
+    GetMeetingCommand,
+    DeleteMeetingCommand,
+    CreateAttendeeCommand,
+    DeleteAttendeeCommand,
+    UpdateAttendeeCapabilitiesCommand,
+    StartMeetingTranscriptionCommand,
+    StopMeetingTranscriptionCommand
+} = require('@aws-sdk/client-chime-sdk-meetings');
+const { StartStreamTranscriptionCommand } = require('@aws-sdk/client-transcribe-streaming');
+const {
+    CreateMediaCapturePipelineCommand,
+    DeleteMediaCapturePipelineCommand
+} = require('@aws-sdk/client-chime-sdk-media-pipelines');
+const { TranslateTextCommand } = require('@aws-sdk/client-translate');
+
+// Comprobación de los permisos de AWS que necesita el backend. Cada acción se prueba con su
+// comando real sin crear nada: las operaciones sobre recursos usan identificadores bien formados
+// que no existen (NotFoundException demuestra que IAM autorizó la llamada). Las de creación no
+// pueden probarse así y llevan un parámetro no válido; como algunos servicios validan la petición
+// antes de comprobar IAM, su error de validación no demuestra nada y la acción queda sin verificar
+// ('inconclusive') salvo que AWS responda explícitamente que la deniega.
+
+const PROBE_ID = '00000000-0000-0000-0000-000000000000';
+
+// Servicios comprobados: clave del cliente en el proveedor y acciones con su comando de prueba
+const PERMISSION_CHECKS = {
+    chimeSDKMeetings: {
+        client: 'chimeClient',
+        actions: {
+            'chime:CreateMeeting': () => new CreateMeetingCommand({ ClientRequestToken: PROBE_ID, ExternalMeetingId: 'permission-check', MediaRegion: '' }),
+            'chime:GetMeeting': () => new GetMeetingCommand({ MeetingId: PROBE_ID }),
+            'chime:DeleteMeeting': () => new DeleteMeetingCommand({ MeetingId: PROBE_ID }),
+            'chime:CreateAttendee': () => new CreateAttendeeCommand({ MeetingId: PROBE_ID, ExternalUserId: 'permission-check' }),
+            'chime:DeleteAttendee': () => new DeleteAttendeeCommand({ MeetingId: PROBE_ID, AttendeeId: PROBE_ID }),
+            'chime:UpdateAttendeeCapabilities': () => new UpdateAttendeeCapabilitiesCommand({
+                MeetingId: PROBE_ID,
+                AttendeeId: PROBE_ID,
+                Capabilities: { Audio: 'SendReceive', Video: 'SendReceive', Content: 'SendReceive' }
+            }),
+            'chime:StartMeetingTranscription': () => new StartMeetingTranscriptionCommand({
+                MeetingId: PROBE_ID,
+                TranscriptionConfiguration: { EngineTranscribeSettings: { LanguageCode: 'en-US' } }
+            }),
+            'chime:StopMeetingTranscription': () => new StopMeetingTranscriptionCommand({ MeetingId: PROBE_ID })
+        }
+    },
+    transcribe: {
+        client: 'transcribeClient',
+        actions: {
+            // Frecuencia de muestreo fuera de rango: Transcribe rechaza la petición sin recibir audio
+            'transcribe:StartStreamTranscription': () => new StartStreamTranscriptionCommand({
+                LanguageCode: 'en-US',
+                MediaEncoding: 'pcm',
+                MediaSampleRateHertz: 1,
+                AudioStream: (async function* emptyAudio() {})()
+            })
+        }
+    },
+    mediaPipelines: {
+        client: 'mediaPipelinesClient',
+        actions: {
+            'chime:CreateMediaCapturePipeline': () => new CreateMediaCapturePipelineCommand({
+                SourceType: 'ChimeSdkMeeting',
+                SourceArn: `arn:aws:chime::000000000000:meeting:${PROBE_ID}`,
+                SinkType: 'S3Bucket',
+                SinkArn: 'arn:aws:s3:::permission-check'
+            }),
+            'chime:DeleteMediaCapturePipeline': () => new DeleteMediaCapturePipelineCommand({ MediaPipelineId: PROBE_ID })
+        }
+    },
+    translate: {
+        client: 'translateClient',
+        actions: {
+            // Una traducción mínima: no crea nada y solo se responde si IAM la autoriza
+            'translate:TranslateText': () => new TranslateTextCommand({ Text: 'ok', SourceLanguageCode: 'en', TargetLanguageCode: 'es' })
+        }
+    }
+};
+
+const DENIED_ERRORS = ['AccessDeniedException', 'ForbiddenException'];
+const CREDENTIAL_ERRORS = ['UnauthorizedException', 'UnrecognizedClientException', 'InvalidSignatureException', 'ExpiredTokenException', 'CredentialsProviderError'];
+const AUTHORIZED_ERRORS = ['NotFoundException'];
+const VALIDATION_ERRORS = ['BadRequestException', 'ValidationException'];
+
+// Resultado de una prueba: granted (autorizada), denied (IAM la rechaza), inconclusive (AWS rechazó
+// la petición de prueba antes de saber si estaba autorizada) o error (no se pudo comprobar)
+function classifyProbe(error) {
+    if (!error) {
+        return { status: 'granted', details: null };
+    }
+    const name = error.name || 'Error';
+    if (AUTHORIZED_ERRORS.includes(name)) {
+        return { status: 'granted', details: null };
+    }
+    if (VALIDATION_ERRORS.includes(name)) {
+        return { status: 'inconclusive', details: `Sin verificar (${name}): ${error.message}` };
+    }
+    if (DENIED_ERRORS.includes(name)) {
+        return { status: 'denied', details: `${name}: ${error.message}` };
+    }
+    if (CREDENTIAL_ERRORS.includes(name)) {
+        return { status: 'error', details: `Credenciales de AWS no válidas (${name}): ${error.message}` };
+    }
+    return { status: 'error', details: `${name}: ${error.message}` };
+}
+
+// Las respuestas en streaming (Transcribe) se consumen para cerrar la conexión
+async function drain(response) {
+    const stream = response && response.TranscriptResultStream;
+    if (stream && typeof stream[Symbol.asyncIterator] === 'function') {
+        for await (const _event of stream) {
+            // Sin audio no llega nada útil
+        }
+    }
+}
+
+function withTimeout(promise, timeoutMs, action) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`Sin respuesta de ${action} en ${timeoutMs} ms`);
+            error.name = 'TimeoutError';
+            reject(error);
+        }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Probar las acciones de los servicios indicados con los clientes del proveedor. Las pruebas no
+// cuentan en las métricas de AWS: sus errores esperados (NotFoundException) falsearían los de verdad.
+// Devuelve { checkedAt, services: { <servicio>: { status, details, actions: [...] } } }, donde status
+// es 'success' si todas las acciones están autorizadas, 'unverified' si ninguna falla pero alguna
+// no pudo verificarse y 'error' si alguna está denegada o no se pudo probar.
+async function checkAwsPermissions(provider, {
+    services = Object.keys(PERMISSION_CHECKS),
+    timeoutMs = 5000
+} = {}) {
+    const report = { checkedAt: new Date().toISOString(), services: {} };
+
+    for (const service of services) {
+        const { client: clientKey, actions } = PERMISSION_CHECKS[service];
+        const client = provider[clientKey];
+        const send = client.send.uninstrumented || client.send.bind(client);
+        const results = [];
+
+        for (const [action, buildCommand] of Object.entries(actions)) {
+            const startedAt = Date.now();
+            let failure = null;
+            try {
+                await withTimeout(send(buildCommand()).then(drain), timeoutMs, action);
+            } catch (error) {
+                failure = error;
+            }
+            results.push({ action, ...classifyProbe(failure), durationMs: Date.now() - startedAt });
+        }
+
+        const failed = results.filter(result => result.status === 'denied' || result.status === 'error');
+        const unverified = results.filter(result => result.status === 'inconclusive');
+        let status = 'success';
+        let details = 'Permisos correctos';
+        if (failed.length > 0) {
+            status = 'error';
+            details = failed.map(result => `${result.action}: ${result.details}`).join('; ');
+        } else if (unverified.length > 0) {
+            status = 'unverified';
+            details = `Sin denegaciones; no se pudo verificar: ${unverified.map(result => result.action).join(', ')}`;
+        }
+        report.services[service] = { status, details, actions: results };
+    }
+
+    return report;
+}
+
+module.exports = {
+    PERMISSION_CHECKS,
+    classifyProbe,
+    checkAwsPermissions
+};
@@ -0,0 +1,64 @@
+// Invitaciones de calendario (iCalendar, RFC 5545) para las reuniones programadas
+
+const PRODUCT_ID = '-//chime-backend//Reuniones//ES';
+// Longitud máxima de una línea en octetos; las más largas se pliegan
+const MAX_LINE_OCTETS = 75;
+
+// Fecha en UTC con el formato de iCalendar: 20250310T100000Z
+function formatDate(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Plegar la línea en trozos de 75 octetos; las continuaciones empiezan por un espacio
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// `event` tiene { uid, title, description, start, end, url }; start y end son fechas ISO o ms
+function buildCalendarInvite({ uid, title, description, start, end, url }, now = Date.now()) {
+    const details = [description, url ? `Unirse a la reunión: ${url}` : null].filter(Boolean).join('\n\n');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}@chime-backend`,
+        `DTSTAMP:${formatDate(now)}`,
+        `DTSTART:${formatDate(start)}`,
+        `DTEND:${formatDate(end)}`,
+        `SUMMARY:${escapeText(title)}`,
+        details ? `DESCRIPTION:${escapeText(details)}` : null,
+        url ? `LOCATION:${escapeText(url)}` : null,
+        url ? `URL:${url}` : null,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendarInvite
+};
@@ -0,0 +1,68 @@
+// Chat de la reunión. Los mensajes se guardan aparte de la transcripción mientras la reunión
+// está activa ({ seq, id, userId, userName, attendeeId, text, timestamp }) y al guardar la
+// transcripción se intercalan con los fragmentos de voz por su marca de tiempo (kind: 'chat').
+
+const CHAT_MAX_LENGTH = 2000;
+const CHAT_PAGE_DEFAULT = 50;
+const CHAT_PAGE_MAX = 200;
+
+function toMillis(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function isChatSegment(segment) {
+    return Boolean(segment && segment.kind === 'chat');
+}
+
+// Página de mensajes por número de secuencia. Sin cursor devuelve los más recientes;
+// `before` pagina hacia atrás y `after` recupera los posteriores (p. ej. al reconectar).
+// Devuelve { messages, hasMore } o { error }.
+function paginateChat(messages, { before, after, limit } = {}) {
+    const parseCursor = value => (value === undefined ? null : Number(value));
+    const beforeSeq = parseCursor(before);
+    const afterSeq = parseCursor(after);
+    const pageSize = limit === undefined ? CHAT_PAGE_DEFAULT : Number(limit);
+
+    if ([beforeSeq, afterSeq].some(cursor => cursor !== null && !Number.isInteger(cursor))) {
+        return { error: 'before y after deben ser números de secuencia' };
+    }
+    if (beforeSeq !== null && afterSeq !== null) {
+        return { error: 'Usa before o after, no ambos' };
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > CHAT_PAGE_MAX) {
+        return { error: `limit debe estar entre 1 y ${CHAT_PAGE_MAX}` };
+    }
+
+    if (afterSeq !== null) {
+        const newer = messages.filter(message => message.seq > afterSeq);
+        return { messages: newer.slice(0, pageSize), hasMore: newer.length > pageSize };
+    }
+
+    const older = beforeSeq !== null ? messages.filter(message => message.seq < beforeSeq) : messages;
+    return { messages: older.slice(-pageSize), hasMore: older.length > pageSize };
+}
+
+// Intercalar los mensajes del chat con los fragmentos de voz por marca de tiempo.
+// Lo que no tiene marca de tiempo válida se queda detrás del elemento anterior;
+// a igual marca de tiempo va primero la voz.
+function interleaveChat(transcripts = [], messages = []) {
+    const chatSegments = messages.map(({ seq, ...message }) => ({ ...message, kind: 'chat' }));
+    let previous = -Infinity;
+    return transcripts.concat(chatSegments)
+        .map((segment, index) => {
+            const ms = toMillis(segment.timestamp);
+            if (ms !== null) previous = ms;
+            return { segment, index, ms: ms !== null ? ms : previous };
+        })
+        .sort((a, b) => a.ms - b.ms || a.index - b.index)
+        .map(({ segment }) => segment);
+}
+
+module.exports = {
+    CHAT_MAX_LENGTH,
+    isChatSegment,
+    paginateChat,
+    interleaveChat
+};
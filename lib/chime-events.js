@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+
+// Eventos del ciclo de vida de las reuniones que publica Chime SDK (EventBridge o SNS).
+// Formato EventBridge:
+//   { "source": "aws.chime", "detail-type": "Chime Meeting State Change",
+//     "detail": { "eventType": "chime:AttendeeJoined", "meetingId", "attendeeId", "externalUserId", "timestamp" } }
+// SNS entrega el mismo evento como texto JSON en `Message` de una notificación, firmada con el
+// certificado que indica `SigningCertURL` (ver createSnsVerifier).
+
+const PRESENCE_BY_EVENT = {
+    AttendeeAdded: 'invited',
+    AttendeeAuthorized: 'connecting',
+    AttendeeJoined: 'joined',
+    AttendeeLeft: 'left',
+    AttendeeDropped: 'dropped',
+    AttendeeDeleted: 'removed'
+};
+
+const TRANSCRIPTION_STATE_BY_EVENT = {
+    TranscriptionStarted: true,
+    TranscriptionResumed: true,
+    TranscriptionStopped: false,
+    TranscriptionInterrupted: false,
+    TranscriptionFailed: false
+};
+
+// Historial de presencia máximo que se guarda por asistente
+const PRESENCE_HISTORY_LIMIT = 50;
+
+// Campos firmados de cada tipo de mensaje SNS, en el orden en que entran en la firma
+const SNS_CONFIRMATION_FIELDS = ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'];
+const SNS_SIGNED_FIELDS = {
+    Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+    SubscriptionConfirmation: SNS_CONFIRMATION_FIELDS,
+    UnsubscribeConfirmation: SNS_CONFIRMATION_FIELDS
+};
+const SNS_SIGNATURE_ALGORITHMS = { 1: 'RSA-SHA1', 2: 'RSA-SHA256' };
+
+function parseMaybeJson(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+function toIsoTime(timestamp) {
+    if (timestamp === undefined || timestamp === null) return new Date().toISOString();
+    const date = new Date(typeof timestamp === 'string' && /^\d+$/.test(timestamp) ? Number(timestamp) : timestamp);
+    return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+// Convertir un evento (EventBridge o el `detail` directamente) al formato interno
+function normalizeEvent(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const detail = raw.detail && typeof raw.detail === 'object' ? raw.detail : raw;
+    const eventType = detail.eventType || detail.EventType;
+    if (!eventType || !detail.meetingId) return null;
+
+    return {
+        type: String(eventType).replace(/^chime:/, ''),
+        meetingId: detail.meetingId,
+        attendeeId: detail.attendeeId || null,
+        externalUserId: detail.externalUserId || null,
+        externalMeetingId: detail.externalMeetingId || null,
+        timestamp: toIsoTime(detail.timestamp || raw.time)
+    };
+}
+
+// Extraer los eventos de un cuerpo que puede ser un evento, una lista o una notificación SNS.
+// Devuelve { kind: 'events', events } o { kind: 'subscription', subscribeUrl } para confirmar SNS.
+function parseChimeEventPayload(body) {
+    const payload = parseMaybeJson(body);
+    if (!payload) return { kind: 'events', events: [] };
+
+    if (payload.Type === 'SubscriptionConfirmation') {
+        return { kind: 'subscription', subscribeUrl: payload.SubscribeURL, topicArn: payload.TopicArn };
+    }
+
+    if (payload.Type === 'Notification') {
+        return parseChimeEventPayload(payload.Message);
+    }
+
+    const items = Array.isArray(payload) ? payload : [payload];
+    const events = items
+        .map(item => normalizeEvent(parseMaybeJson(item)))
+        .filter(Boolean);
+
+    return { kind: 'events', events };
+}
+
+// URL https del propio servicio SNS (null si no lo es)
+function snsUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' && /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/.test(url.hostname) ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Solo se confirman suscripciones con URLs del propio servicio SNS
+function isTrustedSubscribeUrl(subscribeUrl) {
+    return Boolean(snsUrl(subscribeUrl));
+}
+
+// Los certificados de firma también tienen que venir de SNS
+function isTrustedSigningCertUrl(certUrl) {
+    const url = snsUrl(certUrl);
+    return Boolean(url) && url.pathname.endsWith('.pem');
+}
+
+// Mensaje SNS del cuerpo (notificación o confirmación), o null si el cuerpo no viene de SNS
+function parseSnsMessage(body) {
+    const payload = parseMaybeJson(body);
+    return payload && typeof payload === 'object' && SNS_SIGNED_FIELDS[payload.Type] ? payload : null;
+}
+
+// Texto que firma SNS: "Campo\nvalor\n" por cada campo presente, en orden
+function snsStringToSign(message) {
+    return SNS_SIGNED_FIELDS[message.Type]
+        .filter(field => message[field] !== undefined)
+        .map(field => `${field}\n${message[field]}\n`)
+        .join('');
+}
+
+async function fetchSnsCertificate(certUrl) {
+    const response = await fetch(certUrl);
+    if (!response.ok) {
+        throw new Error(`No se pudo descargar el certificado de SNS (${response.status})`);
+    }
+    return response.text();
+}
+
+// Comprobar la firma de los mensajes SNS con el certificado de `SigningCertURL`.
+// Los certificados se guardan por URL; `fetchCertificate` se sustituye en las pruebas.
+function createSnsVerifier({ fetchCertificate = fetchSnsCertificate } = {}) {
+    const certificates = new Map();
+
+    function certificate(certUrl) {
+        if (!certificates.has(certUrl)) {
+            certificates.set(certUrl, fetchCertificate(certUrl).catch(error => {
+                certificates.delete(certUrl);
+                throw error;
+            }));
+        }
+        return certificates.get(certUrl);
+    }
+
+    // Devuelve true si el mensaje lo firmó SNS (lanza si no se pudo obtener el certificado)
+    async function verify(message) {
+        const algorithm = SNS_SIGNATURE_ALGORITHMS[message.SignatureVersion];
+        if (!algorithm || typeof message.Signature !== 'string' || !isTrustedSigningCertUrl(message.SigningCertURL)) {
+            return false;
+        }
+        const pem = await certificate(message.SigningCertURL);
+        return crypto.createVerify(algorithm).update(snsStringToSign(message)).verify(pem, message.Signature, 'base64');
+    }
+
+    return { verify };
+}
+
+// El ExternalUserId de Chime es la clave del asistente en la reunión (userId u orgId:userId)
+function findAttendeeForEvent(meeting, event) {
+    const attendees = meeting.attendees || {};
+    return Object.values(attendees).find(attendee =>
+        event.attendeeId && attendee.attendeeInfo && attendee.attendeeInfo.AttendeeId === event.attendeeId
+    ) || (event.externalUserId && attendees[event.externalUserId]) || undefined;
+}
+
+// Aplicar un evento sobre el registro local de la reunión.
+// Devuelve { changed, ended, attendee, transcription } para que quien llama persista y notifique;
+// `transcription` es 'started' o 'stopped' si el evento cambió el estado de la transcripción.
+function applyChimeEvent(meeting, event) {
+    const result = { changed: false, ended: false, attendee: null, transcription: null };
+
+    if (event.type === 'MeetingStarted') {
+        meeting.status = 'started';
+        meeting.startedAt = meeting.startedAt || event.timestamp;
+        result.changed = true;
+    } else if (event.type === 'MeetingEnded') {
+        meeting.status = 'ended';
+        meeting.endedAt = event.timestamp;
+        result.changed = true;
+        result.ended = true;
+    } else if (PRESENCE_BY_EVENT[event.type]) {
+        const attendee = findAttendeeForEvent(meeting, event);
+        if (attendee) {
+            const presence = PRESENCE_BY_EVENT[event.type];
+            attendee.presence = presence;
+            attendee.lastSeen = event.timestamp;
+            if (presence === 'joined') {
+                attendee.connectedAt = event.timestamp;
+                attendee.leftAt = null;
+            }
+            if (presence === 'left' || presence === 'dropped' || presence === 'removed') {
+                attendee.leftAt = event.timestamp;
+            }
+            attendee.presenceHistory = (attendee.presenceHistory || [])
+                .concat({ status: presence, at: event.timestamp })
+                .slice(-PRESENCE_HISTORY_LIMIT);
+            result.changed = true;
+            result.attendee = attendee;
+        }
+    } else if (Object.prototype.hasOwnProperty.call(TRANSCRIPTION_STATE_BY_EVENT, event.type)) {
+        meeting.transcriptionEnabled = TRANSCRIPTION_STATE_BY_EVENT[event.type];
+        result.transcription = meeting.transcriptionEnabled ? 'started' : 'stopped';
+        meeting.transcriptionStatus = event.type.replace(/^Transcription/, '').toLowerCase();
+        if (meeting.transcriptionEnabled && !meeting.transcriptionMethod) {
+            meeting.transcriptionMethod = 'aws';
+        }
+        result.changed = true;
+    }
+
+    if (result.changed) {
+        meeting.lastEventAt = event.timestamp;
+    }
+
+    return result;
+}
+
+module.exports = {
+    parseChimeEventPayload,
+    parseSnsMessage,
+    snsStringToSign,
+    createSnsVerifier,
+    isTrustedSubscribeUrl,
+    applyChimeEvent
+};
@@ -0,0 +1,290 @@
+// Exportación de transcripciones guardadas a subtítulos (WebVTT/SRT) y texto legible (TXT/Markdown)
+
+// Duración máxima de un subtítulo cuando no hay un segmento siguiente que marque su fin
+const MAX_CUE_MS = 7000;
+const MIN_CUE_MS = 1000;
+// Velocidad aproximada de habla para estimar la duración del último segmento
+const MS_PER_WORD = 400;
+
+const FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json', mime: 'application/json' },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt', mime: 'text/vtt' },
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt', mime: 'application/x-subrip' },
+    txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt', mime: 'text/plain' },
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md', mime: 'text/markdown' }
+};
+
+// Alias aceptados en el parámetro ?format=
+const FORMAT_ALIASES = {
+    webvtt: 'vtt',
+    text: 'txt',
+    plain: 'txt',
+    markdown: 'md'
+};
+
+function normalizeFormat(format) {
+    if (!format) return null;
+    const key = String(format).toLowerCase();
+    const normalized = FORMAT_ALIASES[key] || key;
+    return FORMATS[normalized] ? normalized : null;
+}
+
+// Resolver el formato a partir del parámetro de consulta o de la cabecera Accept.
+// `accepts` es la función req.accepts de Express. Devuelve null si no hay formato compatible.
+function negotiateFormat(queryFormat, accepts) {
+    if (queryFormat) {
+        return normalizeFormat(queryFormat);
+    }
+
+    const mimes = Object.values(FORMATS).map(f => f.mime);
+    const accepted = accepts(mimes);
+    if (!accepted) return null;
+
+    return Object.keys(FORMATS).find(key => FORMATS[key].mime === accepted);
+}
+
+// Duración estimada de un texto hablado según su número de palabras
+function estimateSpeechMs(text) {
+    return Math.max(MIN_CUE_MS, String(text).trim().split(/\s+/).length * MS_PER_WORD);
+}
+
+function toMillis(timestamp) {
+    if (typeof timestamp === 'number') return timestamp;
+    const parsed = Date.parse(timestamp);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Mapa attendeeId/userId -> nombre visible a partir de los participantes guardados.
+// `overrides` son los nombres que se han corregido al editar la transcripción y tienen prioridad.
+function buildSpeakerNames(participants = [], overrides = {}) {
+    const names = {};
+    for (const participant of participants) {
+        const name = participant.userName || participant.userId;
+        if (participant.userId) names[participant.userId] = name;
+        if (participant.attendeeInfo && participant.attendeeInfo.AttendeeId) {
+            names[participant.attendeeInfo.AttendeeId] = name;
+        }
+        if (participant.attendeeInfo && participant.attendeeInfo.ExternalUserId) {
+            names[participant.attendeeInfo.ExternalUserId] = name;
+        }
+    }
+    return { ...names, ...overrides };
+}
+
+function speakerName(names, attendeeId) {
+    const key = attendeeId || 'unknown';
+    if (names[key]) return names[key];
+    return key === 'unknown' ? 'Desconocido' : key;
+}
+
+// Calcular los subtítulos con tiempos relativos al primer segmento.
+// Cada subtítulo termina cuando empieza el siguiente, acotado entre MIN_CUE_MS y MAX_CUE_MS.
+function buildCues(transcription) {
+    const names = buildSpeakerNames(transcription.participants, transcription.speakerNames);
+    const segments = (transcription.transcripts || [])
+        .filter(segment => segment && segment.text && String(segment.text).trim())
+        .map((segment, index) => ({ ...segment, index, ms: toMillis(segment.timestamp) }));
+
+    const timed = segments.filter(segment => segment.ms !== null);
+    const origin = timed.length > 0 ? Math.min(...timed.map(s => s.ms)) : 0;
+
+    // Los segmentos sin marca de tiempo válida se colocan justo después del anterior
+    let cursor = 0;
+    const positioned = segments.map(segment => {
+        const start = segment.ms !== null ? segment.ms - origin : cursor;
+        cursor = start;
+        return { ...segment, start };
+    }).sort((a, b) => a.start - b.start || a.index - b.index);
+
+    return positioned.map((segment, i) => {
+        const text = String(segment.text).trim();
+        const estimated = estimateSpeechMs(text);
+        const next = positioned[i + 1];
+        let end = segment.start + Math.min(estimated, MAX_CUE_MS);
+        if (next && next.start > segment.start) {
+            end = Math.min(next.start, segment.start + MAX_CUE_MS);
+        }
+
+        return {
+            start: segment.start,
+            end,
+            attendeeId: segment.attendeeId || 'unknown',
+            speaker: speakerName(names, segment.attendeeId),
+            kind: segment.kind || 'speech',
+            text
+        };
+    });
+}
+
+// Nombre con el que aparece el autor; los mensajes del chat se distinguen de lo hablado
+function cueLabel(cue) {
+    return cue.kind === 'chat' ? `${cue.speaker} (chat)` : cue.speaker;
+}
+
+function pad(value, size = 2) {
+    return String(value).padStart(size, '0');
+}
+
+function formatCueTime(ms, separator) {
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// Texto seguro dentro de un subtítulo: una línea en blanco lo terminaría y '-->' se leería
+// como la línea de tiempos de otro, así que se juntan las líneas en blanco y se cambia la flecha
+function cueText(text) {
+    return String(text)
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n\s*\n/g, '\n')
+        .replace(/-{2,}>/g, '->');
+}
+
+// En WebVTT '&', '<' y '>' abren entidades y etiquetas (también en el nombre de <v nombre>)
+function escapeVTT(text) {
+    return cueText(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toWebVTT(transcription) {
+    const lines = ['WEBVTT', ''];
+    buildCues(transcription).forEach((cue, i) => {
+        lines.push(String(i + 1));
+        lines.push(`${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}`);
+        lines.push(`<v ${escapeVTT(cueLabel(cue)).replace(/\n/g, ' ')}>${escapeVTT(cue.text)}`);
+        lines.push('');
+    });
+    return lines.join('\n');
+}
+
+function toSRT(transcription) {
+    const lines = [];
+    buildCues(transcription).forEach((cue, i) => {
+        lines.push(String(i + 1));
+        lines.push(`${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}`);
+        lines.push(`${cueText(cueLabel(cue)).replace(/\n/g, ' ')}: ${cueText(cue.text)}`);
+        lines.push('');
+    });
+    return lines.join('\n');
+}
+
+// Agrupar segmentos consecutivos del mismo hablante en un solo turno (el chat va en turnos aparte)
+function buildTurns(transcription) {
+    const turns = [];
+    for (const cue of buildCues(transcription)) {
+        const speaker = cueLabel(cue);
+        const last = turns[turns.length - 1];
+        if (last && last.speaker === speaker) {
+            last.texts.push(cue.text);
+        } else {
+            turns.push({ speaker, start: cue.start, texts: [cue.text] });
+        }
+    }
+    return turns;
+}
+
+function formatOffset(ms) {
+    return formatCueTime(ms, '.').slice(0, 8);
+}
+
+function participantNames(transcription) {
+    return (transcription.participants || []).map(p => p.userName || p.userId).filter(Boolean);
+}
+
+function toPlainText(transcription) {
+    const lines = [
+        transcription.title || 'Transcripción',
+        `Fecha: ${transcription.date || ''}`,
+        `Participantes: ${participantNames(transcription).join(', ')}`,
+        ''
+    ];
+
+    for (const turn of buildTurns(transcription)) {
+        lines.push(`[${formatOffset(turn.start)}] ${turn.speaker}:`);
+        lines.push(turn.texts.join(' '));
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+function toMarkdown(transcription) {
+    const lines = [
+        `# ${transcription.title || 'Transcripción'}`,
+        '',
+        `- **Fecha:** ${transcription.date || ''}`,
+        `- **Reunión:** ${transcription.meetingId || ''}`,
+        `- **Participantes:** ${participantNames(transcription).join(', ')}`,
+        '',
+        '## Transcripción',
+        ''
+    ];
+
+    for (const turn of buildTurns(transcription)) {
+        lines.push(`**${turn.speaker}** _(${formatOffset(turn.start)})_`);
+        lines.push('');
+        lines.push(turn.texts.join(' '));
+        lines.push('');
+    }
+
+    if (transcription.minutes) {
+        lines.push(...minutesMarkdown(transcription.minutes));
+    }
+    return lines.join('\n');
+}
+
+// Sección de actas (resumen, temas, decisiones y tareas) para la exportación en Markdown
+function minutesMarkdown(minutes) {
+    const lines = ['## Actas', ''];
+    const section = (title, items, render) => {
+        if (!items || items.length === 0) return;
+        lines.push(`### ${title}`, '');
+        items.forEach(item => lines.push(`- ${render(item)}`));
+        lines.push('');
+    };
+
+    section('Resumen', minutes.summary, item => `${item.text} _(${item.speaker})_`);
+    section('Temas', minutes.keywords, item => `${item.term} (${item.count})`);
+    section('Decisiones', minutes.decisions, item => `${item.text} _(${item.speaker})_`);
+    section('Tareas', minutes.actionItems, item => `[ ] ${item.text} _(${item.speaker})_`);
+    return lines;
+}
+
+const RENDERERS = {
+    json: transcription => JSON.stringify(transcription, null, 2),
+    vtt: toWebVTT,
+    srt: toSRT,
+    txt: toPlainText,
+    md: toMarkdown
+};
+
+// Nombre de archivo seguro para Content-Disposition
+function exportFilename(transcription, format) {
+    const base = String(transcription.title || `transcripcion-${transcription.id}`)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-zA-Z0-9-_]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .toLowerCase() || `transcripcion-${transcription.id}`;
+    return `${base}.${FORMATS[format].extension}`;
+}
+
+function renderTranscription(transcription, format) {
+    return {
+        body: RENDERERS[format](transcription),
+        contentType: FORMATS[format].contentType,
+        filename: exportFilename(transcription, format)
+    };
+}
+
+module.exports = {
+    FORMATS,
+    negotiateFormat,
+    renderTranscription,
+    buildCues,
+    buildSpeakerNames,
+    estimateSpeechMs,
+    toWebVTT,
+    toSRT,
+    toPlainText,
+    toMarkdown
+};
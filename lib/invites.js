@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { DEFAULT_ORG_ID } = require('./tenants');
+
+// Invitaciones firmadas y con caducidad para unirse a una reunión (o a una reunión programada)
+// sin compartir su meetingId. El token es un JWT (HS256) con el id de la invitación; los usos,
+// el límite de usos y la revocación se guardan en la colección 'invites'. Cada invitación pertenece a la
+// organización de su reunión; `createdBy` y `usedBy` guardan la clave del usuario respecto a ella.
+//
+// Configuración:
+//   INVITE_SECRET     secreto de firma (por defecto JWT_SECRET)
+//   INVITE_TTL_HOURS  caducidad por defecto de las invitaciones (por defecto 72 horas)
+
+const ALGORITHM = 'HS256';
+const DEFAULT_TTL_HOURS = 72;
+const MAX_TTL_HOURS = 90 * 24;
+
+class InviteError extends Error {
+    constructor(statusCode, message, details = {}) {
+        super(message);
+        this.name = 'InviteError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+// Validar las opciones de una invitación nueva: { expiresInHours, maxUses, singleUse }.
+// Devuelve { options: { ttlHours, maxUses } } o { error }; maxUses null es sin límite.
+function normalizeInviteOptions({ expiresInHours, maxUses, singleUse } = {}, defaultTtlHours = DEFAULT_TTL_HOURS) {
+    const ttlHours = expiresInHours === undefined ? defaultTtlHours : expiresInHours;
+    if (typeof ttlHours !== 'number' || !(ttlHours > 0) || ttlHours > MAX_TTL_HOURS) {
+        return { error: `expiresInHours debe ser un número de horas entre 0 y ${MAX_TTL_HOURS}` };
+    }
+
+    if (singleUse !== undefined && typeof singleUse !== 'boolean') {
+        return { error: 'singleUse debe ser true o false' };
+    }
+    if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+        return { error: 'maxUses debe ser un número entero positivo o null' };
+    }
+    if (singleUse && maxUses !== undefined && maxUses !== null && maxUses !== 1) {
+        return { error: 'Una invitación de un solo uso no admite otro maxUses' };
+    }
+
+    return { options: { ttlHours, maxUses: singleUse ? 1 : (maxUses || null) } };
+}
+
+function createInviteService({
+    storage,
+    secret = process.env.INVITE_SECRET || process.env.JWT_SECRET,
+    defaultTtlHours = Number(process.env.INVITE_TTL_HOURS) || DEFAULT_TTL_HOURS
+}) {
+    const invites = storage.collection('invites');
+
+    if (!secret) {
+        console.warn('⚠️ INVITE_SECRET no está configurado: las invitaciones dejarán de valer al reiniciar el servidor');
+        secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    // Sin fecha de emisión, el token de una invitación es siempre el mismo (p. ej. en el .ics)
+    function tokenFor(invite) {
+        return jwt.sign({ typ: 'invite', exp: Math.floor(Date.parse(invite.expiresAt) / 1000) }, secret, {
+            algorithm: ALGORITHM,
+            jwtid: invite.id,
+            noTimestamp: true
+        });
+    }
+
+    // `target` es { meetingId } o { scheduledMeetingId }; `expiresAt` sustituye a options.ttlHours
+    async function create({ target, orgId = DEFAULT_ORG_ID, createdBy, options = {}, expiresAt }) {
+        const invite = {
+            id: crypto.randomUUID(),
+            meetingId: target.meetingId || null,
+            scheduledMeetingId: target.scheduledMeetingId || null,
+            orgId,
+            createdBy: createdBy || null,
+            createdAt: new Date().toISOString(),
+            expiresAt: expiresAt || new Date(Date.now() + (options.ttlHours || defaultTtlHours) * 60 * 60 * 1000).toISOString(),
+            maxUses: options.maxUses || null,
+            uses: 0,
+            usedBy: [],
+            revokedAt: null
+        };
+        await invites.put(invite.id, invite);
+        return invite;
+    }
+
+    // Comprobar el token; devuelve la invitación o lanza InviteError. Los usos se comprueban con
+    // checkUses() y se anotan con claim(), justo antes de que el usuario entre en la reunión.
+    function verify(token) {
+        let payload;
+        try {
+            payload = jwt.verify(String(token || ''), secret, { algorithms: [ALGORITHM] });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new InviteError(410, 'La invitación ha caducado');
+            }
+            throw new InviteError(401, 'Invitación no válida');
+        }
+        if (payload.typ !== 'invite' || !payload.jti) {
+            throw new InviteError(401, 'Invitación no válida');
+        }
+
+        const invite = invites.get(payload.jti);
+        if (!invite) {
+            throw new InviteError(404, 'Invitación no encontrada');
+        }
+        if (invite.revokedAt) {
+            throw new InviteError(410, 'La invitación fue revocada');
+        }
+        return invite;
+    }
+
+    // Lanzar InviteError si la invitación ya no admite a `userId`.
+    // Quien ya usó la invitación puede volver a entrar aunque se haya agotado.
+    function checkUses(invite, userId) {
+        if (invite.maxUses !== null && invite.uses >= invite.maxUses && !invite.usedBy.includes(userId)) {
+            throw new InviteError(410, 'La invitación ya no admite más usos');
+        }
+    }
+
+    // Anotar el uso de la invitación (cada usuario cuenta una sola vez). La comprobación del límite y
+    // el uso se hacen en el mismo paso síncrono, antes de esperar a nada, para que varias uniones a la
+    // vez no superen maxUses. Devuelve true si se gastó un uso nuevo (que release() puede devolver).
+    async function claim(invite, userId) {
+        const current = invites.get(invite.id);
+        if (!current) {
+            throw new InviteError(404, 'Invitación no encontrada');
+        }
+        if (current.revokedAt) {
+            throw new InviteError(410, 'La invitación fue revocada');
+        }
+        if (current.usedBy.includes(userId)) {
+            return false;
+        }
+        checkUses(current, userId);
+        current.uses += 1;
+        current.usedBy.push(userId);
+        await invites.put(current.id, current);
+        return true;
+    }
+
+    // Devolver el uso que anotó claim() cuando el usuario no llega a entrar en la reunión
+    async function release(invite, userId) {
+        const current = invites.get(invite.id);
+        if (!current || !current.usedBy.includes(userId)) {
+            return;
+        }
+        current.uses = Math.max(0, current.uses - 1);
+        current.usedBy = current.usedBy.filter(id => id !== userId);
+        await invites.put(current.id, current);
+    }
+
+    async function revoke(inviteId) {
+        const invite = invites.get(inviteId);
+        if (!invite) return null;
+        if (!invite.revokedAt) {
+            invite.revokedAt = new Date().toISOString();
+            await invites.put(invite.id, invite);
+        }
+        return invite;
+    }
+
+    function list({ meetingId, scheduledMeetingId } = {}) {
+        return invites.list()
+            .filter(invite => !meetingId || invite.meetingId === meetingId)
+            .filter(invite => !scheduledMeetingId || invite.scheduledMeetingId === scheduledMeetingId)
+            .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    }
+
+    return {
+        defaultTtlHours,
+        tokenFor,
+        create,
+        verify,
+        checkUses,
+        claim,
+        release,
+        revoke,
+        list,
+        get: inviteId => invites.get(inviteId)
+    };
+}
+
+module.exports = {
+    InviteError,
+    normalizeInviteOptions,
+    createInviteService
+};
@@ -0,0 +1,93 @@
+// Distribución en vivo de eventos de una reunión a los clientes conectados (Server-Sent Events)
+
+const HEARTBEAT_MS = 25 * 1000;
+
+function writeEvent(res, { id, event, data }) {
+    if (id !== undefined && id !== null) res.write(`id: ${id}\n`);
+    if (event) res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+function createLiveHub({ heartbeatMs = HEARTBEAT_MS } = {}) {
+    // meetingId -> Map de respuestas SSE abiertas a sus opciones ({ language })
+    const channels = new Map();
+
+    function subscribers(meetingId) {
+        return channels.get(meetingId) || new Map();
+    }
+
+    function removeClient(meetingId, res) {
+        const clients = channels.get(meetingId);
+        if (!clients) return;
+        clients.delete(res);
+        if (clients.size === 0) channels.delete(meetingId);
+    }
+
+    // Abrir un flujo SSE para la reunión. `replay` son los eventos a enviar antes de los nuevos;
+    // `language` es el idioma al que el cliente quiere recibir las traducciones (o null).
+    function subscribe(meetingId, req, res, { replay = [], language = null } = {}) {
+        res.status(200).set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: 3000\n\n`);
+
+        replay.forEach(item => writeEvent(res, item));
+
+        if (!channels.has(meetingId)) channels.set(meetingId, new Map());
+        channels.get(meetingId).set(res, { language });
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+        if (heartbeat.unref) heartbeat.unref();
+
+        const cleanup = () => {
+            clearInterval(heartbeat);
+            removeClient(meetingId, res);
+        };
+        req.on('close', cleanup);
+        res.on('close', cleanup);
+    }
+
+    // Enviar un evento a los clientes de la reunión; con `language`, solo a los que lo pidieron
+    function publish(meetingId, event, data, id, { language } = {}) {
+        for (const [res, options] of subscribers(meetingId)) {
+            if (language && options.language !== language) continue;
+            writeEvent(res, { id, event, data });
+        }
+    }
+
+    // Idiomas de traducción que piden los clientes conectados a la reunión
+    function languages(meetingId) {
+        const requested = new Set();
+        for (const options of subscribers(meetingId).values()) {
+            if (options.language) requested.add(options.language);
+        }
+        return Array.from(requested);
+    }
+
+    // Avisar a los clientes que la reunión terminó (u otro `event` final) y cerrar sus conexiones
+    function close(meetingId, data = {}, { event = 'meeting-ended' } = {}) {
+        const clients = Array.from(subscribers(meetingId).keys());
+        channels.delete(meetingId);
+        for (const res of clients) {
+            writeEvent(res, { event, data: { meetingId, ...data } });
+            res.end();
+        }
+        return clients.length;
+    }
+
+    return {
+        subscribe,
+        publish,
+        languages,
+        close,
+        count(meetingId) {
+            return subscribers(meetingId).size;
+        }
+    };
+}
+
+module.exports = { createLiveHub };
@@ -0,0 +1,120 @@
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Registro de la aplicación.
+// Configuración:
+//   LOG_FORMAT   json (por defecto en producción): una línea JSON por mensaje
+//                { time, level, msg, requestId, ...campos } | text: mensajes de consola de siempre
+//   LOG_LEVEL    debug | info (por defecto) | warn | error
+//
+// Cada petición HTTP recibe un identificador (cabecera X-Request-Id, la del cliente si es válida)
+// que se añade a todos los mensajes registrados mientras se atiende, también a los console.log
+// de las rutas una vez instalado el registro en la consola (installConsole).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function currentRequestId() {
+    const context = requestContext.getStore();
+    return context ? context.requestId : undefined;
+}
+
+function serializeError(error) {
+    return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+// Los mensajes de consola empiezan a menudo con un emoji; en JSON sobra
+function cleanMessage(message) {
+    return message.replace(/^\p{Extended_Pictographic}️?\s*/u, '');
+}
+
+function createLogger({
+    format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'text'),
+    level = process.env.LOG_LEVEL || 'info',
+    write = (stream, line) => process[stream].write(line + '\n')
+} = {}) {
+    const threshold = LEVELS[level] || LEVELS.info;
+
+    function log(levelName, message, fields = {}) {
+        if (LEVELS[levelName] < threshold) return;
+
+        // En texto los campos no se escriben, salvo el error y el identificador de la petición
+        if (format !== 'json') {
+            const requestId = fields.requestId || currentRequestId();
+            const consoleMethod = levelName === 'error' ? 'error' : levelName === 'warn' ? 'warn' : 'log';
+            console[consoleMethod](requestId ? `${message} [${requestId}]` : message, ...(fields.error ? [fields.error] : []));
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level: levelName, msg: cleanMessage(String(message)) };
+        const requestId = currentRequestId();
+        if (requestId) entry.requestId = requestId;
+        Object.entries(fields).forEach(([key, value]) => {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        });
+        write(LEVELS[levelName] >= LEVELS.warn ? 'stderr' : 'stdout', JSON.stringify(entry));
+    }
+
+    return {
+        format,
+        level,
+        debug: (message, fields) => log('debug', message, fields),
+        info: (message, fields) => log('info', message, fields),
+        warn: (message, fields) => log('warn', message, fields),
+        error: (message, fields) => log('error', message, fields)
+    };
+}
+
+// Redirigir console.* al registro (solo en formato JSON; en texto la consola ya es el registro).
+// Los errores de los argumentos se guardan en el campo `error` con su traza.
+function installConsole(logger) {
+    if (logger.format !== 'json') return;
+
+    const forward = levelName => (...args) => {
+        const error = args.find(arg => arg instanceof Error);
+        const message = util.format(...args.filter(arg => arg !== error));
+        logger[levelName](message, error ? { error } : {});
+    };
+
+    console.debug = forward('debug');
+    console.log = forward('info');
+    console.info = forward('info');
+    console.warn = forward('warn');
+    console.error = forward('error');
+}
+
+// Middleware de Express: identificador de la petición y una línea de registro al terminarla
+function requestLogger(logger) {
+    return (req, res, next) => {
+        const header = req.get('x-request-id');
+        const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+        const startedAt = process.hrtime.bigint();
+
+        req.id = requestId;
+        res.setHeader('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+            const levelName = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+            logger[levelName](`📡 ${req.method} ${req.originalUrl.split('?')[0]} ${res.statusCode} ${durationMs} ms`, {
+                requestId,
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                durationMs
+            });
+        });
+
+        requestContext.run({ requestId }, next);
+    };
+}
+
+module.exports = {
+    createLogger,
+    installConsole,
+    requestLogger,
+    currentRequestId
+};
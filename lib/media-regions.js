@@ -0,0 +1,133 @@
+const { TRANSCRIBE_REGIONS, MEDICAL_REGIONS } = require('./transcription-settings');
+
+// Selección de la región de medios de Chime SDK para una reunión.
+// El creador puede pedir una región concreta o dar pistas para elegir la más cercana:
+//   { country: 'CO', timezone: 'America/Bogota', latencies: { 'us-east-1': 85, 'sa-east-1': 140 } }
+// Prioridad: región pedida, latencias medidas, país, zona horaria y, por último,
+// DEFAULT_MEDIA_REGION (por defecto us-east-1).
+
+const MEDIA_REGIONS = [
+    'us-east-1', 'us-east-2', 'us-west-1', 'us-west-2', 'ca-central-1', 'sa-east-1',
+    'eu-west-1', 'eu-west-2', 'eu-west-3', 'eu-central-1', 'eu-north-1', 'eu-south-1',
+    'af-south-1', 'ap-south-1', 'ap-northeast-1', 'ap-northeast-2', 'ap-southeast-1', 'ap-southeast-2'
+];
+
+// Región más cercana por país (ISO 3166-1 alfa-2)
+const COUNTRY_REGIONS = {
+    // Norteamérica, Centroamérica y Caribe
+    US: 'us-east-1', CA: 'ca-central-1', MX: 'us-east-2',
+    GT: 'us-east-1', SV: 'us-east-1', HN: 'us-east-1', NI: 'us-east-1', CR: 'us-east-1', PA: 'us-east-1',
+    CU: 'us-east-1', DO: 'us-east-1', PR: 'us-east-1',
+    // Sudamérica
+    CO: 'us-east-1', VE: 'us-east-1', EC: 'us-east-1',
+    PE: 'sa-east-1', BO: 'sa-east-1', CL: 'sa-east-1', AR: 'sa-east-1', UY: 'sa-east-1', PY: 'sa-east-1', BR: 'sa-east-1',
+    // Europa
+    ES: 'eu-west-3', PT: 'eu-west-3', FR: 'eu-west-3', GB: 'eu-west-2', IE: 'eu-west-1',
+    DE: 'eu-central-1', NL: 'eu-central-1', BE: 'eu-central-1', AT: 'eu-central-1', CH: 'eu-central-1',
+    PL: 'eu-central-1', CZ: 'eu-central-1', IT: 'eu-south-1',
+    SE: 'eu-north-1', NO: 'eu-north-1', FI: 'eu-north-1', DK: 'eu-north-1',
+    // África y Asia-Pacífico
+    ZA: 'af-south-1', MA: 'eu-west-3',
+    IN: 'ap-south-1', JP: 'ap-northeast-1', KR: 'ap-northeast-2',
+    SG: 'ap-southeast-1', MY: 'ap-southeast-1', ID: 'ap-southeast-1', TH: 'ap-southeast-1', PH: 'ap-southeast-1', VN: 'ap-southeast-1',
+    AU: 'ap-southeast-2', NZ: 'ap-southeast-2'
+};
+
+// País de las zonas horarias más habituales entre nuestros usuarios
+const TIMEZONE_COUNTRIES = {
+    'America/Mexico_City': 'MX', 'America/Monterrey': 'MX', 'America/Tijuana': 'MX', 'America/Cancun': 'MX',
+    'America/Guatemala': 'GT', 'America/El_Salvador': 'SV', 'America/Tegucigalpa': 'HN', 'America/Managua': 'NI',
+    'America/Costa_Rica': 'CR', 'America/Panama': 'PA', 'America/Havana': 'CU', 'America/Santo_Domingo': 'DO',
+    'America/Puerto_Rico': 'PR', 'America/Bogota': 'CO', 'America/Caracas': 'VE', 'America/Guayaquil': 'EC',
+    'America/Lima': 'PE', 'America/La_Paz': 'BO', 'America/Santiago': 'CL', 'America/Montevideo': 'UY',
+    'America/Asuncion': 'PY', 'America/Sao_Paulo': 'BR', 'America/Toronto': 'CA', 'America/Vancouver': 'CA',
+    'Europe/Madrid': 'ES', 'Atlantic/Canary': 'ES', 'Europe/Lisbon': 'PT', 'Europe/Paris': 'FR',
+    'Europe/London': 'GB', 'Europe/Dublin': 'IE', 'Europe/Berlin': 'DE', 'Europe/Rome': 'IT'
+};
+
+// Si la zona horaria no es conocida, se usa su continente
+const TIMEZONE_AREA_REGIONS = {
+    America: 'us-east-1',
+    Europe: 'eu-central-1',
+    Africa: 'af-south-1',
+    Asia: 'ap-southeast-1',
+    Australia: 'ap-southeast-2',
+    Pacific: 'ap-southeast-2'
+};
+
+// Regiones de transcripción por orden de cercanía para cada región de medios
+const TRANSCRIPTION_REGION_FALLBACKS = {
+    'us-west-1': ['us-west-2', 'us-east-1'],
+    'sa-east-1': ['sa-east-1', 'us-east-1'],
+    'eu-west-3': ['eu-west-2', 'eu-central-1'],
+    'eu-north-1': ['eu-central-1', 'eu-west-1'],
+    'eu-south-1': ['eu-central-1', 'eu-west-1'],
+    'af-south-1': ['eu-west-2', 'eu-central-1'],
+    'ap-south-1': ['ap-northeast-1', 'ap-southeast-2'],
+    'ap-northeast-1': ['ap-northeast-1', 'ap-southeast-2'],
+    'ap-northeast-2': ['ap-northeast-2', 'ap-northeast-1', 'ap-southeast-2'],
+    'ap-southeast-1': ['ap-northeast-1', 'ap-southeast-2']
+};
+
+const DEFAULT_MEDIA_REGION = process.env.DEFAULT_MEDIA_REGION || 'us-east-1';
+
+function isSupportedMediaRegion(region) {
+    return MEDIA_REGIONS.includes(region);
+}
+
+function regionFromLatencies(latencies) {
+    if (!latencies || typeof latencies !== 'object' || Array.isArray(latencies)) return null;
+    const measured = Object.entries(latencies)
+        .filter(([region, ms]) => isSupportedMediaRegion(region) && typeof ms === 'number' && Number.isFinite(ms) && ms >= 0)
+        .sort((a, b) => a[1] - b[1]);
+    return measured.length > 0 ? measured[0][0] : null;
+}
+
+function regionFromCountry(country) {
+    return (typeof country === 'string' && COUNTRY_REGIONS[country.toUpperCase()]) || null;
+}
+
+function regionFromTimezone(timezone) {
+    if (typeof timezone !== 'string') return null;
+    const country = TIMEZONE_COUNTRIES[timezone];
+    if (country) return regionFromCountry(country);
+    return TIMEZONE_AREA_REGIONS[timezone.split('/')[0]] || null;
+}
+
+// Elegir la región de medios; devuelve { region, source } o { error }
+function resolveMediaRegion({ mediaRegion, hints } = {}, defaultRegion = DEFAULT_MEDIA_REGION) {
+    if (mediaRegion !== undefined && mediaRegion !== null) {
+        if (!isSupportedMediaRegion(mediaRegion)) {
+            return { error: `Región de medios no soportada: ${mediaRegion}` };
+        }
+        return { region: mediaRegion, source: 'requested' };
+    }
+
+    const { country, timezone, latencies } = hints || {};
+    const candidates = [
+        ['latency', regionFromLatencies(latencies)],
+        ['country', regionFromCountry(country)],
+        ['timezone', regionFromTimezone(timezone)]
+    ];
+    const match = candidates.find(([, region]) => region);
+    if (match) {
+        return { region: match[1], source: match[0] };
+    }
+
+    return { region: defaultRegion, source: 'default' };
+}
+
+// Región de Amazon Transcribe compatible con la región de medios y el motor elegido
+function transcriptionRegionFor(mediaRegion, engine = 'standard') {
+    const available = engine === 'medical' ? MEDICAL_REGIONS : TRANSCRIBE_REGIONS;
+    const candidates = [mediaRegion, ...(TRANSCRIPTION_REGION_FALLBACKS[mediaRegion] || []), 'us-east-1'];
+    return candidates.find(region => available.includes(region));
+}
+
+module.exports = {
+    MEDIA_REGIONS,
+    DEFAULT_MEDIA_REGION,
+    isSupportedMediaRegion,
+    resolveMediaRegion,
+    transcriptionRegionFor
+};
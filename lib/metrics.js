@@ -0,0 +1,180 @@
+// Métricas en el formato de texto de Prometheus (versión 0.0.4), sin dependencias.
+//
+//   const registry = createMetricsRegistry();
+//   const requests = registry.counter('http_requests_total', 'Peticiones HTTP', ['method']);
+//   requests.inc({ method: 'GET' });
+//   registry.gauge('active_meetings', 'Reuniones activas', [], () => [{ value: 3 }]);
+//   registry.render() -> texto para GET /metrics
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Etiquetas de una muestra en el orden declarado (las que faltan quedan vacías)
+function pickLabels(labelNames, labels = {}) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+function createMetricsRegistry() {
+    const metrics = [];
+
+    function register(name, help, type, render) {
+        if (metrics.some(metric => metric.name === name)) {
+            throw new Error(`Métrica duplicada: ${name}`);
+        }
+        metrics.push({ name, help, type, render });
+    }
+
+    // Contador: solo aumenta
+    function counter(name, help, labelNames = []) {
+        const values = new Map();
+        register(name, help, 'counter', () => [...values.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`));
+
+        return {
+            inc(labels = {}, amount = 1) {
+                const picked = pickLabels(labelNames, labels);
+                const key = JSON.stringify(picked);
+                const current = values.get(key) || { labels: picked, value: 0 };
+                current.value += amount;
+                values.set(key, current);
+            }
+        };
+    }
+
+    // Medidor: su valor se fija con set() o lo calcula `collect` al exportar
+    // (collect devuelve [{ labels, value }])
+    function gauge(name, help, labelNames = [], collect = null) {
+        const values = new Map();
+        register(name, help, 'gauge', () => {
+            const samples = collect ? collect() : [...values.values()];
+            return samples.map(({ labels = {}, value }) => `${name}${formatLabels(pickLabels(labelNames, labels))} ${formatValue(value)}`);
+        });
+
+        return {
+            set(labels = {}, value) {
+                const picked = pickLabels(labelNames, labels);
+                values.set(JSON.stringify(picked), { labels: picked, value });
+            }
+        };
+    }
+
+    // Histograma acumulado por intervalos (`buckets` en segundos, de menor a mayor)
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map();
+        register(name, help, 'histogram', () => {
+            const lines = [];
+            series.forEach(({ labels, counts, sum, count }) => {
+                buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            });
+            return lines;
+        });
+
+        return {
+            observe(labels = {}, value) {
+                const picked = pickLabels(labelNames, labels);
+                const key = JSON.stringify(picked);
+                if (!series.has(key)) {
+                    series.set(key, { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 });
+                }
+                const entry = series.get(key);
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) entry.counts[index] += 1;
+                });
+                entry.sum += value;
+                entry.count += 1;
+            }
+        };
+    }
+
+    function render() {
+        const lines = [];
+        metrics.forEach(metric => {
+            lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.render());
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+// Eventos por segundo en una ventana deslizante (por defecto, el último minuto)
+function createRateWindow(windowMs = 60 * 1000, now = Date.now) {
+    const timestamps = [];
+
+    function prune() {
+        const limit = now() - windowMs;
+        while (timestamps.length > 0 && timestamps[0] <= limit) {
+            timestamps.shift();
+        }
+    }
+
+    return {
+        record(count = 1) {
+            const time = now();
+            for (let i = 0; i < count; i++) timestamps.push(time);
+            prune();
+        },
+        perSecond() {
+            prune();
+            return timestamps.length / (windowMs / 1000);
+        }
+    };
+}
+
+// Nombre de la operación de un comando del SDK (CreateMeetingCommand -> CreateMeeting)
+function operationName(command) {
+    return command && command.constructor ? command.constructor.name.replace(/Command$/, '') : 'Unknown';
+}
+
+// Medir las llamadas de un cliente de AWS: envuelve `send` para registrar la latencia
+// (`duration`, histograma) y los errores por operación y nombre de error (`errors`, contador).
+// El cliente se modifica en el sitio para que lo compartan los módulos que ya lo recibieron;
+// `client.send.uninstrumented` es el envío original, para las llamadas que no deben contarse.
+function instrumentAwsClient(client, service, { duration, errors }) {
+    if (!client || typeof client.send !== 'function' || client.send.uninstrumented) {
+        return client;
+    }
+
+    const send = client.send.bind(client);
+    client.send = async function instrumentedSend(command, ...rest) {
+        const operation = operationName(command);
+        const startedAt = process.hrtime.bigint();
+        try {
+            return await send(command, ...rest);
+        } catch (error) {
+            errors.inc({ service, operation, error: error.name || 'Error' });
+            throw error;
+        } finally {
+            duration.observe({ service, operation }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        }
+    };
+    client.send.uninstrumented = send;
+    return client;
+}
+
+module.exports = {
+    createMetricsRegistry,
+    createRateWindow,
+    instrumentAwsClient
+};
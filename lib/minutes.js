@@ -0,0 +1,199 @@
+const { buildSpeakerNames } = require('./exporters');
+
+// Actas automáticas de la reunión: resumen extractivo, palabras clave, tareas y decisiones.
+// Un proveedor de actas expone { name, generate(transcription) -> Promise<minutes> }.
+// El proveedor local no depende de servicios externos; otros proveedores (modelos más ricos)
+// se registran con registerMinutesProvider y se eligen con MINUTES_PROVIDER.
+
+const SUMMARY_MIN_SENTENCES = 3;
+const SUMMARY_MAX_SENTENCES = 8;
+const KEYWORD_COUNT = 10;
+
+const STOPWORDS = new Set(`
+a al algo algunos ante antes asi aun aunque bien cada casi como con contra cual cuando de del desde donde dos
+el ella ellas ellos en entonces entre era eres es esa ese eso esta estaba estamos estan estar este esto estos
+fue fueron ha habia han has hasta hay he la las le les lo los mas me mi mis mucho muy nada ni no nos nosotros
+o otra otro para pero poco por porque puede pues que se sea ser si sido sin sobre son su sus tambien tan tanto
+te tiene tienen todo todos tu tus un una uno unos usted va vamos voy y ya yo bueno vale ok okay entonces digo
+creo eh este osea
+about after again all also am an and any are as at be because been but by can could did do does doing for from
+had has have he her here him his how i if in into is it its just like me more most my no not now of on one or
+our out over really right so some such than that the their them then there these they this to too up us very
+was we were what when where which who why will with would yeah yes you your well okay gonna get got let
+`.trim().split(/\s+/));
+
+// Expresiones que indican tareas o compromisos (español e inglés).
+// Se comparan con el texto original y con el texto sin tildes, por eso se escriben sin tildes.
+const ACTION_PATTERNS = [
+    /\b(vamos|voy|van|vas) a\b/i,
+    /\b(tengo|tenemos|tienes|tiene) que\b/i,
+    /\bhay que\b/i,
+    /\b(debemos|debo|deberiamos)\b/i,
+    /\bme (encargo|ocupo)\b/i,
+    /\bse encarga\b/i,
+    /\b(queda|quedan) pendiente/i,
+    /\bpendiente\b/i,
+    /\bI(?: wi|')ll\b/i,
+    /\bI will\b/i,
+    /\bwe(?: wi|')ll\b/i,
+    /\bwe will\b/i,
+    /\b(we|you) need to\b/i,
+    /\blet'?s\b/i,
+    /\baction item/i,
+    /\bfollow[ -]up\b/i,
+    /\bTODO\b/
+];
+
+// Expresiones que indican decisiones tomadas
+const DECISION_PATTERNS = [
+    /\b(decidimos|hemos decidido|se decidio|decidido)\b/i,
+    /\b(acordamos|hemos acordado|queda acordado|de acuerdo en)\b/i,
+    /\b(se aprueba|aprobado|aprobamos)\b/i,
+    /\bwe (decided|agreed)\b/i,
+    /\b(decided|agreed) (to|that|on)\b/i,
+    /\bfinal decision\b/i,
+    /\blet'?s go with\b/i
+];
+
+function foldText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function tokenize(text) {
+    return (foldText(text).match(/[a-zñ0-9']+/g) || [])
+        .map(word => word.replace(/^'+|'+$/g, ''))
+        .filter(word => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+}
+
+// Dividir los fragmentos en oraciones conservando hablante y marca de tiempo
+function buildSentences(transcription) {
+    const names = buildSpeakerNames(transcription.participants, transcription.speakerNames);
+    const sentences = [];
+
+    (transcription.transcripts || []).forEach((segment, segmentIndex) => {
+        const text = String(segment.text || '').trim();
+        if (!text) return;
+
+        const parts = text.match(/[^.!?¿¡]+[.!?]*/g) || [text];
+        parts.map(part => part.trim()).filter(Boolean).forEach(part => {
+            sentences.push({
+                text: part,
+                speaker: names[segment.attendeeId] || segment.attendeeId || 'unknown',
+                attendeeId: segment.attendeeId,
+                timestamp: segment.timestamp,
+                segmentIndex
+            });
+        });
+    });
+
+    return sentences;
+}
+
+function computeKeywords(sentences) {
+    const counts = {};
+    sentences.forEach(sentence => {
+        tokenize(sentence.text).forEach(word => {
+            counts[word] = (counts[word] || 0) + 1;
+        });
+    });
+
+    return Object.entries(counts)
+        .filter(([, count]) => count > 1 || Object.keys(counts).length < KEYWORD_COUNT)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, KEYWORD_COUNT)
+        .map(([term, count]) => ({ term, count }));
+}
+
+// Resumen extractivo: oraciones con mayor densidad de palabras frecuentes, en orden original
+function buildSummary(sentences) {
+    const frequencies = {};
+    sentences.forEach(sentence => {
+        tokenize(sentence.text).forEach(word => {
+            frequencies[word] = (frequencies[word] || 0) + 1;
+        });
+    });
+
+    const scored = sentences.map((sentence, index) => {
+        const words = tokenize(sentence.text);
+        const score = words.length === 0 ? 0 : words.reduce((sum, word) => sum + frequencies[word], 0) / Math.sqrt(words.length);
+        return { ...sentence, index, score };
+    }).filter(sentence => sentence.score > 0);
+
+    const size = Math.min(SUMMARY_MAX_SENTENCES, Math.max(SUMMARY_MIN_SENTENCES, Math.ceil(sentences.length * 0.2)));
+
+    return scored
+        .sort((a, b) => b.score - a.score)
+        .slice(0, size)
+        .sort((a, b) => a.index - b.index)
+        .map(({ text, speaker, timestamp, segmentIndex }) => ({ text, speaker, timestamp, segmentIndex }));
+}
+
+function detect(sentences, patterns) {
+    return sentences
+        .filter(sentence => {
+            const folded = foldText(sentence.text);
+            return patterns.some(pattern => pattern.test(sentence.text) || pattern.test(folded));
+        })
+        .map(({ text, speaker, timestamp, segmentIndex }) => ({ text, speaker, timestamp, segmentIndex }));
+}
+
+function createLocalMinutesProvider() {
+    return {
+        name: 'local',
+        async generate(transcription) {
+            const sentences = buildSentences(transcription);
+            const decisions = detect(sentences, DECISION_PATTERNS);
+            const decisionTexts = new Set(decisions.map(d => d.text));
+
+            return {
+                summary: buildSummary(sentences),
+                keywords: computeKeywords(sentences),
+                actionItems: detect(sentences, ACTION_PATTERNS).filter(item => !decisionTexts.has(item.text)),
+                decisions
+            };
+        }
+    };
+}
+
+const providers = {
+    local: createLocalMinutesProvider
+};
+
+function registerMinutesProvider(name, factory) {
+    providers[name] = factory;
+}
+
+function createMinutesProvider(name = process.env.MINUTES_PROVIDER || 'local') {
+    if (!providers[name]) {
+        throw new Error(`Proveedor de actas no soportado: ${name}`);
+    }
+    return providers[name]();
+}
+
+// Generar las actas con el proveedor indicado; si falla, se recurre al algoritmo local
+async function generateMinutes(transcription, provider = createLocalMinutesProvider()) {
+    let minutes;
+    let used = provider;
+
+    try {
+        minutes = await provider.generate(transcription);
+    } catch (error) {
+        if (provider.name === 'local') throw error;
+        console.warn(`⚠️ El proveedor de actas "${provider.name}" falló, se usa el local: ${error.message}`);
+        used = createLocalMinutesProvider();
+        minutes = await used.generate(transcription);
+    }
+
+    return {
+        ...minutes,
+        provider: used.name,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    createLocalMinutesProvider,
+    createMinutesProvider,
+    registerMinutesProvider,
+    generateMinutes
+};
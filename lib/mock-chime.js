@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+
+// Proveedor simulado de AWS para desarrollo sin credenciales y para las pruebas.
+// Imita en memoria las operaciones de Chime SDK Meetings, Media Pipelines, Transcribe
+// Streaming y Translate que usa el backend, con los mismos nombres de error que el SDK.
+//
+// `accessDenied` es una lista de operaciones (p. ej. 'StartMeetingTranscription') que
+// fallan con AccessDeniedException, para probar la transcripción alternativa.
+
+const MOCK_ACCOUNT_ID = '000000000000';
+
+function mockError(name, message, statusCode) {
+    const error = new Error(message);
+    error.name = name;
+    error.$fault = statusCode >= 500 ? 'server' : 'client';
+    error.$metadata = { httpStatusCode: statusCode };
+    return error;
+}
+
+// Nombre de la operación a partir del comando del SDK (CreateMeetingCommand -> CreateMeeting)
+function operationName(command) {
+    return command.constructor.name.replace(/Command$/, '');
+}
+
+// Ejecutar un comando del SDK con el manejador de su operación
+async function run(handlers, denied, command) {
+    const operation = operationName(command);
+    if (denied.has(operation)) {
+        throw mockError('AccessDeniedException', `User is not authorized to perform: chime:${operation}`, 403);
+    }
+    const handler = handlers[operation];
+    if (!handler) {
+        throw mockError('UnknownOperationException', `Operation ${operation} is not supported by the mock`, 400);
+    }
+    return handler(command.input || {});
+}
+
+function createMockChimeClient({ accessDenied = [] } = {}) {
+    const denied = new Set(accessDenied);
+    // meetingId -> { Meeting, attendees: Map(attendeeId -> Attendee), transcription }
+    const meetings = new Map();
+    const requestTokens = new Map();
+
+    function findMeeting(meetingId) {
+        const meeting = meetings.get(meetingId);
+        if (!meeting) {
+            throw mockError('NotFoundException', `The meeting ${meetingId} was not found`, 404);
+        }
+        return meeting;
+    }
+
+    function findAttendee(meeting, attendeeId) {
+        const attendee = meeting.attendees.get(attendeeId);
+        if (!attendee) {
+            throw mockError('NotFoundException', `The attendee ${attendeeId} was not found`, 404);
+        }
+        return attendee;
+    }
+
+    const handlers = {
+        CreateMeeting(input) {
+            if (!input.MediaRegion) {
+                throw mockError('BadRequestException', 'MediaRegion is required', 400);
+            }
+            // Chime devuelve la misma reunión si se repite el ClientRequestToken
+            if (input.ClientRequestToken && requestTokens.has(input.ClientRequestToken)) {
+                return { Meeting: meetings.get(requestTokens.get(input.ClientRequestToken)).Meeting };
+            }
+
+            const meetingId = crypto.randomUUID();
+            const host = `mock.${input.MediaRegion}.chime.local`;
+            const Meeting = {
+                MeetingId: meetingId,
+                MeetingArn: `arn:aws:chime:${input.MediaRegion}:${MOCK_ACCOUNT_ID}:meeting/${meetingId}`,
+                ExternalMeetingId: input.ExternalMeetingId,
+                MediaRegion: input.MediaRegion,
+                MediaPlacement: {
+                    AudioHostUrl: `${host}:3478`,
+                    AudioFallbackUrl: `wss://${host}/audio/${meetingId}`,
+                    SignalingUrl: `wss://${host}/control/${meetingId}`,
+                    TurnControlUrl: `https://${host}/v2/turn_sessions`,
+                    ScreenDataUrl: `wss://${host}/screen/${meetingId}`,
+                    ScreenViewingUrl: `wss://${host}/screenviewing/${meetingId}`,
+                    ScreenSharingUrl: `wss://${host}/screensharing/${meetingId}`,
+                    EventIngestionUrl: `https://${host}/event-ingestion`
+                }
+            };
+            meetings.set(meetingId, { Meeting, attendees: new Map(), transcription: null });
+            if (input.ClientRequestToken) requestTokens.set(input.ClientRequestToken, meetingId);
+            return { Meeting };
+        },
+        GetMeeting(input) {
+            return { Meeting: findMeeting(input.MeetingId).Meeting };
+        },
+        DeleteMeeting(input) {
+            findMeeting(input.MeetingId);
+            meetings.delete(input.MeetingId);
+            return {};
+        },
+        CreateAttendee(input) {
+            const meeting = findMeeting(input.MeetingId);
+            const Attendee = {
+                AttendeeId: crypto.randomUUID(),
+                ExternalUserId: input.ExternalUserId,
+                JoinToken: crypto.randomBytes(24).toString('base64'),
+                Capabilities: input.Capabilities || { Audio: 'SendReceive', Video: 'SendReceive', Content: 'SendReceive' }
+            };
+            meeting.attendees.set(Attendee.AttendeeId, Attendee);
+            return { Attendee };
+        },
+        DeleteAttendee(input) {
+            const meeting = findMeeting(input.MeetingId);
+            findAttendee(meeting, input.AttendeeId);
+            meeting.attendees.delete(input.AttendeeId);
+            return {};
+        },
+        UpdateAttendeeCapabilities(input) {
+            const attendee = findAttendee(findMeeting(input.MeetingId), input.AttendeeId);
+            attendee.Capabilities = input.Capabilities;
+            return { Attendee: attendee };
+        },
+        StartMeetingTranscription(input) {
+            const meeting = findMeeting(input.MeetingId);
+            meeting.transcription = input.TranscriptionConfiguration;
+            return {};
+        },
+        StopMeetingTranscription(input) {
+            findMeeting(input.MeetingId).transcription = null;
+            return {};
+        }
+    };
+
+    return {
+        meetings,
+        denied,
+        send: command => run(handlers, denied, command)
+    };
+}
+
+// Canalizaciones de captura de medios; solo aceptan reuniones que existan en `chime`
+function createMockMediaPipelinesClient({ chime, accessDenied = [] } = {}) {
+    const denied = new Set(accessDenied);
+    const pipelines = new Map();
+
+    const handlers = {
+        CreateMediaCapturePipeline(input) {
+            const meetingId = String(input.SourceArn || '').split(/[/:]/).pop();
+            if (chime && !chime.meetings.has(meetingId)) {
+                throw mockError('NotFoundException', `The meeting ${meetingId} was not found`, 404);
+            }
+
+            const pipelineId = crypto.randomUUID();
+            const MediaCapturePipeline = {
+                MediaPipelineId: pipelineId,
+                MediaPipelineArn: `arn:aws:chime:us-east-1:${MOCK_ACCOUNT_ID}:media-pipeline/${pipelineId}`,
+                SourceType: input.SourceType,
+                SourceArn: input.SourceArn,
+                SinkType: input.SinkType,
+                SinkArn: input.SinkArn,
+                Status: 'Initializing',
+                ChimeSdkMeetingConfiguration: input.ChimeSdkMeetingConfiguration,
+                CreatedTimestamp: new Date()
+            };
+            pipelines.set(pipelineId, MediaCapturePipeline);
+            return { MediaCapturePipeline };
+        },
+        GetMediaCapturePipeline(input) {
+            const MediaCapturePipeline = pipelines.get(input.MediaPipelineId);
+            if (!MediaCapturePipeline) {
+                throw mockError('NotFoundException', `The media pipeline ${input.MediaPipelineId} was not found`, 404);
+            }
+            return { MediaCapturePipeline };
+        },
+        DeleteMediaCapturePipeline(input) {
+            if (!pipelines.delete(input.MediaPipelineId)) {
+                throw mockError('NotFoundException', `The media pipeline ${input.MediaPipelineId} was not found`, 404);
+            }
+            return {};
+        }
+    };
+
+    return {
+        pipelines,
+        denied,
+        send: command => run(handlers, denied, command)
+    };
+}
+
+const DEFAULT_TRANSCRIBE_SCRIPT = [
+    { text: 'hola', isPartial: true },
+    { text: 'hola a todos', isPartial: false }
+];
+
+// Transcribe Streaming: responde a cada fragmento de audio con el siguiente resultado del guion,
+// en el formato de TranscriptResultStream
+function createMockTranscribeClient({ script = DEFAULT_TRANSCRIBE_SCRIPT, accessDenied = [] } = {}) {
+    const denied = new Set(accessDenied);
+
+    function toEvent(item, index) {
+        return {
+            TranscriptEvent: {
+                Transcript: {
+                    Results: [{
+                        ResultId: `mock-${index}`,
+                        IsPartial: Boolean(item.isPartial),
+                        StartTime: item.startTime || 0,
+                        EndTime: item.endTime || 0,
+                        Alternatives: [{ Transcript: item.text }]
+                    }]
+                }
+            }
+        };
+    }
+
+    return {
+        async send(command) {
+            const operation = operationName(command);
+            if (denied.has(operation)) {
+                throw mockError('AccessDeniedException', `User is not authorized to perform: transcribe:${operation}`, 403);
+            }
+            if (operation !== 'StartStreamTranscription') {
+                throw mockError('UnknownOperationException', `Operation ${operation} is not supported by the mock`, 400);
+            }
+
+            const { AudioStream, MediaSampleRateHertz } = command.input;
+            if (MediaSampleRateHertz !== undefined && (MediaSampleRateHertz < 8000 || MediaSampleRateHertz > 48000)) {
+                throw mockError('BadRequestException', 'MediaSampleRateHertz must be between 8000 and 48000', 400);
+            }
+            async function* results() {
+                let index = 0;
+                for await (const _event of AudioStream) {
+                    if (index < script.length) {
+                        yield toEvent(script[index], index);
+                        index += 1;
+                    }
+                }
+                for (; index < script.length; index++) {
+                    yield toEvent(script[index], index);
+                }
+            }
+
+            return { TranscriptResultStream: results() };
+        }
+    };
+}
+
+// Amazon Translate simulado: antepone el idioma de destino al texto ("[en] hola").
+// La detección automática del idioma de origen siempre responde 'es'.
+function createMockTranslateClient({ accessDenied = [] } = {}) {
+    const denied = new Set(accessDenied);
+
+    return {
+        async send(command) {
+            const operation = operationName(command);
+            if (denied.has(operation)) {
+                throw mockError('AccessDeniedException', `User is not authorized to perform: translate:${operation}`, 403);
+            }
+            if (operation !== 'TranslateText') {
+                throw mockError('UnknownOperationException', `Operation ${operation} is not supported by the mock`, 400);
+            }
+
+            const { Text, SourceLanguageCode, TargetLanguageCode } = command.input;
+            if (!Text) {
+                throw mockError('ValidationException', 'Text must have length greater than or equal to 1', 400);
+            }
+            const source = SourceLanguageCode === 'auto' ? 'es' : SourceLanguageCode;
+            return {
+                TranslatedText: source === TargetLanguageCode ? Text : `[${TargetLanguageCode}] ${Text}`,
+                SourceLanguageCode: source,
+                TargetLanguageCode
+            };
+        }
+    };
+}
+
+// Los clientes simulados, compartiendo el estado de las reuniones
+function createMockProvider({ accessDenied = [] } = {}) {
+    const chimeClient = createMockChimeClient({ accessDenied });
+    return {
+        name: 'mock',
+        chimeClient,
+        mediaPipelinesClient: createMockMediaPipelinesClient({ chime: chimeClient, accessDenied }),
+        transcribeClient: createMockTranscribeClient({ accessDenied }),
+        translateClient: createMockTranslateClient({ accessDenied })
+    };
+}
+
+module.exports = {
+    createMockChimeClient,
+    createMockMediaPipelinesClient,
+    createMockTranscribeClient,
+    createMockTranslateClient,
+    createMockProvider
+};
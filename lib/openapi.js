@@ -0,0 +1,169 @@
+const { API_ERRORS } = require('./api-errors');
+
+// Documento OpenAPI 3.1 de la API /v1 generado a partir de las rutas de lib/api-spec.js
+
+const SECURITY = {
+    user: [{ bearerAuth: [] }, { accessToken: [] }],
+    participant: [{ bearerAuth: [] }, { accessToken: [] }],
+    host: [{ bearerAuth: [] }, { accessToken: [] }],
+    apiKey: [{ apiKey: [] }],
+    eventsToken: [{ eventsToken: [] }, {}],
+    public: []
+};
+
+// Errores que añaden la autenticación y los permisos de cada tipo de acceso
+const ACCESS_ERRORS = {
+    user: ['AUTH_TOKEN_REQUIRED', 'AUTH_TOKEN_INVALID', 'AUTH_TOKEN_EXPIRED'],
+    participant: ['AUTH_TOKEN_REQUIRED', 'AUTH_TOKEN_INVALID', 'AUTH_TOKEN_EXPIRED', 'MEETING_NOT_FOUND', 'NOT_A_PARTICIPANT'],
+    host: ['AUTH_TOKEN_REQUIRED', 'AUTH_TOKEN_INVALID', 'AUTH_TOKEN_EXPIRED', 'MEETING_NOT_FOUND', 'HOST_REQUIRED'],
+    apiKey: ['API_KEY_INVALID', 'API_KEY_NOT_CONFIGURED'],
+    eventsToken: [],
+    public: []
+};
+
+const STATUS_DESCRIPTIONS = {
+    200: 'Correcto',
+    201: 'Creado',
+    202: 'Aceptado, pendiente de una decisión',
+    400: 'Petición no válida',
+    401: 'No autenticado',
+    403: 'Sin permiso',
+    404: 'No encontrado',
+    406: 'Formato no disponible',
+    409: 'Conflicto con el estado actual',
+    410: 'Ya no disponible',
+    429: 'Límite de uso alcanzado',
+    500: 'Error interno',
+    502: 'Error del servicio externo',
+    503: 'Servicio no disponible'
+};
+
+// '/transcription/:id' -> '/transcription/{id}'
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParameterNames(path) {
+    return (path.match(/:(\w+)/g) || []).map(name => name.slice(1));
+}
+
+// Códigos de error de una ruta: los de su tipo de acceso, los de validación y los propios
+function routeErrorCodes(route) {
+    const codes = [...(ACCESS_ERRORS[route.access] || [])];
+    if (route.body || route.query || pathParameterNames(route.path).length > 0) {
+        codes.push('VALIDATION_FAILED');
+    }
+    if (route.body) {
+        codes.push('INVALID_JSON');
+    }
+    codes.push(...(route.errors || []), 'INTERNAL_ERROR');
+    return [...new Set(codes)];
+}
+
+function successResponse(status, response) {
+    const description = STATUS_DESCRIPTIONS[status] || 'Correcto';
+    if (!response.content) {
+        return { description, content: { 'application/json': { schema: response } } };
+    }
+    const content = {};
+    [].concat(response.content).forEach(type => {
+        content[type] = type === 'application/json' && response.schema ? { schema: response.schema } : { schema: { type: 'string' } };
+    });
+    return { description, content };
+}
+
+function errorResponses(route) {
+    const byStatus = {};
+    routeErrorCodes(route).forEach(code => {
+        const status = API_ERRORS[code].status;
+        (byStatus[status] = byStatus[status] || []).push(code);
+    });
+
+    const responses = {};
+    Object.entries(byStatus).forEach(([status, codes]) => {
+        responses[status] = {
+            description: `${STATUS_DESCRIPTIONS[status] || 'Error'}. Códigos: ${codes.join(', ')}`,
+            content: {
+                'application/json': {
+                    schema: {
+                        allOf: [
+                            { $ref: '#/components/schemas/Error' },
+                            { properties: { error: { properties: { code: { enum: codes } } } } }
+                        ]
+                    }
+                }
+            }
+        };
+    });
+    return responses;
+}
+
+function buildOperation(route) {
+    const parameters = pathParameterNames(route.path).map(name => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: (route.params && route.params[name]) || { type: 'string', minLength: 1 }
+    }));
+    Object.entries((route.query && route.query.properties) || {}).forEach(([name, schema]) => {
+        parameters.push({ name, in: 'query', required: (route.query.required || []).includes(name), schema });
+    });
+
+    const operation = {
+        operationId: route.operationId,
+        summary: route.summary,
+        tags: [route.tag],
+        parameters,
+        responses: {}
+    };
+    if (route.description) operation.description = route.description;
+    if (route.deprecated) operation.deprecated = true;
+    if (route.body) {
+        operation.requestBody = { required: true, content: { 'application/json': { schema: route.body } } };
+    }
+
+    Object.entries(route.responses).forEach(([status, response]) => {
+        operation.responses[status] = successResponse(status, response);
+    });
+    Object.assign(operation.responses, errorResponses(route));
+
+    operation.security = SECURITY[route.access];
+    return operation;
+}
+
+function buildOpenApiDocument({ routes, components, prefix = '/v1', version = '1.0.0', title = 'API de reuniones Chime' }) {
+    const paths = {};
+    routes.forEach(route => {
+        const path = toOpenApiPath(route.path);
+        paths[path] = paths[path] || {};
+        paths[path][route.method] = buildOperation(route);
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title,
+            version,
+            description: 'Los errores responden { error: { code, message, details } }; el idioma del mensaje ' +
+                'se elige con Accept-Language (es o en).'
+        },
+        servers: [{ url: prefix }],
+        tags: [...new Set(routes.map(route => route.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            schemas: components,
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+                accessToken: { type: 'apiKey', in: 'query', name: 'access_token', description: 'Para EventSource y WebSocket' },
+                apiKey: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+                eventsToken: { type: 'apiKey', in: 'header', name: 'x-events-token' }
+            }
+        }
+    };
+}
+
+module.exports = {
+    toOpenApiPath,
+    routeErrorCodes,
+    buildOpenApiDocument
+};
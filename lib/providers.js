@@ -0,0 +1,51 @@
+const { ChimeSDKMeetingsClient } = require('@aws-sdk/client-chime-sdk-meetings');
+const { TranscribeStreamingClient } = require('@aws-sdk/client-transcribe-streaming');
+const { ChimeSDKMediaPipelinesClient } = require('@aws-sdk/client-chime-sdk-media-pipelines');
+const { TranslateClient } = require('@aws-sdk/client-translate');
+const { createMockProvider } = require('./mock-chime');
+
+// Clientes de AWS que usa el backend: { name, chimeClient, transcribeClient, mediaPipelinesClient, translateClient }.
+// Configuración:
+//   CHIME_PROVIDER        aws (por defecto) | mock (todo en memoria, sin credenciales)
+//   MOCK_ACCESS_DENIED    operaciones que el proveedor simulado rechaza con AccessDeniedException,
+//                         separadas por comas (p. ej. "StartMeetingTranscription")
+
+function createAwsProvider({ region = process.env.AWS_REGION || 'us-east-1' } = {}) {
+    const config = {
+        region,
+        credentials: {
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+        }
+    };
+
+    return {
+        name: 'aws',
+        // Amazon Chime SDK Meetings
+        chimeClient: new ChimeSDKMeetingsClient(config),
+        // Amazon Transcribe Streaming para la transcripción en el servidor
+        transcribeClient: new TranscribeStreamingClient(config),
+        // Canalizaciones de medios de Chime SDK para grabar reuniones
+        mediaPipelinesClient: new ChimeSDKMediaPipelinesClient(config),
+        // Amazon Translate para traducir las transcripciones
+        translateClient: new TranslateClient(config)
+    };
+}
+
+function createProvider({ name = process.env.CHIME_PROVIDER || 'aws' } = {}) {
+    if (name === 'mock') {
+        const accessDenied = (process.env.MOCK_ACCESS_DENIED || '').split(',').map(op => op.trim()).filter(Boolean);
+        return createMockProvider({ accessDenied });
+    }
+
+    if (name === 'aws') {
+        return createAwsProvider();
+    }
+
+    throw new Error(`Proveedor de AWS no soportado: ${name}`);
+}
+
+module.exports = {
+    createAwsProvider,
+    createProvider
+};
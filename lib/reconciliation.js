@@ -0,0 +1,114 @@
+const { GetMeetingCommand, DeleteMeetingCommand } = require('@aws-sdk/client-chime-sdk-meetings');
+
+// Conciliación del registro local de reuniones con Chime. En cada pasada se consulta con
+// GetMeeting cada reunión registrada:
+//   - si Chime ya no la tiene, se quita del registro (motivo 'ended')
+//   - si sigue en Chime pero superó su tiempo de vida sin nadie conectado, se elimina en Chime
+//     y en el registro (motivo 'expired')
+//   - cualquier otro error de Chime se anota en el informe y la reunión se conserva
+//
+// `forgetMeeting(meetingId, reason)` es la función de la aplicación que quita la reunión del registro.
+
+function toMillis(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+// `creationTime` se guarda como fecha ISO; los registros antiguos pueden tener milisegundos
+function isMeetingExpired(meeting, ttlMs, now = Date.now()) {
+    const createdAt = toMillis(meeting.creationTime);
+    return createdAt !== null && now - createdAt > ttlMs;
+}
+
+// Según los eventos de presencia de Chime, alguien sigue dentro de la reunión
+function hasConnectedAttendees(meeting) {
+    return Object.values(meeting.attendees || {}).some(attendee => attendee.presence === 'joined');
+}
+
+function isNotFound(error) {
+    return error.name === 'NotFoundException' || Boolean(error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+function createReconciler({ client, meetings, forgetMeeting, ttlMs }) {
+    let lastReport = null;
+    let running = null;
+
+    async function reconcileMeeting(meetingId, report, now) {
+        try {
+            await client.send(new GetMeetingCommand({ MeetingId: meetingId }));
+        } catch (error) {
+            if (!isNotFound(error)) {
+                report.errors.push({ meetingId, operation: 'GetMeeting', error: error.message });
+                return;
+            }
+            await forgetMeeting(meetingId, 'ended');
+            report.removed.push({ meetingId, reason: 'not-found' });
+            return;
+        }
+
+        const meeting = meetings[meetingId];
+        if (!meeting || !isMeetingExpired(meeting, ttlMs, now) || hasConnectedAttendees(meeting)) {
+            report.active += 1;
+            return;
+        }
+
+        // Si Chime no deja eliminarla se conserva en el registro para reintentarlo en la siguiente pasada
+        try {
+            await client.send(new DeleteMeetingCommand({ MeetingId: meetingId }));
+        } catch (error) {
+            if (!isNotFound(error)) {
+                report.errors.push({ meetingId, operation: 'DeleteMeeting', error: error.message });
+                return;
+            }
+        }
+        await forgetMeeting(meetingId, 'expired');
+        report.removed.push({ meetingId, reason: 'expired' });
+    }
+
+    async function reconcile(trigger) {
+        const startedAt = Date.now();
+        const meetingIds = Object.keys(meetings);
+        const report = {
+            trigger,
+            startedAt: new Date(startedAt).toISOString(),
+            finishedAt: null,
+            durationMs: null,
+            checked: meetingIds.length,
+            active: 0,
+            removed: [],
+            errors: []
+        };
+
+        for (const meetingId of meetingIds) {
+            try {
+                await reconcileMeeting(meetingId, report, startedAt);
+            } catch (error) {
+                report.errors.push({ meetingId, operation: 'reconcile', error: error.message });
+            }
+        }
+
+        report.finishedAt = new Date().toISOString();
+        report.durationMs = Date.now() - startedAt;
+        lastReport = report;
+        return report;
+    }
+
+    return {
+        // Ejecutar una pasada; si ya hay una en curso se devuelve esa misma
+        run(trigger = 'manual') {
+            if (!running) {
+                running = reconcile(trigger).finally(() => {
+                    running = null;
+                });
+            }
+            return running;
+        },
+        lastReport: () => lastReport
+    };
+}
+
+module.exports = {
+    isMeetingExpired,
+    createReconciler
+};
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    CreateMediaCapturePipelineCommand,
+    DeleteMediaCapturePipelineCommand
+} = require('@aws-sdk/client-chime-sdk-media-pipelines');
+
+// Grabadores de reuniones. Todos exponen la misma interfaz:
+//   recorder.start({ meeting, artifacts }) -> { pipelineId, pipelineArn, status, sink }
+//   recorder.stop({ pipelineId, meeting }) -> { status, files? }
+// `artifacts` es una lista con 'audio' (siempre incluido), 'video' y 'content'.
+//
+// Configuración:
+//   RECORDING_PROVIDER   chime (por defecto) | local
+//   RECORDING_SINK_ARN   destino de los artefactos en Chime (p. ej. arn:aws:s3:::mi-bucket/grabaciones)
+//   AWS_ACCOUNT_ID       para construir el ARN de la reunión si Chime no lo devolvió
+//   RECORDING_LOCAL_DIR  carpeta del grabador local (por defecto <DATA_DIR>/recordings)
+
+const RECORDING_ARTIFACTS = ['audio', 'video', 'content'];
+
+// Validar los artefactos pedidos; devuelve { artifacts } o { error }
+function normalizeArtifacts(requested) {
+    if (requested === undefined || requested === null) {
+        return { artifacts: ['audio'] };
+    }
+    if (!Array.isArray(requested)) {
+        return { error: 'artifacts debe ser una lista' };
+    }
+    const unknown = requested.filter(artifact => !RECORDING_ARTIFACTS.includes(artifact));
+    if (unknown.length > 0) {
+        return { error: `Artefactos no soportados: ${unknown.join(', ')}` };
+    }
+    // Chime exige grabar siempre el audio
+    return { artifacts: RECORDING_ARTIFACTS.filter(artifact => artifact === 'audio' || requested.includes(artifact)) };
+}
+
+// ARN de la reunión que se usa como origen de la canalización
+function meetingArn(meeting, accountId) {
+    if (meeting.Meeting && meeting.Meeting.MeetingArn) {
+        return meeting.Meeting.MeetingArn;
+    }
+    if (!accountId) {
+        throw new Error('No se conoce el ARN de la reunión (configura AWS_ACCOUNT_ID)');
+    }
+    return `arn:aws:chime::${accountId}:meeting:${meeting.meetingId}`;
+}
+
+// Grabador basado en las canalizaciones de captura de medios de Chime SDK
+function createChimeRecorder({ client, sinkArn, accountId }) {
+    return {
+        name: 'chime',
+        async start({ meeting, artifacts }) {
+            if (!sinkArn) {
+                throw new Error('RECORDING_SINK_ARN no está configurado');
+            }
+
+            const state = artifact => (artifacts.includes(artifact) ? 'Enabled' : 'Disabled');
+            const response = await client.send(new CreateMediaCapturePipelineCommand({
+                SourceType: 'ChimeSdkMeeting',
+                SourceArn: meetingArn(meeting, accountId),
+                SinkType: 'S3Bucket',
+                SinkArn: sinkArn,
+                ClientRequestToken: crypto.randomUUID(),
+                ChimeSdkMeetingConfiguration: {
+                    ArtifactsConfiguration: {
+                        Audio: { MuxType: 'AudioOnly' },
+                        Video: { State: state('video'), MuxType: 'VideoOnly' },
+                        Content: { State: state('content'), MuxType: 'ContentOnly' }
+                    }
+                }
+            }));
+
+            const pipeline = response.MediaCapturePipeline;
+            return {
+                pipelineId: pipeline.MediaPipelineId,
+                pipelineArn: pipeline.MediaPipelineArn || null,
+                status: pipeline.Status || 'Initializing',
+                sink: sinkArn
+            };
+        },
+        async stop({ pipelineId }) {
+            await client.send(new DeleteMediaCapturePipelineCommand({ MediaPipelineId: pipelineId }));
+            return { status: 'Stopped' };
+        }
+    };
+}
+
+// WAV de un segundo de silencio (PCM 16 bits, 8 kHz, mono) como artefacto de audio de prueba
+function silentWav() {
+    const sampleRate = 8000;
+    const dataSize = sampleRate * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(dataSize, 40);
+    return buffer;
+}
+
+// Grabador local para desarrollo y pruebas: escribe artefactos ficticios en disco,
+// en <dir>/<meetingId>/<pipelineId>/
+function createLocalRecorder({ dir }) {
+    const pipelineDir = (meetingId, pipelineId) => path.join(dir, meetingId, pipelineId);
+
+    return {
+        name: 'local',
+        async start({ meeting, artifacts }) {
+            const pipelineId = crypto.randomUUID();
+            const target = pipelineDir(meeting.meetingId, pipelineId);
+            await fs.promises.mkdir(target, { recursive: true });
+            await fs.promises.writeFile(path.join(target, 'pipeline.json'), JSON.stringify({
+                pipelineId,
+                meetingId: meeting.meetingId,
+                artifacts,
+                startedAt: new Date().toISOString()
+            }, null, 2));
+
+            return {
+                pipelineId,
+                pipelineArn: null,
+                status: 'InProgress',
+                sink: target
+            };
+        },
+        async stop({ pipelineId, meeting }) {
+            const target = pipelineDir(meeting.meetingId, pipelineId);
+            const config = JSON.parse(await fs.promises.readFile(path.join(target, 'pipeline.json'), 'utf8'));
+
+            const files = [];
+            for (const artifact of config.artifacts) {
+                const name = artifact === 'audio' ? 'audio.wav' : `${artifact}.txt`;
+                const content = artifact === 'audio' ? silentWav() : `Artefacto de prueba (${artifact}) de la reunión ${meeting.meetingId}\n`;
+                await fs.promises.writeFile(path.join(target, name), content);
+                files.push(name);
+            }
+
+            return { status: 'Stopped', files: files.map(name => path.join(target, name)) };
+        }
+    };
+}
+
+// Crear el grabador según la configuración (RECORDING_PROVIDER=chime|local)
+function createRecorder({
+    name = process.env.RECORDING_PROVIDER || 'chime',
+    client,
+    sinkArn = process.env.RECORDING_SINK_ARN,
+    accountId = process.env.AWS_ACCOUNT_ID,
+    localDir = process.env.RECORDING_LOCAL_DIR || path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'recordings')
+} = {}) {
+    if (name === 'local') {
+        return createLocalRecorder({ dir: localDir });
+    }
+
+    if (name === 'chime') {
+        return createChimeRecorder({ client, sinkArn, accountId });
+    }
+
+    throw new Error(`Proveedor de grabación no soportado: ${name}`);
+}
+
+module.exports = {
+    RECORDING_ARTIFACTS,
+    normalizeArtifacts,
+    createChimeRecorder,
+    createLocalRecorder,
+    createRecorder
+};
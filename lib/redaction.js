@@ -0,0 +1,145 @@
+const fs = require('fs');
+
+// Redacción de datos personales en los fragmentos de transcripción antes de guardarlos.
+// Cada regla tiene { name, pattern, flags?, replacement, validate? }. Las reglas por defecto
+// cubren correos, teléfonos, tarjetas, IBAN y documentos de identidad (España y EE. UU.).
+//
+// Configuración:
+//   REDACTION_ENABLED         'false' para desactivar la redacción
+//   REDACTION_DISABLED_RULES  reglas por defecto a omitir, separadas por comas (p. ej. "phone,iban")
+//   REDACTION_RULES_FILE      archivo JSON con reglas adicionales [{ name, pattern, flags, replacement }]
+
+// Algoritmo de Luhn para no confundir cualquier número largo con una tarjeta
+function passesLuhn(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+
+// Letra de control del DNI/NIE español
+function validSpanishId(value) {
+    const normalized = value.toUpperCase().replace(/[\s-]/g, '');
+    const match = normalized.match(/^([XYZ]?)(\d{7,8})([A-Z])$/);
+    if (!match) return false;
+    const prefix = { X: '0', Y: '1', Z: '2' }[match[1]] || '';
+    const number = Number(prefix + match[2]);
+    return DNI_LETTERS[number % 23] === match[3];
+}
+
+const DEFAULT_RULES = [
+    {
+        name: 'email',
+        pattern: '[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}',
+        replacement: '[EMAIL]'
+    },
+    {
+        name: 'card',
+        pattern: '\\b(?:\\d[ -]?){12,18}\\d\\b',
+        replacement: '[TARJETA]',
+        validate: passesLuhn
+    },
+    {
+        name: 'iban',
+        pattern: '\\b[A-Z]{2}\\d{2}(?:[ ]?[A-Z0-9]{4}){3,7}(?:[ ]?[A-Z0-9]{1,4})?\\b',
+        replacement: '[IBAN]'
+    },
+    {
+        name: 'spanish-id',
+        pattern: '\\b(?:[XYZxyz][ -]?)?\\d{7,8}[ -]?[A-Za-z]\\b',
+        replacement: '[DOCUMENTO]',
+        validate: validSpanishId
+    },
+    {
+        name: 'ssn',
+        pattern: '\\b(?!000|666|9\\d\\d)\\d{3}-(?!00)\\d{2}-(?!0000)\\d{4}\\b',
+        replacement: '[DOCUMENTO]'
+    },
+    {
+        // Internacionales (+34 612 345 678, +1 (555) 123-4567) y nacionales de 9-11 dígitos
+        name: 'phone',
+        pattern: '(?:\\+\\d{1,3}[ .-]?)?(?:\\(\\d{2,4}\\)[ .-]?)?\\d{2,4}(?:[ .-]?\\d{2,4}){2,3}\\b',
+        replacement: '[TELÉFONO]',
+        validate: value => {
+            const digits = value.replace(/\D/g, '');
+            const max = value.startsWith('+') ? 15 : 11;
+            return digits.length >= 9 && digits.length <= max;
+        }
+    }
+];
+
+function compileRule(rule) {
+    const flags = rule.flags || 'g';
+    return {
+        ...rule,
+        regex: new RegExp(rule.pattern, flags.includes('g') ? flags : flags + 'g')
+    };
+}
+
+function loadCustomRules(filePath) {
+    if (!filePath) return [];
+    const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(rules)) {
+        throw new Error('REDACTION_RULES_FILE debe contener una lista de reglas');
+    }
+    rules.forEach(rule => {
+        if (!rule.name || !rule.pattern) {
+            throw new Error('Cada regla de redacción necesita name y pattern');
+        }
+    });
+    return rules;
+}
+
+// Crear un redactor con las reglas por defecto (salvo las desactivadas) más las personalizadas.
+// Las reglas personalizadas se aplican primero para que puedan tener prioridad.
+function createRedactor({
+    enabled = process.env.REDACTION_ENABLED !== 'false',
+    disabledRules = (process.env.REDACTION_DISABLED_RULES || '').split(',').map(r => r.trim()).filter(Boolean),
+    customRules = loadCustomRules(process.env.REDACTION_RULES_FILE)
+} = {}) {
+    const rules = [
+        ...customRules,
+        ...DEFAULT_RULES.filter(rule => !disabledRules.includes(rule.name))
+    ].map(compileRule);
+
+    // Devuelve { text, redactions: { regla: cantidad } }
+    function redact(text) {
+        if (!enabled || typeof text !== 'string' || !text) {
+            return { text, redactions: {} };
+        }
+
+        const redactions = {};
+        let result = text;
+        for (const rule of rules) {
+            result = result.replace(rule.regex, match => {
+                if (rule.validate && !rule.validate(match)) return match;
+                redactions[rule.name] = (redactions[rule.name] || 0) + 1;
+                return rule.replacement || `[${rule.name.toUpperCase()}]`;
+            });
+        }
+
+        return { text: result, redactions };
+    }
+
+    return {
+        enabled,
+        rules: rules.map(({ name, replacement }) => ({ name, replacement })),
+        redact
+    };
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    createRedactor
+};
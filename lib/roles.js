@@ -0,0 +1,39 @@
+// Roles de los asistentes y su correspondencia con las capacidades de Chime (Audio/Video/Content).
+// Valores de Chime: SendReceive | Send | Receive | None.
+// Chime exige que Video sea SendReceive o Receive cuando Content recibe, por eso ningún rol deja Video en None.
+
+const ROLE_CAPABILITIES = {
+    host: { Audio: 'SendReceive', Video: 'SendReceive', Content: 'SendReceive' },
+    presenter: { Audio: 'SendReceive', Video: 'SendReceive', Content: 'SendReceive' },
+    participant: { Audio: 'SendReceive', Video: 'SendReceive', Content: 'Receive' },
+    viewer: { Audio: 'Receive', Video: 'Receive', Content: 'Receive' }
+};
+
+const ROLES = Object.keys(ROLE_CAPABILITIES);
+const DEFAULT_ROLE = 'participant';
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+function capabilitiesForRole(role) {
+    return { ...(ROLE_CAPABILITIES[role] || ROLE_CAPABILITIES[DEFAULT_ROLE]) };
+}
+
+// Rol con el que entra un usuario: el creador siempre es anfitrión; el resto usa el rol
+// preasignado por el anfitrión o el rol por defecto de la reunión.
+// `memberKey` es la clave del usuario en la reunión: su userId si es de la organización de la
+// reunión (como el creador) y `orgId:userId` si viene invitado de otra.
+function roleForUser(meeting, memberKey) {
+    if (meeting.creatorId === memberKey) return 'host';
+    const assigned = meeting.roleAssignments && meeting.roleAssignments[memberKey];
+    return assigned || meeting.defaultRole || DEFAULT_ROLE;
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    isValidRole,
+    capabilitiesForRole,
+    roleForUser
+};
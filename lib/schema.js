@@ -0,0 +1,135 @@
+// Validación con el subconjunto de JSON Schema que usan los esquemas de la API (lib/api-spec.js):
+// type, enum, const, properties, required, additionalProperties, items, minItems, maxItems,
+// minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum, format (date-time, uri),
+// anyOf, allOf y $ref a '#/components/schemas/<nombre>'.
+
+const REF_PREFIX = '#/components/schemas/';
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+const FORMATS = {
+    'date-time': value => !Number.isNaN(Date.parse(value)),
+    uri: value => {
+        try {
+            new URL(value);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+function resolveRef(schema, components) {
+    if (!schema.$ref) return schema;
+    const target = components[schema.$ref.slice(REF_PREFIX.length)];
+    if (!schema.$ref.startsWith(REF_PREFIX) || !target) {
+        throw new Error(`Esquema no definido: ${schema.$ref}`);
+    }
+    return resolveRef(target, components);
+}
+
+// Devuelve la lista de errores [{ path, rule, expected }]; vacía si el valor es válido.
+// `path` es un puntero JSON dentro del valor ('/attendees/0/userId').
+function validate(schema, value, { components = {}, path = '' } = {}) {
+    const errors = [];
+    const fail = (at, rule, expected) => errors.push({ path: at || '/', rule, expected });
+
+    const visit = (current, data, at) => {
+        const node = resolveRef(current, components);
+
+        if (node.anyOf) {
+            if (!node.anyOf.some(option => validate(option, data, { components }).length === 0)) {
+                fail(at, 'anyOf', node.anyOf.length);
+            }
+            return;
+        }
+        if (node.allOf) {
+            node.allOf.forEach(part => visit(part, data, at));
+            return;
+        }
+
+        if (node.type && ![].concat(node.type).some(type => matchesType(data, type))) {
+            return fail(at, 'type', node.type);
+        }
+        if (node.enum && !node.enum.includes(data)) {
+            return fail(at, 'enum', node.enum);
+        }
+        if (node.const !== undefined && data !== node.const) {
+            return fail(at, 'const', node.const);
+        }
+
+        if (typeof data === 'string') {
+            if (node.minLength !== undefined && data.length < node.minLength) fail(at, 'minLength', node.minLength);
+            if (node.maxLength !== undefined && data.length > node.maxLength) fail(at, 'maxLength', node.maxLength);
+            if (node.pattern && !new RegExp(node.pattern).test(data)) fail(at, 'pattern', node.pattern);
+            if (node.format && FORMATS[node.format] && !FORMATS[node.format](data)) fail(at, 'format', node.format);
+        }
+
+        if (typeof data === 'number') {
+            if (node.minimum !== undefined && data < node.minimum) fail(at, 'minimum', node.minimum);
+            if (node.maximum !== undefined && data > node.maximum) fail(at, 'maximum', node.maximum);
+            if (node.exclusiveMinimum !== undefined && data <= node.exclusiveMinimum) fail(at, 'exclusiveMinimum', node.exclusiveMinimum);
+        }
+
+        if (Array.isArray(data)) {
+            if (node.minItems !== undefined && data.length < node.minItems) fail(at, 'minItems', node.minItems);
+            if (node.maxItems !== undefined && data.length > node.maxItems) fail(at, 'maxItems', node.maxItems);
+            if (node.items) data.forEach((item, index) => visit(node.items, item, `${at}/${index}`));
+        }
+
+        if (typeOf(data) === 'object') {
+            const properties = node.properties || {};
+            (node.required || []).forEach(key => {
+                if (data[key] === undefined) fail(`${at}/${key}`, 'required', true);
+            });
+            Object.keys(data).forEach(key => {
+                if (data[key] === undefined) return;
+                if (properties[key]) {
+                    visit(properties[key], data[key], `${at}/${key}`);
+                } else if (node.additionalProperties === false) {
+                    fail(`${at}/${key}`, 'additionalProperties', false);
+                } else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+                    visit(node.additionalProperties, data[key], `${at}/${key}`);
+                }
+            });
+        }
+    };
+
+    visit(schema, value, path);
+    return errors;
+}
+
+// Los parámetros de ruta y de consulta llegan como texto: se convierten al tipo del esquema
+// (integer, number, boolean) antes de validarlos. Los valores que no se pueden convertir se
+// dejan como están para que la validación los rechace.
+function coerceParameters(schema, values = {}, { components = {} } = {}) {
+    const node = resolveRef(schema, components);
+    const coerced = { ...values };
+    Object.entries(node.properties || {}).forEach(([key, property]) => {
+        const value = coerced[key];
+        if (typeof value !== 'string') return;
+        const types = [].concat(resolveRef(property, components).type || []);
+        if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+            coerced[key] = Number(value);
+        } else if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+            coerced[key] = value === 'true';
+        }
+    });
+    return coerced;
+}
+
+module.exports = {
+    validate,
+    coerceParameters
+};
@@ -0,0 +1,184 @@
+const { buildSpeakerNames } = require('./exporters');
+
+// Búsqueda de texto completo sobre las transcripciones guardadas.
+// La consulta admite frases entre comillas y palabras sueltas; un fragmento coincide
+// cuando contiene todas ellas. La comparación ignora mayúsculas y tildes.
+
+const SNIPPET_CONTEXT = 60;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Normalizar texto conservando, para cada carácter normalizado, su posición en el original
+function normalizeWithMap(text) {
+    let normalized = '';
+    const map = [];
+    const source = String(text || '');
+
+    for (let i = 0; i < source.length; i++) {
+        const folded = source[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        for (const char of folded) {
+            normalized += char;
+            map.push(i);
+        }
+    }
+
+    return { normalized, map };
+}
+
+function normalize(text) {
+    return normalizeWithMap(text).normalized;
+}
+
+// Separar la consulta en frases ("entre comillas") y palabras
+function parseQuery(query) {
+    const terms = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(String(query || ''))) !== null) {
+        const term = normalize((match[1] || match[2]).trim()).replace(/\s+/g, ' ');
+        if (term) terms.push(term);
+    }
+
+    return terms;
+}
+
+function findAll(haystack, needle) {
+    const positions = [];
+    let index = haystack.indexOf(needle);
+    while (index !== -1) {
+        positions.push(index);
+        index = haystack.indexOf(needle, index + needle.length);
+    }
+    return positions;
+}
+
+// Construir el fragmento de texto alrededor de la primera coincidencia,
+// con las posiciones de cada coincidencia relativas al fragmento
+function buildSnippet(text, ranges) {
+    const first = ranges[0];
+    const start = Math.max(0, first.start - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, first.end + SNIPPET_CONTEXT);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    return {
+        snippet: prefix + text.slice(start, end) + suffix,
+        highlights: ranges
+            .filter(range => range.start >= start && range.end <= end)
+            .map(range => ({ start: range.start - start + prefix.length, end: range.end - start + prefix.length }))
+    };
+}
+
+function matchSegment(text, terms) {
+    const { normalized, map } = normalizeWithMap(text);
+    const ranges = [];
+
+    for (const term of terms) {
+        const positions = findAll(normalized, term);
+        if (positions.length === 0) return null;
+        positions.forEach(position => ranges.push({
+            start: map[position],
+            end: map[position + term.length - 1] + 1
+        }));
+    }
+
+    ranges.sort((a, b) => a.start - b.start);
+    return ranges;
+}
+
+function toMillis(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Identificadores (userId y AttendeeId) de los participantes que coinciden con el filtro,
+// por identificador exacto o por parte del nombre
+function participantIds(transcription, participant) {
+    const wanted = normalize(participant);
+    const ids = new Set();
+
+    for (const p of transcription.participants || []) {
+        const attendeeId = p.attendeeInfo && p.attendeeInfo.AttendeeId;
+        if (normalize(p.userId) === wanted || normalize(p.userName).includes(wanted) || normalize(attendeeId) === wanted) {
+            if (p.userId) ids.add(p.userId);
+            if (attendeeId) ids.add(attendeeId);
+        }
+    }
+
+    return ids;
+}
+
+// Filtros: { meetingId, participant, from, to }. Las fechas se comparan con la fecha de guardado.
+function matchesFilters(transcription, filters) {
+    if (filters.meetingId && transcription.meetingId !== filters.meetingId) return false;
+    if (filters.participant && participantIds(transcription, filters.participant).size === 0) return false;
+
+    const date = toMillis(transcription.date);
+    const from = toMillis(filters.from);
+    // Una fecha sin hora como límite superior incluye todo ese día
+    const to = /^\d{4}-\d{2}-\d{2}$/.test(filters.to || '') ? toMillis(filters.to) + 24 * 60 * 60 * 1000 - 1 : toMillis(filters.to);
+    if (from !== null && (date === null || date < from)) return false;
+    if (to !== null && (date === null || date > to)) return false;
+
+    return true;
+}
+
+// Buscar en una lista de transcripciones. Devuelve las coincidencias por fragmento,
+// ordenadas por número de apariciones y después por fecha más reciente.
+function searchTranscriptions(transcriptions, { q, limit, ...filters } = {}) {
+    const terms = parseQuery(q);
+    const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const hits = [];
+
+    for (const transcription of transcriptions) {
+        if (!matchesFilters(transcription, filters)) continue;
+
+        const names = buildSpeakerNames(transcription.participants, transcription.speakerNames);
+        const speakerIds = filters.participant ? participantIds(transcription, filters.participant) : null;
+        const origin = toMillis((transcription.transcripts || [])[0] && transcription.transcripts[0].timestamp);
+
+        (transcription.transcripts || []).forEach((segment, index) => {
+            const text = String(segment.text || '');
+            if (!text) return;
+
+            // Con filtro de participante solo cuentan los fragmentos que dijo esa persona
+            if (speakerIds && !speakerIds.has(segment.attendeeId)) return;
+
+            const ranges = matchSegment(text, terms);
+            if (!ranges || ranges.length === 0) return;
+
+            const speaker = names[segment.attendeeId] || segment.attendeeId || 'unknown';
+            const timestamp = toMillis(segment.timestamp);
+            hits.push({
+                transcriptionId: transcription.id,
+                title: transcription.title,
+                meetingId: transcription.meetingId,
+                date: transcription.date,
+                segmentIndex: index,
+                segmentId: segment.id || null,
+                timestamp: segment.timestamp,
+                offsetMs: timestamp !== null && origin !== null ? timestamp - origin : null,
+                attendeeId: segment.attendeeId,
+                speaker,
+                score: ranges.length,
+                ...buildSnippet(text, ranges)
+            });
+        });
+    }
+
+    hits.sort((a, b) => b.score - a.score || (toMillis(b.date) || 0) - (toMillis(a.date) || 0));
+
+    return {
+        query: q || '',
+        terms,
+        total: hits.length,
+        hits: hits.slice(0, max)
+    };
+}
+
+module.exports = {
+    parseQuery,
+    searchTranscriptions
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+
+// Colección en memoria: las lecturas son síncronas y las escrituras devuelven
+// una promesa que se resuelve cuando el cambio quedó persistido.
+function createMemoryCollection(initial = {}) {
+    const items = { ...initial };
+
+    return {
+        get(id) {
+            return items[id];
+        },
+        has(id) {
+            return Object.prototype.hasOwnProperty.call(items, id);
+        },
+        list() {
+            return Object.values(items);
+        },
+        entries() {
+            return Object.entries(items);
+        },
+        put(id, value) {
+            items[id] = value;
+            return this.flush();
+        },
+        remove(id) {
+            delete items[id];
+            return this.flush();
+        },
+        flush() {
+            return Promise.resolve();
+        },
+        snapshot() {
+            return items;
+        }
+    };
+}
+
+// Almacenamiento que solo vive en memoria (útil para desarrollo y pruebas)
+function createMemoryStorage() {
+    const collections = {};
+
+    return {
+        driver: 'memory',
+        collection(name) {
+            if (!collections[name]) {
+                collections[name] = createMemoryCollection();
+            }
+            return collections[name];
+        },
+        async flush() {
+            await Promise.all(Object.values(collections).map(c => c.flush()));
+        },
+        // Comprobar que el almacenamiento admite escrituras (para la preparación del servicio)
+        async check() {}
+    };
+}
+
+// Archivo de un registro dentro del directorio de su colección
+function recordPath(dir, id) {
+    return path.join(dir, `${encodeURIComponent(id)}.json`);
+}
+
+// Leer los registros de una colección (un archivo JSON por registro); los archivos
+// corruptos se ignoran y, si el directorio no existe, se parte de cero
+function readCollectionDir(dir) {
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(file => file.endsWith('.json'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ No se pudo leer ${dir}, se usará una colección vacía: ${error.message}`);
+        }
+        return {};
+    }
+
+    const records = {};
+    for (const file of files) {
+        try {
+            records[decodeURIComponent(file.slice(0, -'.json'.length))] = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️ No se pudo leer ${path.join(dir, file)}, se ignorará el registro: ${error.message}`);
+        }
+    }
+    return records;
+}
+
+// Colección respaldada por un directorio con un archivo JSON por registro. Se carga completa al
+// iniciar y cada escritura reescribe de forma atómica (archivo temporal + rename) solo los registros
+// que cambiaron desde la anterior, así que añadir un fragmento a una reunión no reescribe las demás.
+// Las escrituras concurrentes se agrupan: si ya hay una en curso, se hace una más al terminar.
+function createFileCollection(dir) {
+    const collection = createMemoryCollection(readCollectionDir(dir));
+    // Contenido de cada registro tal como está en disco
+    const written = new Map(collection.entries().map(([id, value]) => [id, JSON.stringify(value, null, 2)]));
+    let writing = null;
+    let pending = false;
+
+    async function write() {
+        const items = collection.snapshot();
+        const changed = Object.entries(items)
+            .map(([id, value]) => [id, JSON.stringify(value, null, 2)])
+            .filter(([id, content]) => written.get(id) !== content);
+        const removed = [...written.keys()].filter(id => !collection.has(id));
+        if (changed.length === 0 && removed.length === 0) return;
+
+        // El directorio se crea al escribir por primera vez, no al arrancar
+        await fs.promises.mkdir(dir, { recursive: true });
+        for (const [id, content] of changed) {
+            const filePath = recordPath(dir, id);
+            const tmpPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpPath, content, 'utf8');
+            await fs.promises.rename(tmpPath, filePath);
+            written.set(id, content);
+        }
+        for (const id of removed) {
+            await fs.promises.rm(recordPath(dir, id), { force: true });
+            written.delete(id);
+        }
+    }
+
+    function flush() {
+        if (writing) {
+            pending = true;
+            return writing;
+        }
+
+        writing = (async () => {
+            try {
+                do {
+                    pending = false;
+                    await write();
+                } while (pending);
+            } finally {
+                writing = null;
+            }
+        })();
+
+        return writing;
+    }
+
+    collection.flush = flush;
+    return collection;
+}
+
+// Almacenamiento en archivos JSON: un directorio por colección dentro de `dir`
+// (los directorios se crean con la primera escritura)
+function createFileStorage({ dir }) {
+    const collections = {};
+
+    return {
+        driver: 'file',
+        dir,
+        collection(name) {
+            if (!collections[name]) {
+                collections[name] = createFileCollection(path.join(dir, name));
+            }
+            return collections[name];
+        },
+        async flush() {
+            await Promise.all(Object.values(collections).map(c => c.flush()));
+        },
+        async check() {
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.access(dir, fs.constants.W_OK);
+        }
+    };
+}
+
+// Comprobar, sin crear nada, que se puede escribir en `dir` o, si aún no existe, en la
+// carpeta existente más cercana (donde se creará con la primera escritura)
+function isWritableDir(dir) {
+    let current = path.resolve(dir);
+    for (;;) {
+        try {
+            fs.accessSync(current, fs.constants.W_OK);
+            return fs.statSync(current).isDirectory();
+        } catch (error) {
+            const parent = path.dirname(current);
+            if (error.code !== 'ENOENT' || parent === current) return false;
+            current = parent;
+        }
+    }
+}
+
+// Crear el almacenamiento según la configuración (STORAGE_DRIVER y DATA_DIR).
+// Sin STORAGE_DRIVER se usan archivos en DATA_DIR si está definido y admite escrituras, y si no la
+// memoria (p. ej. en Vercel, donde el sistema de archivos es de solo lectura). Con STORAGE_DRIVER=file
+// un directorio sin permiso de escritura es un error de configuración y el servicio no arranca.
+function createStorage(options = {}) {
+    const driver = options.driver || process.env.STORAGE_DRIVER;
+    const dir = options.dir || process.env.DATA_DIR;
+
+    if (driver === 'memory') {
+        return createMemoryStorage();
+    }
+
+    if (driver === 'file') {
+        const fileDir = dir || path.join(__dirname, '..', 'data');
+        if (!isWritableDir(fileDir)) {
+            throw new Error(`STORAGE_DRIVER=file necesita un DATA_DIR con permiso de escritura (${fileDir})`);
+        }
+        return createFileStorage({ dir: fileDir });
+    }
+
+    if (!driver) {
+        if (dir && isWritableDir(dir)) {
+            return createFileStorage({ dir });
+        }
+        console.warn(dir
+            ? `⚠️ DATA_DIR (${dir}) no admite escrituras: los datos solo se guardarán en memoria`
+            : '⚠️ DATA_DIR no está configurado: los datos solo se guardarán en memoria');
+        return createMemoryStorage();
+    }
+
+    throw new Error(`Driver de almacenamiento no soportado: ${driver}`);
+}
+
+module.exports = {
+    createStorage,
+    createFileStorage,
+    createMemoryStorage
+};
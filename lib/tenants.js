@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+
+// Organizaciones (inquilinos). Cada reunión, con sus asistentes y sus transcripciones, pertenece
+// a la organización de quien la creó; la organización del usuario viaja en su token (claim `org`)
+// y los usuarios sin organización pertenecen a DEFAULT_ORG_ID.
+//
+// Límites por organización (null = sin límite). Los que una organización no fija toman el valor
+// por defecto de la configuración:
+//   TENANT_MAX_CONCURRENT_MEETINGS     reuniones activas a la vez
+//   TENANT_MAX_ATTENDEES_PER_MEETING   asistentes conectados a una misma reunión
+//   TENANT_TRANSCRIPTION_MINUTES       minutos de transcripción por periodo de facturación
+//
+// El uso se acumula por periodo de facturación (mes natural en UTC, 'AAAA-MM') en la colección 'usage'.
+
+const DEFAULT_ORG_ID = 'default';
+const ORG_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const QUOTAS = {
+    maxConcurrentMeetings: {
+        integer: true,
+        message: 'La organización alcanzó su límite de reuniones simultáneas'
+    },
+    maxAttendeesPerMeeting: {
+        integer: true,
+        message: 'La reunión alcanzó el límite de asistentes de la organización'
+    },
+    transcriptionMinutesPerPeriod: {
+        integer: false,
+        message: 'La organización agotó sus minutos de transcripción del periodo'
+    }
+};
+
+// Contadores del uso de un periodo
+const USAGE_COUNTERS = ['meetingsCreated', 'attendeesJoined', 'transcriptionsSaved', 'transcriptionMs'];
+
+class QuotaError extends Error {
+    constructor(quota, { limit, used }) {
+        super(QUOTAS[quota].message);
+        this.name = 'QuotaError';
+        this.statusCode = 429;
+        this.details = { quota, limit, used };
+    }
+}
+
+function limitFromEnv(value) {
+    if (value === undefined || value === '') return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function defaultLimitsFromEnv() {
+    return {
+        maxConcurrentMeetings: limitFromEnv(process.env.TENANT_MAX_CONCURRENT_MEETINGS),
+        maxAttendeesPerMeeting: limitFromEnv(process.env.TENANT_MAX_ATTENDEES_PER_MEETING),
+        transcriptionMinutesPerPeriod: limitFromEnv(process.env.TENANT_TRANSCRIPTION_MINUTES)
+    };
+}
+
+// Validar los límites de una organización. Devuelve { limits } o { error }.
+function normalizeLimits(requested = {}) {
+    if (typeof requested !== 'object' || requested === null || Array.isArray(requested)) {
+        return { error: 'limits debe ser un objeto' };
+    }
+
+    const limits = {};
+    for (const [quota, value] of Object.entries(requested)) {
+        if (!QUOTAS[quota]) {
+            return { error: `Límite desconocido: ${quota}` };
+        }
+        const valid = value === null ||
+            (typeof value === 'number' && value > 0 && (!QUOTAS[quota].integer || Number.isInteger(value)));
+        if (!valid) {
+            return { error: `${quota} debe ser un número positivo${QUOTAS[quota].integer ? ' entero' : ''} o null` };
+        }
+        limits[quota] = value;
+    }
+    return { limits };
+}
+
+// Periodo de facturación de una fecha ('AAAA-MM')
+function billingPeriod(date = new Date()) {
+    return new Date(date).toISOString().slice(0, 7);
+}
+
+// Inicio y fin (exclusivo) de un periodo
+function periodRange(period) {
+    const [year, month] = period.split('-').map(Number);
+    return {
+        from: new Date(Date.UTC(year, month - 1, 1)).toISOString(),
+        to: new Date(Date.UTC(year, month, 1)).toISOString()
+    };
+}
+
+function createTenantService({ storage, defaultLimits = defaultLimitsFromEnv() }) {
+    const organizations = storage.collection('organizations');
+    const usage = storage.collection('usage');
+
+    // La organización por defecto existe siempre, aunque no se haya guardado
+    function get(orgId) {
+        const stored = organizations.get(orgId);
+        if (stored) return stored;
+        if (orgId === DEFAULT_ORG_ID) {
+            return { id: DEFAULT_ORG_ID, name: 'Organización por defecto', limits: {}, createdAt: null };
+        }
+        return null;
+    }
+
+    function list() {
+        const stored = organizations.list();
+        return stored.some(org => org.id === DEFAULT_ORG_ID) ? stored : [get(DEFAULT_ORG_ID), ...stored];
+    }
+
+    // `id` es opcional (se genera uno); devuelve { organization } o { error, statusCode }
+    async function create({ id, name, limits: requestedLimits }) {
+        const orgId = id === undefined ? crypto.randomUUID() : id;
+        if (typeof orgId !== 'string' || !ORG_ID_PATTERN.test(orgId)) {
+            return { error: 'El id de la organización solo admite minúsculas, números y guiones (2 a 63 caracteres)', statusCode: 400 };
+        }
+        if (organizations.has(orgId)) {
+            return { error: 'Ya existe una organización con ese id', statusCode: 409 };
+        }
+        if (!name || typeof name !== 'string') {
+            return { error: 'Falta el nombre de la organización', statusCode: 400 };
+        }
+        const { limits, error } = normalizeLimits(requestedLimits);
+        if (error) return { error, statusCode: 400 };
+
+        const organization = { id: orgId, name, limits, createdAt: new Date().toISOString() };
+        await organizations.put(orgId, organization);
+        return { organization };
+    }
+
+    // Cambiar el nombre o los límites (los límites indicados sustituyen a los anteriores uno a uno)
+    async function update(orgId, { name, limits: requestedLimits }) {
+        const current = get(orgId);
+        if (!current) return { error: 'Organización no encontrada', statusCode: 404 };
+        if (name !== undefined && (!name || typeof name !== 'string')) {
+            return { error: 'Falta el nombre de la organización', statusCode: 400 };
+        }
+        const { limits, error } = normalizeLimits(requestedLimits);
+        if (error) return { error, statusCode: 400 };
+
+        const organization = {
+            ...current,
+            name: name === undefined ? current.name : name,
+            limits: { ...current.limits, ...limits },
+            createdAt: current.createdAt || new Date().toISOString()
+        };
+        await organizations.put(orgId, organization);
+        return { organization };
+    }
+
+    // Límites efectivos: los de la organización sobre los de la configuración
+    function limitsFor(orgId) {
+        const organization = get(orgId);
+        return { ...defaultLimits, ...((organization && organization.limits) || {}) };
+    }
+
+    // Lanzar QuotaError si `used` ya alcanzó el límite `quota` de la organización
+    function enforce(orgId, quota, used) {
+        const limit = limitsFor(orgId)[quota];
+        if (limit !== null && limit !== undefined && used >= limit) {
+            throw new QuotaError(quota, { limit, used });
+        }
+    }
+
+    function usageKey(orgId, period) {
+        return `${orgId}:${period}`;
+    }
+
+    // Uso guardado de un periodo (los contadores a cero si aún no hay nada)
+    function usageFor(orgId, period = billingPeriod()) {
+        const stored = usage.get(usageKey(orgId, period));
+        const empty = Object.fromEntries(USAGE_COUNTERS.map(counter => [counter, 0]));
+        return { ...empty, peakConcurrentMeetings: 0, quotaRejections: {}, ...stored, orgId, period };
+    }
+
+    // Sumar `amount` a un contador del periodo en curso (o del de `at`)
+    async function record(orgId, counter, amount = 1, at = new Date()) {
+        const entry = usageFor(orgId, billingPeriod(at));
+        entry[counter] += amount;
+        await usage.put(usageKey(orgId, entry.period), entry);
+    }
+
+    // Anotar el número de reuniones activas si supera el máximo del periodo
+    async function recordConcurrentMeetings(orgId, active) {
+        const entry = usageFor(orgId);
+        if (active <= entry.peakConcurrentMeetings) return;
+        entry.peakConcurrentMeetings = active;
+        await usage.put(usageKey(orgId, entry.period), entry);
+    }
+
+    async function recordRejection(orgId, quota) {
+        const entry = usageFor(orgId);
+        entry.quotaRejections = { ...entry.quotaRejections, [quota]: (entry.quotaRejections[quota] || 0) + 1 };
+        await usage.put(usageKey(orgId, entry.period), entry);
+    }
+
+    return {
+        get,
+        list,
+        create,
+        update,
+        limitsFor,
+        enforce,
+        usageFor,
+        record,
+        recordConcurrentMeetings,
+        recordRejection
+    };
+}
+
+module.exports = {
+    DEFAULT_ORG_ID,
+    PERIOD_PATTERN,
+    QUOTAS,
+    QuotaError,
+    normalizeLimits,
+    billingPeriod,
+    periodRange,
+    createTenantService
+};
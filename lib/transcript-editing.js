@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { estimateSpeechMs } = require('./exporters');
+
+// Edición de transcripciones guardadas con historial de revisiones.
+// Las operaciones reciben el estado actual { transcripts, speakerNames } y devuelven el estado
+// nuevo sin modificar el anterior, o { error, statusCode } si la operación no es válida.
+// `speakerNames` sustituye el nombre con el que aparece un hablante (attendeeId -> nombre).
+// Los fragmentos cuyo texto cambia pierden sus traducciones guardadas (ver lib/translation.js).
+
+const MAX_SPEAKER_LENGTH = 100;
+
+function toMillis(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function invalid(error, statusCode = 400) {
+    return { error, statusCode };
+}
+
+// Las transcripciones guardadas antes de poder editarlas no tienen id por fragmento
+function withSegmentIds(transcripts = []) {
+    return transcripts.map(segment => (segment.id ? segment : { ...segment, id: crypto.randomUUID() }));
+}
+
+function findSegment(state, segmentId) {
+    const index = state.transcripts.findIndex(segment => segment.id === segmentId);
+    return index === -1 ? null : { index, segment: state.transcripts[index] };
+}
+
+function replaceSegments(state, index, count, segments) {
+    const transcripts = state.transcripts.slice();
+    transcripts.splice(index, count, ...segments);
+    return { ...state, transcripts };
+}
+
+// Corregir el texto de un fragmento y/o asignarlo a otro hablante: { segmentId, text?, speaker? }
+function editSegment(state, { segmentId, text, speaker }) {
+    const found = findSegment(state, segmentId);
+    if (!found) return invalid('Fragmento no encontrado', 404);
+
+    if (text === undefined && speaker === undefined) {
+        return invalid('Indica el nuevo texto o el hablante del fragmento');
+    }
+    if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+        return invalid('El texto del fragmento no puede estar vacío');
+    }
+    if (speaker !== undefined && (typeof speaker !== 'string' || !speaker.trim() || speaker.length > MAX_SPEAKER_LENGTH)) {
+        return invalid('Hablante no válido');
+    }
+
+    const segment = { ...found.segment, edited: true };
+    if (text !== undefined) {
+        segment.text = text.trim();
+        delete segment.translations;
+    }
+    if (speaker !== undefined) segment.attendeeId = speaker.trim();
+    return replaceSegments(state, found.index, 1, [segment]);
+}
+
+// Unir fragmentos consecutivos en el primero de ellos: { segmentIds }
+function mergeSegments(state, { segmentIds }) {
+    if (!Array.isArray(segmentIds) || segmentIds.length < 2) {
+        return invalid('Indica al menos dos fragmentos para unir');
+    }
+
+    const found = segmentIds.map(segmentId => findSegment(state, segmentId));
+    if (found.some(item => !item)) return invalid('Fragmento no encontrado', 404);
+
+    const indexes = found.map(item => item.index).sort((a, b) => a - b);
+    if (indexes.some((index, i) => i > 0 && index !== indexes[i - 1] + 1)) {
+        return invalid('Solo se pueden unir fragmentos consecutivos');
+    }
+
+    const segments = indexes.map(index => state.transcripts[index]);
+    if (new Set(segments.map(segment => segment.kind || 'speech')).size > 1) {
+        return invalid('No se pueden unir mensajes del chat con fragmentos de voz');
+    }
+
+    const { translations, ...first } = segments[0];
+    const merged = {
+        ...first,
+        text: segments.map(segment => String(segment.text).trim()).join(' '),
+        mergedFrom: segments.map(segment => segment.id),
+        edited: true
+    };
+    return replaceSegments(state, indexes[0], segments.length, [merged]);
+}
+
+// Partir un fragmento en la posición `at` de su texto: { segmentId, at }
+// La segunda parte empieza cuando se estima que termina de decirse la primera.
+function splitSegment(state, { segmentId, at }) {
+    const found = findSegment(state, segmentId);
+    if (!found) return invalid('Fragmento no encontrado', 404);
+
+    const text = String(found.segment.text);
+    if (!Number.isInteger(at) || at <= 0 || at >= text.length) {
+        return invalid(`at debe ser una posición del texto entre 1 y ${text.length - 1}`);
+    }
+
+    const first = text.slice(0, at).trim();
+    const second = text.slice(at).trim();
+    if (!first || !second) {
+        return invalid('Las dos partes del fragmento deben tener texto');
+    }
+
+    let secondTimestamp = found.segment.timestamp;
+    const start = toMillis(found.segment.timestamp);
+    if (start !== null) {
+        const next = state.transcripts[found.index + 1];
+        const nextStart = next ? toMillis(next.timestamp) : null;
+        let secondStart = start + estimateSpeechMs(first);
+        if (nextStart !== null && nextStart > start) {
+            secondStart = Math.min(secondStart, nextStart);
+        }
+        secondTimestamp = new Date(secondStart).toISOString();
+    }
+
+    const { mergedFrom, translations, ...original } = found.segment;
+    return replaceSegments(state, found.index, 1, [
+        { ...original, text: first, edited: true },
+        { ...original, id: crypto.randomUUID(), text: second, timestamp: secondTimestamp, splitFrom: found.segment.id, edited: true }
+    ]);
+}
+
+// Cambiar el nombre con el que aparece un hablante en toda la transcripción: { speaker, name }
+function renameSpeaker(state, { speaker, name }) {
+    const known = state.transcripts.some(segment => (segment.attendeeId || 'unknown') === speaker) ||
+        Object.prototype.hasOwnProperty.call(state.speakerNames, speaker);
+    if (!known) return invalid('Hablante no encontrado en la transcripción', 404);
+
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_SPEAKER_LENGTH) {
+        return invalid(`El nombre debe tener entre 1 y ${MAX_SPEAKER_LENGTH} caracteres`);
+    }
+
+    return { ...state, speakerNames: { ...state.speakerNames, [speaker]: name.trim() } };
+}
+
+const EDITORS = {
+    edit: editSegment,
+    merge: mergeSegments,
+    split: splitSegment,
+    'rename-speaker': renameSpeaker
+};
+
+function applyEdit(state, operation, params = {}) {
+    return EDITORS[operation](state, params);
+}
+
+// Diferencias entre dos estados: fragmentos añadidos, eliminados y modificados, y nombres cambiados
+function diffStates(before, after) {
+    const beforeById = new Map(before.transcripts.map(segment => [segment.id, segment]));
+    const afterById = new Map(after.transcripts.map(segment => [segment.id, segment]));
+
+    const changed = after.transcripts
+        .filter(segment => beforeById.has(segment.id) && JSON.stringify(beforeById.get(segment.id)) !== JSON.stringify(segment))
+        .map(segment => ({ id: segment.id, before: beforeById.get(segment.id), after: segment }));
+
+    const speakerNames = {};
+    new Set([...Object.keys(before.speakerNames), ...Object.keys(after.speakerNames)]).forEach(speaker => {
+        if (before.speakerNames[speaker] !== after.speakerNames[speaker]) {
+            speakerNames[speaker] = { before: before.speakerNames[speaker] || null, after: after.speakerNames[speaker] || null };
+        }
+    });
+
+    return {
+        added: after.transcripts.filter(segment => !beforeById.has(segment.id)),
+        removed: before.transcripts.filter(segment => !afterById.has(segment.id)),
+        changed,
+        speakerNames
+    };
+}
+
+// Historial de revisiones de las transcripciones (colección 'transcriptRevisions').
+// Cada revisión guarda su autor, la operación, las diferencias y el estado resultante
+// para poder volver a ella. La revisión 0 es la transcripción tal como se guardó.
+function createRevisionLog({ storage }) {
+    const revisions = storage.collection('transcriptRevisions');
+    const key = (transcriptionId, revision) => `${transcriptionId}:${revision}`;
+
+    // `author` es el usuario autenticado ({ id, name }) o null para la versión original
+    async function record({ transcriptionId, revision, author, operation, details = {}, diff = null, snapshot }) {
+        const entry = {
+            transcriptionId,
+            revision,
+            authorId: author ? author.id : 'system',
+            authorName: author ? author.name : null,
+            at: new Date().toISOString(),
+            operation,
+            details,
+            diff,
+            snapshot
+        };
+        await revisions.put(key(transcriptionId, revision), entry);
+        return entry;
+    }
+
+    function list(transcriptionId) {
+        return revisions.list()
+            .filter(entry => entry.transcriptionId === transcriptionId)
+            .sort((a, b) => a.revision - b.revision);
+    }
+
+    async function removeAll(transcriptionId) {
+        for (const entry of list(transcriptionId)) {
+            await revisions.remove(key(transcriptionId, entry.revision));
+        }
+    }
+
+    return {
+        record,
+        list,
+        get: (transcriptionId, revision) => revisions.get(key(transcriptionId, revision)),
+        removeAll
+    };
+}
+
+module.exports = {
+    withSegmentIds,
+    applyEdit,
+    diffStates,
+    createRevisionLog
+};
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const { StartStreamTranscriptionCommand } = require('@aws-sdk/client-transcribe-streaming');
+
+// Motores de transcripción en streaming. Todos exponen la misma interfaz:
+//   engine.start({ audio, languageCode, sampleRate }) -> AsyncIterable de resultados
+// donde `audio` es un AsyncIterable de Buffers PCM (16 bits, little endian, mono) y cada
+// resultado tiene la forma { resultId, text, isPartial, startTime, endTime } (tiempos en segundos).
+
+// Cola asíncrona para convertir mensajes recibidos (push) en un AsyncIterable (pull)
+function createChunkQueue() {
+    const chunks = [];
+    const waiters = [];
+    let ended = false;
+
+    return {
+        push(chunk) {
+            if (ended) return;
+            if (waiters.length > 0) {
+                waiters.shift()({ value: chunk, done: false });
+            } else {
+                chunks.push(chunk);
+            }
+        },
+        end() {
+            ended = true;
+            while (waiters.length > 0) {
+                waiters.shift()({ value: undefined, done: true });
+            }
+        },
+        [Symbol.asyncIterator]() {
+            return {
+                next: () => {
+                    if (chunks.length > 0) {
+                        return Promise.resolve({ value: chunks.shift(), done: false });
+                    }
+                    if (ended) {
+                        return Promise.resolve({ value: undefined, done: true });
+                    }
+                    return new Promise(resolve => waiters.push(resolve));
+                },
+                return: () => {
+                    ended = true;
+                    chunks.length = 0;
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+            };
+        }
+    };
+}
+
+// Motor basado en Amazon Transcribe Streaming
+function createAwsTranscribeEngine({ client }) {
+    return {
+        name: 'aws',
+        async *start({ audio, languageCode, sampleRate }) {
+            async function* audioStream() {
+                for await (const chunk of audio) {
+                    yield { AudioEvent: { AudioChunk: chunk } };
+                }
+            }
+
+            const command = new StartStreamTranscriptionCommand({
+                LanguageCode: languageCode,
+                MediaEncoding: 'pcm',
+                MediaSampleRateHertz: sampleRate,
+                AudioStream: audioStream()
+            });
+
+            const response = await client.send(command);
+
+            for await (const event of response.TranscriptResultStream) {
+                if (!event.TranscriptEvent) continue;
+
+                const results = event.TranscriptEvent.Transcript.Results || [];
+                for (const result of results) {
+                    const alternative = (result.Alternatives || [])[0];
+                    if (!alternative || !alternative.Transcript) continue;
+
+                    yield {
+                        resultId: result.ResultId,
+                        text: alternative.Transcript,
+                        isPartial: Boolean(result.IsPartial),
+                        startTime: result.StartTime,
+                        endTime: result.EndTime
+                    };
+                }
+            }
+        }
+    };
+}
+
+// Guion por defecto del motor de pruebas: un resultado parcial seguido del final
+const DEFAULT_FAKE_SCRIPT = [
+    { resultId: 'fake-0', text: 'hola', isPartial: true, startTime: 0, endTime: 0.5 },
+    { resultId: 'fake-0', text: 'hola a todos', isPartial: false, startTime: 0, endTime: 1.2 }
+];
+
+// Motor local para pruebas: emite los resultados del guion a medida que llega audio,
+// uno por fragmento recibido, y los que queden pendientes cuando termina el audio.
+function createFakeEngine({ script = DEFAULT_FAKE_SCRIPT } = {}) {
+    return {
+        name: 'fake',
+        async *start({ audio }) {
+            const pending = script.map((item, i) => ({
+                resultId: `fake-${i}`,
+                isPartial: false,
+                startTime: 0,
+                endTime: 0,
+                ...item
+            }));
+
+            for await (const _chunk of audio) {
+                if (pending.length > 0) {
+                    yield pending.shift();
+                }
+            }
+
+            while (pending.length > 0) {
+                yield pending.shift();
+            }
+        }
+    };
+}
+
+// Leer el guion del motor de pruebas desde un archivo JSON (FAKE_TRANSCRIPTION_SCRIPT)
+function loadFakeScript(filePath) {
+    if (!filePath) return undefined;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Crear el motor según la configuración (TRANSCRIPTION_ENGINE=aws|fake)
+function createTranscriptionEngine({ name = process.env.TRANSCRIPTION_ENGINE || 'aws', client } = {}) {
+    if (name === 'fake') {
+        return createFakeEngine({ script: loadFakeScript(process.env.FAKE_TRANSCRIPTION_SCRIPT) });
+    }
+
+    if (name === 'aws') {
+        return createAwsTranscribeEngine({ client });
+    }
+
+    throw new Error(`Motor de transcripción no soportado: ${name}`);
+}
+
+module.exports = {
+    createChunkQueue,
+    createAwsTranscribeEngine,
+    createFakeEngine,
+    createTranscriptionEngine
+};
@@ -0,0 +1,275 @@
+// Configuración de la transcripción de Chime (StartMeetingTranscription).
+// La API recibe los ajustes en camelCase, se validan contra lo que admite Chime y se
+// traducen a EngineTranscribeSettings o EngineTranscribeMedicalSettings.
+//
+// {
+//   engine: 'standard' | 'medical',
+//   languageCode, region,
+//   vocabularyName, vocabularyFilterName, vocabularyFilterMethod: 'mask' | 'remove' | 'tag',
+//   languageModelName,
+//   contentIdentification | contentRedaction: true, piiEntityTypes: ['EMAIL', ...],
+//   partialResultsStability: 'low' | 'medium' | 'high',
+//   identifyLanguage: true, languageOptions: ['es-US', 'en-US'], preferredLanguage,
+//   vocabularyNames: [...], vocabularyFilterNames: [...]   (con identificación de idioma)
+//   specialty, medicalType: 'CONVERSATION' | 'DICTATION'   (motor médico)
+// }
+
+const SUPPORTED_LANGUAGES = [
+    'en-US', 'en-GB', 'en-AU', 'es-US', 'fr-CA', 'fr-FR', 'it-IT',
+    'de-DE', 'pt-BR', 'ja-JP', 'ko-KR', 'zh-CN', 'th-TH', 'hi-IN'
+];
+const MEDICAL_LANGUAGES = ['en-US'];
+const PII_LANGUAGES = ['en-US', 'es-US'];
+
+const TRANSCRIBE_REGIONS = [
+    'auto', 'us-east-1', 'us-east-2', 'us-west-2', 'ca-central-1', 'sa-east-1',
+    'eu-central-1', 'eu-west-1', 'eu-west-2', 'ap-northeast-1', 'ap-northeast-2',
+    'ap-southeast-2', 'us-gov-west-1'
+];
+const MEDICAL_REGIONS = [
+    'auto', 'us-east-1', 'us-east-2', 'us-west-2', 'ca-central-1', 'eu-central-1',
+    'eu-west-1', 'eu-west-2', 'ap-southeast-2'
+];
+
+const VOCABULARY_FILTER_METHODS = ['mask', 'remove', 'tag'];
+const STABILITY_LEVELS = ['low', 'medium', 'high'];
+const PII_ENTITY_TYPES = [
+    'ALL', 'ADDRESS', 'BANK_ACCOUNT_NUMBER', 'BANK_ROUTING', 'CREDIT_DEBIT_CVV',
+    'CREDIT_DEBIT_EXPIRY', 'CREDIT_DEBIT_NUMBER', 'EMAIL', 'NAME', 'PHONE', 'PIN', 'SSN'
+];
+const MEDICAL_SPECIALTIES = ['PRIMARYCARE', 'CARDIOLOGY', 'NEUROLOGY', 'ONCOLOGY', 'RADIOLOGY', 'UROLOGY'];
+const MEDICAL_TYPES = ['CONVERSATION', 'DICTATION'];
+
+const RESOURCE_NAME = /^[0-9a-zA-Z._-]{1,200}$/;
+
+// Mapear el idioma solicitado a uno compatible con AWS Transcribe
+const languageMapping = {
+    'es-ES': 'es-US',  // Mapear español de España a español de EE.UU.
+    'es': 'es-US',     // Mapear español genérico a español de EE.UU.
+    'en': 'en-US',
+    'fr': 'fr-FR',
+    'pt': 'pt-BR',
+    'pt-PT': 'pt-BR',
+    'de': 'de-DE',
+    'it': 'it-IT'
+};
+
+function mapLanguageCode(language) {
+    return languageMapping[language] || language || 'es-US';
+}
+
+const SETTING_KEYS = [
+    'engine', 'languageCode', 'region', 'vocabularyName', 'vocabularyFilterName', 'vocabularyFilterMethod',
+    'languageModelName', 'contentIdentification', 'contentRedaction', 'piiEntityTypes',
+    'partialResultsStability', 'identifyLanguage', 'languageOptions', 'preferredLanguage',
+    'vocabularyNames', 'vocabularyFilterNames', 'specialty', 'medicalType'
+];
+
+// Quedarse solo con los ajustes conocidos que tienen valor
+function pickSettings(input = {}) {
+    const picked = {};
+    SETTING_KEYS.forEach(key => {
+        if (input[key] !== undefined && input[key] !== null && input[key] !== '') {
+            picked[key] = input[key];
+        }
+    });
+    return picked;
+}
+
+function toList(value) {
+    if (value === undefined) return undefined;
+    return Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Combinar los ajustes por defecto de la reunión con los de la petición.
+// Elegir un idioma fijo descarta la identificación automática por defecto y viceversa.
+function mergeTranscriptionSettings(defaults = {}, overrides = {}) {
+    const base = pickSettings(defaults);
+    const requested = pickSettings(overrides);
+
+    if (requested.languageCode) {
+        ['identifyLanguage', 'languageOptions', 'preferredLanguage', 'vocabularyNames', 'vocabularyFilterNames']
+            .forEach(key => delete base[key]);
+    }
+    if (requested.identifyLanguage) {
+        ['languageCode', 'vocabularyName', 'vocabularyFilterName'].forEach(key => delete base[key]);
+    }
+    if (requested.engine && requested.engine !== base.engine) {
+        return requested;
+    }
+
+    return { ...base, ...requested };
+}
+
+// Validar y normalizar los ajustes. Devuelve { settings, errors }.
+function resolveTranscriptionSettings(input = {}) {
+    const settings = pickSettings(input);
+    const errors = [];
+
+    settings.engine = settings.engine || 'standard';
+    if (!['standard', 'medical'].includes(settings.engine)) {
+        errors.push(`Motor no soportado: ${settings.engine} (standard o medical)`);
+    }
+    const medical = settings.engine === 'medical';
+
+    ['languageOptions', 'piiEntityTypes', 'vocabularyNames', 'vocabularyFilterNames'].forEach(key => {
+        if (settings[key] !== undefined) settings[key] = toList(settings[key]);
+    });
+    if (settings.languageOptions) settings.languageOptions = settings.languageOptions.map(mapLanguageCode);
+    if (settings.preferredLanguage) settings.preferredLanguage = mapLanguageCode(settings.preferredLanguage);
+
+    // Idioma fijo o identificación automática entre varios candidatos
+    if (settings.identifyLanguage) {
+        settings.identifyLanguage = true;
+        if (medical) errors.push('La identificación de idioma no está disponible con el motor médico');
+        if (settings.languageCode) errors.push('No indiques languageCode si se usa identifyLanguage');
+        const options = settings.languageOptions || [];
+        if (options.length < 2) errors.push('identifyLanguage requiere al menos dos idiomas en languageOptions');
+        options.filter(code => !SUPPORTED_LANGUAGES.includes(code))
+            .forEach(code => errors.push(`Idioma no soportado en languageOptions: ${code}`));
+        if (settings.preferredLanguage && !options.includes(settings.preferredLanguage)) {
+            errors.push('preferredLanguage debe estar incluido en languageOptions');
+        }
+        if (settings.vocabularyName || settings.vocabularyFilterName) {
+            errors.push('Con identifyLanguage usa vocabularyNames y vocabularyFilterNames (uno por idioma)');
+        }
+    } else {
+        delete settings.identifyLanguage;
+        if (settings.languageOptions || settings.preferredLanguage) {
+            errors.push('languageOptions y preferredLanguage solo se usan con identifyLanguage');
+        }
+        if (settings.vocabularyNames || settings.vocabularyFilterNames) {
+            errors.push('vocabularyNames y vocabularyFilterNames solo se usan con identifyLanguage');
+        }
+        settings.languageCode = medical && !settings.languageCode ? 'en-US' : mapLanguageCode(settings.languageCode);
+        const allowed = medical ? MEDICAL_LANGUAGES : SUPPORTED_LANGUAGES;
+        if (!allowed.includes(settings.languageCode)) {
+            errors.push(`Idioma no soportado${medical ? ' por el motor médico' : ''}: ${settings.languageCode}`);
+        }
+    }
+
+    if (settings.region && !(medical ? MEDICAL_REGIONS : TRANSCRIBE_REGIONS).includes(settings.region)) {
+        errors.push(`Región de transcripción no soportada: ${settings.region}`);
+    }
+
+    // Vocabularios y modelos personalizados
+    ['vocabularyName', 'vocabularyFilterName', 'languageModelName'].forEach(key => {
+        if (settings[key] !== undefined && !RESOURCE_NAME.test(settings[key])) {
+            errors.push(`Nombre no válido en ${key}`);
+        }
+    });
+    ['vocabularyNames', 'vocabularyFilterNames'].forEach(key => {
+        (settings[key] || []).filter(name => !RESOURCE_NAME.test(name))
+            .forEach(name => errors.push(`Nombre no válido en ${key}: ${name}`));
+    });
+
+    const hasFilter = Boolean(settings.vocabularyFilterName || (settings.vocabularyFilterNames && settings.vocabularyFilterNames.length));
+    if (settings.vocabularyFilterMethod) {
+        if (!VOCABULARY_FILTER_METHODS.includes(settings.vocabularyFilterMethod)) {
+            errors.push(`Método de filtro no soportado: ${settings.vocabularyFilterMethod}`);
+        }
+        if (!hasFilter) errors.push('vocabularyFilterMethod requiere un filtro de vocabulario');
+    } else if (hasFilter) {
+        settings.vocabularyFilterMethod = 'mask';
+    }
+
+    if (medical && (hasFilter || settings.languageModelName || settings.partialResultsStability)) {
+        errors.push('El motor médico no admite filtros de vocabulario, modelos de idioma ni estabilización de parciales');
+    }
+
+    // Identificación o redacción de datos personales
+    if (settings.contentIdentification && settings.contentRedaction) {
+        errors.push('contentIdentification y contentRedaction no se pueden combinar');
+    }
+    const piiEnabled = Boolean(settings.contentIdentification || settings.contentRedaction);
+    if (piiEnabled) {
+        if (settings.identifyLanguage) errors.push('La identificación de datos personales no se puede usar con identifyLanguage');
+        if (!medical && settings.languageCode && !PII_LANGUAGES.includes(settings.languageCode)) {
+            errors.push(`La identificación de datos personales solo está disponible en: ${PII_LANGUAGES.join(', ')}`);
+        }
+        if (medical && settings.contentRedaction) errors.push('El motor médico solo admite identificación de datos (no redacción)');
+    }
+    if (settings.piiEntityTypes) {
+        if (!piiEnabled || medical) errors.push('piiEntityTypes requiere contentIdentification o contentRedaction');
+        settings.piiEntityTypes.filter(type => !PII_ENTITY_TYPES.includes(type))
+            .forEach(type => errors.push(`Tipo de dato personal no soportado: ${type}`));
+    }
+
+    if (settings.partialResultsStability && !STABILITY_LEVELS.includes(settings.partialResultsStability)) {
+        errors.push(`Nivel de estabilidad no soportado: ${settings.partialResultsStability}`);
+    }
+
+    if (medical) {
+        settings.specialty = settings.specialty || 'PRIMARYCARE';
+        settings.medicalType = settings.medicalType || 'CONVERSATION';
+        if (!MEDICAL_SPECIALTIES.includes(settings.specialty)) errors.push(`Especialidad no soportada: ${settings.specialty}`);
+        if (!MEDICAL_TYPES.includes(settings.medicalType)) errors.push(`Tipo médico no soportado: ${settings.medicalType}`);
+    } else if (settings.specialty || settings.medicalType) {
+        errors.push('specialty y medicalType solo se usan con el motor médico');
+    }
+
+    return { settings, errors };
+}
+
+// Construir la TranscriptionConfiguration de Chime a partir de ajustes ya validados
+// No enviar a Chime los campos sin valor
+function compact(object) {
+    Object.keys(object).forEach(key => object[key] === undefined && delete object[key]);
+    return object;
+}
+
+function buildTranscriptionConfiguration(settings, defaultRegion) {
+    const region = settings.region || defaultRegion;
+
+    if (settings.engine === 'medical') {
+        return {
+            EngineTranscribeMedicalSettings: compact({
+                LanguageCode: settings.languageCode,
+                Specialty: settings.specialty,
+                Type: settings.medicalType,
+                VocabularyName: settings.vocabularyName,
+                Region: region,
+                ContentIdentificationType: settings.contentIdentification ? 'PHI' : undefined
+            })
+        };
+    }
+
+    const engine = {
+        Region: region,
+        VocabularyName: settings.vocabularyName,
+        VocabularyFilterName: settings.vocabularyFilterName,
+        VocabularyFilterMethod: settings.vocabularyFilterMethod,
+        LanguageModelName: settings.languageModelName,
+        ContentIdentificationType: settings.contentIdentification ? 'PII' : undefined,
+        ContentRedactionType: settings.contentRedaction ? 'PII' : undefined,
+        PiiEntityTypes: settings.piiEntityTypes ? settings.piiEntityTypes.join(',') : undefined
+    };
+
+    if (settings.partialResultsStability) {
+        engine.EnablePartialResultsStabilization = true;
+        engine.PartialResultsStability = settings.partialResultsStability;
+    }
+
+    if (settings.identifyLanguage) {
+        engine.IdentifyLanguage = true;
+        engine.LanguageOptions = settings.languageOptions.join(',');
+        engine.PreferredLanguage = settings.preferredLanguage;
+        engine.VocabularyNames = settings.vocabularyNames ? settings.vocabularyNames.join(',') : undefined;
+        engine.VocabularyFilterNames = settings.vocabularyFilterNames ? settings.vocabularyFilterNames.join(',') : undefined;
+    } else {
+        engine.LanguageCode = settings.languageCode;
+    }
+
+    return { EngineTranscribeSettings: compact(engine) };
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    TRANSCRIBE_REGIONS,
+    MEDICAL_REGIONS,
+    mapLanguageCode,
+    pickSettings,
+    mergeTranscriptionSettings,
+    resolveTranscriptionSettings,
+    buildTranscriptionConfiguration
+};
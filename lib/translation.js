@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { TranslateTextCommand } = require('@aws-sdk/client-translate');
+
+// Traducción de los fragmentos de transcripción. Todos los proveedores exponen la misma interfaz:
+//   provider.translate({ text, sourceLanguage, targetLanguage }) -> { text, sourceLanguage }
+// donde `sourceLanguage` puede ser 'auto' para que el proveedor detecte el idioma del texto.
+//
+// Las traducciones se guardan en el propio fragmento (segment.translations[idioma]) junto con
+// una huella del texto original: si el texto cambia (edición, redacción) la traducción deja de valer.
+//
+// Configuración:
+//   TRANSLATION_PROVIDER   aws (por defecto, Amazon Translate) | fake (determinista, para pruebas)
+
+// Idiomas de destino admitidos por Amazon Translate
+const TRANSLATION_LANGUAGES = [
+    'af', 'am', 'ar', 'az', 'bg', 'bn', 'bs', 'ca', 'cs', 'cy', 'da', 'de', 'el', 'en', 'es', 'es-MX',
+    'et', 'fa', 'fa-AF', 'fi', 'fr', 'fr-CA', 'ga', 'gu', 'ha', 'he', 'hi', 'hr', 'ht', 'hu', 'hy', 'id',
+    'is', 'it', 'ja', 'ka', 'kk', 'kn', 'ko', 'lt', 'lv', 'mk', 'ml', 'mn', 'mr', 'ms', 'mt', 'nl', 'no',
+    'pa', 'pl', 'ps', 'pt', 'pt-PT', 'ro', 'ru', 'si', 'sk', 'sl', 'so', 'sq', 'sr', 'sv', 'sw', 'ta',
+    'te', 'th', 'tl', 'tr', 'uk', 'ur', 'uz', 'vi', 'zh', 'zh-TW'
+];
+
+// Código de idioma de traducción a partir de uno de Translate o de Transcribe ('es-US' -> 'es').
+// Devuelve null si el idioma no está admitido.
+function normalizeTranslationLanguage(code) {
+    if (typeof code !== 'string' || !code.trim()) return null;
+    const [primary, region] = code.trim().split(/[-_]/);
+    const full = region ? `${primary.toLowerCase()}-${region.length === 2 ? region.toUpperCase() : region}` : primary.toLowerCase();
+    if (TRANSLATION_LANGUAGES.includes(full)) return full;
+    return TRANSLATION_LANGUAGES.includes(primary.toLowerCase()) ? primary.toLowerCase() : null;
+}
+
+// Huella del texto original con la que se comprueba que una traducción guardada sigue vigente
+function sourceHash(text) {
+    return crypto.createHash('sha256').update(String(text)).digest('hex').slice(0, 16);
+}
+
+// Traducción guardada del fragmento al idioma pedido, o null si no la hay o está desfasada
+function cachedTranslation(segment, language) {
+    const cached = segment.translations && segment.translations[language];
+    return cached && cached.sourceHash === sourceHash(segment.text) ? cached : null;
+}
+
+// Traducir un fragmento, reutilizando la traducción guardada si sigue vigente.
+// Devuelve { translation, cached }; `sourceLanguage` se usa si el fragmento no indica su idioma.
+async function translateSegment(segment, language, provider, { sourceLanguage = 'auto' } = {}) {
+    const cached = cachedTranslation(segment, language);
+    if (cached) {
+        return { translation: cached, cached: true };
+    }
+
+    const source = normalizeTranslationLanguage(segment.languageCode) || sourceLanguage;
+    const result = await provider.translate({ text: segment.text, sourceLanguage: source, targetLanguage: language });
+    return {
+        translation: {
+            text: result.text,
+            sourceLanguage: result.sourceLanguage || source,
+            provider: provider.name,
+            sourceHash: sourceHash(segment.text)
+        },
+        cached: false
+    };
+}
+
+// Copia del fragmento con la traducción guardada, sin las que quedaron desfasadas.
+// Si el texto cambió mientras se traducía, el fragmento se devuelve tal cual.
+function withTranslation(segment, language, translation) {
+    const hash = sourceHash(segment.text);
+    if (translation.sourceHash !== hash) return segment;
+
+    const translations = {};
+    Object.entries(segment.translations || {}).forEach(([code, value]) => {
+        if (value.sourceHash === hash) translations[code] = value;
+    });
+    translations[language] = translation;
+    return { ...segment, translations };
+}
+
+// Proveedor basado en Amazon Translate
+function createAwsTranslationProvider({ client }) {
+    return {
+        name: 'aws',
+        async translate({ text, sourceLanguage = 'auto', targetLanguage }) {
+            const response = await client.send(new TranslateTextCommand({
+                Text: text,
+                SourceLanguageCode: sourceLanguage,
+                TargetLanguageCode: targetLanguage
+            }));
+            return { text: response.TranslatedText, sourceLanguage: response.SourceLanguageCode };
+        }
+    };
+}
+
+// Proveedor local para pruebas: antepone el idioma de destino al texto ("[en] hola").
+// Si el idioma de origen coincide con el de destino devuelve el texto sin cambios, como Translate.
+function createFakeTranslationProvider() {
+    return {
+        name: 'fake',
+        async translate({ text, sourceLanguage = 'auto', targetLanguage }) {
+            if (sourceLanguage === targetLanguage) {
+                return { text, sourceLanguage };
+            }
+            return { text: `[${targetLanguage}] ${text}`, sourceLanguage };
+        }
+    };
+}
+
+// Crear el proveedor según la configuración (TRANSLATION_PROVIDER=aws|fake)
+function createTranslationProvider({ name = process.env.TRANSLATION_PROVIDER || 'aws', client } = {}) {
+    if (name === 'fake') {
+        return createFakeTranslationProvider();
+    }
+
+    if (name === 'aws') {
+        return createAwsTranslationProvider({ client });
+    }
+
+    throw new Error(`Proveedor de traducción no soportado: ${name}`);
+}
+
+module.exports = {
+    TRANSLATION_LANGUAGES,
+    normalizeTranslationLanguage,
+    cachedTranslation,
+    translateSegment,
+    withTranslation,
+    createAwsTranslationProvider,
+    createFakeTranslationProvider,
+    createTranslationProvider
+};
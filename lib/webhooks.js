@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { DEFAULT_ORG_ID } = require('./tenants');
+
+// Webhooks salientes: suscripciones a eventos, cuerpos firmados con HMAC-SHA256,
+// reintentos con espera exponencial y registro de entregas.
+//
+// Cabeceras de cada entrega:
+//   X-Webhook-Event      nombre del evento (p. ej. meeting.created)
+//   X-Webhook-Delivery   id de la entrega (igual en todos sus reintentos)
+//   X-Webhook-Signature  t=<timestamp unix>,v1=<hex de HMAC-SHA256(secret, `${t}.${body}`)>
+
+const WEBHOOK_EVENTS = [
+    'meeting.created',
+    'meeting.scheduled',
+    'meeting.deleted',
+    'meeting.expired',
+    'meeting.ended',
+    'attendee.joined',
+    'transcription.started',
+    'transcription.stopped',
+    'transcription.saved',
+    'transcription.deleted',
+    'recording.started',
+    'recording.stopped'
+];
+
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 5 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Entregas que se conservan en el registro
+const DELIVERY_LOG_LIMIT = 1000;
+const RESPONSE_BODY_LIMIT = 500;
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function retryDelay(attempt, baseDelayMs) {
+    return Math.min(baseDelayMs * 2 ** (attempt - 1), MAX_DELAY_MS);
+}
+
+// Validar los datos de una suscripción; devuelve un mensaje de error o null
+function validateSubscription({ url, events }) {
+    try {
+        const parsed = new URL(url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return 'La URL del webhook debe ser http o https';
+        }
+    } catch (error) {
+        return 'URL del webhook no válida';
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+        return 'Indica al menos un evento';
+    }
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        return `Eventos no soportados: ${unknown.join(', ')}`;
+    }
+    return null;
+}
+
+function createWebhookService({
+    storage,
+    fetchImpl = (...args) => fetch(...args),
+    maxAttempts = MAX_ATTEMPTS,
+    baseDelayMs = BASE_DELAY_MS
+}) {
+    const subscriptions = storage.collection('webhooks');
+    const deliveries = storage.collection('webhookDeliveries');
+    const timers = new Map();
+
+    function persistDeliveries() {
+        return deliveries.flush().catch(error => {
+            console.error('Error al persistir entregas de webhooks:', error);
+        });
+    }
+
+    // Conservar solo las entregas más recientes
+    async function pruneDeliveries() {
+        const all = deliveries.list();
+        if (all.length <= DELIVERY_LOG_LIMIT) return;
+
+        const old = all
+            .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+            .slice(0, all.length - DELIVERY_LOG_LIMIT)
+            .filter(delivery => delivery.status !== 'pending');
+        for (const delivery of old) {
+            await deliveries.remove(delivery.id);
+        }
+    }
+
+    function schedule(delivery, delayMs) {
+        clearTimeout(timers.get(delivery.id));
+        const timer = setTimeout(() => {
+            timers.delete(delivery.id);
+            attempt(delivery.id);
+        }, Math.max(0, delayMs));
+        if (timer.unref) timer.unref();
+        timers.set(delivery.id, timer);
+    }
+
+    async function attempt(deliveryId) {
+        const delivery = deliveries.get(deliveryId);
+        const subscription = delivery && subscriptions.get(delivery.webhookId);
+        if (!delivery || delivery.status !== 'pending') return delivery;
+
+        if (!subscription) {
+            delivery.status = 'failed';
+            delivery.lastError = 'La suscripción ya no existe';
+            await persistDeliveries();
+            return delivery;
+        }
+
+        const body = JSON.stringify({
+            id: delivery.id,
+            event: delivery.event,
+            createdAt: delivery.createdAt,
+            data: delivery.payload
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        const record = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: null };
+
+        try {
+            const response = await fetchImpl(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'chime-backend-webhooks',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`
+                },
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            record.statusCode = response.status;
+            const text = await response.text().catch(() => '');
+            record.responseBody = text.slice(0, RESPONSE_BODY_LIMIT);
+            if (!response.ok) {
+                record.error = `Respuesta HTTP ${response.status}`;
+            }
+        } catch (error) {
+            record.error = error.message;
+        }
+        record.durationMs = Date.now() - startedAt;
+
+        delivery.attempts.push(record);
+        delivery.lastAttemptAt = record.at;
+
+        if (!record.error) {
+            delivery.status = 'succeeded';
+            delivery.nextAttemptAt = null;
+        } else if (delivery.attempts.length - delivery.attemptsBeforeRedelivery >= maxAttempts) {
+            delivery.status = 'failed';
+            delivery.lastError = record.error;
+            delivery.nextAttemptAt = null;
+            console.warn(`⚠️ Webhook ${delivery.event} agotó sus reintentos hacia ${subscription.url}: ${record.error}`);
+        } else {
+            const delay = retryDelay(delivery.attempts.length - delivery.attemptsBeforeRedelivery, baseDelayMs);
+            delivery.lastError = record.error;
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            schedule(delivery, delay);
+        }
+
+        await persistDeliveries();
+        return delivery;
+    }
+
+    // Enviar un evento a las suscripciones activas interesadas de la organización del evento.
+    // No espera a las entregas.
+    async function dispatch(event, payload, { orgId = DEFAULT_ORG_ID } = {}) {
+        const targets = subscriptions.list().filter(subscription =>
+            subscription.active &&
+            (subscription.orgId || DEFAULT_ORG_ID) === orgId &&
+            (subscription.events.includes(event) || subscription.events.includes('*'))
+        );
+
+        for (const subscription of targets) {
+            const delivery = {
+                id: crypto.randomUUID(),
+                webhookId: subscription.id,
+                orgId,
+                event,
+                payload,
+                status: 'pending',
+                attempts: [],
+                attemptsBeforeRedelivery: 0,
+                createdAt: new Date().toISOString(),
+                nextAttemptAt: new Date().toISOString()
+            };
+            await deliveries.put(delivery.id, delivery);
+            schedule(delivery, 0);
+        }
+
+        if (targets.length > 0) {
+            pruneDeliveries().catch(error => console.error('Error al depurar entregas de webhooks:', error));
+        }
+        return targets.length;
+    }
+
+    // Volver a enviar una entrega (con un nuevo ciclo de reintentos); espera al primer intento
+    async function redeliver(deliveryId) {
+        const delivery = deliveries.get(deliveryId);
+        if (!delivery) return null;
+
+        clearTimeout(timers.get(delivery.id));
+        delivery.status = 'pending';
+        delivery.attemptsBeforeRedelivery = delivery.attempts.length;
+        delivery.nextAttemptAt = new Date().toISOString();
+        delivery.redeliveredAt = delivery.nextAttemptAt;
+        await persistDeliveries();
+
+        return attempt(delivery.id);
+    }
+
+    // Retomar las entregas pendientes después de un reinicio
+    function resumePending() {
+        const pending = deliveries.list().filter(delivery => delivery.status === 'pending');
+        pending.forEach(delivery => {
+            const due = delivery.nextAttemptAt ? Date.parse(delivery.nextAttemptAt) - Date.now() : 0;
+            schedule(delivery, due);
+        });
+        return pending.length;
+    }
+
+    async function createSubscription({ url, events, secret, description, ownerId, orgId = DEFAULT_ORG_ID }) {
+        const subscription = {
+            id: crypto.randomUUID(),
+            orgId,
+            url,
+            events,
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            description: description || null,
+            ownerId: ownerId || null,
+            active: true,
+            createdAt: new Date().toISOString()
+        };
+        await subscriptions.put(subscription.id, subscription);
+        return subscription;
+    }
+
+    async function updateSubscription(id, changes) {
+        const subscription = subscriptions.get(id);
+        if (!subscription) return null;
+
+        ['url', 'events', 'description', 'active'].forEach(field => {
+            if (changes[field] !== undefined) subscription[field] = changes[field];
+        });
+        subscription.updatedAt = new Date().toISOString();
+        await subscriptions.put(id, subscription);
+        return subscription;
+    }
+
+    async function deleteSubscription(id) {
+        if (!subscriptions.has(id)) return false;
+        await subscriptions.remove(id);
+        return true;
+    }
+
+    function listDeliveries(webhookId) {
+        return deliveries.list()
+            .filter(delivery => delivery.webhookId === webhookId)
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    }
+
+    return {
+        dispatch,
+        redeliver,
+        resumePending,
+        createSubscription,
+        updateSubscription,
+        deleteSubscription,
+        getSubscription: id => subscriptions.get(id),
+        listSubscriptions: () => subscriptions.list(),
+        getDelivery: id => deliveries.get(id),
+        listDeliveries
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    validateSubscription,
+    signPayload,
+    createWebhookService
+};
@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeAnalytics, aggregateUserAnalytics } = require('../lib/analytics');
+
+const source = {
+    participants: [
+        { userId: 'ana', userName: 'Ana', attendeeInfo: { AttendeeId: 'att-ana' } },
+        { userId: 'luis', userName: 'Luis', attendeeInfo: { AttendeeId: 'att-luis' } },
+        { userId: 'eva', userName: 'Eva', attendeeInfo: { AttendeeId: 'att-eva' } }
+    ],
+    transcripts: [
+        { attendeeId: 'att-ana', text: 'uno dos tres cuatro cinco', timestamp: '2025-03-10T10:00:00Z' },
+        { attendeeId: 'att-luis', text: 'de acuerdo', timestamp: '2025-03-10T10:00:03Z' },
+        { attendeeId: 'att-ana', text: 'seis siete ocho nueve diez', timestamp: '2025-03-10T10:00:10Z' }
+    ]
+};
+
+describe('analítica de participación', () => {
+    it('calcula tiempo de habla, turnos, silencios y equilibrio', () => {
+        const analytics = computeAnalytics(source);
+
+        assert.equal(analytics.startTime, '2025-03-10T10:00:00.000Z');
+        assert.equal(analytics.durationMs, 12000);
+        assert.equal(analytics.totalWords, 12);
+        assert.deepEqual(
+            analytics.speakers.map(s => [s.userId, s.talkTimeMs, s.turns, s.talkShare]),
+            [['ana', 4000, 2, 0.8], ['luis', 1000, 1, 0.2], ['eva', 0, 0, 0]]
+        );
+        assert.deepEqual(analytics.turnTaking.transitions.map(t => `${t.from}->${t.to}`).sort(), ['ana->luis', 'luis->ana']);
+        assert.equal(analytics.silences.count, 1);
+        assert.equal(analytics.silences.longest[0].durationMs, 6000);
+        assert.equal(analytics.balance.dominantSpeaker, 'ana');
+        assert.equal(analytics.balance.silentParticipants, 1);
+    });
+
+    it('resume la participación de un usuario en varias reuniones', () => {
+        const first = computeAnalytics(source);
+        const second = computeAnalytics({ ...source, transcripts: source.transcripts.slice(1, 2) });
+        const summary = aggregateUserAnalytics('luis', [
+            { meetingId: 'reunion-1', analytics: first },
+            { meetingId: 'reunion-2', analytics: second }
+        ]);
+
+        assert.equal(summary.meetingCount, 2);
+        assert.equal(summary.totalTalkTimeMs, 2000);
+        assert.equal(summary.totalTurns, 2);
+        assert.equal(summary.averageTalkShare, 0.6);
+    });
+});
@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { startTestServer } = require('./helpers');
+const { API_ROUTES } = require('../lib/api-spec');
+const { toOpenApiPath } = require('../lib/openapi');
+const { createVersionedApi } = require('../lib/api');
+
+describe('API /v1', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestServer();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('sirve las mismas rutas que la API sin versión', async () => {
+        const created = await ctx.request('POST', '/v1/create-meeting', { user: 'host', body: { lobbyEnabled: false } });
+        assert.equal(created.status, 200);
+        const { meetingId } = created.body;
+
+        const joined = await ctx.request('POST', '/v1/join-meeting', { user: 'ana', body: { meetingId } });
+        assert.equal(joined.status, 200);
+        assert.ok(joined.body.attendeeInfo.AttendeeId);
+
+        const listed = await ctx.request('GET', '/v1/list-meetings', { user: 'host' });
+        assert.ok(listed.body.some(meeting => meeting.meetingId === meetingId));
+
+        // Las rutas sin versión mantienen sus errores de siempre
+        const legacy = await ctx.request('GET', '/list-meetings');
+        assert.equal(legacy.status, 401);
+        assert.equal(legacy.body.error, 'Token de autenticación requerido');
+    });
+
+    it('valida las peticiones y devuelve los fallos con un código estable', async () => {
+        const invalid = await ctx.request('POST', '/v1/create-meeting', { user: 'host', body: { lobbyEnabled: 'sí', color: 'rojo' } });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.error.code, 'VALIDATION_FAILED');
+        assert.deepEqual(invalid.body.error.details.errors, [
+            { in: 'body', path: '/lobbyEnabled', rule: 'type', expected: 'boolean' },
+            { in: 'body', path: '/color', rule: 'additionalProperties', expected: false }
+        ]);
+
+        const badParam = await ctx.request('GET', '/v1/transcription/1/revisions/primera', { user: 'host' });
+        assert.equal(badParam.status, 400);
+        assert.equal(badParam.body.error.details.errors[0].in, 'path');
+        assert.equal(badParam.body.error.details.errors[0].path, '/revision');
+
+        // La API sin versión sigue validando a mano
+        const legacy = await ctx.request('POST', '/create-meeting', { user: 'host', body: { lobbyEnabled: 'sí' } });
+        assert.equal(legacy.status, 400);
+        assert.equal(typeof legacy.body.error, 'string');
+    });
+
+    it('traduce los mensajes de error según Accept-Language', async () => {
+        const spanish = await ctx.request('GET', '/v1/meeting/no-existe/attendees', { user: 'host' });
+        assert.equal(spanish.status, 404);
+        assert.deepEqual(spanish.body, { error: { code: 'MEETING_NOT_FOUND', message: 'Reunión no encontrada' } });
+
+        const english = await ctx.request('GET', '/v1/meeting/no-existe/attendees', { user: 'host', headers: { 'Accept-Language': 'en-GB,en;q=0.9' } });
+        assert.deepEqual(english.body, { error: { code: 'MEETING_NOT_FOUND', message: 'Meeting not found' } });
+
+        const anonymous = await ctx.request('GET', '/v1/list-meetings', { headers: { 'Accept-Language': 'en' } });
+        assert.equal(anonymous.status, 401);
+        assert.equal(anonymous.body.error.code, 'AUTH_TOKEN_REQUIRED');
+        assert.equal(anonymous.body.error.message, 'Authentication token required');
+    });
+
+    it('elimina reuniones por DELETE y por POST con la misma implementación', async () => {
+        const first = await ctx.createMeeting('host');
+        const deleted = await ctx.request('DELETE', `/v1/delete-meeting/${first}`, { user: 'host' });
+        assert.equal(deleted.status, 200);
+        assert.equal(deleted.body.success, true);
+        assert.equal(ctx.meetings[first], undefined);
+
+        const second = await ctx.createMeeting('host');
+        const posted = await ctx.request('POST', '/v1/delete-meeting', { user: 'host', body: { meetingId: second } });
+        assert.deepEqual(posted.body, deleted.body);
+        assert.equal(ctx.meetings[second], undefined);
+
+        const missing = await ctx.request('POST', '/v1/delete-meeting', { user: 'host', body: {} });
+        assert.equal(missing.body.error.code, 'VALIDATION_FAILED');
+    });
+
+    it('responde con códigos a las rutas desconocidas y al JSON mal formado', async () => {
+        const unknown = await ctx.request('GET', '/v1/no-existe');
+        assert.equal(unknown.status, 404);
+        assert.equal(unknown.body.error.code, 'ROUTE_NOT_FOUND');
+
+        const malformed = await ctx.request('POST', '/v1/create-meeting', { user: 'host', body: '{"title":' });
+        assert.equal(malformed.status, 400);
+        assert.equal(malformed.body.error.code, 'INVALID_JSON');
+    });
+
+    it('publica el documento OpenAPI con todas las rutas', async () => {
+        const response = await ctx.request('GET', '/v1/openapi.json');
+        assert.equal(response.status, 200);
+
+        const document = response.body;
+        assert.equal(document.openapi, '3.1.0');
+        assert.deepEqual(document.servers, [{ url: '/v1' }]);
+        API_ROUTES.forEach(route => {
+            const operation = document.paths[toOpenApiPath(route.path)][route.method];
+            assert.equal(operation.operationId, route.operationId);
+        });
+
+        const postDelete = document.paths['/delete-meeting'].post;
+        assert.equal(postDelete.deprecated, true);
+        assert.deepEqual(postDelete.responses['404'].content['application/json'].schema.allOf[1].properties.error.properties.code.enum, ['MEETING_NOT_FOUND']);
+    });
+});
+
+describe('validación de las respuestas de /v1', () => {
+    const routes = [{
+        method: 'get', path: '/saludo', operationId: 'greet', tag: 'Pruebas', access: 'public', summary: 'Saludo',
+        responses: { 200: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] } }
+    }];
+
+    async function serve(responseValidation) {
+        const app = express();
+        const api = createVersionedApi(app, { routes, components: {}, responseValidation });
+        api.get('/saludo', (req, res) => res.json({ mensaje: 'hola' }));
+        api.finalize();
+
+        const server = await new Promise(resolve => {
+            const listening = app.listen(0, () => resolve(listening));
+        });
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/v1/saludo`);
+        const body = await response.json();
+        await new Promise(resolve => server.close(resolve));
+        return { status: response.status, body };
+    }
+
+    it('rechaza las respuestas que no cumplen su esquema en modo estricto', async () => {
+        const strict = await serve('strict');
+        assert.equal(strict.status, 500);
+        assert.equal(strict.body.error.code, 'RESPONSE_INVALID');
+        assert.equal(strict.body.error.details.errors[0].path, '/message');
+
+        const warn = await serve('warn');
+        assert.equal(warn.status, 200);
+        assert.deepEqual(warn.body, { mensaje: 'hola' });
+    });
+
+    it('solo registra los desajustes por defecto fuera de la CI', async () => {
+        const { API_RESPONSE_VALIDATION, CI } = process.env;
+        delete process.env.API_RESPONSE_VALIDATION;
+        delete process.env.CI;
+        try {
+            assert.equal((await serve()).status, 200);
+            process.env.CI = 'true';
+            assert.equal((await serve()).status, 500);
+        } finally {
+            if (API_RESPONSE_VALIDATION !== undefined) process.env.API_RESPONSE_VALIDATION = API_RESPONSE_VALIDATION;
+            if (CI !== undefined) process.env.CI = CI; else delete process.env.CI;
+        }
+    });
+
+    it('exige que todas las rutas descritas se registren', () => {
+        const api = createVersionedApi(express(), { routes, components: {} });
+        assert.throws(() => api.finalize(), /GET \/saludo/);
+        assert.throws(() => api.post('/otra', (req, res) => res.end()), /no está descrita/);
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const { createChunkQueue, createFakeEngine, createTranscriptionEngine } = require('../lib/transcription-engines');
+const { attachAudioStreamServer } = require('../lib/audio-stream');
+
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+}
+
+describe('transcripción en el servidor', () => {
+    it('entrega el audio en orden y termina al cerrar la cola', async () => {
+        const queue = createChunkQueue();
+        queue.push(Buffer.from('a'));
+        const pending = collect(queue);
+        queue.push(Buffer.from('b'));
+        queue.end();
+        queue.push(Buffer.from('c'));
+
+        assert.deepEqual((await pending).map(chunk => chunk.toString()), ['a', 'b']);
+    });
+
+    it('emite el guion del motor de pruebas a medida que llega audio', async () => {
+        const engine = createFakeEngine({ script: [{ text: 'uno', isPartial: true }, { text: 'uno dos' }, { text: 'tres' }] });
+        const results = await collect(engine.start({ audio: [Buffer.alloc(2)] }));
+
+        assert.deepEqual(results.map(result => [result.resultId, result.text, result.isPartial]), [
+            ['fake-0', 'uno', true],
+            ['fake-1', 'uno dos', false],
+            ['fake-2', 'tres', false]
+        ]);
+        assert.throws(() => createTranscriptionEngine({ name: 'otro' }), /no soportado/);
+    });
+
+    it('transcribe el audio recibido por WebSocket y rechaza las sesiones no válidas', async () => {
+        const server = http.createServer();
+        const sessions = [];
+        attachAudioStreamServer({
+            server,
+            engine: createFakeEngine(),
+            resolveSession: async params => {
+                if (params.meetingId !== 'reunion-1') {
+                    throw Object.assign(new Error('Reunión no encontrada'), { statusCode: 404 });
+                }
+                return { meetingId: params.meetingId, attendeeId: params.attendeeId, languageCode: 'es-US' };
+            },
+            onResult: async (session, result) => {
+                sessions.push(session);
+                return { text: result.text };
+            }
+        });
+        await new Promise(resolve => server.listen(0, resolve));
+        const base = `ws://127.0.0.1:${server.address().port}/audio-stream`;
+
+        try {
+            const rejected = new WebSocket(`${base}?meetingId=otra`);
+            const status = await new Promise(resolve => rejected.on('unexpected-response', (req, res) => resolve(res.statusCode)));
+            assert.equal(status, 404);
+
+            const ws = new WebSocket(`${base}?meetingId=reunion-1&attendeeId=att-1&sampleRate=8000`);
+            const messages = [];
+            const closed = new Promise(resolve => ws.on('close', resolve));
+            ws.on('message', data => messages.push(JSON.parse(data.toString())));
+            await new Promise(resolve => ws.on('open', resolve));
+            ws.send(Buffer.alloc(320));
+            ws.send(JSON.stringify({ type: 'stop' }));
+            await closed;
+
+            assert.deepEqual(messages.map(message => message.type), ['partial', 'final', 'end']);
+            assert.equal(messages[1].segment.text, 'hola a todos');
+            assert.equal(sessions[0].sampleRate, 8000);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
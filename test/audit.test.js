@@ -0,0 +1,19 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStorage } = require('../lib/storage');
+const { createAuditLog } = require('../lib/audit');
+
+describe('registro de auditoría', () => {
+    it('guarda quién actuó sobre cada transcripción y permite filtrarlo', async () => {
+        const audit = createAuditLog({ storage: createMemoryStorage() });
+        await audit.record({ transcriptionId: 't1', action: 'read', actor: { id: 'ana', name: 'Ana' } });
+        await audit.record({ transcriptionId: 't1', action: 'export', actor: { id: 'luis', name: 'Luis' }, details: { format: 'vtt' } });
+        const retention = await audit.record({ transcriptionId: 't2', action: 'retention', actor: null });
+
+        assert.equal(retention.actorId, 'system');
+        assert.equal(audit.list().length, 3);
+        assert.deepEqual(audit.list({ transcriptionId: 't1' }).map(entry => entry.action).sort(), ['export', 'read']);
+        assert.deepEqual(audit.list({ actorId: 'luis' })[0].details, { format: 'vtt' });
+        assert.equal(audit.list({ from: new Date(Date.now() + 60000).toISOString() }).length, 0);
+    });
+});
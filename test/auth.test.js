@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { AuthError, createAuth, extractToken } = require('../lib/auth');
+
+// Ejecutar un middleware con una petición simulada; devuelve { status, body, next }
+function run(middleware, req) {
+    const result = { status: 200, body: null, next: false };
+    const res = {
+        status(code) {
+            result.status = code;
+            return res;
+        },
+        json(body) {
+            result.body = body;
+            return res;
+        }
+    };
+    middleware({ headers: {}, query: {}, get: name => (req.headers || {})[name.toLowerCase()], ...req }, res, () => {
+        result.next = true;
+    });
+    return result;
+}
+
+describe('autenticación', () => {
+    const auth = createAuth({ secret: 'secreto', apiKey: 'clave', disabled: false });
+
+    it('firma y verifica los tokens del usuario', () => {
+        const user = auth.verifyToken(auth.signToken({ userId: 'ana', userName: 'Ana' }));
+        assert.equal(user.id, 'ana');
+        assert.equal(user.name, 'Ana');
+
+        assert.throws(() => auth.verifyToken(null), error => error instanceof AuthError && error.statusCode === 401);
+        assert.throws(() => auth.verifyToken(jwt.sign({ sub: 'ana' }, 'otro-secreto')), /Token no válido/);
+        assert.throws(() => auth.verifyToken(jwt.sign({ sub: 'ana', exp: 1 }, 'secreto')), /Token expirado/);
+        assert.throws(() => createAuth({ secret: '', disabled: false }), /JWT_SECRET/);
+    });
+
+    it('lee el token de la cabecera Authorization o de access_token', () => {
+        assert.equal(extractToken({ headers: { authorization: 'Bearer abc' } }), 'abc');
+        assert.equal(extractToken({ headers: {}, query: { access_token: 'def' } }), 'def');
+        assert.equal(extractToken({ headers: { authorization: 'Basic abc' }, query: {} }), null);
+
+        const token = auth.signToken({ userId: 'ana' });
+        const authenticated = run(auth.authenticate, { headers: { authorization: `Bearer ${token}` } });
+        assert.equal(authenticated.next, true);
+        assert.equal(run(auth.authenticate, {}).status, 401);
+    });
+
+    it('exige la clave de API para emitir tokens', () => {
+        assert.equal(run(auth.requireApiKey, { headers: { 'x-api-key': 'clave' } }).next, true);
+        assert.equal(run(auth.requireApiKey, { headers: { 'x-api-key': 'otra' } }).status, 401);
+        assert.equal(run(createAuth({ secret: 'secreto' }).requireApiKey, {}).status, 404);
+    });
+
+    it('sin autenticación confía en el userId de la petición', () => {
+        const open = createAuth({ disabled: true });
+        assert.equal(open.enabled, false);
+        assert.equal(open.identify({ body: { userId: 'ana' } }).id, 'ana');
+        assert.equal(open.identify({ body: {}, query: {} }), null);
+    });
+});
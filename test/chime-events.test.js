@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+    parseChimeEventPayload,
+    parseSnsMessage,
+    snsStringToSign,
+    createSnsVerifier,
+    isTrustedSubscribeUrl,
+    applyChimeEvent
+} = require('../lib/chime-events');
+
+function chimeEvent(eventType, detail = {}) {
+    return {
+        source: 'aws.chime',
+        'detail-type': 'Chime Meeting State Change',
+        detail: { eventType: `chime:${eventType}`, meetingId: 'reunion-1', timestamp: 1741600800000, ...detail }
+    };
+}
+
+describe('eventos de Chime', () => {
+    it('extrae los eventos de EventBridge y de las notificaciones SNS', () => {
+        const direct = parseChimeEventPayload([chimeEvent('AttendeeJoined', { attendeeId: 'att-ana' }), { otro: true }]);
+        assert.equal(direct.kind, 'events');
+        assert.deepEqual(direct.events.map(event => [event.type, event.attendeeId]), [['AttendeeJoined', 'att-ana']]);
+        assert.equal(direct.events[0].timestamp, '2025-03-10T10:00:00.000Z');
+
+        const notification = JSON.stringify({ Type: 'Notification', Message: JSON.stringify(chimeEvent('MeetingEnded')) });
+        assert.deepEqual(parseChimeEventPayload(notification).events.map(event => event.type), ['MeetingEnded']);
+
+        const confirmation = parseChimeEventPayload({ Type: 'SubscriptionConfirmation', SubscribeURL: 'https://sns.eu-west-1.amazonaws.com/?Action=ConfirmSubscription' });
+        assert.equal(confirmation.kind, 'subscription');
+        assert.equal(isTrustedSubscribeUrl(confirmation.subscribeUrl), true);
+        assert.equal(isTrustedSubscribeUrl('https://sns.eu-west-1.amazonaws.com.example.com/'), false);
+        assert.equal(isTrustedSubscribeUrl('http://sns.eu-west-1.amazonaws.com/'), false);
+    });
+
+    it('actualiza la presencia de los asistentes y marca el fin de la reunión', () => {
+        const meeting = { attendees: { ana: { userId: 'ana', attendeeInfo: { AttendeeId: 'att-ana' } } } };
+
+        const joined = applyChimeEvent(meeting, parseChimeEventPayload(chimeEvent('AttendeeJoined', { attendeeId: 'att-ana' })).events[0]);
+        assert.equal(joined.changed, true);
+        assert.equal(joined.attendee.presence, 'joined');
+
+        const dropped = applyChimeEvent(meeting, parseChimeEventPayload(chimeEvent('AttendeeDropped', { externalUserId: 'ana' })).events[0]);
+        assert.equal(dropped.attendee.presence, 'dropped');
+        assert.deepEqual(meeting.attendees.ana.presenceHistory.map(entry => entry.status), ['joined', 'dropped']);
+
+        const unknown = applyChimeEvent(meeting, parseChimeEventPayload(chimeEvent('AttendeeLeft', { attendeeId: 'att-otro' })).events[0]);
+        assert.equal(unknown.changed, false);
+
+        const ended = applyChimeEvent(meeting, parseChimeEventPayload(chimeEvent('MeetingEnded')).events[0]);
+        assert.equal(ended.ended, true);
+        assert.equal(meeting.status, 'ended');
+    });
+
+    it('solo da por buenos los mensajes SNS firmados con un certificado de SNS', async () => {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const fetched = [];
+        const verifier = createSnsVerifier({
+            fetchCertificate: async url => {
+                fetched.push(url);
+                return publicKey.export({ type: 'spki', format: 'pem' });
+            }
+        });
+
+        const message = parseSnsMessage(JSON.stringify({
+            Type: 'Notification',
+            MessageId: 'mensaje-1',
+            TopicArn: 'arn:aws:sns:eu-west-1:123456789012:chime',
+            Message: JSON.stringify(chimeEvent('MeetingEnded')),
+            Timestamp: '2025-03-10T10:00:00.000Z',
+            SignatureVersion: '2',
+            SigningCertURL: 'https://sns.eu-west-1.amazonaws.com/SimpleNotificationService-abc.pem'
+        }));
+        message.Signature = crypto.createSign('RSA-SHA256').update(snsStringToSign(message)).sign(privateKey, 'base64');
+
+        assert.equal(await verifier.verify(message), true);
+        assert.equal(await verifier.verify({ ...message, Message: '[]' }), false);
+        assert.equal(await verifier.verify({ ...message, SigningCertURL: 'https://example.com/cert.pem' }), false);
+        assert.equal(await verifier.verify({ ...message, SignatureVersion: '3' }), false);
+        // El certificado se descarga una sola vez por URL
+        assert.equal(fetched.length, 1);
+
+        assert.equal(parseSnsMessage(chimeEvent('MeetingEnded')), null);
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { startTestServer } = require('./helpers');
+const { createLogger, requestLogger } = require('../lib/logger');
+const { createMetricsRegistry } = require('../lib/metrics');
+
+describe('diagnóstico', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestServer();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('responde a las comprobaciones de vida y preparación', async () => {
+        const live = await ctx.request('GET', '/health/live');
+        assert.equal(live.status, 200);
+        assert.equal(live.body.status, 'ok');
+
+        const ready = await ctx.request('GET', '/v1/health/ready');
+        assert.equal(ready.status, 200);
+        assert.equal(ready.body.status, 'ready');
+        assert.deepEqual(Object.keys(ready.body.checks.aws.services), ['chimeSDKMeetings', 'transcribe', 'mediaPipelines']);
+    });
+
+    it('exporta métricas en formato Prometheus', async () => {
+        const meetingId = await ctx.createMeeting('host');
+        await ctx.joinMeeting(meetingId, 'ana');
+        await ctx.request('POST', '/add-transcript', { user: 'ana', body: { meetingId, transcript: 'hola' } });
+        // Una llamada a Chime que falla
+        await ctx.request('GET', `/check-transcription/${meetingId}`, { user: 'host' });
+        ctx.provider.chimeClient.meetings.delete(meetingId);
+        await ctx.request('GET', `/check-transcription/${meetingId}`, { user: 'host' });
+
+        const response = await ctx.request('GET', '/metrics');
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/plain/);
+        assert.match(response.text, /^chime_active_meetings [1-9]\d*$/m);
+        assert.match(response.text, /^chime_active_attendees\{presence="[a-z]+"\} [1-9]\d*$/m);
+        assert.match(response.text, /^chime_transcript_segments_total\{source="client"\} [1-9]\d*$/m);
+        assert.match(response.text, /^chime_transcript_segments_per_second [\d.]+$/m);
+        assert.match(response.text, /^chime_aws_request_duration_seconds_count\{service="chime-sdk-meetings",operation="CreateMeeting"\} [1-9]\d*$/m);
+        assert.match(response.text, /^chime_aws_request_errors_total\{service="chime-sdk-meetings",operation="GetMeeting",error="NotFoundException"\} 1$/m);
+    });
+
+    it('identifica cada petición con X-Request-Id', async () => {
+        const given = await ctx.request('GET', '/health/live', { headers: { 'X-Request-Id': 'cliente-42' } });
+        assert.equal(given.headers.get('x-request-id'), 'cliente-42');
+
+        const generated = await ctx.request('GET', '/health/live', { headers: { 'X-Request-Id': 'no válido' } });
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    });
+});
+
+describe('registro estructurado', () => {
+    it('escribe líneas JSON con el identificador de la petición', async () => {
+        const lines = [];
+        const logger = createLogger({ format: 'json', level: 'info', write: (stream, line) => lines.push({ stream, entry: JSON.parse(line) }) });
+
+        const app = express();
+        app.use(requestLogger(logger));
+        app.get('/prueba', (req, res) => {
+            setImmediate(() => {
+                logger.info('🎙️ Dentro de la ruta', { meetingId: 'm-1' });
+                logger.debug('Descartado por el nivel');
+                res.status(404).json({});
+            });
+        });
+
+        const server = await new Promise(resolve => {
+            const listening = app.listen(0, () => resolve(listening));
+        });
+        await fetch(`http://127.0.0.1:${server.address().port}/prueba?x=1`, { headers: { 'X-Request-Id': 'req-1' } });
+        await new Promise(resolve => server.close(resolve));
+
+        assert.equal(lines.length, 2);
+        assert.deepEqual(lines[0].entry, { ...lines[0].entry, level: 'info', msg: 'Dentro de la ruta', requestId: 'req-1', meetingId: 'm-1' });
+        assert.equal(lines[0].stream, 'stdout');
+        assert.deepEqual(lines[1].entry, { ...lines[1].entry, level: 'warn', requestId: 'req-1', method: 'GET', path: '/prueba', status: 404 });
+        assert.equal(lines[1].stream, 'stderr');
+    });
+
+    it('escapa las etiquetas de las métricas', () => {
+        const registry = createMetricsRegistry();
+        registry.counter('prueba_total', 'Prueba', ['nombre']).inc({ nombre: 'a"b\\c' }, 2);
+        assert.match(registry.render(), /^prueba_total\{nombre="a\\"b\\\\c"\} 2$/m);
+        assert.throws(() => registry.gauge('prueba_total', 'Otra'), /duplicada/);
+    });
+});
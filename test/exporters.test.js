@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toWebVTT, toSRT } = require('../lib/exporters');
+
+const transcription = {
+    title: 'Revisión',
+    participants: [
+        { userId: 'ana', userName: 'Ana', attendeeInfo: { AttendeeId: 'att-ana' } },
+        { userId: 'luis', userName: 'Luis <Ventas> & Co', attendeeInfo: { AttendeeId: 'att-luis' } }
+    ],
+    transcripts: [
+        { attendeeId: 'att-ana', text: 'Empezamos.', timestamp: '2025-03-10T10:00:00Z' },
+        { attendeeId: 'att-luis', text: 'Si a < b && b > c\n\n00:00:09.000 --> 00:00:10.000\n<b>falso</b>', timestamp: '2025-03-10T10:00:04Z' }
+    ]
+};
+
+describe('exportación de transcripciones', () => {
+    it('genera subtítulos WebVTT y SRT con tiempos relativos al primer fragmento', () => {
+        const vtt = toWebVTT(transcription);
+        assert.match(vtt, /^WEBVTT\n\n1\n00:00:00\.000 --> 00:00:04\.000\n<v Ana>Empezamos\.\n/);
+
+        const srt = toSRT(transcription);
+        assert.match(srt, /^1\n00:00:00,000 --> 00:00:04,000\nAna: Empezamos\.\n/);
+    });
+
+    it('no deja que el texto ni los nombres rompan o inyecten subtítulos', () => {
+        const vtt = toWebVTT(transcription);
+        const [, cue] = vtt.split('\n\n2\n');
+        const cueLines = cue.trimEnd().split('\n');
+
+        // Un solo subtítulo más, con una sola línea de tiempos y el resto escapado
+        assert.equal(vtt.split('\n\n').length, 3);
+        assert.equal(cueLines.filter(line => line.includes('-->')).length, 1);
+        assert.equal(cueLines[1], '<v Luis &lt;Ventas&gt; &amp; Co>Si a &lt; b &amp;&amp; b &gt; c');
+        assert.equal(cueLines[2], '00:00:09.000 -&gt; 00:00:10.000');
+        assert.equal(cueLines[3], '&lt;b&gt;falso&lt;/b&gt;');
+
+        const srt = toSRT(transcription);
+        assert.equal(srt.trimEnd().split('\n\n').length, 2);
+        assert.equal((srt.match(/-->/g) || []).length, 2);
+    });
+});
@@ -0,0 +1,124 @@
+const http = require('http');
+const { createApp } = require('../app');
+const { createMockProvider } = require('../lib/mock-chime');
+const { createMemoryStorage } = require('../lib/storage');
+const { createAuth } = require('../lib/auth');
+const { createRecorder } = require('../lib/recording');
+const { createTranslationProvider } = require('../lib/translation');
+
+const API_KEY = 'test-api-key';
+
+// Las pruebas fallan si una respuesta no cumple su esquema
+process.env.API_RESPONSE_VALIDATION = process.env.API_RESPONSE_VALIDATION || 'strict';
+
+// Los registros de la aplicación por stdout interfieren con el ejecutor de pruebas de Node;
+// se silencian salvo con TEST_LOGS=true
+if (process.env.TEST_LOGS !== 'true') {
+    ['log', 'info', 'warn', 'error'].forEach(method => {
+        console[method] = () => {};
+    });
+}
+
+// Levantar la aplicación contra el proveedor simulado y un almacenamiento en memoria,
+// en un puerto libre, con el traductor local. `accessDenied` se pasa al proveedor simulado.
+async function startTestServer({ accessDenied = [], ...overrides } = {}) {
+    const provider = createMockProvider({ accessDenied });
+    const auth = createAuth({ secret: 'test-secret', apiKey: API_KEY, disabled: false });
+    const instance = createApp({
+        provider,
+        auth,
+        storage: createMemoryStorage(),
+        recorder: createRecorder({ name: 'chime', client: provider.mediaPipelinesClient, sinkArn: 'arn:aws:s3:::test-recordings' }),
+        translator: createTranslationProvider({ name: 'fake' }),
+        webhookOptions: { baseDelayMs: 10, maxAttempts: 2 },
+        ...overrides
+    });
+
+    const server = await instance.listen(0);
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    function tokenFor(userId, orgId) {
+        return auth.signToken({ userId, userName: `Usuario ${userId}`, orgId });
+    }
+
+    // Petición HTTP; `user` firma un token para ese userId (de la organización `org`, si se indica)
+    // y `apiKey` envía la clave de administración
+    async function request(method, path, { user, org, body, headers = {}, apiKey } = {}) {
+        const requestHeaders = { ...headers };
+        if (user) requestHeaders.Authorization = `Bearer ${tokenFor(user, org)}`;
+        if (apiKey) requestHeaders['x-api-key'] = apiKey === true ? API_KEY : apiKey;
+
+        let payload;
+        if (body !== undefined) {
+            payload = typeof body === 'string' ? body : JSON.stringify(body);
+            requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/json';
+        }
+
+        const response = await fetch(baseUrl + path, { method, headers: requestHeaders, body: payload });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            // Respuestas que no son JSON (exportaciones, HTML)
+        }
+        return { status: response.status, headers: response.headers, text, body: json };
+    }
+
+    // Crear una reunión como `host` y devolver su meetingId
+    async function createMeeting(host = 'host', body = {}) {
+        const response = await request('POST', '/create-meeting', { user: host, body });
+        if (response.status !== 200) {
+            throw new Error(`No se pudo crear la reunión: ${response.text}`);
+        }
+        return response.body.meetingId;
+    }
+
+    async function joinMeeting(meetingId, userId, body = {}) {
+        return request('POST', '/join-meeting', { user: userId, body: { meetingId, ...body } });
+    }
+
+    async function close() {
+        instance.stopBackgroundJobs();
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    return { ...instance, provider, auth, server, baseUrl, tokenFor, request, createMeeting, joinMeeting, close };
+}
+
+// Servidor HTTP local que registra las peticiones recibidas (destino de los webhooks)
+async function startReceiver(statusCode = 200) {
+    const received = [];
+    const waiters = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(statusCode).end('ok');
+            waiters.splice(0).forEach(resolve => resolve());
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        // Esperar a que lleguen al menos `count` peticiones
+        async waitFor(count) {
+            while (received.length < count) {
+                await new Promise(resolve => waiters.push(resolve));
+            }
+            return received;
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = {
+    API_KEY,
+    startTestServer,
+    startReceiver
+};
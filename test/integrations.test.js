@@ -0,0 +1,256 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signPayload } = require('../lib/webhooks');
+const { snsStringToSign, createSnsVerifier } = require('../lib/chime-events');
+const { startTestServer, startReceiver } = require('./helpers');
+
+// Esperar a que el registro de entregas cumpla la condición
+async function waitForDeliveries(ctx, webhookId, predicate) {
+    for (let i = 0; i < 100; i++) {
+        const response = await ctx.request('GET', `/webhooks/${webhookId}/deliveries`, { apiKey: true });
+        if (predicate(response.body)) return response.body;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Las entregas no llegaron al estado esperado');
+}
+
+describe('webhooks', () => {
+    let ctx;
+    let receiver;
+
+    before(async () => {
+        ctx = await startTestServer();
+        receiver = await startReceiver();
+    });
+
+    after(async () => {
+        await receiver.close();
+        await ctx.close();
+    });
+
+    it('exige la clave de API y valida las suscripciones', async () => {
+        const denied = await ctx.request('GET', '/webhooks');
+        assert.equal(denied.status, 401);
+
+        const badUrl = await ctx.request('POST', '/webhooks', { apiKey: true, body: { url: 'ftp://example.com', events: ['*'] } });
+        assert.equal(badUrl.status, 400);
+
+        const badEvent = await ctx.request('POST', '/webhooks', { apiKey: true, body: { url: receiver.url, events: ['meeting.exploded'] } });
+        assert.equal(badEvent.status, 400);
+        assert.ok(badEvent.body.supportedEvents.includes('meeting.created'));
+    });
+
+    it('entrega los eventos firmados y permite reenviarlos', async () => {
+        const created = await ctx.request('POST', '/webhooks', {
+            apiKey: true,
+            body: { url: receiver.url, events: ['meeting.created'], secret: 'secreto' }
+        });
+        assert.equal(created.status, 201);
+        const webhookId = created.body.id;
+
+        const listed = await ctx.request('GET', '/webhooks', { apiKey: true });
+        assert.equal(listed.body.webhooks.length, 1);
+        assert.equal(listed.body.webhooks[0].secret, undefined);
+
+        const meetingId = await ctx.createMeeting('host');
+        const [request] = await receiver.waitFor(1);
+        assert.equal(request.headers['x-webhook-event'], 'meeting.created');
+        assert.equal(JSON.parse(request.body).data.meetingId, meetingId);
+
+        // La firma es el HMAC del cuerpo con el secreto de la suscripción
+        const [, timestamp, signature] = request.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+        assert.equal(signature, signPayload('secreto', timestamp, request.body));
+
+        const deliveries = await waitForDeliveries(ctx, webhookId, list => list.length === 1 && list[0].status === 'succeeded');
+        assert.equal(deliveries[0].attempts[0].statusCode, 200);
+
+        const redelivered = await ctx.request('POST', `/webhooks/${webhookId}/deliveries/${deliveries[0].id}/redeliver`, { apiKey: true });
+        assert.equal(redelivered.status, 200);
+        assert.equal(redelivered.body.attempts.length, 2);
+        await receiver.waitFor(2);
+        assert.equal(receiver.received[1].headers['x-webhook-delivery'], deliveries[0].id);
+
+        const missing = await ctx.request('POST', `/webhooks/${webhookId}/deliveries/no-existe/redeliver`, { apiKey: true });
+        assert.equal(missing.status, 404);
+
+        const paused = await ctx.request('PATCH', `/webhooks/${webhookId}`, { apiKey: true, body: { active: false } });
+        assert.equal(paused.body.active, false);
+
+        const deleted = await ctx.request('DELETE', `/webhooks/${webhookId}`, { apiKey: true });
+        assert.equal(deleted.status, 200);
+
+        const gone = await ctx.request('GET', `/webhooks/${webhookId}/deliveries`, { apiKey: true });
+        assert.equal(gone.status, 404);
+    });
+
+    it('marca como fallidas las entregas rechazadas tras los reintentos', async () => {
+        const failing = await startReceiver(500);
+        try {
+            const created = await ctx.request('POST', '/webhooks', { apiKey: true, body: { url: failing.url, events: ['*'] } });
+
+            await ctx.createMeeting('host');
+            const deliveries = await waitForDeliveries(ctx, created.body.id, list => list.length === 1 && list[0].status === 'failed');
+            assert.equal(deliveries[0].attempts.length, 2);
+            assert.equal(deliveries[0].attempts[1].error, 'Respuesta HTTP 500');
+
+            await ctx.request('DELETE', `/webhooks/${created.body.id}`, { apiKey: true });
+        } finally {
+            await failing.close();
+        }
+    });
+
+    it('solo entrega a cada suscripción los eventos de su organización', async () => {
+        const other = await startReceiver();
+        try {
+            await ctx.request('POST', '/organizations', { apiKey: true, body: { id: 'acme', name: 'Acme' } });
+            await ctx.request('POST', '/organizations', { apiKey: true, body: { id: 'globex', name: 'Globex' } });
+
+            const unknown = await ctx.request('POST', '/webhooks', { apiKey: true, body: { url: receiver.url, events: ['*'], orgId: 'initech' } });
+            assert.equal(unknown.status, 404);
+
+            const acme = await ctx.request('POST', '/webhooks', { apiKey: true, body: { url: receiver.url, events: ['meeting.created'], orgId: 'acme' } });
+            const globex = await ctx.request('POST', '/webhooks', { apiKey: true, body: { url: other.url, events: ['meeting.created'], orgId: 'globex' } });
+            assert.equal(acme.body.orgId, 'acme');
+
+            const listed = await ctx.request('GET', '/webhooks?orgId=globex', { apiKey: true });
+            assert.deepEqual(listed.body.webhooks.map(webhook => webhook.id), [globex.body.id]);
+
+            await ctx.request('POST', '/create-meeting', { user: 'host', org: 'acme', body: {} });
+            const deliveries = await waitForDeliveries(ctx, acme.body.id, list => list.length === 1 && list[0].status === 'succeeded');
+            assert.equal(deliveries[0].orgId, 'acme');
+
+            const ignored = await ctx.request('GET', `/webhooks/${globex.body.id}/deliveries`, { apiKey: true });
+            assert.deepEqual(ignored.body, []);
+            assert.equal(other.received.length, 0);
+
+            await ctx.request('DELETE', `/webhooks/${acme.body.id}`, { apiKey: true });
+            await ctx.request('DELETE', `/webhooks/${globex.body.id}`, { apiKey: true });
+        } finally {
+            await other.close();
+        }
+    });
+});
+
+describe('eventos de Chime', () => {
+    let ctx;
+    // Par de claves con el que las pruebas firman como SNS; el "certificado" es la clave pública
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const topicArn = 'arn:aws:sns:us-east-1:123456789012:chime-events';
+    const headers = { 'x-events-token': 'token-eventos' };
+
+    before(async () => {
+        process.env.CHIME_EVENTS_TOKEN = 'token-eventos';
+        ctx = await startTestServer({
+            snsVerifier: createSnsVerifier({
+                fetchCertificate: async () => publicKey.export({ type: 'spki', format: 'pem' })
+            })
+        });
+    });
+
+    after(async () => {
+        delete process.env.CHIME_EVENTS_TOKEN;
+        delete process.env.CHIME_EVENTS_SNS_TOPICS;
+        await ctx.close();
+    });
+
+    // Notificación SNS firmada con la clave de prueba
+    function snsNotification(event, overrides = {}) {
+        const message = {
+            Type: 'Notification',
+            MessageId: crypto.randomUUID(),
+            TopicArn: topicArn,
+            Message: JSON.stringify(event),
+            Timestamp: new Date().toISOString(),
+            SignatureVersion: '2',
+            SigningCertURL: 'https://sns.us-east-1.amazonaws.com/SimpleNotificationService-prueba.pem',
+            ...overrides
+        };
+        message.Signature = crypto.createSign('RSA-SHA256').update(snsStringToSign(message)).sign(privateKey, 'base64');
+        return message;
+    }
+
+    function chimeEvent(eventType, detail) {
+        return {
+            source: 'aws.chime',
+            'detail-type': 'Chime Meeting State Change',
+            detail: { eventType: `chime:${eventType}`, timestamp: Date.now(), ...detail }
+        };
+    }
+
+    it('actualiza la presencia y olvida las reuniones terminadas', async () => {
+        const meetingId = await ctx.createMeeting('host');
+        const joined = await ctx.joinMeeting(meetingId, 'eva');
+
+        const presence = await ctx.request('POST', '/chime-events', {
+            headers,
+            body: chimeEvent('AttendeeJoined', { meetingId, attendeeId: joined.body.attendeeInfo.AttendeeId })
+        });
+        assert.equal(presence.status, 200);
+        assert.deepEqual(presence.body.results, [{ type: 'AttendeeJoined', meetingId, applied: true }]);
+        assert.equal(ctx.meetings[meetingId].attendees.eva.presence, 'joined');
+
+        // SNS envía el evento como texto dentro de una notificación
+        const notification = JSON.stringify({ Type: 'Notification', Message: JSON.stringify(chimeEvent('MeetingEnded', { meetingId })) });
+        const ended = await ctx.request('POST', '/chime-events', { body: notification, headers: { ...headers, 'Content-Type': 'text/plain' } });
+        assert.equal(ended.status, 200);
+        assert.equal(ctx.meetings[meetingId], undefined);
+
+        const unknown = await ctx.request('POST', '/chime-events', { headers, body: chimeEvent('MeetingStarted', { meetingId }) });
+        assert.equal(unknown.body.results[0].applied, false);
+    });
+
+    it('rechaza confirmaciones de SNS de origen desconocido', async () => {
+        const response = await ctx.request('POST', '/chime-events', {
+            headers,
+            body: { Type: 'SubscriptionConfirmation', SubscribeURL: 'https://example.com/confirm', TopicArn: 'arn:aws:sns:us-east-1:1:chime' }
+        });
+        assert.equal(response.status, 400);
+    });
+
+    it('exige el token de eventos si está configurado', async () => {
+        const denied = await ctx.request('POST', '/chime-events', { body: [] });
+        assert.equal(denied.status, 401);
+
+        // El token solo se acepta en la cabecera, no en la URL
+        const inQuery = await ctx.request('POST', '/chime-events?token=token-eventos', { body: [] });
+        assert.equal(inQuery.status, 401);
+
+        const wrong = await ctx.request('POST', '/chime-events', { body: [], headers: { 'x-events-token': 'token-eventoz' } });
+        assert.equal(wrong.status, 401);
+
+        const accepted = await ctx.request('POST', '/chime-events', { body: [], headers });
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.processed, 0);
+    });
+
+    it('rechaza los eventos sin token ni firma de SNS si la autenticación está activa', async () => {
+        delete process.env.CHIME_EVENTS_TOKEN;
+        try {
+            const meetingId = await ctx.createMeeting('host');
+            const forged = await ctx.request('POST', '/v1/chime-events', { body: chimeEvent('MeetingEnded', { meetingId }) });
+            assert.equal(forged.status, 401);
+            assert.equal(forged.body.error.code, 'CHIME_EVENTS_TOKEN_INVALID');
+            assert.ok(ctx.meetings[meetingId]);
+        } finally {
+            process.env.CHIME_EVENTS_TOKEN = 'token-eventos';
+        }
+    });
+
+    it('acepta sin token las notificaciones SNS firmadas de los temas de confianza', async () => {
+        process.env.CHIME_EVENTS_SNS_TOPICS = topicArn;
+        const meetingId = await ctx.createMeeting('host');
+        const post = body => ctx.request('POST', '/chime-events', { body: JSON.stringify(body), headers: { 'Content-Type': 'text/plain' } });
+
+        // Firma alterada, tema desconocido o certificado fuera de SNS
+        const tampered = { ...snsNotification(chimeEvent('MeetingStarted', { meetingId })), Message: JSON.stringify(chimeEvent('MeetingEnded', { meetingId })) };
+        assert.equal((await post(tampered)).status, 401);
+        assert.equal((await post(snsNotification(chimeEvent('MeetingEnded', { meetingId }), { TopicArn: 'arn:aws:sns:us-east-1:999999999999:otro' }))).status, 401);
+        assert.equal((await post(snsNotification(chimeEvent('MeetingEnded', { meetingId }), { SigningCertURL: 'https://example.com/cert.pem' }))).status, 401);
+        assert.ok(ctx.meetings[meetingId]);
+
+        const signed = await post(snsNotification(chimeEvent('MeetingEnded', { meetingId })));
+        assert.equal(signed.status, 200);
+        assert.equal(ctx.meetings[meetingId], undefined);
+    });
+});
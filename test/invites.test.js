@@ -0,0 +1,183 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+function joinWithInvite(ctx, userId, inviteToken) {
+    return ctx.request('POST', '/join-meeting', { user: userId, body: { inviteToken } });
+}
+
+describe('invitaciones', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestServer();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('une a los invitados sin conocer el meetingId y respeta el límite de usos', async () => {
+        const meetingId = await ctx.createMeeting('host');
+
+        const notHost = await ctx.request('POST', `/meeting/${meetingId}/invites`, { user: 'eva', body: {} });
+        assert.equal(notHost.status, 403);
+
+        const invalid = await ctx.request('POST', `/meeting/${meetingId}/invites`, { user: 'host', body: { singleUse: true, maxUses: 3 } });
+        assert.equal(invalid.status, 400);
+
+        const created = await ctx.request('POST', `/meeting/${meetingId}/invites`, { user: 'host', body: { maxUses: 2, expiresInHours: 1 } });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.maxUses, 2);
+        assert.match(created.body.joinUrl, /\/join\?invite=/);
+        const { token } = created.body;
+
+        const eva = await joinWithInvite(ctx, 'eva', token);
+        assert.equal(eva.status, 200);
+        assert.equal(eva.body.meetingInfo.meetingId, meetingId);
+
+        // Volver a entrar con la misma invitación no gasta otro uso
+        await joinWithInvite(ctx, 'eva', token);
+        await joinWithInvite(ctx, 'luis', token);
+        const exhausted = await joinWithInvite(ctx, 'pablo', token);
+        assert.equal(exhausted.status, 410);
+
+        const listed = await ctx.request('GET', `/meeting/${meetingId}/invites`, { user: 'host' });
+        assert.equal(listed.body.invites[0].uses, 2);
+        assert.equal(listed.body.invites[0].usedBy, undefined);
+
+        const forged = await joinWithInvite(ctx, 'pablo', token.slice(0, -2) + 'xx');
+        assert.equal(forged.status, 401);
+
+        // Un token de sesión no sirve como invitación
+        const sessionToken = await joinWithInvite(ctx, 'pablo', ctx.tokenFor('host'));
+        assert.equal(sessionToken.status, 401);
+    });
+
+    it('revoca invitaciones de un solo uso', async () => {
+        const meetingId = await ctx.createMeeting('host');
+        const created = await ctx.request('POST', `/meeting/${meetingId}/invites`, { user: 'host', body: { singleUse: true } });
+        assert.equal(created.body.maxUses, 1);
+
+        const notOwner = await ctx.request('DELETE', `/invites/${created.body.id}`, { user: 'eva' });
+        assert.equal(notOwner.status, 403);
+
+        const revoked = await ctx.request('DELETE', `/invites/${created.body.id}`, { user: 'host' });
+        assert.equal(revoked.status, 200);
+
+        const refused = await joinWithInvite(ctx, 'eva', created.body.token);
+        assert.equal(refused.status, 410);
+        assert.match(refused.body.error, /revocada/);
+    });
+
+    it('no supera el límite de usos con uniones simultáneas', async () => {
+        const startTime = new Date(Date.now() + 60 * 1000).toISOString();
+        const scheduled = await ctx.request('POST', '/schedule-meeting', { user: 'host', body: { title: 'Concurrida', startTime } });
+        const { scheduledMeetingId } = scheduled.body;
+        const created = await ctx.request('POST', `/scheduled-meetings/${scheduledMeetingId}/invites`, { user: 'host', body: { singleUse: true } });
+
+        // Chime tarda en crear la reunión programada: las tres uniones esperan a la vez antes de anotar el uso
+        const { chimeClient } = ctx.provider;
+        const send = chimeClient.send;
+        chimeClient.send = async command => {
+            if (command.constructor.name === 'CreateMeetingCommand') {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+            return send(command);
+        };
+        let joins;
+        try {
+            joins = await Promise.all(['eva', 'luis', 'pablo'].map(userId => joinWithInvite(ctx, userId, created.body.token)));
+        } finally {
+            chimeClient.send = send;
+        }
+        assert.deepEqual(joins.map(join => join.status).sort(), [200, 410, 410]);
+        assert.equal(ctx.storage.collection('invites').get(created.body.id).uses, 1);
+    });
+
+    it('no gasta la invitación si el usuario no llega a entrar', async () => {
+        const meetingId = await ctx.createMeeting('host', { lobbyEnabled: true });
+        const created = await ctx.request('POST', `/meeting/${meetingId}/invites`, { user: 'host', body: { singleUse: true } });
+        const { token } = created.body;
+
+        const waiting = await joinWithInvite(ctx, 'eva', token);
+        assert.equal(waiting.status, 202);
+        await ctx.request('POST', `/meeting/${meetingId}/lobby/eva/reject`, { user: 'host', body: {} });
+        assert.equal((await joinWithInvite(ctx, 'eva', token)).status, 403);
+
+        // La solicitud rechazada no consumió el único uso
+        const luis = await joinWithInvite(ctx, 'luis', token);
+        assert.equal(luis.status, 202);
+        await ctx.request('POST', `/meeting/${meetingId}/lobby/luis/admit`, { user: 'host', body: {} });
+        assert.equal((await joinWithInvite(ctx, 'luis', token)).status, 200);
+        assert.equal((await joinWithInvite(ctx, 'pablo', token)).status, 410);
+
+        const listed = await ctx.request('GET', `/meeting/${meetingId}/invites`, { user: 'host' });
+        assert.equal(listed.body.invites[0].uses, 1);
+    });
+
+    it('programa reuniones con invitación de calendario y las crea al llegar el primer invitado', async () => {
+        const invalid = await ctx.request('POST', '/schedule-meeting', { user: 'host', body: { title: 'Pasado', startTime: '2020-01-01T10:00:00Z' } });
+        assert.equal(invalid.status, 400);
+
+        // Empieza dentro de 5 minutos: los invitados ya pueden entrar
+        const startTime = new Date(Date.now() + 5 * 60 * 1000).toISOString();
+        const scheduled = await ctx.request('POST', '/schedule-meeting', {
+            user: 'host',
+            body: { title: 'Revisión, semanal; equipo', description: 'Orden del día', startTime, durationMinutes: 30, mediaRegion: 'eu-west-1' }
+        });
+        assert.equal(scheduled.status, 201);
+        assert.equal(scheduled.body.meetingId, null);
+        assert.equal(scheduled.body.invite.maxUses, null);
+        const { scheduledMeetingId } = scheduled.body;
+        const chimeMeetingsBefore = ctx.provider.chimeClient.meetings.size;
+
+        const calendar = await ctx.request('GET', scheduled.body.calendarUrl, { user: 'host' });
+        assert.equal(calendar.status, 200);
+        assert.match(calendar.headers.get('content-type'), /text\/calendar/);
+        const unfolded = calendar.text.replace(/\r\n /g, '');
+        assert.match(unfolded, /^BEGIN:VCALENDAR\r\n/);
+        assert.match(unfolded, /SUMMARY:Revisión\\, semanal\\; equipo\r\n/);
+        assert.ok(unfolded.includes(`URL:${scheduled.body.invite.joinUrl}\r\n`));
+        assert.ok(calendar.text.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+
+        const otherUser = await ctx.request('GET', scheduled.body.calendarUrl, { user: 'eva' });
+        assert.equal(otherUser.status, 403);
+
+        // Dos invitados llegan a la vez: se crea una sola reunión de Chime
+        const [eva, luis] = await Promise.all([
+            joinWithInvite(ctx, 'eva', scheduled.body.invite.token),
+            joinWithInvite(ctx, 'luis', scheduled.body.invite.token)
+        ]);
+        assert.equal(eva.status, 200);
+        assert.equal(eva.body.meetingInfo.meetingId, luis.body.meetingInfo.meetingId);
+        assert.equal(eva.body.isCreator, false);
+        assert.equal(ctx.provider.chimeClient.meetings.size, chimeMeetingsBefore + 1);
+
+        const meetingId = eva.body.meetingInfo.meetingId;
+        assert.equal(ctx.meetings[meetingId].creatorId, 'host');
+        assert.equal(ctx.meetings[meetingId].mediaRegion, 'eu-west-1');
+        assert.equal(ctx.meetings[meetingId].scheduledMeetingId, scheduledMeetingId);
+
+        const list = await ctx.request('GET', '/scheduled-meetings', { user: 'host' });
+        assert.equal(list.body.find(s => s.scheduledMeetingId === scheduledMeetingId).meetingId, meetingId);
+    });
+
+    it('no deja entrar a los invitados antes de tiempo', async () => {
+        const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+        const scheduled = await ctx.request('POST', '/schedule-meeting', { user: 'host', body: { title: 'Mañana', startTime } });
+
+        const early = await joinWithInvite(ctx, 'eva', scheduled.body.invite.token);
+        assert.equal(early.status, 409);
+        assert.equal(early.body.startTime, startTime);
+
+        // El creador sí puede abrir la reunión antes
+        const host = await joinWithInvite(ctx, 'host', scheduled.body.invite.token);
+        assert.equal(host.status, 200);
+        assert.equal(host.body.isCreator, true);
+
+        const extra = await ctx.request('POST', `/scheduled-meetings/${scheduled.body.scheduledMeetingId}/invites`, { user: 'host', body: { singleUse: true } });
+        assert.equal(extra.status, 201);
+        assert.equal(extra.body.scheduledMeetingId, scheduled.body.scheduledMeetingId);
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createLiveHub } = require('../lib/live');
+
+// Respuesta de Express simulada que acumula lo que se escribe en el flujo
+function fakeResponse() {
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.ended = false;
+    res.status = code => {
+        res.statusCode = code;
+        return res;
+    };
+    res.set = headers => {
+        res.headers = headers;
+        return res;
+    };
+    res.flushHeaders = () => {};
+    res.write = chunk => res.chunks.push(chunk);
+    res.end = () => {
+        res.ended = true;
+    };
+    res.body = () => res.chunks.join('');
+    return res;
+}
+
+describe('distribución en vivo', () => {
+    it('reenvía los eventos previos y publica los nuevos a los suscriptores de la reunión', () => {
+        const hub = createLiveHub();
+        const req = new EventEmitter();
+        const res = fakeResponse();
+        const other = fakeResponse();
+
+        hub.subscribe('reunion-1', req, res, { replay: [{ id: 0, event: 'transcript', data: { text: 'Hola' } }] });
+        hub.subscribe('reunion-2', new EventEmitter(), other);
+        assert.equal(res.statusCode, 200);
+        assert.match(res.headers['Content-Type'], /^text\/event-stream/);
+        assert.match(res.body(), /id: 0\nevent: transcript\ndata: {"text":"Hola"}\n\n/);
+
+        hub.publish('reunion-1', 'transcript', { text: 'Adiós' }, 1);
+        assert.match(res.body(), /id: 1\nevent: transcript\ndata: {"text":"Adiós"}\n\n$/);
+        assert.doesNotMatch(other.body(), /Adiós/);
+
+        // Al cerrarse la conexión el cliente deja de estar suscrito
+        req.emit('close');
+        assert.equal(hub.count('reunion-1'), 0);
+    });
+
+    it('avisa del fin de la reunión y cierra las conexiones', () => {
+        const hub = createLiveHub();
+        const res = fakeResponse();
+        hub.subscribe('reunion-1', new EventEmitter(), res);
+
+        assert.equal(hub.close('reunion-1', { reason: 'ended' }), 1);
+        assert.match(res.body(), /event: meeting-ended\ndata: {"meetingId":"reunion-1","reason":"ended"}\n\n$/);
+        assert.equal(res.ended, true);
+        assert.equal(hub.count('reunion-1'), 0);
+    });
+});
@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveMediaRegion, transcriptionRegionFor } = require('../lib/media-regions');
+
+describe('regiones de medios', () => {
+    it('elige la región pedida o la más cercana según las pistas', () => {
+        assert.deepEqual(resolveMediaRegion({ mediaRegion: 'eu-west-3' }), { region: 'eu-west-3', source: 'requested' });
+        assert.match(resolveMediaRegion({ mediaRegion: 'mars-1' }).error, /no soportada/);
+
+        const hints = { country: 'es', timezone: 'America/Lima', latencies: { 'us-east-1': 90, 'sa-east-1': 40, 'mars-1': 1 } };
+        assert.deepEqual(resolveMediaRegion({ hints }), { region: 'sa-east-1', source: 'latency' });
+        assert.deepEqual(resolveMediaRegion({ hints: { ...hints, latencies: undefined } }), { region: 'eu-west-3', source: 'country' });
+        assert.deepEqual(resolveMediaRegion({ hints: { timezone: 'Asia/Dubai' } }), { region: 'ap-southeast-1', source: 'timezone' });
+        assert.deepEqual(resolveMediaRegion({}, 'eu-west-1'), { region: 'eu-west-1', source: 'default' });
+    });
+
+    it('busca la región de transcripción más cercana que admite el motor', () => {
+        assert.equal(transcriptionRegionFor('eu-west-1'), 'eu-west-1');
+        assert.equal(transcriptionRegionFor('eu-west-3'), 'eu-west-2');
+        assert.equal(transcriptionRegionFor('ap-northeast-1'), 'ap-northeast-1');
+        assert.equal(transcriptionRegionFor('ap-northeast-1', 'medical'), 'ap-southeast-2');
+        assert.equal(transcriptionRegionFor('us-west-1', 'medical'), 'us-west-2');
+    });
+});
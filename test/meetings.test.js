@@ -0,0 +1,287 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('reuniones', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestServer();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('sirve las páginas de prueba', async () => {
+        for (const path of ['/', '/prueba']) {
+            const response = await ctx.request('GET', path);
+            assert.equal(response.status, 200);
+            assert.match(response.text, /Endpoints Chime/);
+        }
+    });
+
+    it('emite tokens solo con la clave de API', async () => {
+        const denied = await ctx.request('POST', '/auth/token', { body: { userId: 'ana' } });
+        assert.equal(denied.status, 401);
+
+        const missing = await ctx.request('POST', '/auth/token', { apiKey: true, body: {} });
+        assert.equal(missing.status, 400);
+
+        const issued = await ctx.request('POST', '/auth/token', { apiKey: true, body: { userId: 'ana', userName: 'Ana' } });
+        assert.equal(issued.status, 200);
+        assert.equal(issued.body.tokenType, 'Bearer');
+        assert.equal(ctx.auth.verifyToken(issued.body.token).id, 'ana');
+    });
+
+    it('exige un token válido en las rutas de reuniones', async () => {
+        const anonymous = await ctx.request('GET', '/list-meetings');
+        assert.equal(anonymous.status, 401);
+
+        const forged = await ctx.request('GET', '/list-meetings', { headers: { Authorization: 'Bearer no-es-un-token' } });
+        assert.equal(forged.status, 401);
+    });
+
+    it('lista las regiones de medios', async () => {
+        const response = await ctx.request('GET', '/media-regions');
+        assert.equal(response.status, 200);
+        assert.ok(response.body.regions.includes('sa-east-1'));
+        assert.equal(response.body.defaultRegion, 'us-east-1');
+    });
+
+    it('crea reuniones en la región pedida o según las pistas del cliente', async () => {
+        const requested = await ctx.request('POST', '/create-meeting', { user: 'host', body: { mediaRegion: 'eu-central-1' } });
+        assert.equal(requested.status, 200);
+        assert.equal(requested.body.mediaRegion, 'eu-central-1');
+        assert.equal(requested.body.mediaRegionSource, 'requested');
+        assert.ok(ctx.provider.chimeClient.meetings.has(requested.body.meetingId));
+
+        const hinted = await ctx.request('POST', '/create-meeting', { user: 'host', body: { regionHints: { timezone: 'America/Santiago' } } });
+        assert.equal(hinted.body.mediaRegion, 'sa-east-1');
+        assert.equal(hinted.body.mediaRegionSource, 'timezone');
+
+        const invalid = await ctx.request('POST', '/create-meeting', { user: 'host', body: { mediaRegion: 'marte-1' } });
+        assert.equal(invalid.status, 400);
+
+        const badRole = await ctx.request('POST', '/create-meeting', { user: 'host', body: { defaultRole: 'host' } });
+        assert.equal(badRole.status, 400);
+    });
+
+    it('une a los usuarios con el rol y las capacidades que les corresponden', async () => {
+        const meetingId = await ctx.createMeeting('host', { defaultRole: 'viewer' });
+
+        const host = await ctx.joinMeeting(meetingId, 'host');
+        assert.equal(host.status, 200);
+        assert.equal(host.body.isCreator, true);
+        assert.equal(host.body.role, 'host');
+
+        const viewer = await ctx.joinMeeting(meetingId, 'luis');
+        assert.equal(viewer.body.role, 'viewer');
+        assert.equal(viewer.body.capabilities.Audio, 'Receive');
+        assert.ok(viewer.body.attendeeInfo.AttendeeId);
+
+        // Volver a unirse devuelve el mismo asistente
+        const again = await ctx.joinMeeting(meetingId, 'luis');
+        assert.equal(again.body.attendeeInfo.AttendeeId, viewer.body.attendeeInfo.AttendeeId);
+
+        const missing = await ctx.joinMeeting('no-existe', 'luis');
+        assert.equal(missing.status, 404);
+
+        const list = await ctx.request('GET', '/list-meetings', { user: 'luis' });
+        const listed = list.body.find(m => m.meetingId === meetingId);
+        assert.equal(listed.attendeeCount, 2);
+        assert.equal(listed.mediaRegion, 'us-east-1');
+        assert.equal(listed.transcriptionEnabled, false);
+        assert.equal(listed.recordingEnabled, false);
+    });
+
+    it('gestiona asistentes y roles (solo el anfitrión)', async () => {
+        const meetingId = await ctx.createMeeting('host');
+        await ctx.joinMeeting(meetingId, 'host');
+        const joined = await ctx.joinMeeting(meetingId, 'eva');
+
+        const attendees = await ctx.request('GET', `/meeting/${meetingId}/attendees`, { user: 'eva' });
+        assert.equal(attendees.status, 200);
+        assert.deepEqual(attendees.body.attendees.map(a => a.userId).sort(), ['eva', 'host']);
+
+        const outsider = await ctx.request('GET', `/meeting/${meetingId}/attendees`, { user: 'intruso' });
+        assert.equal(outsider.status, 403);
+
+        const notHost = await ctx.request('PUT', `/meeting/${meetingId}/attendees/eva/role`, { user: 'eva', body: { role: 'host' } });
+        assert.equal(notHost.status, 403);
+
+        const invalidRole = await ctx.request('PUT', `/meeting/${meetingId}/attendees/eva/role`, { user: 'host', body: { role: 'rey' } });
+        assert.equal(invalidRole.status, 400);
+
+        const promoted = await ctx.request('PUT', `/meeting/${meetingId}/attendees/eva/role`, { user: 'host', body: { role: 'presenter' } });
+        assert.equal(promoted.status, 200);
+        assert.equal(promoted.body.applied, true);
+        const chimeAttendee = ctx.provider.chimeClient.meetings.get(meetingId).attendees.get(joined.body.attendeeInfo.AttendeeId);
+        assert.deepEqual(chimeAttendee.Capabilities, promoted.body.capabilities);
+
+        // Rol preasignado para alguien que aún no se ha unido
+        const preassigned = await ctx.request('PUT', `/meeting/${meetingId}/attendees/pablo/role`, { user: 'host', body: { role: 'viewer' } });
+        assert.equal(preassigned.body.applied, false);
+        const pablo = await ctx.joinMeeting(meetingId, 'pablo');
+        assert.equal(pablo.body.role, 'viewer');
+
+        const creator = await ctx.request('DELETE', `/meeting/${meetingId}/attendees/host`, { user: 'host' });
+        assert.equal(creator.status, 400);
+
+        const kicked = await ctx.request('DELETE', `/meeting/${meetingId}/attendees/eva`, { user: 'host' });
+        assert.equal(kicked.status, 200);
+        assert.equal(ctx.provider.chimeClient.meetings.get(meetingId).attendees.has(joined.body.attendeeInfo.AttendeeId), false);
+
+        const gone = await ctx.request('DELETE', `/meeting/${meetingId}/attendees/eva`, { user: 'host' });
+        assert.equal(gone.status, 404);
+    });
+
+    it('retiene en la sala de espera hasta que el anfitrión decide', async () => {
+        const invalid = await ctx.request('POST', '/create-meeting', { user: 'host', body: { lobbyEnabled: 'sí' } });
+        assert.equal(invalid.status, 400);
+
+        const meetingId = await ctx.createMeeting('host', { lobbyEnabled: true });
+
+        // El anfitrión entra directamente
+        const host = await ctx.joinMeeting(meetingId, 'host');
+        assert.equal(host.status, 200);
+
+        const pending = await ctx.joinMeeting(meetingId, 'eva');
+        assert.equal(pending.status, 202);
+        assert.equal(pending.body.status, 'pending');
+        assert.equal(pending.body.attendeeInfo, undefined);
+        assert.equal(ctx.provider.chimeClient.meetings.get(meetingId).attendees.size, 1);
+
+        await ctx.joinMeeting(meetingId, 'luis');
+
+        const notHost = await ctx.request('GET', `/meeting/${meetingId}/lobby`, { user: 'eva' });
+        assert.equal(notHost.status, 403);
+
+        const lobby = await ctx.request('GET', `/meeting/${meetingId}/lobby?status=pending`, { user: 'host' });
+        assert.deepEqual(lobby.body.requests.map(r => r.userId), ['eva', 'luis']);
+
+        // Eva espera la decisión por SSE en lugar de consultar una y otra vez
+        const stream = await fetch(`${ctx.baseUrl}${pending.body.statusStream}`, {
+            headers: { Authorization: `Bearer ${ctx.tokenFor('eva')}` }
+        });
+        assert.equal(stream.status, 200);
+        const received = stream.text();
+
+        const admitted = await ctx.request('POST', `/meeting/${meetingId}/lobby/eva/admit`, { user: 'host' });
+        assert.equal(admitted.status, 200);
+        const events = await received;
+        assert.match(events, /event: lobby-status/);
+        assert.match(events, /event: lobby-decision\ndata: .*"status":"admitted"/);
+
+        const joined = await ctx.joinMeeting(meetingId, 'eva');
+        assert.equal(joined.status, 200);
+        assert.ok(joined.body.attendeeInfo.AttendeeId);
+
+        const rejected = await ctx.request('POST', `/meeting/${meetingId}/lobby/luis/reject`, { user: 'host', body: { reason: 'Reunión privada' } });
+        assert.equal(rejected.body.status, 'rejected');
+        const refused = await ctx.joinMeeting(meetingId, 'luis');
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.reason, 'Reunión privada');
+
+        const unknown = await ctx.request('POST', `/meeting/${meetingId}/lobby/nadie/admit`, { user: 'host' });
+        assert.equal(unknown.status, 404);
+
+        // Al expulsar a un asistente, volver a entrar requiere otra admisión
+        await ctx.request('DELETE', `/meeting/${meetingId}/attendees/eva`, { user: 'host' });
+        const again = await ctx.joinMeeting(meetingId, 'eva');
+        assert.equal(again.status, 202);
+    });
+
+    it('guarda y valida los ajustes de transcripción de la reunión', async () => {
+        const meetingId = await ctx.createMeeting('host', { transcriptionSettings: { languageCode: 'en-US' } });
+        await ctx.joinMeeting(meetingId, 'eva');
+
+        const current = await ctx.request('GET', `/meeting/${meetingId}/transcription-settings`, { user: 'eva' });
+        assert.equal(current.status, 200);
+        assert.equal(current.body.transcriptionSettings.languageCode, 'en-US');
+
+        const invalid = await ctx.request('PUT', `/meeting/${meetingId}/transcription-settings`, { user: 'host', body: { languageCode: 'xx-XX' } });
+        assert.equal(invalid.status, 400);
+        assert.ok(invalid.body.details.length > 0);
+
+        const updated = await ctx.request('PUT', `/meeting/${meetingId}/transcription-settings`, { user: 'host', body: { languageCode: 'es-US', partialResultsStability: 'high' } });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.transcriptionSettings.partialResultsStability, 'high');
+
+        const notHost = await ctx.request('PUT', `/meeting/${meetingId}/transcription-settings`, { user: 'eva', body: {} });
+        assert.equal(notHost.status, 403);
+    });
+
+    it('elimina reuniones por DELETE y por POST', async () => {
+        const first = await ctx.createMeeting('host');
+        const second = await ctx.createMeeting('host');
+
+        const notHost = await ctx.request('DELETE', `/delete-meeting/${first}`, { user: 'otro' });
+        assert.equal(notHost.status, 403);
+
+        const deleted = await ctx.request('DELETE', `/delete-meeting/${first}`, { user: 'host' });
+        assert.equal(deleted.status, 200);
+        assert.equal(ctx.provider.chimeClient.meetings.has(first), false);
+        assert.equal(ctx.meetings[first], undefined);
+
+        const posted = await ctx.request('POST', '/delete-meeting', { user: 'host', body: { meetingId: second } });
+        assert.equal(posted.status, 200);
+        assert.equal(ctx.meetings[second], undefined);
+
+        const missing = await ctx.request('DELETE', `/delete-meeting/${first}`, { user: 'host' });
+        assert.equal(missing.status, 404);
+    });
+
+    it('concilia el registro de reuniones con Chime', async () => {
+        const chime = ctx.provider.chimeClient;
+        const gone = await ctx.createMeeting('host');
+        const expired = await ctx.createMeeting('host');
+        const busy = await ctx.createMeeting('host');
+        const unreachable = await ctx.createMeeting('host');
+        const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+        // Chime terminó una reunión sin avisar; otras dos superan su tiempo de vida, pero en una sigue habiendo gente
+        chime.meetings.delete(gone);
+        ctx.meetings[expired].creationTime = twoHoursAgo;
+        ctx.meetings[busy].creationTime = twoHoursAgo;
+        await ctx.joinMeeting(busy, 'eva');
+        ctx.meetings[busy].attendees.eva.presence = 'joined';
+        ctx.meetings[unreachable].creationTime = twoHoursAgo;
+
+        const before = await ctx.request('GET', '/meeting-reconciliation', { apiKey: true });
+        assert.equal(before.status, 200);
+        assert.equal(before.body.lastReport, null);
+
+        // Una reunión que Chime no deja eliminar se conserva para reintentarlo
+        const deleteMeeting = chime.send;
+        chime.send = command => (command.constructor.name === 'DeleteMeetingCommand' && command.input.MeetingId === unreachable
+            ? Promise.reject(Object.assign(new Error('Throttled'), { name: 'ThrottlingException' }))
+            : deleteMeeting(command));
+
+        try {
+            const run = await ctx.request('POST', '/meeting-reconciliation', { apiKey: true });
+            assert.equal(run.status, 200);
+            assert.equal(run.body.trigger, 'manual');
+            assert.deepEqual(run.body.removed.filter(r => [gone, expired].includes(r.meetingId)).sort((a, b) => a.reason.localeCompare(b.reason)), [
+                { meetingId: expired, reason: 'expired' },
+                { meetingId: gone, reason: 'not-found' }
+            ]);
+            assert.deepEqual(run.body.errors, [{ meetingId: unreachable, operation: 'DeleteMeeting', error: 'Throttled' }]);
+        } finally {
+            chime.send = deleteMeeting;
+        }
+
+        assert.equal(ctx.meetings[gone], undefined);
+        assert.equal(ctx.meetings[expired], undefined);
+        assert.equal(chime.meetings.has(expired), false);
+        assert.ok(ctx.meetings[busy]);
+        assert.ok(ctx.meetings[unreachable]);
+
+        const after = await ctx.request('GET', '/meeting-reconciliation', { apiKey: true });
+        assert.equal(after.body.lastReport.errors.length, 1);
+        assert.equal(after.body.expiryMinutes, 60);
+
+        const denied = await ctx.request('GET', '/meeting-reconciliation');
+        assert.equal(denied.status, 401);
+    });
+});
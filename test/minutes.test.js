@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMinutesProvider, registerMinutesProvider, generateMinutes } = require('../lib/minutes');
+
+const transcription = {
+    participants: [
+        { userId: 'ana', userName: 'Ana', attendeeInfo: { AttendeeId: 'att-ana' } },
+        { userId: 'luis', userName: 'Luis', attendeeInfo: { AttendeeId: 'att-luis' } }
+    ],
+    transcripts: [
+        { attendeeId: 'att-ana', text: 'Hoy revisamos el presupuesto del lanzamiento.', timestamp: '2025-03-10T10:00:00Z' },
+        { attendeeId: 'att-luis', text: 'El presupuesto del lanzamiento está cerrado. Decidimos retrasar el lanzamiento una semana.', timestamp: '2025-03-10T10:00:05Z' },
+        { attendeeId: 'att-ana', text: 'Yo me encargo de avisar a ventas del nuevo presupuesto.', timestamp: '2025-03-10T10:00:10Z' }
+    ]
+};
+
+describe('actas', () => {
+    it('extrae resumen, palabras clave, tareas y decisiones con el proveedor local', async () => {
+        const minutes = await generateMinutes(transcription);
+        assert.equal(minutes.provider, 'local');
+        assert.ok(minutes.generatedAt);
+        assert.ok(minutes.summary.length > 0);
+        assert.deepEqual(minutes.keywords.slice(0, 2).map(keyword => keyword.term), ['lanzamiento', 'presupuesto']);
+        assert.deepEqual(minutes.decisions.map(item => [item.speaker, item.text]), [['Luis', 'Decidimos retrasar el lanzamiento una semana.']]);
+        assert.deepEqual(minutes.actionItems.map(item => [item.speaker, item.segmentIndex]), [['Ana', 2]]);
+    });
+
+    it('recurre al proveedor local si el elegido falla', async () => {
+        registerMinutesProvider('roto', () => ({
+            name: 'roto',
+            generate: async () => {
+                throw new Error('sin servicio');
+            }
+        }));
+
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            const minutes = await generateMinutes(transcription, createMinutesProvider('roto'));
+            assert.equal(minutes.provider, 'local');
+        } finally {
+            console.warn = warn;
+        }
+
+        assert.throws(() => createMinutesProvider('desconocido'), /no soportado/);
+    });
+});
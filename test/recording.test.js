@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeArtifacts, createChimeRecorder, createLocalRecorder, createRecorder } = require('../lib/recording');
+
+describe('grabación', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chime-recording-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('siempre incluye el audio en los artefactos', () => {
+        assert.deepEqual(normalizeArtifacts(undefined), { artifacts: ['audio'] });
+        assert.deepEqual(normalizeArtifacts(['content']), { artifacts: ['audio', 'content'] });
+        assert.match(normalizeArtifacts('video').error, /lista/);
+        assert.match(normalizeArtifacts(['pantalla']).error, /pantalla/);
+        assert.throws(() => createRecorder({ name: 'otro' }), /no soportado/);
+    });
+
+    it('crea y elimina la canalización de captura de Chime', async () => {
+        const sent = [];
+        const client = {
+            send: async command => {
+                sent.push(command);
+                return { MediaCapturePipeline: { MediaPipelineId: 'pipeline-1', Status: 'Initializing' } };
+            }
+        };
+        const recorder = createChimeRecorder({ client, sinkArn: 'arn:aws:s3:::grabaciones', accountId: '123456789012' });
+
+        const started = await recorder.start({ meeting: { meetingId: 'reunion-1' }, artifacts: ['audio', 'video'] });
+        assert.deepEqual(started, { pipelineId: 'pipeline-1', pipelineArn: null, status: 'Initializing', sink: 'arn:aws:s3:::grabaciones' });
+
+        const { input } = sent[0];
+        assert.equal(input.SourceArn, 'arn:aws:chime::123456789012:meeting:reunion-1');
+        assert.equal(input.ChimeSdkMeetingConfiguration.ArtifactsConfiguration.Video.State, 'Enabled');
+        assert.equal(input.ChimeSdkMeetingConfiguration.ArtifactsConfiguration.Content.State, 'Disabled');
+
+        assert.deepEqual(await recorder.stop({ pipelineId: 'pipeline-1' }), { status: 'Stopped' });
+        assert.equal(sent[1].input.MediaPipelineId, 'pipeline-1');
+
+        await assert.rejects(createChimeRecorder({ client }).start({ meeting: {}, artifacts: ['audio'] }), /RECORDING_SINK_ARN/);
+    });
+
+    it('el grabador local escribe los artefactos en disco', async () => {
+        const recorder = createLocalRecorder({ dir });
+        const meeting = { meetingId: 'reunion-1' };
+
+        const started = await recorder.start({ meeting, artifacts: ['audio', 'content'] });
+        const stopped = await recorder.stop({ pipelineId: started.pipelineId, meeting });
+
+        assert.deepEqual(stopped.files.map(file => path.basename(file)), ['audio.wav', 'content.txt']);
+        assert.equal(fs.readFileSync(stopped.files[0]).toString('ascii', 0, 4), 'RIFF');
+    });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedactor } = require('../lib/redaction');
+
+describe('redacción de datos personales', () => {
+    it('oculta correos, teléfonos, tarjetas y documentos válidos', () => {
+        const redactor = createRedactor({ enabled: true, disabledRules: [], customRules: [] });
+        const { text, redactions } = redactor.redact(
+            'Escribe a ana@example.com o llama al +34 612 345 678. Tarjeta 4111 1111 1111 1111, DNI 12345678Z.'
+        );
+
+        assert.equal(text, 'Escribe a [EMAIL] o llama al [TELÉFONO]. Tarjeta [TARJETA], DNI [DOCUMENTO].');
+        assert.deepEqual(redactions, { email: 1, phone: 1, card: 1, 'spanish-id': 1 });
+    });
+
+    it('respeta los números que no pasan la validación', () => {
+        const redactor = createRedactor({ enabled: true, disabledRules: [], customRules: [] });
+        const text = 'El pedido 4111 1111 1111 1112 y el documento 12345678A';
+        assert.deepEqual(redactor.redact(text), { text, redactions: {} });
+    });
+
+    it('admite reglas personalizadas y desactivar las de por defecto', () => {
+        const redactor = createRedactor({
+            enabled: true,
+            disabledRules: ['email'],
+            customRules: [{ name: 'ticket', pattern: 'TCK-\\d+', replacement: '[TICKET]' }]
+        });
+        assert.equal(redactor.redact('TCK-123 de ana@example.com').text, '[TICKET] de ana@example.com');
+        assert.equal(redactor.rules[0].name, 'ticket');
+
+        const disabled = createRedactor({ enabled: false, customRules: [] });
+        assert.equal(disabled.redact('ana@example.com').text, 'ana@example.com');
+    });
+});
@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROLES, isValidRole, capabilitiesForRole, roleForUser } = require('../lib/roles');
+
+describe('roles', () => {
+    it('asigna a cada rol sus capacidades de Chime', () => {
+        assert.deepEqual(ROLES, ['host', 'presenter', 'participant', 'viewer']);
+        assert.equal(isValidRole('viewer'), true);
+        assert.equal(isValidRole('admin'), false);
+        assert.deepEqual(capabilitiesForRole('viewer'), { Audio: 'Receive', Video: 'Receive', Content: 'Receive' });
+        // Un rol desconocido recibe las capacidades del rol por defecto
+        assert.deepEqual(capabilitiesForRole('admin'), capabilitiesForRole('participant'));
+
+        // Chime no admite Video en None mientras Content recibe
+        ROLES.forEach(role => assert.notEqual(capabilitiesForRole(role).Video, 'None'));
+    });
+
+    it('elige el rol del creador, el preasignado o el de la reunión', () => {
+        const meeting = { creatorId: 'ana', roleAssignments: { luis: 'presenter' }, defaultRole: 'viewer' };
+        assert.equal(roleForUser(meeting, 'ana'), 'host');
+        assert.equal(roleForUser(meeting, 'luis'), 'presenter');
+        assert.equal(roleForUser(meeting, 'eva'), 'viewer');
+        assert.equal(roleForUser({ creatorId: 'ana' }, 'eva'), 'participant');
+    });
+});
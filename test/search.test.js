@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, searchTranscriptions } = require('../lib/search');
+
+const transcriptions = [
+    {
+        id: 't1',
+        title: 'Presupuesto',
+        meetingId: 'reunion-1',
+        date: '2025-03-10T11:00:00Z',
+        participants: [
+            { userId: 'ana', userName: 'Ana Pérez', attendeeInfo: { AttendeeId: 'att-ana' } },
+            { userId: 'luis', userName: 'Luis', attendeeInfo: { AttendeeId: 'att-luis' } }
+        ],
+        transcripts: [
+            { attendeeId: 'att-ana', text: 'Revisemos el presupuesto de marketing.', timestamp: '2025-03-10T10:00:00Z' },
+            { attendeeId: 'att-luis', text: 'El PRESUPUESTO de marketing sube; el presupuesto total no.', timestamp: '2025-03-10T10:00:05Z' }
+        ]
+    },
+    {
+        id: 't2',
+        title: 'Planificación',
+        meetingId: 'reunion-2',
+        date: '2025-03-12T11:00:00Z',
+        participants: [{ userId: 'eva', userName: 'Eva', attendeeInfo: { AttendeeId: 'att-eva' } }],
+        transcripts: [{ attendeeId: 'att-eva', text: 'Sin cambios en la planificación.', timestamp: '2025-03-12T10:00:00Z' }]
+    }
+];
+
+describe('búsqueda', () => {
+    it('separa frases y palabras ignorando mayúsculas y tildes', () => {
+        assert.deepEqual(parseQuery('"Presupuesto  de Marketing" planificación'), ['presupuesto de marketing', 'planificacion']);
+        assert.deepEqual(parseQuery(''), []);
+    });
+
+    it('devuelve los fragmentos ordenados por apariciones con su posición', () => {
+        const result = searchTranscriptions(transcriptions, { q: 'presupuesto' });
+        assert.equal(result.total, 2);
+        assert.deepEqual(result.hits.map(hit => [hit.speaker, hit.score, hit.offsetMs]), [['Luis', 2, 5000], ['Ana Pérez', 1, 0]]);
+
+        const [hit] = result.hits;
+        assert.deepEqual(hit.highlights.map(range => hit.snippet.slice(range.start, range.end)), ['PRESUPUESTO', 'presupuesto']);
+
+        assert.equal(searchTranscriptions(transcriptions, { q: 'planificacion' }).hits[0].transcriptionId, 't2');
+        assert.equal(searchTranscriptions(transcriptions, { q: 'presupuesto', limit: 1 }).hits.length, 1);
+    });
+
+    it('filtra por reunión, participante y fechas', () => {
+        assert.equal(searchTranscriptions(transcriptions, { q: 'presupuesto', participant: 'ana' }).total, 1);
+        assert.equal(searchTranscriptions(transcriptions, { q: 'presupuesto', meetingId: 'reunion-2' }).total, 0);
+        // Una fecha sin hora como límite superior incluye todo el día
+        assert.equal(searchTranscriptions(transcriptions, { q: 'cambios', to: '2025-03-12' }).total, 1);
+        assert.equal(searchTranscriptions(transcriptions, { q: 'cambios', to: '2025-03-11' }).total, 0);
+        assert.equal(searchTranscriptions(transcriptions, { q: 'presupuesto', from: '2025-03-11' }).total, 0);
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, createFileStorage } = require('../lib/storage');
+
+describe('almacenamiento', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chime-storage-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('usa la memoria si DATA_DIR no está configurado o no admite escrituras', () => {
+        const { DATA_DIR, STORAGE_DRIVER } = process.env;
+        delete process.env.DATA_DIR;
+        delete process.env.STORAGE_DRIVER;
+        try {
+            assert.equal(createStorage().driver, 'memory');
+
+            const notADir = path.join(dir, 'archivo');
+            fs.writeFileSync(notADir, '');
+            assert.equal(createStorage({ dir: path.join(notADir, 'datos') }).driver, 'memory');
+            assert.throws(() => createStorage({ driver: 'file', dir: path.join(notADir, 'datos') }), /DATA_DIR/);
+
+            // El directorio aún no existe y no se crea al arrancar
+            const storage = createStorage({ dir: path.join(dir, 'nuevo') });
+            assert.equal(storage.driver, 'file');
+            assert.equal(fs.existsSync(path.join(dir, 'nuevo')), false);
+        } finally {
+            if (DATA_DIR !== undefined) process.env.DATA_DIR = DATA_DIR;
+            if (STORAGE_DRIVER !== undefined) process.env.STORAGE_DRIVER = STORAGE_DRIVER;
+        }
+    });
+
+    it('guarda cada registro en su archivo y solo reescribe los que cambian', async () => {
+        const dataDir = path.join(dir, 'registros');
+        const meetings = createFileStorage({ dir: dataDir }).collection('meetings');
+        await meetings.put('a', { transcripts: [] });
+        await meetings.put('b/c', { transcripts: [] });
+
+        const fileA = path.join(dataDir, 'meetings', 'a.json');
+        const fileB = path.join(dataDir, 'meetings', 'b%2Fc.json');
+        assert.ok(fs.existsSync(fileA));
+        assert.ok(fs.existsSync(fileB));
+
+        // Un cambio en 'a' no vuelve a escribir 'b/c'
+        fs.rmSync(fileB);
+        meetings.get('a').transcripts.push({ text: 'Hola' });
+        await meetings.flush();
+        assert.equal(fs.existsSync(fileB), false);
+        assert.deepEqual(JSON.parse(fs.readFileSync(fileA, 'utf8')), { transcripts: [{ text: 'Hola' }] });
+
+        await meetings.put('d', { transcripts: [] });
+        await meetings.remove('a');
+        const reloaded = createFileStorage({ dir: dataDir }).collection('meetings');
+        assert.deepEqual(reloaded.list(), [{ transcripts: [] }]);
+        assert.equal(reloaded.has('d'), true);
+    });
+});
@@ -0,0 +1,285 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { billingPeriod } = require('../lib/tenants');
+
+describe('organizaciones', () => {
+    let ctx;
+
+    // Crear una reunión como `userId` de la organización `org` y devolver la respuesta
+    function createMeeting(userId, org) {
+        return ctx.request('POST', '/create-meeting', { user: userId, org, body: {} });
+    }
+
+    function joinMeeting(meetingId, userId, org) {
+        return ctx.request('POST', '/join-meeting', { user: userId, org, body: { meetingId } });
+    }
+
+    function usage(orgId, query = '') {
+        return ctx.request('GET', `/v1/organizations/${orgId}/usage${query}`, { apiKey: true });
+    }
+
+    before(async () => {
+        ctx = await startTestServer();
+        await ctx.request('POST', '/organizations', { apiKey: true, body: { id: 'acme', name: 'Acme' } });
+        await ctx.request('POST', '/organizations', { apiKey: true, body: { id: 'globex', name: 'Globex' } });
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('gestiona las organizaciones con la clave de administración', async () => {
+        const created = await ctx.request('POST', '/v1/organizations', {
+            apiKey: true,
+            body: { id: 'initech', name: 'Initech', limits: { maxAttendeesPerMeeting: 10 } }
+        });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.effectiveLimits.maxAttendeesPerMeeting, 10);
+
+        const duplicated = await ctx.request('POST', '/v1/organizations', { apiKey: true, body: { id: 'initech', name: 'Otra' } });
+        assert.equal(duplicated.status, 409);
+        assert.equal(duplicated.body.error.code, 'ORGANIZATION_EXISTS');
+
+        const invalid = await ctx.request('PATCH', '/organizations/initech', { apiKey: true, body: { limits: { maxAttendeesPerMeeting: 2.5 } } });
+        assert.equal(invalid.status, 400);
+
+        const updated = await ctx.request('PATCH', '/organizations/initech', { apiKey: true, body: { limits: { maxAttendeesPerMeeting: null } } });
+        assert.equal(updated.body.limits.maxAttendeesPerMeeting, null);
+
+        const list = await ctx.request('GET', '/organizations', { apiKey: true });
+        assert.deepEqual(list.body.organizations.map(org => org.id), ['default', 'acme', 'globex', 'initech']);
+        assert.equal((await ctx.request('GET', '/organizations/acme', { user: 'ana' })).status, 401);
+
+        const token = await ctx.request('POST', '/v1/auth/token', { apiKey: true, body: { userId: 'ana', orgId: 'umbrella' } });
+        assert.equal(token.status, 404);
+        assert.equal(token.body.error.code, 'ORGANIZATION_NOT_FOUND');
+    });
+
+    it('aísla las reuniones y las transcripciones de cada organización', async () => {
+        const acme = await createMeeting('ana', 'acme');
+        const { meetingId } = acme.body;
+
+        // Otra organización no ve la reunión ni puede entrar por su meetingId
+        const globexList = await ctx.request('GET', '/list-meetings', { user: 'bruno', org: 'globex' });
+        assert.equal(globexList.body.some(meeting => meeting.meetingId === meetingId), false);
+        const acmeList = await ctx.request('GET', '/list-meetings', { user: 'carla', org: 'acme' });
+        assert.equal(acmeList.body.some(meeting => meeting.meetingId === meetingId), true);
+        assert.equal((await joinMeeting(meetingId, 'bruno', 'globex')).status, 404);
+
+        // El mismo userId en otra organización es otra persona
+        const impostor = await ctx.request('POST', '/add-transcript', { user: 'ana', org: 'globex', body: { meetingId, transcript: 'Hola' } });
+        assert.equal(impostor.status, 403);
+
+        await ctx.request('POST', '/add-transcript', { user: 'ana', org: 'acme', body: { meetingId, transcript: 'Plan trimestral' } });
+        const saved = await ctx.request('POST', '/save-transcription', { user: 'ana', org: 'acme', body: { meetingId } });
+        assert.equal(saved.status, 200);
+
+        const own = await ctx.request('GET', `/transcription/${saved.body.transcriptionId}`, { user: 'ana', org: 'acme' });
+        assert.equal(own.status, 200);
+        assert.equal(own.body.orgId, 'acme');
+        const other = await ctx.request('GET', `/transcription/${saved.body.transcriptionId}`, { user: 'ana', org: 'globex' });
+        assert.notEqual(other.status, 200);
+    });
+
+    it('no deja gestionar una transcripción desde otra organización con el mismo userId', async () => {
+        const { meetingId } = (await createMeeting('ana', 'acme')).body;
+        await ctx.request('POST', '/add-transcript', { user: 'ana', org: 'acme', body: { meetingId, transcript: 'Confidencial' } });
+        const { transcriptionId } = (await ctx.request('POST', '/save-transcription', { user: 'ana', org: 'acme', body: { meetingId } })).body;
+        const [segment] = (await ctx.request('GET', `/transcription/${transcriptionId}`, { user: 'ana', org: 'acme' })).body.transcripts;
+        const impostor = { user: 'ana', org: 'globex' };
+
+        const audit = await ctx.request('GET', `/transcription/${transcriptionId}/audit`, impostor);
+        assert.equal(audit.status, 403);
+        const edit = await ctx.request('PATCH', `/transcription/${transcriptionId}/segments/${segment.id}`, { ...impostor, body: { text: 'Cambiado' } });
+        assert.equal(edit.status, 403);
+        const removed = await ctx.request('DELETE', `/transcription/${transcriptionId}`, impostor);
+        assert.equal(removed.status, 403);
+
+        const intact = await ctx.request('GET', `/transcription/${transcriptionId}`, { user: 'ana', org: 'acme' });
+        assert.equal(intact.body.transcripts[0].text, 'Confidencial');
+        assert.equal((await ctx.request('GET', `/transcription/${transcriptionId}/audit`, { user: 'ana', org: 'acme' })).status, 200);
+    });
+
+    it('no confunde a un invitado de otra organización con el creador que tiene su mismo userId', async () => {
+        const { meetingId } = (await ctx.request('POST', '/create-meeting', { user: 'ana', org: 'acme', body: { lobbyEnabled: true } })).body;
+        const creator = await joinMeeting(meetingId, 'ana', 'acme');
+        const { token } = (await ctx.request('POST', `/meeting/${meetingId}/invites`, { user: 'ana', org: 'acme', body: {} })).body;
+
+        // El invitado de globex pasa por la sala de espera y no recibe el asistente del creador
+        const guest = { user: 'ana', org: 'globex' };
+        const waiting = await ctx.request('POST', '/join-meeting', { ...guest, body: { inviteToken: token } });
+        assert.equal(waiting.status, 202);
+        assert.equal(waiting.body.memberKey, 'globex:ana');
+
+        const admitted = await ctx.request('POST', `/meeting/${meetingId}/lobby/globex:ana/admit`, { user: 'ana', org: 'acme', body: {} });
+        assert.equal(admitted.status, 200);
+        const joined = await ctx.request('POST', '/join-meeting', { ...guest, body: { inviteToken: token } });
+        assert.equal(joined.status, 200);
+        assert.equal(joined.body.isCreator, false);
+        assert.equal(joined.body.role, 'participant');
+        assert.notEqual(joined.body.attendeeInfo.AttendeeId, creator.body.attendeeInfo.AttendeeId);
+        assert.notEqual(joined.body.attendeeInfo.JoinToken, creator.body.attendeeInfo.JoinToken);
+
+        const removed = await ctx.request('DELETE', `/delete-meeting/${meetingId}`, guest);
+        assert.equal(removed.status, 403);
+
+        const { attendees } = (await ctx.request('GET', `/meeting/${meetingId}/attendees`, { user: 'ana', org: 'acme' })).body;
+        assert.deepEqual(attendees.map(attendee => [attendee.memberKey, attendee.isCreator]), [['ana', true], ['globex:ana', false]]);
+    });
+
+    it('no deja gestionar reuniones programadas ni invitaciones de otra organización con el mismo userId', async () => {
+        const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+        const scheduled = await ctx.request('POST', '/schedule-meeting', { user: 'ana', org: 'acme', body: { title: 'Comité', startTime } });
+        const { scheduledMeetingId, invite } = scheduled.body;
+        assert.equal(invite.orgId, 'acme');
+        const impostor = { user: 'ana', org: 'globex' };
+
+        const listed = await ctx.request('GET', '/scheduled-meetings', impostor);
+        assert.equal(listed.body.some(item => item.scheduledMeetingId === scheduledMeetingId), false);
+        assert.equal((await ctx.request('GET', `/scheduled-meetings/${scheduledMeetingId}/calendar.ics`, impostor)).status, 403);
+        assert.equal((await ctx.request('POST', `/scheduled-meetings/${scheduledMeetingId}/invites`, { ...impostor, body: {} })).status, 403);
+        assert.equal((await ctx.request('DELETE', `/invites/${invite.id}`, impostor)).status, 403);
+
+        // Tampoco puede abrir la reunión antes de tiempo como si fuera su creador
+        assert.equal((await ctx.request('POST', '/join-meeting', { ...impostor, body: { inviteToken: invite.token } })).status, 409);
+
+        assert.equal((await ctx.request('DELETE', `/invites/${invite.id}`, { user: 'ana', org: 'acme' })).status, 200);
+    });
+
+    it('calcula la analítica del usuario solo con las reuniones de su organización', async () => {
+        const saved = (await createMeeting('ivan', 'acme')).body.meetingId;
+        await joinMeeting(saved, 'ivan', 'acme');
+        await ctx.request('POST', '/add-transcript', { user: 'ivan', org: 'acme', body: { meetingId: saved, transcript: 'Resultados' } });
+        const { transcriptionId } = (await ctx.request('POST', '/save-transcription', { user: 'ivan', org: 'acme', body: { meetingId: saved } })).body;
+        const live = (await createMeeting('ivan', 'acme')).body.meetingId;
+        await joinMeeting(live, 'ivan', 'acme');
+
+        const own = await ctx.request('GET', '/analytics', { user: 'ivan', org: 'acme' });
+        assert.equal(own.body.meetingCount, 2);
+        const byMeeting = Object.fromEntries(own.body.meetings.map(meeting => [meeting.meetingId, meeting.transcriptionId]));
+        assert.equal(byMeeting[saved], transcriptionId);
+
+        const other = await ctx.request('GET', '/analytics', { user: 'ivan', org: 'globex' });
+        assert.equal(other.body.meetingCount, 0);
+    });
+
+    it('limita las reuniones simultáneas de la organización', async () => {
+        await ctx.request('PATCH', '/organizations/globex', { apiKey: true, body: { limits: { maxConcurrentMeetings: 1 } } });
+
+        const first = await createMeeting('bruno', 'globex');
+        assert.equal(first.status, 200);
+
+        const second = await ctx.request('POST', '/v1/create-meeting', { user: 'bruno', org: 'globex', body: {} });
+        assert.equal(second.status, 429);
+        assert.equal(second.body.error.code, 'QUOTA_CONCURRENT_MEETINGS');
+        assert.deepEqual(second.body.error.details, { quota: 'maxConcurrentMeetings', limit: 1, used: 1 });
+
+        // El límite es de la organización: las demás siguen creando reuniones
+        assert.equal((await createMeeting('bruno', 'acme')).status, 200);
+
+        await ctx.request('DELETE', `/delete-meeting/${first.body.meetingId}`, { user: 'bruno', org: 'globex' });
+        assert.equal((await createMeeting('bruno', 'globex')).status, 200);
+
+        const report = await usage('globex');
+        assert.equal(report.body.usage.meetingsCreated, 2);
+        assert.equal(report.body.usage.peakConcurrentMeetings, 1);
+        assert.equal(report.body.quotaRejections.maxConcurrentMeetings, 1);
+        assert.equal(report.body.current.activeMeetings, 1);
+    });
+
+    it('limita los asistentes por reunión', async () => {
+        await ctx.request('PATCH', '/organizations/acme', { apiKey: true, body: { limits: { maxAttendeesPerMeeting: 2 } } });
+        const { meetingId } = (await createMeeting('diego', 'acme')).body;
+
+        assert.equal((await joinMeeting(meetingId, 'diego', 'acme')).status, 200);
+        assert.equal((await joinMeeting(meetingId, 'eva', 'acme')).status, 200);
+
+        const full = await ctx.request('POST', '/v1/join-meeting', { user: 'fede', org: 'acme', body: { meetingId } });
+        assert.equal(full.status, 429);
+        assert.equal(full.body.error.code, 'QUOTA_ATTENDEES_PER_MEETING');
+
+        // Quien ya está dentro puede volver a unirse
+        assert.equal((await joinMeeting(meetingId, 'eva', 'acme')).status, 200);
+
+        // Quien abandonó la reunión deja su plaza libre
+        ctx.meetings[meetingId].attendees.eva.presence = 'left';
+        assert.equal((await joinMeeting(meetingId, 'fede', 'acme')).status, 200);
+    });
+
+    it('limita los minutos de transcripción del periodo', async () => {
+        await ctx.request('POST', '/organizations', { apiKey: true, body: { id: 'hooli', name: 'Hooli', limits: { transcriptionMinutesPerPeriod: 2 } } });
+        const { meetingId } = (await createMeeting('gala', 'hooli')).body;
+
+        const started = await ctx.request('POST', '/start-transcription-alternative', { user: 'gala', org: 'hooli', body: { meetingId } });
+        assert.equal(started.status, 200);
+
+        // Simular tres minutos de transcripción
+        ctx.meetings[meetingId].transcriptionStartedAt = new Date(Date.now() - 3 * 60000).toISOString();
+        const running = await usage('hooli');
+        assert.ok(running.body.usage.transcriptionMinutes >= 3);
+        assert.equal(running.body.current.activeTranscriptions, 1);
+
+        await ctx.request('POST', '/stop-transcription', { user: 'gala', org: 'hooli', body: { meetingId } });
+        const again = await ctx.request('POST', '/v1/start-transcription', { user: 'gala', org: 'hooli', body: { meetingId } });
+        assert.equal(again.status, 429);
+        assert.equal(again.body.error.code, 'QUOTA_TRANSCRIPTION_MINUTES');
+        assert.equal(again.body.error.details.limit, 2);
+
+        const stopped = await usage('hooli');
+        assert.ok(stopped.body.usage.transcriptionMinutes >= 3 && stopped.body.usage.transcriptionMinutes < 4);
+        assert.equal(stopped.body.current.activeTranscriptions, 0);
+        assert.equal(stopped.body.quotaRejections.transcriptionMinutesPerPeriod, 1);
+    });
+
+    it('cuenta los minutos de transcripción que AWS inicia o detiene', async () => {
+        process.env.CHIME_EVENTS_TOKEN = 'token-eventos';
+        try {
+            await ctx.request('POST', '/organizations', { apiKey: true, body: { id: 'vandelay', name: 'Vandelay' } });
+            const { meetingId } = (await createMeeting('jose', 'vandelay')).body;
+            const chimeEvent = eventType => ctx.request('POST', '/chime-events', {
+                headers: { 'x-events-token': 'token-eventos' },
+                body: { detail: { eventType: `chime:${eventType}`, meetingId, timestamp: Date.now() } }
+            });
+
+            await chimeEvent('TranscriptionStarted');
+            assert.ok(ctx.meetings[meetingId].transcriptionStartedAt);
+
+            // Simular dos minutos de transcripción antes de que falle
+            ctx.meetings[meetingId].transcriptionStartedAt = new Date(Date.now() - 2 * 60000).toISOString();
+            await chimeEvent('TranscriptionFailed');
+            assert.equal(ctx.meetings[meetingId].transcriptionStartedAt, null);
+
+            const first = await usage('vandelay');
+            assert.ok(first.body.usage.transcriptionMinutes >= 2 && first.body.usage.transcriptionMinutes < 2.1);
+            assert.equal(first.body.current.activeTranscriptions, 0);
+        } finally {
+            delete process.env.CHIME_EVENTS_TOKEN;
+        }
+    });
+
+    it('informa del uso por periodo de facturación', async () => {
+        const current = await usage('acme');
+        assert.equal(current.status, 200);
+        assert.equal(current.body.period, billingPeriod());
+        assert.equal(current.body.usage.transcriptionsSaved, 3);
+        assert.ok(current.body.usage.attendeesJoined >= 3);
+        assert.equal(current.body.limits.maxAttendeesPerMeeting, 2);
+
+        const past = await usage('acme', '?period=2020-01');
+        assert.deepEqual(past.body.usage, {
+            meetingsCreated: 0,
+            attendeesJoined: 0,
+            transcriptionsSaved: 0,
+            transcriptionMinutes: 0,
+            peakConcurrentMeetings: 0
+        });
+        assert.equal(past.body.from, '2020-01-01T00:00:00.000Z');
+        assert.equal(past.body.to, '2020-02-01T00:00:00.000Z');
+        assert.equal(past.body.current, null);
+
+        const invalid = await ctx.request('GET', '/organizations/acme/usage?period=2020-13', { apiKey: true });
+        assert.equal(invalid.status, 400);
+        assert.equal((await usage('umbrella')).status, 404);
+    });
+});
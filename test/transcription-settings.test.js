@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    mergeTranscriptionSettings,
+    resolveTranscriptionSettings,
+    buildTranscriptionConfiguration
+} = require('../lib/transcription-settings');
+
+describe('ajustes de transcripción', () => {
+    it('traduce los ajustes del motor estándar a la configuración de Chime', () => {
+        const { settings, errors } = resolveTranscriptionSettings({
+            languageCode: 'es',
+            vocabularyFilterName: 'palabrotas',
+            contentRedaction: true,
+            piiEntityTypes: 'EMAIL, PHONE',
+            partialResultsStability: 'high'
+        });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(buildTranscriptionConfiguration(settings, 'eu-west-1'), {
+            EngineTranscribeSettings: {
+                Region: 'eu-west-1',
+                LanguageCode: 'es-US',
+                VocabularyFilterName: 'palabrotas',
+                VocabularyFilterMethod: 'mask',
+                ContentRedactionType: 'PII',
+                PiiEntityTypes: 'EMAIL,PHONE',
+                EnablePartialResultsStabilization: true,
+                PartialResultsStability: 'high'
+            }
+        });
+    });
+
+    it('configura la identificación de idioma y el motor médico', () => {
+        const identified = resolveTranscriptionSettings({ identifyLanguage: true, languageOptions: ['es', 'en-US'], preferredLanguage: 'es' });
+        assert.deepEqual(identified.errors, []);
+        const engine = buildTranscriptionConfiguration(identified.settings, 'auto').EngineTranscribeSettings;
+        assert.equal(engine.LanguageOptions, 'es-US,en-US');
+        assert.equal(engine.PreferredLanguage, 'es-US');
+        assert.equal(engine.LanguageCode, undefined);
+
+        const medical = resolveTranscriptionSettings({ engine: 'medical', contentIdentification: true });
+        assert.deepEqual(buildTranscriptionConfiguration(medical.settings, 'us-east-1'), {
+            EngineTranscribeMedicalSettings: {
+                LanguageCode: 'en-US',
+                Specialty: 'PRIMARYCARE',
+                Type: 'CONVERSATION',
+                Region: 'us-east-1',
+                ContentIdentificationType: 'PHI'
+            }
+        });
+    });
+
+    it('rechaza combinaciones que Chime no admite', () => {
+        const check = input => resolveTranscriptionSettings(input).errors;
+        assert.match(check({ identifyLanguage: true, languageOptions: ['es-US'] }).join(), /al menos dos idiomas/);
+        assert.match(check({ contentIdentification: true, contentRedaction: true }).join(), /no se pueden combinar/);
+        assert.match(check({ languageCode: 'fr-FR', contentRedaction: true }).join(), /solo está disponible/);
+        assert.match(check({ engine: 'medical', languageCode: 'es-US' }).join(), /motor médico/);
+        assert.match(check({ region: 'mars-1' }).join(), /Región/);
+        assert.match(check({ vocabularyName: 'no válido' }).join(), /vocabularyName/);
+    });
+
+    it('combina los ajustes de la reunión con los de la petición', () => {
+        const defaults = { identifyLanguage: true, languageOptions: ['es-US', 'en-US'], vocabularyFilterName: 'palabrotas' };
+        assert.deepEqual(mergeTranscriptionSettings(defaults, { languageCode: 'en-US' }), { vocabularyFilterName: 'palabrotas', languageCode: 'en-US' });
+        assert.deepEqual(mergeTranscriptionSettings(defaults, { engine: 'medical' }), { engine: 'medical' });
+    });
+});
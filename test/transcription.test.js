@@ -0,0 +1,199 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startTestServer } = require('./helpers');
+
+// Abrir el WebSocket de audio, enviar un fragmento y recoger los mensajes hasta el final
+function streamAudio(ctx, { meetingId, attendeeId, user }) {
+    const query = new URLSearchParams({ meetingId, attendeeId, access_token: ctx.tokenFor(user) });
+    const ws = new WebSocket(`${ctx.baseUrl.replace('http', 'ws')}/audio-stream?${query}`);
+    const messages = [];
+
+    return new Promise((resolve, reject) => {
+        ws.on('unexpected-response', (req, res) => reject(new Error(`HTTP ${res.statusCode}`)));
+        ws.on('error', reject);
+        ws.on('open', () => {
+            ws.send(Buffer.alloc(3200));
+            ws.send(JSON.stringify({ type: 'stop' }));
+        });
+        ws.on('message', data => messages.push(JSON.parse(data.toString())));
+        ws.on('close', () => resolve(messages));
+    });
+}
+
+describe('transcripción', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestServer();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('inicia y detiene la transcripción de Chime', async () => {
+        const meetingId = await ctx.createMeeting('host', { mediaRegion: 'eu-west-3' });
+
+        const notHost = await ctx.request('POST', '/start-transcription', { user: 'otro', body: { meetingId } });
+        assert.equal(notHost.status, 403);
+
+        const invalid = await ctx.request('POST', '/start-transcription', { user: 'host', body: { meetingId, languageCode: 'xx-XX' } });
+        assert.equal(invalid.status, 400);
+
+        const started = await ctx.request('POST', '/start-transcription', { user: 'host', body: { meetingId, language: 'es-ES' } });
+        assert.equal(started.status, 200);
+        assert.equal(started.body.settings.languageCode, 'es-US');
+        // París no tiene Transcribe: se usa la región compatible más cercana
+        assert.equal(started.body.region, 'eu-west-2');
+        const chimeMeeting = ctx.provider.chimeClient.meetings.get(meetingId);
+        assert.equal(chimeMeeting.transcription.EngineTranscribeSettings.Region, 'eu-west-2');
+
+        const status = await ctx.request('GET', `/check-transcription/${meetingId}`, { user: 'host' });
+        assert.equal(status.status, 200);
+        assert.equal(status.body.transcriptionEnabled.local, true);
+        assert.equal(status.body.chimeStatus.Meeting.MeetingId, meetingId);
+
+        const settings = await ctx.request('GET', `/meeting/${meetingId}/transcription-settings`, { user: 'host' });
+        assert.equal(settings.body.activeTranscriptionSettings.languageCode, 'es-US');
+
+        const stopped = await ctx.request('POST', '/stop-transcription', { user: 'host', body: { meetingId } });
+        assert.equal(stopped.status, 200);
+        assert.equal(chimeMeeting.transcription, null);
+        assert.equal(ctx.meetings[meetingId].transcriptionEnabled, false);
+    });
+
+    it('informa de los errores de Chime', async () => {
+        const meetingId = await ctx.createMeeting('host');
+        ctx.provider.chimeClient.meetings.delete(meetingId);
+
+        const response = await ctx.request('POST', '/stop-transcription', { user: 'host', body: { meetingId } });
+        assert.equal(response.status, 500);
+        assert.match(response.body.error, /was not found/);
+    });
+
+    it('comprueba los permisos de AWS', async () => {
+        const chimeMeetings = ctx.provider.chimeClient.meetings.size;
+        const anonymous = await ctx.request('GET', '/verify-aws-permissions');
+        assert.equal(anonymous.status, 401);
+
+        const response = await ctx.request('GET', '/verify-aws-permissions', { apiKey: true });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.hasPermissionIssues, false);
+        assert.equal(response.body.permissionsCheck.mediaPipelines.status, 'success');
+        assert.equal(response.body.permissionsCheck.translate.status, 'success');
+
+        // Un error de validación no demuestra que IAM autorizase la llamada
+        const chime = response.body.permissionsCheck.chimeSDKMeetings;
+        assert.equal(chime.status, 'unverified');
+        const statuses = Object.fromEntries(chime.actions.map(check => [check.action, check.status]));
+        assert.equal(statuses['chime:CreateMeeting'], 'inconclusive');
+        assert.equal(statuses['chime:StartMeetingTranscription'], 'granted');
+        assert.deepEqual(response.body.permissionsCheck.transcribe.actions.map(check => check.status), ['inconclusive']);
+
+        // Sin denegaciones el servicio se declara preparado
+        const ready = await ctx.request('GET', '/health/ready');
+        assert.equal(ready.status, 200);
+
+        // Las pruebas no crean reuniones en Chime
+        assert.equal(ctx.provider.chimeClient.meetings.size, chimeMeetings);
+    });
+
+    it('transcribe en el servidor el audio recibido por WebSocket', async () => {
+        const meetingId = await ctx.createMeeting('host');
+        const joined = await ctx.joinMeeting(meetingId, 'eva');
+        const attendeeId = joined.body.attendeeInfo.AttendeeId;
+
+        // Sin la transcripción alternativa activa se rechaza la conexión
+        await assert.rejects(streamAudio(ctx, { meetingId, attendeeId, user: 'eva' }), /HTTP 409/);
+
+        const alternative = await ctx.request('POST', '/start-transcription-alternative', { user: 'host', body: { meetingId } });
+        assert.equal(alternative.status, 200);
+        assert.match(alternative.body.audioStream, /^\/audio-stream\?/);
+
+        // Solo se acepta el audio del propio usuario
+        await assert.rejects(streamAudio(ctx, { meetingId, attendeeId, user: 'host' }), /HTTP 403/);
+
+        const messages = await streamAudio(ctx, { meetingId, attendeeId, user: 'eva' });
+        assert.deepEqual(messages.map(m => m.type), ['partial', 'final', 'end']);
+        assert.equal(messages[1].segment.text, 'hola a todos');
+
+        const transcripts = ctx.meetings[meetingId].transcripts;
+        assert.equal(transcripts.length, 1);
+        assert.equal(transcripts[0].attendeeId, attendeeId);
+        assert.equal(transcripts[0].source, 'server-stream');
+    });
+
+    it('graba reuniones con canalizaciones de captura de medios', async () => {
+        const meetingId = await ctx.createMeeting('host');
+
+        const invalid = await ctx.request('POST', '/start-recording', { user: 'host', body: { meetingId, artifacts: ['olor'] } });
+        assert.equal(invalid.status, 400);
+
+        const started = await ctx.request('POST', '/start-recording', { user: 'host', body: { meetingId, artifacts: ['video'] } });
+        assert.equal(started.status, 200);
+        assert.deepEqual(started.body.recording.artifacts, ['audio', 'video']);
+        const pipeline = ctx.provider.mediaPipelinesClient.pipelines.get(started.body.recording.pipelineId);
+        assert.equal(pipeline.SinkArn, 'arn:aws:s3:::test-recordings');
+        assert.equal(pipeline.ChimeSdkMeetingConfiguration.ArtifactsConfiguration.Video.State, 'Enabled');
+
+        const twice = await ctx.request('POST', '/start-recording', { user: 'host', body: { meetingId } });
+        assert.equal(twice.status, 409);
+
+        const list = await ctx.request('GET', '/list-meetings', { user: 'host' });
+        assert.equal(list.body.find(m => m.meetingId === meetingId).recordingEnabled, true);
+
+        const stopped = await ctx.request('POST', '/stop-recording', { user: 'host', body: { meetingId } });
+        assert.equal(stopped.status, 200);
+        assert.equal(ctx.provider.mediaPipelinesClient.pipelines.size, 0);
+
+        const stoppedAgain = await ctx.request('POST', '/stop-recording', { user: 'host', body: { meetingId } });
+        assert.equal(stoppedAgain.status, 409);
+
+        const recordings = await ctx.request('GET', `/meeting/${meetingId}/recordings`, { user: 'host' });
+        assert.equal(recordings.body.recordingEnabled, false);
+        assert.equal(recordings.body.recordings.length, 1);
+        assert.ok(recordings.body.recordings[0].stoppedAt);
+    });
+});
+
+describe('transcripción sin permisos en AWS', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestServer({ accessDenied: ['StartMeetingTranscription', 'StartStreamTranscription'] });
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('activa la transcripción alternativa si Chime deniega el acceso', async () => {
+        const meetingId = await ctx.createMeeting('host');
+
+        const response = await ctx.request('POST', '/start-transcription', { user: 'host', body: { meetingId } });
+        assert.equal(response.status, 403);
+        assert.equal(response.body.alternativeAvailable, true);
+        assert.equal(ctx.meetings[meetingId].transcriptionEnabled, true);
+        assert.equal(ctx.meetings[meetingId].transcriptionMethod, 'alternative');
+    });
+
+    it('señala las acciones denegadas y no se declara preparado', async () => {
+        const permissions = await ctx.request('GET', '/verify-aws-permissions', { apiKey: true });
+        assert.equal(permissions.body.hasPermissionIssues, true);
+        assert.equal(permissions.body.permissionsCheck.chimeSDKMeetings.status, 'error');
+        assert.match(permissions.body.recommendations[0], /chime:StartMeetingTranscription, transcribe:StartStreamTranscription/);
+        const denied = permissions.body.permissionsCheck.chimeSDKMeetings.actions.filter(check => check.status === 'denied');
+        assert.deepEqual(denied.map(check => check.action), ['chime:StartMeetingTranscription']);
+
+        const ready = await ctx.request('GET', '/health/ready');
+        assert.equal(ready.status, 503);
+        assert.equal(ready.body.status, 'not-ready');
+        assert.equal(ready.body.checks.storage.status, 'ok');
+        assert.equal(ready.body.checks.aws.services.transcribe.status, 'error');
+
+        const versioned = await ctx.request('GET', '/v1/health/ready', { headers: { 'Accept-Language': 'en' } });
+        assert.equal(versioned.body.error.code, 'SERVICE_NOT_READY');
+        assert.equal(versioned.body.error.details.checks.aws.status, 'error');
+    });
+});
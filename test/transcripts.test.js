@@ -0,0 +1,532 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('transcripciones guardadas', () => {
+    let ctx;
+    let meetingId;
+    let transcriptionId;
+
+    before(async () => {
+        ctx = await startTestServer();
+
+        meetingId = await ctx.createMeeting('host');
+        const host = await ctx.joinMeeting(meetingId, 'host');
+        const eva = await ctx.joinMeeting(meetingId, 'eva');
+        const start = Date.parse('2025-03-10T10:00:00Z');
+        const segments = [
+            { user: host, text: 'Bienvenidos a la revisión del proyecto.', offset: 0 },
+            { user: eva, text: 'Mi correo es eva@example.com, escribidme.', offset: 5000 },
+            { user: host, text: 'Decidimos publicar la versión el lunes.', offset: 12000 }
+        ];
+        for (const { user, text, offset } of segments) {
+            await ctx.request('POST', '/add-transcript', {
+                user: user.body.attendeeInfo.ExternalUserId,
+                body: { meetingId, transcript: text, attendeeId: user.body.attendeeInfo.AttendeeId, timestamp: new Date(start + offset).toISOString() }
+            });
+        }
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('redacta los datos personales de los fragmentos', () => {
+        const transcripts = ctx.meetings[meetingId].transcripts;
+        assert.equal(transcripts.length, 3);
+        assert.equal(transcripts[1].text, 'Mi correo es [EMAIL], escribidme.');
+        assert.deepEqual(transcripts[1].redactions, { email: 1 });
+    });
+
+    it('rechaza los fragmentos vacíos, que no son texto o demasiado largos', async () => {
+        for (const transcript of ['   ', 42, { text: 'hola' }, 'a'.repeat(10001)]) {
+            const response = await ctx.request('POST', '/add-transcript', { user: 'host', body: { meetingId, transcript } });
+            assert.equal(response.status, 400);
+        }
+        const tooLong = await ctx.request('POST', '/v1/add-transcript', { user: 'host', body: { meetingId, transcript: 'a'.repeat(10001) } });
+        assert.equal(tooLong.status, 400);
+        assert.equal(ctx.meetings[meetingId].transcripts.length, 3);
+    });
+
+    it('emite la transcripción en vivo por Server-Sent Events', async () => {
+        const controller = new AbortController();
+        const response = await fetch(`${ctx.baseUrl}/transcript-stream/${meetingId}?replay=1`, {
+            headers: { Authorization: `Bearer ${ctx.tokenFor('eva')}` },
+            signal: controller.signal
+        });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+        // Leer hasta recibir el fragmento reenviado
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let received = '';
+        while (!received.includes('event: transcript')) {
+            const { value } = await reader.read();
+            received += decoder.decode(value);
+        }
+        controller.abort();
+
+        assert.match(received, /id: 2\n/);
+        assert.match(received, /Decidimos publicar/);
+    });
+
+    it('guarda la transcripción con su retención', async () => {
+        const invalid = await ctx.request('POST', '/save-transcription', { user: 'host', body: { meetingId, retentionDays: -1 } });
+        assert.equal(invalid.status, 400);
+
+        const outsider = await ctx.request('POST', '/save-transcription', { user: 'intruso', body: { meetingId } });
+        assert.equal(outsider.status, 403);
+
+        const saved = await ctx.request('POST', '/save-transcription', { user: 'host', body: { meetingId, title: 'Revisión', retentionDays: 30 } });
+        assert.equal(saved.status, 200);
+        transcriptionId = saved.body.transcriptionId;
+        assert.ok(Date.parse(saved.body.expiresAt) > Date.now());
+
+        const list = await ctx.request('GET', '/transcriptions', { user: 'eva' });
+        assert.deepEqual(list.body.map(t => t.id), [transcriptionId]);
+
+        const hidden = await ctx.request('GET', '/transcriptions', { user: 'intruso' });
+        assert.deepEqual(hidden.body, []);
+    });
+
+    it('exporta la transcripción en varios formatos', async () => {
+        const json = await ctx.request('GET', `/transcription/${transcriptionId}`, { user: 'eva' });
+        assert.equal(json.status, 200);
+        assert.equal(json.body.title, 'Revisión');
+        assert.equal(json.body.transcripts.length, 3);
+
+        const vtt = await ctx.request('GET', `/transcription/${transcriptionId}?format=vtt`, { user: 'eva' });
+        assert.equal(vtt.status, 200);
+        assert.match(vtt.headers.get('content-type'), /text\/vtt/);
+        assert.match(vtt.text, /^WEBVTT/);
+
+        for (const format of ['srt', 'txt', 'md']) {
+            const response = await ctx.request('GET', `/transcription/${transcriptionId}?format=${format}`, { user: 'eva' });
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-disposition'), new RegExp(`\\.${format}"`));
+        }
+
+        const unknown = await ctx.request('GET', `/transcription/${transcriptionId}?format=pdf`, { user: 'eva' });
+        assert.equal(unknown.status, 400);
+
+        const notAcceptable = await ctx.request('GET', `/transcription/${transcriptionId}`, { user: 'eva', headers: { Accept: 'image/png' } });
+        assert.equal(notAcceptable.status, 406);
+
+        const forbidden = await ctx.request('GET', `/transcription/${transcriptionId}`, { user: 'intruso' });
+        assert.equal(forbidden.status, 403);
+
+        const missing = await ctx.request('GET', '/transcription/no-existe', { user: 'eva' });
+        assert.equal(missing.status, 404);
+    });
+
+    it('genera las actas de la reunión', async () => {
+        const minutes = await ctx.request('GET', `/transcription/${transcriptionId}/minutes`, { user: 'eva' });
+        assert.equal(minutes.status, 200);
+        assert.ok(minutes.body.minutes.summary);
+        assert.ok(minutes.body.minutes.decisions.some(d => /publicar la versión/.test(d.text)));
+
+        const regenerated = await ctx.request('POST', `/transcription/${transcriptionId}/minutes`, { user: 'host' });
+        assert.equal(regenerated.status, 200);
+        assert.equal(regenerated.body.success, true);
+
+        const forbidden = await ctx.request('GET', `/transcription/${transcriptionId}/minutes`, { user: 'intruso' });
+        assert.equal(forbidden.status, 403);
+    });
+
+    it('calcula la analítica de participación', async () => {
+        const live = await ctx.request('GET', `/meeting/${meetingId}/analytics`, { user: 'eva' });
+        assert.equal(live.status, 200);
+        assert.equal(live.body.analytics.segmentCount, 3);
+
+        const saved = await ctx.request('GET', `/transcription/${transcriptionId}/analytics`, { user: 'eva' });
+        assert.equal(saved.status, 200);
+        assert.deepEqual(saved.body.analytics.speakers.map(s => s.userId).sort(), ['eva', 'host']);
+
+        const own = await ctx.request('GET', '/analytics', { user: 'eva' });
+        assert.equal(own.status, 200);
+        assert.equal(own.body.meetingCount, 1);
+        assert.equal(own.body.meetings[0].transcriptionId, transcriptionId);
+
+        const other = await ctx.request('GET', '/analytics?userId=host', { user: 'eva' });
+        assert.equal(other.status, 403);
+    });
+
+    it('busca en las transcripciones visibles', async () => {
+        const missingQuery = await ctx.request('GET', '/search-transcriptions', { user: 'eva' });
+        assert.equal(missingQuery.status, 400);
+
+        const found = await ctx.request('GET', '/search-transcriptions?q=publicar', { user: 'eva' });
+        assert.equal(found.status, 200);
+        assert.equal(found.body.total, 1);
+        assert.equal(found.body.hits[0].transcriptionId, transcriptionId);
+
+        const hidden = await ctx.request('GET', '/search-transcriptions?q=publicar', { user: 'intruso' });
+        assert.equal(hidden.body.total, 0);
+    });
+
+    it('cambia la retención y registra la auditoría', async () => {
+        const notCreator = await ctx.request('PUT', `/transcription/${transcriptionId}/retention`, { user: 'eva', body: { retentionDays: 7 } });
+        assert.equal(notCreator.status, 403);
+
+        const invalid = await ctx.request('PUT', `/transcription/${transcriptionId}/retention`, { user: 'host', body: {} });
+        assert.equal(invalid.status, 400);
+
+        const forever = await ctx.request('PUT', `/transcription/${transcriptionId}/retention`, { user: 'host', body: { retentionDays: null } });
+        assert.equal(forever.status, 200);
+        assert.equal(forever.body.expiresAt, null);
+
+        const audit = await ctx.request('GET', `/transcription/${transcriptionId}/audit`, { user: 'host' });
+        assert.equal(audit.status, 200);
+        const actions = new Set(audit.body.entries.map(entry => entry.action));
+        assert.deepEqual([...actions].sort(), ['export', 'read', 'retention']);
+
+        const exports = await ctx.request('GET', `/transcription/${transcriptionId}/audit?action=export&actorId=eva`, { user: 'host' });
+        assert.equal(exports.body.entries.length, 4);
+
+        const badAction = await ctx.request('GET', `/transcription/${transcriptionId}/audit?action=borrar`, { user: 'host' });
+        assert.equal(badAction.status, 400);
+
+        const notCreatorAudit = await ctx.request('GET', `/transcription/${transcriptionId}/audit`, { user: 'eva' });
+        assert.equal(notCreatorAudit.status, 403);
+    });
+
+    it('elimina la transcripción y conserva su auditoría', async () => {
+        const notCreator = await ctx.request('DELETE', `/transcription/${transcriptionId}`, { user: 'eva' });
+        assert.equal(notCreator.status, 403);
+
+        const deleted = await ctx.request('DELETE', `/transcription/${transcriptionId}`, { user: 'host' });
+        assert.equal(deleted.status, 200);
+
+        const gone = await ctx.request('GET', `/transcription/${transcriptionId}`, { user: 'host' });
+        assert.equal(gone.status, 404);
+
+        const withoutKey = await ctx.request('GET', '/transcription-audit');
+        assert.equal(withoutKey.status, 401);
+
+        const audit = await ctx.request('GET', `/transcription-audit?transcriptionId=${transcriptionId}&action=delete`, { apiKey: true });
+        assert.equal(audit.status, 200);
+        assert.equal(audit.body.entries.length, 1);
+        assert.equal(audit.body.entries[0].actorId, 'host');
+    });
+
+    it('trata como inexistentes las transcripciones caducadas aunque no se hayan depurado', async () => {
+        const saved = await ctx.request('POST', '/save-transcription', { user: 'host', body: { meetingId, title: 'Caducada', retentionDays: 1 } });
+        const transcriptions = ctx.storage.collection('transcriptions');
+        const transcription = transcriptions.get(saved.body.transcriptionId);
+        await transcriptions.put(transcription.id, { ...transcription, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+        assert.equal((await ctx.request('GET', `/transcription/${transcription.id}`, { user: 'host' })).status, 404);
+        assert.equal((await ctx.request('GET', `/transcription/${transcription.id}?format=srt`, { user: 'host' })).status, 404);
+        assert.equal((await ctx.request('GET', `/transcription/${transcription.id}/minutes`, { user: 'host' })).status, 404);
+
+        const list = await ctx.request('GET', '/transcriptions', { user: 'host' });
+        assert.equal(list.body.some(item => item.id === transcription.id), false);
+        const found = await ctx.request('GET', '/search-transcriptions?q=publicar', { user: 'host' });
+        assert.equal(JSON.stringify(found.body).includes(transcription.id), false);
+
+        // Sigue guardada hasta que la purga la elimine
+        assert.ok(transcriptions.get(transcription.id));
+    });
+
+    it('depura las transcripciones con la retención vencida', async () => {
+        const saved = await ctx.request('POST', '/save-transcription', { user: 'host', body: { meetingId, retentionDays: 1 } });
+        const transcription = ctx.storage.collection('transcriptions').get(saved.body.transcriptionId);
+        await ctx.storage.collection('transcriptions').put(transcription.id, { ...transcription, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+        ctx.startBackgroundJobs();
+        ctx.stopBackgroundJobs();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const gone = await ctx.request('GET', `/transcription/${transcription.id}`, { user: 'host' });
+        assert.equal(gone.status, 404);
+
+        const audit = await ctx.request('GET', `/transcription-audit?transcriptionId=${transcription.id}&actorId=system`, { apiKey: true });
+        assert.equal(audit.body.entries[0].action, 'delete');
+    });
+});
+
+describe('chat de la reunión', () => {
+    let ctx;
+    let meetingId;
+
+    before(async () => {
+        ctx = await startTestServer();
+        meetingId = await ctx.createMeeting('host');
+        await ctx.joinMeeting(meetingId, 'host');
+        await ctx.joinMeeting(meetingId, 'eva');
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('guarda los mensajes atribuidos a su autor y los pagina', async () => {
+        const empty = await ctx.request('POST', `/meeting/${meetingId}/chat`, { user: 'eva', body: { text: '   ' } });
+        assert.equal(empty.status, 400);
+
+        const outsider = await ctx.request('POST', `/meeting/${meetingId}/chat`, { user: 'intruso', body: { text: 'hola' } });
+        assert.equal(outsider.status, 403);
+
+        for (let i = 1; i <= 5; i++) {
+            const posted = await ctx.request('POST', `/meeting/${meetingId}/chat`, { user: i % 2 ? 'eva' : 'host', body: { text: `mensaje ${i}` } });
+            assert.equal(posted.status, 201);
+        }
+        const redacted = await ctx.request('POST', `/meeting/${meetingId}/chat`, { user: 'eva', body: { text: 'escribidme a eva@example.com' } });
+        assert.equal(redacted.body.text, 'escribidme a [EMAIL]');
+        assert.equal(redacted.body.attendeeId, ctx.meetings[meetingId].attendees.eva.attendeeInfo.AttendeeId);
+
+        const latest = await ctx.request('GET', `/meeting/${meetingId}/chat?limit=4`, { user: 'host' });
+        assert.deepEqual(latest.body.messages.map(m => m.seq), [2, 3, 4, 5]);
+        assert.equal(latest.body.hasMore, true);
+        assert.equal(latest.body.total, 6);
+
+        const older = await ctx.request('GET', `/meeting/${meetingId}/chat?limit=4&before=2`, { user: 'host' });
+        assert.deepEqual(older.body.messages.map(m => m.text), ['mensaje 1', 'mensaje 2']);
+        assert.equal(older.body.hasMore, false);
+
+        const newer = await ctx.request('GET', `/meeting/${meetingId}/chat?after=4`, { user: 'host' });
+        assert.deepEqual(newer.body.messages.map(m => m.seq), [5]);
+
+        const invalid = await ctx.request('GET', `/meeting/${meetingId}/chat?limit=1000`, { user: 'host' });
+        assert.equal(invalid.status, 400);
+    });
+
+    it('emite el chat en vivo por Server-Sent Events', async () => {
+        const controller = new AbortController();
+        const response = await fetch(`${ctx.baseUrl}/meeting/${meetingId}/chat/stream?replay=0`, {
+            headers: { Authorization: `Bearer ${ctx.tokenFor('host')}` },
+            signal: controller.signal
+        });
+        assert.equal(response.status, 200);
+
+        await ctx.request('POST', `/meeting/${meetingId}/chat`, { user: 'eva', body: { text: 'en directo' } });
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let received = '';
+        while (!received.includes('en directo')) {
+            const { value } = await reader.read();
+            received += decoder.decode(value);
+        }
+        controller.abort();
+
+        assert.match(received, /id: 6\nevent: chat\n/);
+    });
+
+    it('intercala el chat con la voz en la transcripción guardada y sus exportaciones', async () => {
+        // Un fragmento de voz anterior a todos los mensajes y otro posterior
+        const eva = ctx.meetings[meetingId].attendees.eva.attendeeInfo.AttendeeId;
+        const first = Date.parse(ctx.meetings[meetingId].chat[0].timestamp);
+        await ctx.request('POST', '/add-transcript', { user: 'eva', body: { meetingId, transcript: 'Empezamos', attendeeId: eva, timestamp: new Date(first - 1000).toISOString() } });
+        await ctx.request('POST', '/add-transcript', { user: 'eva', body: { meetingId, transcript: 'Terminamos', attendeeId: eva, timestamp: new Date(Date.now() + 1000).toISOString() } });
+
+        const saved = await ctx.request('POST', '/save-transcription', { user: 'host', body: { meetingId, title: 'Con chat' } });
+        assert.equal(saved.status, 200);
+
+        const transcription = await ctx.request('GET', `/transcription/${saved.body.transcriptionId}`, { user: 'eva' });
+        const segments = transcription.body.transcripts;
+        assert.equal(segments.length, 9);
+        assert.equal(segments[0].text, 'Empezamos');
+        assert.equal(segments[1].kind, 'chat');
+        assert.equal(segments[1].text, 'mensaje 1');
+        assert.equal(segments[8].text, 'Terminamos');
+        assert.equal(transcription.body.chatMessageCount, 7);
+
+        const text = await ctx.request('GET', `/transcription/${saved.body.transcriptionId}?format=txt`, { user: 'eva' });
+        assert.match(text.text, /Usuario eva:\nEmpezamos\n\n\[[\d:]+\] Usuario eva \(chat\):\nmensaje 1\n/);
+
+        const srt = await ctx.request('GET', `/transcription/${saved.body.transcriptionId}?format=srt`, { user: 'eva' });
+        assert.match(srt.text, /Usuario host \(chat\): mensaje 2/);
+
+        // El chat no cuenta como tiempo de habla
+        const analytics = await ctx.request('GET', `/transcription/${saved.body.transcriptionId}/analytics`, { user: 'eva' });
+        assert.equal(analytics.body.analytics.segmentCount, 2);
+    });
+});
+
+describe('edición de transcripciones', () => {
+    let ctx;
+    let meetingId;
+    let transcriptionId;
+    let evaAttendeeId;
+
+    const segmentsOf = async () => (await ctx.request('GET', `/transcription/${transcriptionId}`, { user: 'host' })).body.transcripts;
+
+    before(async () => {
+        ctx = await startTestServer();
+        meetingId = await ctx.createMeeting('host');
+        const host = await ctx.joinMeeting(meetingId, 'host');
+        const eva = await ctx.joinMeeting(meetingId, 'eva');
+        evaAttendeeId = eva.body.attendeeInfo.AttendeeId;
+
+        const start = Date.parse('2025-03-10T10:00:00Z');
+        const segments = [
+            { user: host, text: 'Hola a todos.', offset: 0 },
+            { user: host, text: 'Empezamos con el presupuesto. Luego vemos el calendario.', offset: 2000 },
+            { user: eva, text: 'Me parece bien el plan.', offset: 20000 }
+        ];
+        for (const { user, text, offset } of segments) {
+            await ctx.request('POST', '/add-transcript', {
+                user: user.body.attendeeInfo.ExternalUserId,
+                body: { meetingId, transcript: text, attendeeId: user.body.attendeeInfo.AttendeeId, timestamp: new Date(start + offset).toISOString() }
+            });
+        }
+
+        const saved = await ctx.request('POST', '/save-transcription', { user: 'host', body: { meetingId, title: 'Edición' } });
+        transcriptionId = saved.body.transcriptionId;
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('corrige el texto de un fragmento y lo reasigna a otro hablante', async () => {
+        const [first] = await segmentsOf();
+        assert.ok(first.id);
+
+        const notCreator = await ctx.request('PATCH', `/transcription/${transcriptionId}/segments/${first.id}`, { user: 'eva', body: { text: 'Hola' } });
+        assert.equal(notCreator.status, 403);
+
+        const empty = await ctx.request('PATCH', `/transcription/${transcriptionId}/segments/${first.id}`, { user: 'host', body: { text: '  ' } });
+        assert.equal(empty.status, 400);
+
+        const missing = await ctx.request('PATCH', `/transcription/${transcriptionId}/segments/no-existe`, { user: 'host', body: { text: 'Hola' } });
+        assert.equal(missing.status, 404);
+
+        const edited = await ctx.request('PATCH', `/transcription/${transcriptionId}/segments/${first.id}`, {
+            user: 'host',
+            body: { text: 'Hola a todos, escribid a host@example.com.', speaker: 'eva' }
+        });
+        assert.equal(edited.status, 200);
+        assert.equal(edited.body.revision, 1);
+        assert.equal(edited.body.diff.changed[0].before.text, 'Hola a todos.');
+
+        // El texto corregido también se redacta y el userId se guarda como el attendeeId del participante
+        const [segment] = await segmentsOf();
+        assert.equal(segment.text, 'Hola a todos, escribid a [EMAIL].');
+        assert.equal(segment.attendeeId, evaAttendeeId);
+
+        const text = await ctx.request('GET', `/transcription/${transcriptionId}?format=txt`, { user: 'eva' });
+        assert.match(text.text, /Usuario eva:\nHola a todos, escribid a \[EMAIL\]\./);
+    });
+
+    it('parte y une fragmentos', async () => {
+        const segments = await segmentsOf();
+        const target = segments[1];
+
+        const outOfRange = await ctx.request('POST', `/transcription/${transcriptionId}/segments/${target.id}/split`, { user: 'host', body: { at: 500 } });
+        assert.equal(outOfRange.status, 400);
+
+        const at = target.text.indexOf('Luego');
+        const split = await ctx.request('POST', `/transcription/${transcriptionId}/segments/${target.id}/split`, { user: 'host', body: { at } });
+        assert.equal(split.status, 200);
+        assert.equal(split.body.diff.added.length, 1);
+
+        const afterSplit = await segmentsOf();
+        assert.equal(afterSplit.length, 4);
+        assert.equal(afterSplit[1].text, 'Empezamos con el presupuesto.');
+        assert.equal(afterSplit[2].text, 'Luego vemos el calendario.');
+        // La segunda parte empieza después que la primera y antes que el fragmento siguiente
+        assert.ok(Date.parse(afterSplit[2].timestamp) > Date.parse(afterSplit[1].timestamp));
+        assert.ok(Date.parse(afterSplit[2].timestamp) <= Date.parse(afterSplit[3].timestamp));
+
+        const notConsecutive = await ctx.request('POST', `/transcription/${transcriptionId}/segments/merge`, {
+            user: 'host',
+            body: { segmentIds: [afterSplit[0].id, afterSplit[2].id] }
+        });
+        assert.equal(notConsecutive.status, 400);
+
+        const merged = await ctx.request('POST', `/transcription/${transcriptionId}/segments/merge`, {
+            user: 'host',
+            body: { segmentIds: [afterSplit[2].id, afterSplit[1].id] }
+        });
+        assert.equal(merged.status, 200);
+        assert.equal(merged.body.diff.removed.length, 1);
+
+        const afterMerge = await segmentsOf();
+        assert.equal(afterMerge.length, 3);
+        assert.equal(afterMerge[1].text, 'Empezamos con el presupuesto. Luego vemos el calendario.');
+        assert.equal(afterMerge[1].id, target.id);
+    });
+
+    it('renombra a un hablante en las exportaciones, las actas y la analítica', async () => {
+        const unknown = await ctx.request('PUT', `/transcription/${transcriptionId}/speakers/nadie`, { user: 'host', body: { name: 'Nadie' } });
+        assert.equal(unknown.status, 404);
+
+        const renamed = await ctx.request('PUT', `/transcription/${transcriptionId}/speakers/eva`, { user: 'host', body: { name: 'Eva Martín' } });
+        assert.equal(renamed.status, 200);
+        assert.deepEqual(renamed.body.diff.speakerNames[evaAttendeeId], { before: null, after: 'Eva Martín' });
+
+        const vtt = await ctx.request('GET', `/transcription/${transcriptionId}?format=vtt`, { user: 'eva' });
+        assert.match(vtt.text, /<v Eva Martín>Me parece bien el plan\./);
+        assert.doesNotMatch(vtt.text, /Usuario eva/);
+
+        const minutes = await ctx.request('GET', `/transcription/${transcriptionId}/minutes`, { user: 'eva' });
+        assert.ok(JSON.stringify(minutes.body.minutes).includes('Eva Martín'));
+
+        const analytics = await ctx.request('GET', `/transcription/${transcriptionId}/analytics`, { user: 'eva' });
+        assert.ok(analytics.body.analytics.speakers.some(speaker => speaker.userName === 'Eva Martín'));
+    });
+
+    it('lista las revisiones y vuelve a una anterior', async () => {
+        const history = await ctx.request('GET', `/transcription/${transcriptionId}/revisions`, { user: 'eva' });
+        assert.equal(history.status, 200);
+        assert.equal(history.body.currentRevision, 4);
+        assert.deepEqual(history.body.revisions.map(r => r.operation), ['original', 'edit', 'split', 'merge', 'rename-speaker']);
+        assert.equal(history.body.revisions[1].authorId, 'host');
+        assert.equal(history.body.revisions[1].snapshot, undefined);
+
+        const original = await ctx.request('GET', `/transcription/${transcriptionId}/revisions/0`, { user: 'eva' });
+        assert.equal(original.body.snapshot.transcripts[0].text, 'Hola a todos.');
+
+        const notCreator = await ctx.request('POST', `/transcription/${transcriptionId}/revisions/0/rollback`, { user: 'eva' });
+        assert.equal(notCreator.status, 403);
+
+        const missing = await ctx.request('POST', `/transcription/${transcriptionId}/revisions/9/rollback`, { user: 'host' });
+        assert.equal(missing.status, 404);
+
+        const rollback = await ctx.request('POST', `/transcription/${transcriptionId}/revisions/0/rollback`, { user: 'host' });
+        assert.equal(rollback.status, 200);
+        assert.equal(rollback.body.revision, 5);
+
+        const restored = await ctx.request('GET', `/transcription/${transcriptionId}`, { user: 'host' });
+        assert.equal(restored.body.transcripts[0].text, 'Hola a todos.');
+        assert.deepEqual(restored.body.speakerNames, {});
+
+        const vtt = await ctx.request('GET', `/transcription/${transcriptionId}?format=vtt`, { user: 'eva' });
+        assert.match(vtt.text, /<v Usuario eva>Me parece bien el plan\./);
+
+        const audit = await ctx.request('GET', `/transcription-audit?transcriptionId=${transcriptionId}&action=edit`, { apiKey: true });
+        assert.equal(audit.body.entries.length, 5);
+
+        // Al eliminar la transcripción se elimina también su historial
+        await ctx.request('DELETE', `/transcription/${transcriptionId}`, { user: 'host' });
+        assert.equal(ctx.storage.collection('transcriptRevisions').list().length, 0);
+    });
+
+    it('numera sin repetir las ediciones simultáneas y rechaza las desfasadas', async () => {
+        const saved = await ctx.request('POST', '/save-transcription', { user: 'host', body: { meetingId, title: 'Concurrencia' } });
+        const id = saved.body.transcriptionId;
+        const segments = (await ctx.request('GET', `/transcription/${id}`, { user: 'host' })).body.transcripts;
+
+        const edits = await Promise.all(segments.map((segment, index) =>
+            ctx.request('PATCH', `/transcription/${id}/segments/${segment.id}`, { user: 'host', body: { text: `Versión ${index}` } })));
+        assert.deepEqual(edits.map(edit => edit.status), segments.map(() => 200));
+        assert.deepEqual(edits.map(edit => edit.body.revision).sort((a, b) => a - b), segments.map((segment, index) => index + 1));
+
+        const history = await ctx.request('GET', `/transcription/${id}/revisions`, { user: 'host' });
+        assert.deepEqual(history.body.revisions.map(revision => revision.revision), [0, ...segments.map((segment, index) => index + 1)]);
+        const current = await ctx.request('GET', `/transcription/${id}`, { user: 'host' });
+        assert.deepEqual(current.body.transcripts.map(segment => segment.text), segments.map((segment, index) => `Versión ${index}`));
+
+        // Quien editó sobre una revisión anterior recibe 409 con la revisión actual
+        const stale = await ctx.request('PATCH', `/v1/transcription/${id}/segments/${segments[0].id}`, { user: 'host', body: { text: 'Tarde', baseRevision: 1 } });
+        assert.equal(stale.status, 409);
+        assert.equal(stale.body.error.code, 'REVISION_CONFLICT');
+        assert.equal(stale.body.error.details.currentRevision, segments.length);
+
+        const fresh = await ctx.request('PATCH', `/v1/transcription/${id}/segments/${segments[0].id}`, { user: 'host', body: { text: 'A tiempo', baseRevision: segments.length } });
+        assert.equal(fresh.body.revision, segments.length + 1);
+    });
+});
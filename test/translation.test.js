@@ -0,0 +1,204 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { createMockTranslateClient } = require('../lib/mock-chime');
+const { normalizeTranslationLanguage, createTranslationProvider } = require('../lib/translation');
+
+// Abrir la transcripción en vivo como `userId` y leer eventos hasta que `until` aparezca en el texto recibido
+async function openStream(ctx, meetingId, userId, query = '') {
+    const controller = new AbortController();
+    const response = await fetch(`${ctx.baseUrl}/transcript-stream/${meetingId}${query}`, {
+        headers: { Authorization: `Bearer ${ctx.tokenFor(userId)}` },
+        signal: controller.signal
+    });
+    assert.equal(response.status, 200);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let received = '';
+    return {
+        async readUntil(until) {
+            while (!received.includes(until)) {
+                const { value } = await reader.read();
+                received += decoder.decode(value);
+            }
+            return received;
+        },
+        close: () => controller.abort()
+    };
+}
+
+describe('traducción de transcripciones', () => {
+    let ctx;
+    let meetingId;
+    const calls = [];
+    let failing = false;
+
+    before(async () => {
+        const fake = createTranslationProvider({ name: 'fake' });
+        ctx = await startTestServer({
+            translator: {
+                name: 'fake',
+                async translate(params) {
+                    calls.push(params);
+                    if (failing) throw new Error('Servicio de traducción caído');
+                    return fake.translate(params);
+                }
+            }
+        });
+
+        meetingId = await ctx.createMeeting('host');
+        await ctx.joinMeeting(meetingId, 'ana');
+        await ctx.joinMeeting(meetingId, 'bruno');
+        await ctx.request('POST', '/add-transcript', { user: 'host', body: { meetingId, transcript: 'Bienvenidos a todos' } });
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('envía en vivo la traducción solo a los clientes que la piden', async () => {
+        const ana = await openStream(ctx, meetingId, 'ana', '?replay=1&lang=en');
+        const bruno = await openStream(ctx, meetingId, 'bruno', '?replay=1');
+
+        // Los fragmentos reenviados llegan con su traducción
+        const replayed = await ana.readUntil('[en] Bienvenidos');
+        assert.match(replayed, /id: 0\nevent: transcript\n[\s\S]*event: transcript-translation\ndata: \{"index":0,"language":"en","text":"\[en\] Bienvenidos a todos"/);
+        await bruno.readUntil('Bienvenidos');
+
+        await ctx.request('POST', '/add-transcript', { user: 'ana', body: { meetingId, transcript: 'Empezamos' } });
+        const live = await ana.readUntil('[en] Empezamos');
+        assert.match(live, /id: 1\nevent: transcript\ndata: .*"text":"Empezamos"/);
+        const original = await bruno.readUntil('Empezamos');
+        ana.close();
+        bruno.close();
+
+        assert.doesNotMatch(original, /transcript-translation/);
+        assert.equal(ctx.meetings[meetingId].transcripts[1].translations.en.text, '[en] Empezamos');
+    });
+
+    it('rechaza los idiomas no soportados', async () => {
+        const stream = await ctx.request('GET', `/v1/transcript-stream/${meetingId}?lang=klingon`, { user: 'ana' });
+        assert.equal(stream.status, 400);
+        assert.equal(stream.body.error.code, 'TRANSLATION_LANGUAGE_UNSUPPORTED');
+
+        const chosen = await ctx.request('PUT', `/meeting/${meetingId}/translation-language`, { user: 'ana', body: { language: 'tlh' } });
+        assert.equal(chosen.status, 400);
+    });
+
+    it('guarda la transcripción con los idiomas elegidos por los participantes', async () => {
+        const chosen = await ctx.request('PUT', `/v1/meeting/${meetingId}/translation-language`, { user: 'bruno', body: { language: 'fr-CA' } });
+        assert.equal(chosen.status, 200);
+        assert.equal(chosen.body.language, 'fr-CA');
+        const english = await ctx.request('PUT', `/meeting/${meetingId}/translation-language`, { user: 'ana', body: { language: 'en-GB' } });
+        assert.equal(english.body.language, 'en');
+
+        const saved = await ctx.request('POST', '/save-transcription', { user: 'host', body: { meetingId, title: 'Bilingüe' } });
+        const transcription = await ctx.request('GET', `/transcription/${saved.body.transcriptionId}`, { user: 'bruno' });
+        assert.deepEqual(transcription.body.translationLanguages.sort(), ['en', 'fr-CA']);
+        assert.deepEqual(transcription.body.transcripts.map(segment => segment.translations['fr-CA'].text), ['[fr-CA] Bienvenidos a todos', '[fr-CA] Empezamos']);
+        assert.equal(transcription.body.transcripts[1].translations.en.text, '[en] Empezamos');
+    });
+
+    it('traduce una transcripción guardada reutilizando las traducciones de cada fragmento', async () => {
+        const saved = await ctx.request('POST', '/save-transcription', { user: 'host', body: { meetingId, title: 'Revisión' } });
+        const { transcriptionId } = saved.body;
+
+        const before = calls.length;
+        const first = await ctx.request('GET', `/v1/transcription/${transcriptionId}/translations/de`, { user: 'ana' });
+        assert.equal(first.status, 200);
+        assert.deepEqual(first.body.segments.map(segment => [segment.text, segment.translation]), [
+            ['Bienvenidos a todos', '[de] Bienvenidos a todos'],
+            ['Empezamos', '[de] Empezamos']
+        ]);
+        assert.equal(calls.length, before + 2);
+
+        // La segunda vez no se llama al proveedor; tampoco para exportar
+        const again = await ctx.request('GET', `/transcription/${transcriptionId}/translations/de`, { user: 'ana' });
+        assert.deepEqual(again.body.segments, first.body.segments);
+        const srt = await ctx.request('GET', `/transcription/${transcriptionId}/translations/de?format=srt`, { user: 'ana' });
+        assert.match(srt.text, /\[de\] Empezamos/);
+        assert.match(srt.headers.get('content-disposition'), /revision-de\.srt/);
+        assert.equal(calls.length, before + 2);
+
+        // Al corregir un fragmento solo se vuelve a traducir ese
+        const segmentId = first.body.segments[1].id;
+        await ctx.request('PATCH', `/transcription/${transcriptionId}/segments/${segmentId}`, { user: 'host', body: { text: 'Empezamos ya' } });
+        const edited = await ctx.request('GET', `/transcription/${transcriptionId}/translations/de`, { user: 'ana' });
+        assert.equal(edited.body.segments[1].translation, '[de] Empezamos ya');
+        assert.equal(calls.length, before + 3);
+    });
+
+    it('responde al fragmento original sin esperar a las traducciones', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const slow = await startTestServer({
+            translator: {
+                name: 'fake',
+                async translate({ text, targetLanguage }) {
+                    await gate;
+                    return { text: `[${targetLanguage}] ${text}`, sourceLanguage: 'es' };
+                }
+            }
+        });
+        try {
+            const slowMeeting = await slow.createMeeting('host');
+            await slow.joinMeeting(slowMeeting, 'ana');
+            await slow.request('PUT', `/meeting/${slowMeeting}/translation-language`, { user: 'ana', body: { language: 'en' } });
+
+            const added = await slow.request('POST', '/add-transcript', { user: 'ana', body: { meetingId: slowMeeting, transcript: 'Sin esperas' } });
+            assert.equal(added.status, 200);
+            assert.equal(slow.meetings[slowMeeting].transcripts[0].translations, undefined);
+
+            // La traducción se guarda en el fragmento cuando el proveedor responde
+            release();
+            while (!slow.meetings[slowMeeting].transcripts[0].translations) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            assert.equal(slow.meetings[slowMeeting].transcripts[0].translations.en.text, '[en] Sin esperas');
+        } finally {
+            release();
+            await slow.close();
+        }
+    });
+
+    it('no bloquea la transcripción si el proveedor falla', async () => {
+        failing = true;
+        try {
+            const added = await ctx.request('POST', '/add-transcript', { user: 'ana', body: { meetingId, transcript: 'Sin traducción' } });
+            assert.equal(added.status, 200);
+            assert.equal(ctx.meetings[meetingId].transcripts[2].translations, undefined);
+
+            const saved = await ctx.request('POST', '/save-transcription', { user: 'host', body: { meetingId } });
+            assert.equal(saved.status, 200);
+            const translated = await ctx.request('GET', `/v1/transcription/${saved.body.transcriptionId}/translations/it`, { user: 'ana' });
+            assert.equal(translated.status, 502);
+            assert.equal(translated.body.error.code, 'TRANSLATION_FAILED');
+        } finally {
+            failing = false;
+        }
+
+        const metrics = await ctx.request('GET', '/metrics');
+        assert.match(metrics.text, /^chime_transcript_translations_total\{language="it",result="failed"\} 3$/m);
+        assert.match(metrics.text, /^chime_transcript_translations_total\{language="de",result="cached"\} [1-9]\d*$/m);
+    });
+});
+
+describe('proveedores de traducción', () => {
+    it('normaliza los códigos de idioma de Transcribe y Translate', () => {
+        assert.equal(normalizeTranslationLanguage('es-US'), 'es');
+        assert.equal(normalizeTranslationLanguage('zh-tw'), 'zh-TW');
+        assert.equal(normalizeTranslationLanguage('pt_PT'), 'pt-PT');
+        assert.equal(normalizeTranslationLanguage('xx'), null);
+        assert.equal(normalizeTranslationLanguage(42), null);
+    });
+
+    it('traduce con Amazon Translate', async () => {
+        const translator = createTranslationProvider({ name: 'aws', client: createMockTranslateClient() });
+        assert.deepEqual(await translator.translate({ text: 'hola', sourceLanguage: 'auto', targetLanguage: 'en' }), { text: '[en] hola', sourceLanguage: 'es' });
+
+        const denied = createTranslationProvider({ name: 'aws', client: createMockTranslateClient({ accessDenied: ['TranslateText'] }) });
+        await assert.rejects(denied.translate({ text: 'hola', targetLanguage: 'en' }), { name: 'AccessDeniedException' });
+        assert.throws(() => createTranslationProvider({ name: 'otro' }), /no soportado/);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStorage } = require('../lib/storage');
+const { validateSubscription, signPayload, createWebhookService } = require('../lib/webhooks');
+
+async function waitFor(check) {
+    for (let i = 0; i < 100; i++) {
+        if (check()) return;
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error('La condición no se cumplió a tiempo');
+}
+
+describe('webhooks salientes', () => {
+    it('valida la URL y los eventos de la suscripción', () => {
+        assert.equal(validateSubscription({ url: 'https://example.com/hook', events: ['meeting.created'] }), null);
+        assert.equal(validateSubscription({ url: 'https://example.com/hook', events: ['*'] }), null);
+        assert.match(validateSubscription({ url: 'ftp://example.com', events: ['*'] }), /http o https/);
+        assert.match(validateSubscription({ url: 'no es una url', events: ['*'] }), /no válida/);
+        assert.match(validateSubscription({ url: 'https://example.com', events: [] }), /al menos un evento/);
+        assert.match(validateSubscription({ url: 'https://example.com', events: ['otro.evento'] }), /otro\.evento/);
+    });
+
+    it('firma cada entrega y solo la envía a las suscripciones interesadas', async () => {
+        const requests = [];
+        const webhooks = createWebhookService({
+            storage: createMemoryStorage(),
+            fetchImpl: async (url, options) => {
+                requests.push({ url, options });
+                return new Response('ok', { status: 200 });
+            }
+        });
+        const subscription = await webhooks.createSubscription({ url: 'https://example.com/hook', events: ['meeting.created'], secret: 'secreto' });
+        await webhooks.createSubscription({ url: 'https://example.com/otro', events: ['meeting.deleted'] });
+
+        assert.equal(await webhooks.dispatch('meeting.created', { meetingId: 'reunion-1' }), 1);
+        await waitFor(() => requests.length === 1);
+
+        const [{ url, options }] = requests;
+        assert.equal(url, 'https://example.com/hook');
+        assert.equal(options.headers['X-Webhook-Event'], 'meeting.created');
+        const [, timestamp, signature] = options.headers['X-Webhook-Signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+        assert.equal(signature, signPayload('secreto', timestamp, options.body));
+        assert.deepEqual(JSON.parse(options.body).data, { meetingId: 'reunion-1' });
+
+        const [delivery] = webhooks.listDeliveries(subscription.id);
+        await waitFor(() => delivery.status === 'succeeded');
+        assert.equal(delivery.attempts.length, 1);
+    });
+
+    it('reintenta las entregas fallidas y permite reenviarlas', async () => {
+        let status = 500;
+        const webhooks = createWebhookService({
+            storage: createMemoryStorage(),
+            fetchImpl: async () => new Response('', { status }),
+            maxAttempts: 2,
+            baseDelayMs: 1
+        });
+        const subscription = await webhooks.createSubscription({ url: 'https://example.com/hook', events: ['*'] });
+
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            await webhooks.dispatch('meeting.ended', { meetingId: 'reunion-1' });
+            const [delivery] = webhooks.listDeliveries(subscription.id);
+            await waitFor(() => delivery.status === 'failed');
+            assert.equal(delivery.attempts.length, 2);
+            assert.equal(delivery.lastError, 'Respuesta HTTP 500');
+
+            status = 200;
+            const redelivered = await webhooks.redeliver(delivery.id);
+            assert.equal(redelivered.status, 'succeeded');
+            assert.equal(redelivered.attempts.length, 3);
+        } finally {
+            console.warn = warn;
+        }
+    });
+});